@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark: Ken Burns engines
+ *
+ * Renders the same Ken Burns slideshow with the "zoompan" and "perspective"
+ * engines at 1080p and 4K and prints the wall-clock export time of each.
+ *
+ * Usage:
+ *   node examples/benchmark-ken-burns.js            # 6 slides per run
+ *   node examples/benchmark-ken-burns.js 20         # 20 slides per run
+ *
+ * zoompan pans over a canvas pre-scaled to at least 3x the output width
+ * (11520px wide at 4K); perspective works at the output size times the
+ * widest zoom, so the gap between the two grows with the resolution.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import SIMPLEFFMPEG from "../index.mjs";
+import {
+  FIXTURES_DIR,
+  ensureDirs,
+  log,
+  checkFFmpeg,
+  generateFixtures,
+  getDuration,
+} from "./demo-helpers.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const OUTPUT_DIR = path.join(__dirname, "output", "benchmark-ken-burns");
+
+const SLIDES = parseInt(process.argv[2], 10) || 6;
+const SLIDE_SECONDS = 4;
+const EFFECTS = ["zoom-in", "pan-right", "zoom-out", "pan-left", "pan-up", "pan-down"];
+const SIZES = [
+  { label: "1080p", width: 1920, height: 1080 },
+  { label: "4K", width: 3840, height: 2160 },
+];
+const ENGINES = ["zoompan", "perspective"];
+
+async function renderSlideshow(size, engine) {
+  const project = new SIMPLEFFMPEG({
+    width: size.width,
+    height: size.height,
+    fps: 30,
+    kenBurnsEngine: engine,
+  });
+  const clips = [];
+  for (let i = 0; i < SLIDES; i++) {
+    clips.push({
+      type: "image",
+      url: path.join(FIXTURES_DIR, "test-image.jpg"),
+      duration: SLIDE_SECONDS,
+      kenBurns: EFFECTS[i % EFFECTS.length],
+    });
+  }
+  await project.load(clips);
+
+  const out = path.join(OUTPUT_DIR, `${size.label}-${engine}.mp4`);
+  const started = process.hrtime.bigint();
+  await project.export({ outputPath: out, preset: "ultrafast" });
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  return { out, seconds };
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+if (!checkFFmpeg()) {
+  console.error("FFmpeg not found. Install it first.");
+  process.exit(1);
+}
+ensureDirs(OUTPUT_DIR);
+generateFixtures();
+
+const rows = [];
+for (const size of SIZES) {
+  log(`${size.label}: ${SLIDES} slides x ${SLIDE_SECONDS}s`);
+  const times = {};
+  for (const engine of ENGINES) {
+    const { out, seconds } = await renderSlideshow(size, engine);
+    times[engine] = seconds;
+    console.log(`  ${engine.padEnd(12)} ${seconds.toFixed(1)}s  (${getDuration(out)}s of video)`);
+  }
+  rows.push({ size: size.label, ...times });
+}
+
+console.log(`\n${"═".repeat(60)}`);
+console.log(`  ${"size".padEnd(8)}${"zoompan".padEnd(12)}${"perspective".padEnd(14)}speedup`);
+for (const row of rows) {
+  const speedup = row.zoompan / row.perspective;
+  console.log(
+    `  ${row.size.padEnd(8)}${`${row.zoompan.toFixed(1)}s`.padEnd(12)}${`${row.perspective.toFixed(1)}s`.padEnd(14)}${speedup.toFixed(2)}x`,
+  );
+}
+console.log(`${"═".repeat(60)}`);
+console.log(`  Output: ${OUTPUT_DIR}\n`);
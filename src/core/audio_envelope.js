@@ -0,0 +1,81 @@
+/**
+ * Per-clip audio fades and volume envelopes.
+ *
+ * Audio-bearing clips (video, audio, music / backgroundAudio and
+ * audioGenerator) accept:
+ *
+ *   fadeIn / fadeOut - seconds to fade the clip's audio in from / out to
+ *                      silence, at the edges of the audio that plays
+ *   fadeCurve        - afade curve of both fades (default "tri")
+ *   volumeEnvelope   - [{ time, volume, curve }]; `time` is seconds from
+ *                      the clip start, `curve` is a keyframe easing that
+ *                      shapes the move to the next point
+ *
+ * An envelope replaces the clip's static volume, like keyframed volume
+ * (a clip may use one or the other), and compiles to the same expression.
+ */
+
+const C = require("./constants");
+const { getKeyframes } = require("./keyframes");
+
+/**
+ * Clip types that accept fades and a volume envelope.
+ */
+const AUDIO_ENVELOPE_TYPES = [
+  "video",
+  "audio",
+  "music",
+  "backgroundAudio",
+  "audioGenerator",
+];
+
+/**
+ * A clip's volume envelope as volume keyframes, sorted by time.
+ *
+ * @param {Object} clip
+ * @param {Function} [mapTime] - Moves a point's time (seconds from the clip
+ *   start) to where it plays relative to the clip's audio start
+ * @returns {Array<{ time: number, value: number, easing?: string }>|null}
+ */
+function getVolumeEnvelope(clip, mapTime) {
+  const list = clip && clip.volumeEnvelope;
+  if (!Array.isArray(list) || list.length === 0) return null;
+  return [...list]
+    .sort((a, b) => a.time - b.time)
+    .map((point) => ({
+      time: mapTime ? mapTime(point.time) : point.time,
+      value: point.volume,
+      easing: point.curve,
+    }));
+}
+
+/**
+ * Keyframed volume or the volume envelope of a clip.
+ *
+ * @param {Object} clip
+ * @param {Function} [mapTime] - See getVolumeEnvelope
+ * @returns {Array|null} Sorted volume keyframes, or null when the volume is static
+ */
+function getVolumeKeys(clip, mapTime) {
+  return getKeyframes(clip, "volume") || getVolumeEnvelope(clip, mapTime);
+}
+
+/**
+ * The clip's own fades, in the shape of an audio transition edit's fades.
+ *
+ * @param {Object} clip
+ * @returns {{ fadeIn: Object|null, fadeOut: Object|null }}
+ */
+function getClipAudioFades(clip) {
+  const curve = clip.fadeCurve || C.DEFAULT_AUDIO_FADE_CURVE;
+  const fade = (duration) =>
+    typeof duration === "number" && duration > 0 ? { duration, curve } : null;
+  return { fadeIn: fade(clip.fadeIn), fadeOut: fade(clip.fadeOut) };
+}
+
+module.exports = {
+  AUDIO_ENVELOPE_TYPES,
+  getVolumeEnvelope,
+  getVolumeKeys,
+  getClipAudioFades,
+};
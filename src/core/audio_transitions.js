@@ -0,0 +1,130 @@
+/**
+ * Audio at base-track clip boundaries.
+ *
+ * Every boundary between two base-track clips gets an audio edit that
+ * follows the picture. A transition that overlaps its clips crossfades the
+ * audio over the same window, and a hard cut gets a short declick fade on
+ * both sides. `transition.audio` overrides this per transition:
+ *
+ *   "crossfade" - fade across the picture transition (default)
+ *   "cut"       - switch in the middle of the picture transition
+ *   "j-cut"     - the incoming audio leads: the audio crossfade happens
+ *                 `audioOffset` seconds before the picture transition
+ *   "l-cut"     - the outgoing audio lingers: it happens `audioOffset`
+ *                 seconds after the picture transition
+ *
+ * Video-clip audio is positioned with adelay and mixed with amix, so a
+ * crossfade is an afade out on one clip and an afade in on the next with
+ * the same curve over the same window, which is what acrossfade does.
+ */
+
+const C = require("./constants");
+const { hasTimeRemap, resolveClipTiming } = require("./speed");
+const { getVolumeKeys } = require("./audio_envelope");
+const { snapToFrame } = require("./frame_rate");
+const { getOverlapDuration } = require("./transitions");
+
+/**
+ * Seconds of source a clip's audio can play before its picture starts and
+ * after it ends. Only plain clips (video at normal speed, forwards, without
+ * volume keyframes, a volume envelope or fill) can reach past their picture
+ * window.
+ * @param {Object} clip
+ * @returns {{ before: number, after: number }}
+ */
+function getAudioHandles(clip) {
+  if (
+    clip.type !== "video" ||
+    typeof clip.cutFrom !== "number" ||
+    hasTimeRemap(clip) ||
+    clip.reverse === true ||
+    getVolumeKeys(clip)
+  ) {
+    return { before: 0, after: 0 };
+  }
+  const { duration, contentDuration, inputLoops } = resolveClipTiming(clip);
+  if (contentDuration < duration - 1e-6 || inputLoops > 0) {
+    return { before: 0, after: 0 };
+  }
+  const after =
+    typeof clip.mediaDuration === "number"
+      ? Math.max(0, clip.mediaDuration - clip.cutFrom - duration)
+      : 0;
+  return { before: clip.cutFrom, after };
+}
+
+function clipLength(clip) {
+  return Math.max(0, (clip.end || 0) - (clip.position || 0));
+}
+
+/**
+ * Audio edits for base-track clips.
+ *
+ * `startShift` / `endShift` move the start and end of a clip's audio
+ * relative to its picture (negative = earlier). `fadeIn` / `fadeOut` are
+ * `{ duration, curve }` or null.
+ *
+ * @param {Array<Object>} baseClips - Base-track clips in timeline order
+ * @param {number|string} fps - Output frame rate (overlaps are whole frames)
+ * @returns {Map<Object, { startShift: number, endShift: number, fadeIn: Object|null, fadeOut: Object|null }>}
+ */
+function getAudioTransitionEdits(baseClips, fps) {
+  const edits = new Map(
+    baseClips.map((clip) => [
+      clip,
+      { startShift: 0, endShift: 0, fadeIn: null, fadeOut: null },
+    ]),
+  );
+
+  for (let i = 1; i < baseClips.length; i++) {
+    const from = baseClips[i - 1];
+    const to = baseClips[i];
+    const transition = to.transition || {};
+    const overlap = snapToFrame(getOverlapDuration(to.transition), fps);
+    const mode = transition.audio || "crossfade";
+    const curve = transition.audioCurve || C.DEFAULT_AUDIO_FADE_CURVE;
+    const a = edits.get(from);
+    const b = edits.get(to);
+
+    if (mode === "j-cut" || mode === "l-cut") {
+      const fade = Math.max(overlap, C.AUDIO_DECLICK_DURATION);
+      const requested = transition.audioOffset ?? C.DEFAULT_AUDIO_SPLIT_OFFSET;
+      // Limited by the source the leading / lingering clip has to spare
+      const offset =
+        mode === "j-cut"
+          ? Math.min(requested, getAudioHandles(to).before, Math.max(0, clipLength(from) - fade))
+          : Math.min(requested, getAudioHandles(from).after, Math.max(0, clipLength(to) - fade));
+      if (offset > 0) {
+        if (mode === "j-cut") {
+          b.startShift = -offset;
+          a.endShift = Math.min(0, fade - overlap - offset);
+        } else {
+          a.endShift = offset;
+          b.startShift = Math.max(0, overlap + offset - fade);
+        }
+        a.fadeOut = { duration: fade, curve };
+        b.fadeIn = { duration: fade, curve };
+        continue;
+      }
+    }
+
+    if (overlap > 0 && mode !== "cut") {
+      a.fadeOut = { duration: overlap, curve };
+      b.fadeIn = { duration: overlap, curve };
+    } else {
+      // Hard cut, in the middle of the picture transition if there is one
+      const declick = { duration: C.AUDIO_DECLICK_DURATION, curve: C.DEFAULT_AUDIO_FADE_CURVE };
+      a.endShift = -overlap / 2;
+      b.startShift = overlap / 2;
+      a.fadeOut = declick;
+      b.fadeIn = declick;
+    }
+  }
+
+  return edits;
+}
+
+module.exports = {
+  getAudioHandles,
+  getAudioTransitionEdits,
+};
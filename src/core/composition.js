@@ -0,0 +1,90 @@
+/**
+ * Nested compositions.
+ *
+ * A `composition` clip holds a full timeline in `clips`. It is resolved and
+ * validated together with its parent, loaded into a child project with its
+ * own canvas size, rendered to an intermediate file at export time, and then
+ * placed in the parent like a video clip (fit, transitions, tracks, audio).
+ */
+
+const { isBaseTrackClip } = require("./tracks");
+const { getOverlapDuration } = require("./transitions");
+
+/**
+ * Non-visual clip types that can extend a timeline without base-track clips.
+ */
+const TIMED_TYPES = [
+  "audio",
+  "audioGenerator",
+  "music",
+  "backgroundAudio",
+  "text",
+];
+
+/**
+ * Clip types that always carry audio.
+ */
+const AUDIO_TYPES = ["audio", "audioGenerator", "music", "backgroundAudio"];
+
+/**
+ * Canvas size of a composition. Defaults to the parent canvas.
+ * @param {Object} clip
+ * @param {number} parentWidth
+ * @param {number} parentHeight
+ * @returns {{ width: number, height: number }}
+ */
+function getCompositionSize(clip, parentWidth, parentHeight) {
+  return {
+    width: clip.width || parentWidth,
+    height: clip.height || parentHeight,
+  };
+}
+
+/**
+ * Duration of a resolved timeline, as it would export: base-track clips
+ * minus transition overlap (stingers have none), or the latest audio /
+ * text end when there are no base-track clips.
+ *
+ * @param {Array} clips - Resolved clips ({ position, end })
+ * @returns {number} Seconds
+ */
+function getTimelineDuration(clips) {
+  if (!Array.isArray(clips)) return 0;
+  const visual = clips.filter(isBaseTrackClip);
+  if (visual.length > 0) {
+    const baseSum = visual.reduce(
+      (acc, c) => acc + Math.max(0, (c.end || 0) - (c.position || 0)),
+      0,
+    );
+    const overlap = visual.reduce(
+      (acc, c) => acc + getOverlapDuration(c.transition),
+      0,
+    );
+    return Math.max(0, baseSum - overlap);
+  }
+  const ends = clips
+    .filter((c) => c && TIMED_TYPES.includes(c.type) && typeof c.end === "number")
+    .map((c) => c.end);
+  return ends.length > 0 ? Math.max(...ends) : 0;
+}
+
+/**
+ * Whether a nested timeline has anything to hear, for when its render's
+ * streams can't be probed (preview).
+ * @param {Object} project - The composition's child project
+ * @returns {boolean}
+ */
+function compositionHasAudio(project) {
+  return project.videoOrAudioClips.some(
+    (clip) =>
+      clip.hasAudio === true ||
+      AUDIO_TYPES.includes(clip.type) ||
+      (clip.type === "composition" && compositionHasAudio(clip._project)),
+  );
+}
+
+module.exports = {
+  compositionHasAudio,
+  getCompositionSize,
+  getTimelineDuration,
+};
@@ -41,6 +41,56 @@ module.exports = {
 
   // Transitions
   DEFAULT_TRANSITION_DURATION: 0.5,
+  // Matte transition edge softness, as a fraction of the luma range
+  DEFAULT_MATTE_SOFTNESS: 0.1,
+  // Decoders that keep the alpha plane of VP8/VP9 (WebM) stingers; FFmpeg's
+  // native VP8/VP9 decoders drop it
+  ALPHA_DECODERS: { vp8: "libvpx", vp9: "libvpx-vp9" },
+
+  // Audio at base-track clip boundaries
+  AUDIO_TRANSITION_MODES: ["crossfade", "cut", "j-cut", "l-cut"],
+  // afade / acrossfade curves
+  AUDIO_FADE_CURVES: [
+    "tri",
+    "qsin",
+    "esin",
+    "hsin",
+    "log",
+    "ipar",
+    "qua",
+    "cub",
+    "squ",
+    "cbr",
+    "par",
+    "exp",
+    "iqsin",
+    "ihsin",
+    "dese",
+    "desi",
+    "losi",
+    "sinc",
+    "isinc",
+    "nofade",
+  ],
+  DEFAULT_AUDIO_FADE_CURVE: "tri",
+  DEFAULT_AUDIO_SPLIT_OFFSET: 1, // j-cut / l-cut lead or lag, in seconds
+  AUDIO_DECLICK_DURATION: 0.01, // fade on each side of a hard cut, in seconds
+
+  // Timeline gaps ("error", "black", "color:<color>", "freeze-previous", "extend-previous")
+  DEFAULT_GAP_POLICY: "error",
+
+  // Ken Burns motion engine for images ("zoompan" or "perspective")
+  KEN_BURNS_ENGINES: ["zoompan", "perspective"],
+  DEFAULT_KEN_BURNS_ENGINE: "zoompan",
+
+  // Playback speed (video clip speed / speedRamp)
+  MIN_PLAYBACK_SPEED: 0.1,
+  MAX_PLAYBACK_SPEED: 10,
+
+  // Chroma key (video clip chromaKey)
+  DEFAULT_CHROMA_KEY_COLOR: "#00FF00",
+  DEFAULT_CHROMA_KEY_SIMILARITY: 0.1,
+  DEFAULT_CHROMA_KEY_BLEND: 0,
 
   // Hardware acceleration options
   HWACCEL_OPTIONS: ["auto", "videotoolbox", "nvenc", "vaapi", "qsv", "none"],
@@ -0,0 +1,447 @@
+/**
+ * Timeline editing.
+ *
+ * Operations on a project's clip descriptors (the clips given to load() or
+ * addClip(), each with a stable `id`). Every operation returns a new array
+ * and leaves its input untouched; the project then resolves, validates and
+ * reloads the clips that changed.
+ *
+ * Timing is read through resolveClips(), so `end`, `duration` and
+ * auto-sequenced clips are all edited the same way. Rippling re-sequences a
+ * clip's lane (its visual track, or the audio clips) with the same rules:
+ * clips from the edit point on lose their explicit position and follow each
+ * other back to back, overlapping by the length of their transitions.
+ */
+
+const { resolveClips, getSequenceLane } = require("./resolve");
+const { SimpleffmpegError } = require("./errors");
+const { getOverlapDuration } = require("./transitions");
+
+/**
+ * Clip types whose `cutFrom` picks the part of the source that plays.
+ */
+const CUT_TYPES = [
+  "video",
+  "imageSequence",
+  "audio",
+  "composition",
+  "music",
+  "backgroundAudio",
+];
+
+/**
+ * Project lists that loaded clips are stored in.
+ */
+const LOADED_CLIP_LISTS = [
+  "videoOrAudioClips",
+  "textClips",
+  "subtitleClips",
+  "effectClips",
+];
+
+function roundTime(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Copy a loaded clip so export-time changes (such as rendered URLs) never
+ * leak back into the per-clip load cache.
+ * @param {Object} clip
+ * @returns {Object}
+ */
+function copyLoadedClip(clip) {
+  const copy = { ...clip };
+  if (Array.isArray(clip.sources)) {
+    copy.sources = clip.sources.map((source) => ({ ...source }));
+  }
+  return copy;
+}
+
+/**
+ * Key for the per-clip load cache: everything that affects the loaded
+ * media (url, type, cutFrom, speed, ...) plus the clip's length, but not
+ * where it sits on the timeline.
+ * @param {Object} clipObj - Resolved clip
+ * @returns {string}
+ */
+function getLoadSignature(clipObj) {
+  const { position, end } = clipObj;
+  const media = { ...clipObj };
+  delete media.position;
+  delete media.end;
+  delete media.duration;
+  media.length =
+    typeof position === "number" && typeof end === "number"
+      ? roundTime(end - position)
+      : end;
+  return JSON.stringify(media);
+}
+
+/**
+ * Copy a cached loaded clip and move it by `shift` seconds.
+ * @param {Object} clip
+ * @param {number} shift
+ * @returns {Object}
+ */
+function shiftLoadedClip(clip, shift) {
+  const copy = copyLoadedClip(clip);
+  if (!shift) return copy;
+  const move = (target) => {
+    if (typeof target.position === "number") {
+      target.position = roundTime(target.position + shift);
+    }
+    if (typeof target.end === "number") {
+      target.end = roundTime(target.end + shift);
+    }
+  };
+  move(copy);
+  if (Array.isArray(copy.sources)) copy.sources.forEach(move);
+  return copy;
+}
+
+/**
+ * @param {Array} clips
+ * @param {string} id
+ * @returns {number} Index of the clip with `id`
+ * @throws {SimpleffmpegError} When no clip has that id
+ */
+function findClipIndex(clips, id) {
+  const index = clips.findIndex((clip) => clip && clip.id === id);
+  if (index === -1) {
+    throw new SimpleffmpegError(`No clip with id "${id}"`);
+  }
+  return index;
+}
+
+function getLane(resolvedClip, id) {
+  const lane = getSequenceLane(resolvedClip);
+  if (!lane) {
+    throw new SimpleffmpegError(
+      `Cannot ripple clip "${id}": only video, image, color, layout, composition and audio clips are sequenced`,
+    );
+  }
+  return lane;
+}
+
+function getFixedEnd(resolvedClip, id) {
+  if (typeof resolvedClip.end !== "number") {
+    throw new SimpleffmpegError(
+      `Clip "${id}" has no fixed end (fullDuration clips span the whole timeline)`,
+    );
+  }
+  return resolvedClip.end;
+}
+
+/**
+ * Clips whose animation is timed from the clip start can't have their
+ * start cut away without changing what plays.
+ */
+function assertStartEditable(clip, action) {
+  const timed =
+    clip.speedRamp != null
+      ? "a speedRamp"
+      : clip.keyframes != null
+        ? "keyframes"
+        : clip.volumeEnvelope != null
+          ? "a volumeEnvelope"
+          : null;
+  if (timed) {
+    throw new SimpleffmpegError(
+      `Cannot ${action} clip "${clip.id}": it has ${timed}, which are timed from the clip start`,
+    );
+  }
+}
+
+/**
+ * Indices of a lane's clips in playback order.
+ */
+function getLaneOrder(resolvedClips, lane) {
+  return resolvedClips
+    .map((clip, index) => ({ clip, index }))
+    .filter(({ clip }) => getSequenceLane(clip) === lane)
+    .sort((a, b) => (a.clip.position || 0) - (b.clip.position || 0) || a.index - b.index)
+    .map(({ index }) => index);
+}
+
+/**
+ * Where a clip placed at `position` goes in a lane: before the first clip
+ * that starts at or after it.
+ */
+function getInsertionPoint(resolvedClips, order, position) {
+  const point = order.findIndex(
+    (index) => (resolvedClips[index].position || 0) >= position,
+  );
+  return point === -1 ? order.length : point;
+}
+
+/**
+ * Copy of a clip placed at [position, end]. `end` stays `end`, anything
+ * else becomes `duration`. An auto-sequenced clip keeps its auto position
+ * when it doesn't move.
+ */
+function withTiming(clip, resolvedClip, position, end) {
+  const next = { ...clip };
+  delete next.duration;
+  delete next.fullDuration;
+  const keepAuto = clip.position == null && position === resolvedClip.position;
+  if (keepAuto) {
+    delete next.position;
+  } else {
+    next.position = position;
+  }
+  if (clip.end != null && !keepAuto) {
+    next.end = end;
+  } else {
+    delete next.end;
+    next.duration = roundTime(end - position);
+  }
+  return next;
+}
+
+/**
+ * Advance `cutFrom` for timeline seconds cut from the start (`head`) or end
+ * (`tail`) of a clip. Negative values extend it. Reversed clips play their
+ * source backwards, so it's the tail that moves their cutFrom.
+ */
+function cutSource(clip, head, tail) {
+  if (!CUT_TYPES.includes(clip.type)) return clip;
+  const removed = clip.reverse === true ? tail : head;
+  if (Math.abs(removed) < 1e-9) return clip;
+  const speed = typeof clip.speed === "number" ? clip.speed : 1;
+  return {
+    ...clip,
+    cutFrom: roundTime((clip.cutFrom || 0) + removed * speed),
+  };
+}
+
+/**
+ * Re-sequence a lane. Lane clips are put back into the list slots the lane
+ * occupies, in `order`; clips from `from` on drop their position and follow
+ * the previous lane clip, keeping their length. A clip with a transition
+ * instead gets an explicit position that overlaps the previous clip by the
+ * transition's duration, as it would when placed by hand.
+ *
+ * @param {Array} clips
+ * @param {number[]} order - Indices of the lane's clips in the new playback order
+ * @param {number} from - First position in `order` to re-sequence
+ * @returns {Array}
+ */
+function resequenceLane(clips, order, from) {
+  const resolvedClips = resolveClips(clips).clips;
+  const slots = [...order].sort((a, b) => a - b);
+  const next = [...clips];
+  let cursor = from > 0 ? resolvedClips[order[from - 1]].end : 0;
+  order.forEach((index, k) => {
+    const { position, end } = resolvedClips[index];
+    let clip = clips[index];
+    if (k >= from) {
+      const duration = roundTime(end - position);
+      const overlap = k > 0 ? getOverlapDuration(clip.transition) : 0;
+      clip = { ...clip, duration };
+      delete clip.position;
+      delete clip.end;
+      if (overlap > 0) {
+        clip.position = roundTime(Math.max(0, cursor - overlap));
+        cursor = clip.position;
+      }
+      cursor = roundTime(cursor + duration);
+    } else if (slots[k] !== index && clip.position == null) {
+      // Auto positions follow list order, which is changing: pin it
+      clip = { ...clip, position };
+    }
+    next[slots[k]] = clip;
+  });
+  return next;
+}
+
+/**
+ * Insert a clip.
+ * @param {Array} clips
+ * @param {Object} clip - Clip descriptor with an id
+ * @param {Object} [options]
+ * @param {number} [options.index] - List index (default: end of the list)
+ * @param {boolean} [options.ripple=false] - Insert into the clip's lane at its position and re-sequence the clips after it
+ * @returns {Array}
+ */
+function insertClip(clips, clip, { index = clips.length, ripple = false } = {}) {
+  const at = Math.max(0, Math.min(index, clips.length));
+  const next = [...clips.slice(0, at), clip, ...clips.slice(at)];
+  if (!ripple) return next;
+
+  const resolvedClips = resolveClips(next).clips;
+  const lane = getLane(resolvedClips[at], clip.id);
+  const order = getLaneOrder(resolvedClips, lane).filter((i) => i !== at);
+  const point =
+    clip.position == null
+      ? order.length
+      : getInsertionPoint(resolvedClips, order, clip.position);
+  order.splice(point, 0, at);
+  return resequenceLane(next, order, point);
+}
+
+/**
+ * Remove a clip.
+ * @param {Array} clips
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {boolean} [options.ripple=false] - Close the hole by re-sequencing the lane after it
+ * @returns {Array}
+ */
+function removeClip(clips, id, { ripple = false } = {}) {
+  const index = findClipIndex(clips, id);
+  const remaining = clips.filter((_, i) => i !== index);
+  if (!ripple) return remaining;
+
+  const resolvedClips = resolveClips(clips).clips;
+  const order = getLaneOrder(resolvedClips, getLane(resolvedClips[index], id));
+  const from = order.indexOf(index);
+  const shifted = order
+    .filter((i) => i !== index)
+    .map((i) => (i > index ? i - 1 : i));
+  return resequenceLane(remaining, shifted, from);
+}
+
+/**
+ * Merge a patch into a clip. `undefined` values remove fields.
+ * @param {Array} clips
+ * @param {string} id
+ * @param {Object} patch
+ * @returns {Array}
+ */
+function updateClip(clips, id, patch) {
+  const index = findClipIndex(clips, id);
+  if (patch.id !== undefined && patch.id !== id) {
+    throw new SimpleffmpegError(`Cannot change the id of clip "${id}"`);
+  }
+  const clip = { ...clips[index], ...patch, id };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === undefined) delete clip[key];
+  }
+  const next = [...clips];
+  next[index] = clip;
+  return next;
+}
+
+/**
+ * Move a clip to a new start time, keeping its length.
+ * @param {Array} clips
+ * @param {string} id
+ * @param {number} position - New start in seconds
+ * @param {Object} [options]
+ * @param {boolean} [options.ripple=false] - Insert into the lane at `position` and re-sequence from the earliest affected clip
+ * @returns {Array}
+ */
+function moveClip(clips, id, position, { ripple = false } = {}) {
+  const index = findClipIndex(clips, id);
+  const resolvedClips = resolveClips(clips).clips;
+  const current = resolvedClips[index];
+
+  if (!ripple) {
+    const next = [...clips];
+    next[index] =
+      typeof current.end === "number"
+        ? withTiming(clips[index], current, position, position + (current.end - current.position))
+        : { ...clips[index], position };
+    return next;
+  }
+
+  const order = getLaneOrder(resolvedClips, getLane(current, id));
+  const from = order.indexOf(index);
+  order.splice(from, 1);
+  const to = getInsertionPoint(resolvedClips, order, position);
+  order.splice(to, 0, index);
+  return resequenceLane(clips, order, Math.min(from, to));
+}
+
+/**
+ * Split a clip in two at a timeline time. The first part keeps the id and
+ * any transition; the second part gets `newId` and continues the source.
+ * @param {Array} clips
+ * @param {string} id
+ * @param {number} time - Split point in seconds, inside the clip
+ * @param {string} newId - Id for the second part
+ * @returns {Array}
+ */
+function splitClip(clips, id, time, newId) {
+  const index = findClipIndex(clips, id);
+  const clip = clips[index];
+  const current = resolveClips(clips).clips[index];
+  const end = getFixedEnd(current, id);
+  if (!(time > current.position && time < end)) {
+    throw new SimpleffmpegError(
+      `Split time ${time}s is outside clip "${id}" (${current.position}s to ${end}s)`,
+    );
+  }
+  assertStartEditable(clip, "split");
+
+  const first = cutSource(withTiming(clip, current, current.position, time), 0, end - time);
+  delete first.fadeOut;
+
+  let second = withTiming({ ...clip, id: newId }, current, time, end);
+  second = cutSource(second, time - current.position, 0);
+  if (clip.position == null && getSequenceLane(current)) {
+    // Follows the first part, just like the original followed its predecessor
+    delete second.position;
+  }
+  delete second.transition;
+  delete second.fadeIn;
+
+  return [...clips.slice(0, index), first, second, ...clips.slice(index + 1)];
+}
+
+/**
+ * Trim a clip to new start/end times. Cutting the start advances cutFrom
+ * so the rest of the clip plays as before.
+ * @param {Array} clips
+ * @param {string} id
+ * @param {Object} times
+ * @param {number} [times.start] - New start in seconds (default: unchanged)
+ * @param {number} [times.end] - New end in seconds (default: unchanged)
+ * @param {boolean} [times.ripple=false] - Keep the clip's start where it is and re-sequence the lane after it
+ * @returns {Array}
+ */
+function trimClip(clips, id, { start, end, ripple = false } = {}) {
+  const index = findClipIndex(clips, id);
+  const clip = clips[index];
+  const resolvedClips = resolveClips(clips).clips;
+  const current = resolvedClips[index];
+  const currentEnd = getFixedEnd(current, id);
+  const newStart = typeof start === "number" ? start : current.position;
+  const newEnd = typeof end === "number" ? end : currentEnd;
+  if (!(newEnd > newStart)) {
+    throw new SimpleffmpegError(
+      `Trim end (${newEnd}s) must be after trim start (${newStart}s)`,
+    );
+  }
+  const head = newStart - current.position;
+  if (Math.abs(head) > 1e-9) {
+    assertStartEditable(clip, "trim the start of");
+  }
+
+  const placedAt = ripple ? current.position : newStart;
+  const trimmed = cutSource(
+    withTiming(clip, current, placedAt, placedAt + (newEnd - newStart)),
+    head,
+    currentEnd - newEnd,
+  );
+  const next = [...clips];
+  next[index] = trimmed;
+  if (!ripple) return next;
+
+  const order = getLaneOrder(resolvedClips, getLane(current, id));
+  return resequenceLane(next, order, order.indexOf(index) + 1);
+}
+
+module.exports = {
+  LOADED_CLIP_LISTS,
+  copyLoadedClip,
+  getLoadSignature,
+  shiftLoadedClip,
+  findClipIndex,
+  insertClip,
+  removeClip,
+  updateClip,
+  moveClip,
+  splitClip,
+  trimClip,
+};
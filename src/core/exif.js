@@ -0,0 +1,138 @@
+const fs = require("fs");
+
+/**
+ * How many bytes of an image are scanned for the EXIF block. The APP1
+ * segment is capped at 64 KB and usually follows APP0 / JFIF right after
+ * the SOI marker, so the orientation tag lives well within this window.
+ */
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Read the Orientation tag (0x0112) from IFD0 of a TIFF structure.
+ * @param {Buffer} buf
+ * @param {number} start - Offset of the TIFF header ("II" / "MM")
+ * @param {number} end - Offset the structure must not read past
+ * @returns {number|null} 1-8, or null when missing or malformed
+ */
+function readTiffOrientation(buf, start, end) {
+  if (end - start < 8) return null;
+  const order = buf.toString("latin1", start, start + 2);
+  if (order !== "II" && order !== "MM") return null;
+  const little = order === "II";
+  const u16 = (offset) =>
+    little ? buf.readUInt16LE(offset) : buf.readUInt16BE(offset);
+  const u32 = (offset) =>
+    little ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset);
+
+  if (u16(start + 2) !== 42) return null;
+  const ifd = start + u32(start + 4);
+  if (ifd + 2 > end) return null;
+
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) return null;
+    if (u16(entry) !== ORIENTATION_TAG) continue;
+    // SHORT, stored left-aligned in the value field
+    const value = u16(entry + 8);
+    return value >= 1 && value <= 8 ? value : null;
+  }
+  return null;
+}
+
+/**
+ * Read the EXIF orientation of a JPEG or TIFF image from its header bytes.
+ *
+ * JPEG files are walked marker by marker up to the first APP1 "Exif"
+ * segment; TIFF files carry the tag directly in IFD0. Other formats
+ * return null.
+ *
+ * @param {Buffer} buf - The start of the file (see EXIF_SCAN_BYTES)
+ * @returns {number|null} EXIF orientation 1-8, or null when not present
+ */
+function readExifOrientation(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 4) return null;
+
+  // TIFF: the file itself is the TIFF structure
+  const head = buf.toString("latin1", 0, 2);
+  if (head === "II" || head === "MM") {
+    return readTiffOrientation(buf, 0, buf.length);
+  }
+
+  // JPEG: SOI, then a chain of length-prefixed segments
+  if (buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 4 <= buf.length) {
+    if (buf[offset] !== 0xff) return null;
+    const marker = buf[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Start of scan / end of image: no metadata past this point
+    if (marker === 0xda || marker === 0xd9) return null;
+    const length = buf.readUInt16BE(offset + 2);
+    const segmentEnd = Math.min(buf.length, offset + 2 + length);
+    if (
+      marker === 0xe1 &&
+      buf.toString("latin1", offset + 4, offset + 10) === "Exif\0\0"
+    ) {
+      return readTiffOrientation(buf, offset + 10, segmentEnd);
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Read the EXIF orientation of an image file. Files that cannot be read
+ * (remote URLs, permissions) are treated as having no orientation.
+ *
+ * @param {string} filePath
+ * @returns {Promise<number|null>} EXIF orientation 1-8, or null
+ */
+async function readImageOrientation(filePath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, "r");
+    const buf = Buffer.alloc(EXIF_SCAN_BYTES);
+    const { bytesRead } = await handle.read(buf, 0, EXIF_SCAN_BYTES, 0);
+    return readExifOrientation(buf.subarray(0, bytesRead));
+  } catch (_) {
+    return null;
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+/**
+ * Whether an orientation turns the image by 90 degrees, so its displayed
+ * width and height are the stored height and width.
+ * @param {number|null} orientation
+ * @returns {boolean}
+ */
+function isTransposedOrientation(orientation) {
+  return orientation >= 5 && orientation <= 8;
+}
+
+/**
+ * Internal clip fields for a probed image: `_orientation` is set when the
+ * stored pixels have to be turned or mirrored before the clip is fitted.
+ * @param {{ orientation?: number }} metadata - probeMedia() result
+ * @returns {Object}
+ */
+function getOrientationFields(metadata) {
+  return metadata.orientation > 1
+    ? { _orientation: metadata.orientation }
+    : {};
+}
+
+module.exports = {
+  readExifOrientation,
+  readImageOrientation,
+  isTransposedOrientation,
+  getOrientationFields,
+};
@@ -0,0 +1,150 @@
+/**
+ * Frame rates.
+ *
+ * `fps` may be an integer (30), a rational string ("30000/1001") or an
+ * object ({ num: 30000, den: 1001 }). NTSC decimals (23.976, 29.97, 59.94
+ * ...) are read as the x000/1001 rates they stand for. Rates are kept as
+ * exact fractions so time bases, frame counts and transition offsets land
+ * on the frame grid instead of drifting over long timelines.
+ */
+
+const { SimpleffmpegError } = require("./errors");
+
+/** Decimal spellings of the NTSC rates and the rationals they mean */
+const NTSC_DECIMALS = [23.976, 29.97, 47.952, 59.94, 119.88];
+
+const RATIO_RE = /^\s*(\d+)\s*[/:]\s*(\d+)\s*$/;
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+function reduce(num, den) {
+  const d = gcd(num, den);
+  return { num: num / d, den: den / d };
+}
+
+function fromDecimal(value) {
+  if (Number.isInteger(value)) return { num: value, den: 1 };
+  const ntsc = NTSC_DECIMALS.find((rate) => Math.abs(rate - value) < 0.001);
+  if (ntsc) return { num: Math.round((ntsc * 1001) / 1000) * 1000, den: 1001 };
+  // Other decimals (12.5, 7.5 ...) to three places
+  return reduce(Math.round(value * 1000), 1000);
+}
+
+/**
+ * Parse a frame rate into a reduced fraction.
+ * @param {number|string|{num: number, den: number}} value
+ * @returns {{num: number, den: number}|null} null when not a positive rate
+ */
+function parseFrameRate(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? fromDecimal(value) : null;
+  }
+  if (typeof value === "string") {
+    const match = value.match(RATIO_RE);
+    if (match) {
+      const num = parseInt(match[1], 10);
+      const den = parseInt(match[2], 10);
+      return num > 0 && den > 0 ? reduce(num, den) : null;
+    }
+    const trimmed = value.trim();
+    return trimmed !== "" && Number.isFinite(Number(trimmed))
+      ? parseFrameRate(Number(trimmed))
+      : null;
+  }
+  if (value && typeof value === "object") {
+    const { num, den } = value;
+    return Number.isInteger(num) && Number.isInteger(den) && num > 0 && den > 0
+      ? reduce(num, den)
+      : null;
+  }
+  return null;
+}
+
+function requireRate(value) {
+  const rate = parseFrameRate(value);
+  if (!rate) throw new SimpleffmpegError(`Invalid frame rate: ${JSON.stringify(value)}`);
+  return rate;
+}
+
+/**
+ * Canonical form stored in project options: a number for whole rates, a
+ * "num/den" string otherwise.
+ * @param {number|string|{num: number, den: number}} value
+ * @returns {number|string|null}
+ */
+function normalizeFrameRate(value) {
+  const rate = parseFrameRate(value);
+  if (!rate) return null;
+  return rate.den === 1 ? rate.num : `${rate.num}/${rate.den}`;
+}
+
+/**
+ * Rate as an FFmpeg option value (fps=, r=, -framerate): "30" or "30000/1001".
+ */
+function formatFrameRate(value) {
+  const rate = requireRate(value);
+  return rate.den === 1 ? `${rate.num}` : `${rate.num}/${rate.den}`;
+}
+
+/**
+ * Rate as an operand in an FFmpeg expression, e.g. setpts=N/<rate>/TB.
+ */
+function frameRateExpr(value) {
+  const rate = requireRate(value);
+  return rate.den === 1 ? `${rate.num}` : `(${rate.num}/${rate.den})`;
+}
+
+/**
+ * Time base of one frame for settb: "1/30" or "1001/30000".
+ */
+function frameTimeBase(value) {
+  const rate = requireRate(value);
+  return `${rate.den}/${rate.num}`;
+}
+
+/**
+ * Rate as a plain number (for display and non-timing math).
+ */
+function frameRateToNumber(value) {
+  const rate = requireRate(value);
+  return rate.num / rate.den;
+}
+
+/**
+ * Nearest whole frame count for a duration in seconds.
+ */
+function secondsToFrames(seconds, value) {
+  const rate = requireRate(value);
+  return Math.round((seconds * rate.num) / rate.den);
+}
+
+/**
+ * Start time of a frame in seconds.
+ */
+function framesToSeconds(frames, value) {
+  const rate = requireRate(value);
+  return (frames * rate.den) / rate.num;
+}
+
+/**
+ * Move a time onto the frame grid (the start of its nearest frame). Times
+ * already on the grid are returned unchanged.
+ */
+function snapToFrame(seconds, value) {
+  const snapped = framesToSeconds(secondsToFrames(seconds, value), value);
+  return Math.abs(snapped - seconds) < 1e-9 ? seconds : snapped;
+}
+
+module.exports = {
+  parseFrameRate,
+  normalizeFrameRate,
+  formatFrameRate,
+  frameRateExpr,
+  frameTimeBase,
+  frameRateToNumber,
+  secondsToFrames,
+  framesToSeconds,
+  snapToFrame,
+};
@@ -1,5 +1,26 @@
+const { isBaseTrackClip } = require("./tracks");
+
+/**
+ * Named gap policies. "color:<color>" (e.g. "color:#112233") is also accepted.
+ *  - "error": gaps are validation errors (default)
+ *  - "black": fill gaps with a black color clip
+ *  - "freeze-previous": hold the last frame of the clip before the gap
+ *  - "extend-previous": keep playing the clip before the gap until it closes
+ */
+const GAP_POLICIES = ["error", "black", "freeze-previous", "extend-previous"];
+
+const COLOR_POLICY_PREFIX = "color:";
+
+/**
+ * Clip types whose stream comes from timed media, so holding their last
+ * frame needs an explicit freeze (stills are simply extended).
+ */
+const TIMED_MEDIA_TYPES = ["video", "composition"];
+
 /**
  * Detect visual gaps in a timeline of video/image/color clips.
+ * Only the base track (track 0) is considered; layered clips may leave
+ * gaps freely since the base track shows through.
  * Returns an array of gap objects with {start, end, duration} properties.
  *
  * @param {Array<{type: string, position: number, end: number}>} clips - Array of clips
@@ -10,9 +31,9 @@
 function detectVisualGaps(clips, options = {}) {
   const { epsilon = 1e-3 } = options;
 
-  // Filter to only visual clips (video/image/color) and sort by position
+  // Filter to base-track visual clips (video/image/color) and sort by position
   const visual = clips
-    .filter((c) => c.type === "video" || c.type === "image" || c.type === "color")
+    .filter(isBaseTrackClip)
     .map((c) => ({
       position: c.position || 0,
       end: c.end || 0,
@@ -63,18 +84,116 @@ function hasVisualGaps(clips, options = {}) {
 }
 
 /**
- * Get the total timeline end (the end of the last visual clip).
+ * Get the total timeline end (the end of the last base-track visual clip).
  *
  * @param {Array<{type: string, end: number}>} clips - Array of clips
  * @returns {number} The end time of the last visual clip, or 0 if no visual clips
  */
 function getVisualTimelineEnd(clips) {
-  const visual = clips.filter((c) => c.type === "video" || c.type === "image" || c.type === "color");
+  const visual = clips.filter(isBaseTrackClip);
   if (visual.length === 0) return 0;
   return Math.max(...visual.map((c) => c.end || 0));
 }
 
+/**
+ * Parse a gap policy.
+ * @param {string} [policy="error"]
+ * @returns {{ mode: "error"|"color"|"freeze-previous"|"extend-previous", color?: string }|null}
+ *   null when the policy is not recognised
+ */
+function parseGapPolicy(policy) {
+  if (policy == null || policy === "error") {
+    return { mode: "error" };
+  }
+  if (policy === "black") {
+    return { mode: "color", color: "black" };
+  }
+  if (typeof policy === "string" && policy.startsWith(COLOR_POLICY_PREFIX)) {
+    const color = policy.slice(COLOR_POLICY_PREFIX.length);
+    return color ? { mode: "color", color } : null;
+  }
+  if (policy === "freeze-previous" || policy === "extend-previous") {
+    return { mode: policy };
+  }
+  return null;
+}
+
+/**
+ * Fill base-track gaps according to a gap policy. Runs on loaded clips.
+ *
+ * Color fillers are inserted as flat color clips. "freeze-previous" and
+ * "extend-previous" stretch the clip before each gap to the start of the
+ * next one; a gap at the very start has no previous clip and gets a black
+ * filler instead.
+ *
+ * @param {Array} clips - Loaded clips (not mutated; changed clips are copied)
+ * @param {string} policy - Gap policy (see GAP_POLICIES)
+ * @returns {{ clips: Array, fillers: Array<{ start: number, end: number, duration: number, policy: string, color?: string }> }}
+ */
+function fillVisualGaps(clips, policy) {
+  const parsed = parseGapPolicy(policy);
+  if (!parsed || parsed.mode === "error") {
+    return { clips, fillers: [] };
+  }
+
+  const result = [...clips];
+  const fillers = [];
+  for (const gap of detectVisualGaps(clips)) {
+    const previousIndex = findPreviousClipIndex(result, gap.start);
+    const useColor = parsed.mode === "color" || previousIndex === -1;
+    if (useColor) {
+      const color = parsed.color || "black";
+      result.push({
+        type: "color",
+        color,
+        position: gap.start,
+        end: gap.end,
+        hasAudio: false,
+        _isFlatColor: true,
+      });
+      fillers.push({ ...gap, policy: "color", color });
+      continue;
+    }
+
+    const previous = { ...result[previousIndex] };
+    if (TIMED_MEDIA_TYPES.includes(previous.type)) {
+      if (parsed.mode === "freeze-previous") {
+        // Play the original window, then hold the last frame
+        previous._holdDuration = (previous._holdDuration || 0) + gap.duration;
+        previous.fill = "freeze";
+      } else if (!previous.fill || previous.fill === "clamp") {
+        // Hold the last frame if the source runs out before the gap closes
+        previous.fill = "freeze";
+      }
+    }
+    previous.end = gap.end;
+    result[previousIndex] = previous;
+    fillers.push({ ...gap, policy: parsed.mode });
+  }
+  return { clips: result, fillers };
+}
+
+/**
+ * Index of the base-track clip that ends where a gap starts, or -1.
+ */
+function findPreviousClipIndex(clips, gapStart) {
+  let found = -1;
+  clips.forEach((clip, i) => {
+    if (
+      isBaseTrackClip(clip) &&
+      Math.abs((clip.end || 0) - gapStart) < 1e-9 &&
+      (found === -1 || (clip.position || 0) >= (clips[found].position || 0))
+    ) {
+      found = i;
+    }
+  });
+  return found;
+}
+
 module.exports = {
+  GAP_POLICIES,
+  parseGapPolicy,
+  fillVisualGaps,
   detectVisualGaps,
   hasVisualGaps,
   getVisualTimelineEnd,
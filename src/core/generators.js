@@ -0,0 +1,80 @@
+/**
+ * Generator clips.
+ *
+ * Like flat color clips, generator clips are rendered by an FFmpeg lavfi
+ * source instead of being read from a file, so they have no input stream:
+ *
+ * - `generator` (visual): test patterns (`smptebars`, `testsrc2`) and
+ *   animated backgrounds (`noise`, `cellauto`, `life`, `mandelbrot`)
+ * - `audioGenerator` (audio track): a `sine` tone or `anoisesrc` noise bed
+ */
+
+/**
+ * Visual generators, by `generator` name.
+ */
+const VIDEO_GENERATORS = [
+  "smptebars",
+  "testsrc2",
+  "noise",
+  "cellauto",
+  "life",
+  "mandelbrot",
+];
+
+/**
+ * Audio generators, by `generator` name.
+ */
+const AUDIO_GENERATORS = ["sine", "anoisesrc"];
+
+/**
+ * Options each generator accepts, by `generator` name.
+ */
+const GENERATOR_OPTIONS = {
+  smptebars: [],
+  testsrc2: [],
+  noise: ["seed", "strength", "color"],
+  cellauto: ["seed", "rule", "cellSize"],
+  life: ["seed", "cellSize", "color"],
+  mandelbrot: [],
+  sine: ["frequency"],
+  anoisesrc: ["seed", "noiseColor", "amplitude"],
+};
+
+/**
+ * Noise colors accepted by anoisesrc.
+ */
+const NOISE_COLORS = ["white", "pink", "brown", "blue", "violet", "velvet"];
+
+const DEFAULT_SINE_FREQUENCY = 440;
+const DEFAULT_NOISE_AMPLITUDE = 0.1;
+const DEFAULT_NOISE_STRENGTH = 60;
+const DEFAULT_CELLAUTO_RULE = 110;
+/** Pixels per cell for cellauto / life */
+const DEFAULT_CELL_SIZE = 4;
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True for clips rendered by a lavfi source (no file input):
+ *   flat colors and generator clips
+ */
+function isGeneratedClip(clip) {
+  return (
+    !!clip &&
+    ((clip.type === "color" && clip._isFlatColor === true) ||
+      clip.type === "generator" ||
+      clip.type === "audioGenerator")
+  );
+}
+
+module.exports = {
+  VIDEO_GENERATORS,
+  AUDIO_GENERATORS,
+  GENERATOR_OPTIONS,
+  NOISE_COLORS,
+  DEFAULT_SINE_FREQUENCY,
+  DEFAULT_NOISE_AMPLITUDE,
+  DEFAULT_NOISE_STRENGTH,
+  DEFAULT_CELLAUTO_RULE,
+  DEFAULT_CELL_SIZE,
+  isGeneratedClip,
+};
@@ -0,0 +1,205 @@
+/**
+ * Animated images and image sequences.
+ *
+ * Still images are fed to FFmpeg as one looped frame. Animated images (GIF,
+ * APNG, animated WebP) and `imageSequence` clips (numbered frames matched by
+ * a printf pattern such as "frames/%04d.png", or a glob such as
+ * "frames/*.png") are fed as moving sources instead, and fill their slot
+ * according to `loop`: `true` repeats them, a number plays them that many
+ * times, and `false` plays them once. Once playback ends the last frame is
+ * held.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { formatFrameRate } = require("./frame_rate");
+
+/**
+ * Matches the frame number placeholder of a printf pattern: %d or %0Nd.
+ */
+const PRINTF_RE = /%(0\d+)?d/;
+
+/**
+ * Matches glob wildcards.
+ */
+const GLOB_RE = /[*?[]/;
+
+/**
+ * Default `loop` per clip type: animated images repeat like they do in a
+ * browser, image sequences play once like footage.
+ */
+const DEFAULT_LOOP = {
+  image: true,
+  imageSequence: false,
+};
+
+/**
+ * How an image sequence pattern is matched.
+ * @param {string} url
+ * @returns {"printf"|"glob"|null}
+ */
+function getSequencePatternType(url) {
+  if (typeof url !== "string") return null;
+  const name = path.basename(url);
+  if (PRINTF_RE.test(name)) return "printf";
+  if (GLOB_RE.test(name)) return "glob";
+  return null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*") {
+      source += ".*";
+    } else if (ch === "?") {
+      source += ".";
+    } else if (ch === "[") {
+      const close = glob.indexOf("]", i + 2);
+      if (close === -1) {
+        source += "\\[";
+        continue;
+      }
+      const set = glob.slice(i + 1, close).replace(/\\/g, "\\\\");
+      source += set[0] === "!" ? `[^${set.slice(1)}]` : `[${set}]`;
+      i = close;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function readDirectory(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * List the frames of an image sequence the way FFmpeg's image2 demuxer
+ * reads them. Printf patterns run from `startNumber` (default: the lowest
+ * matching number) until the first missing number; globs are matched
+ * against file names in the pattern's directory and sorted by name.
+ *
+ * @param {string} url - printf or glob pattern
+ * @param {number} [startNumber] - First frame number (printf patterns only)
+ * @returns {{ files: string[], startNumber: number|null }}
+ */
+function listSequenceFrames(url, startNumber) {
+  const type = getSequencePatternType(url);
+  const dir = path.dirname(url);
+  const name = path.basename(url);
+  const entries = readDirectory(dir);
+
+  if (type === "glob") {
+    const re = globToRegExp(name);
+    const files = entries
+      .filter((entry) => re.test(entry))
+      .sort()
+      .map((entry) => path.join(dir, entry));
+    return { files, startNumber: null };
+  }
+  if (type !== "printf") {
+    return { files: [], startNumber: null };
+  }
+
+  const [placeholder, pad] = name.match(PRINTF_RE);
+  const width = pad ? parseInt(pad, 10) : 0;
+  const [before, after] = name.split(placeholder);
+  const re = new RegExp(`^${escapeRegExp(before)}(\\d+)${escapeRegExp(after)}$`);
+  const numbers = new Map();
+  for (const entry of entries) {
+    const match = entry.match(re);
+    if (!match) continue;
+    const number = parseInt(match[1], 10);
+    // printf output must round-trip: "%04d" matches "0007", not "7"
+    if (String(number).padStart(width, "0") === match[1]) {
+      numbers.set(number, entry);
+    }
+  }
+  if (numbers.size === 0) {
+    return { files: [], startNumber: startNumber ?? null };
+  }
+
+  const first =
+    typeof startNumber === "number" ? startNumber : Math.min(...numbers.keys());
+  const files = [];
+  for (let n = first; numbers.has(n); n++) {
+    files.push(path.join(dir, numbers.get(n)));
+  }
+  return { files, startNumber: first };
+}
+
+/**
+ * FFmpeg input options for an image sequence (placed before `-i`).
+ * @param {Object} clip - Loaded imageSequence clip
+ * @returns {string}
+ */
+function buildSequenceInputOptions(clip) {
+  const options = [`-framerate ${formatFrameRate(clip.fps)}`];
+  if (getSequencePatternType(clip.url) === "glob") {
+    options.push("-pattern_type glob");
+  } else if (typeof clip.startNumber === "number") {
+    options.push(`-start_number ${clip.startNumber}`);
+  }
+  return options.join(" ");
+}
+
+/**
+ * Number of times an animated source plays.
+ * @param {Object} clip - image or imageSequence clip
+ * @returns {number} A positive integer, or Infinity to loop for the whole clip
+ */
+function getPlayCount(clip) {
+  const loop = clip.loop ?? DEFAULT_LOOP[clip.type] ?? false;
+  if (loop === true) return Infinity;
+  if (typeof loop === "number" && loop >= 1) return Math.floor(loop);
+  return 1;
+}
+
+/**
+ * Loaded-clip fields for an animated source: its media duration and the
+ * `fill` mode that covers the rest of its slot ("loop" or "freeze").
+ *
+ * @param {Object} clip - image or imageSequence clip
+ * @param {{ duration: number, frameCount: number }} media
+ * @returns {Object}
+ */
+function getAnimatedSourceFields(clip, media) {
+  return {
+    _animated: true,
+    frameCount: media.frameCount,
+    mediaDuration: media.duration,
+    fill: getPlayCount(clip) > 1 ? "loop" : "freeze",
+  };
+}
+
+/**
+ * @param {Object} metadata - probeMedia() result
+ * @returns {boolean} True if the image has more than one frame
+ */
+function isAnimatedImage(metadata) {
+  return (
+    !!metadata &&
+    typeof metadata.frameCount === "number" &&
+    metadata.frameCount > 1 &&
+    typeof metadata.duration === "number" &&
+    metadata.duration > 0
+  );
+}
+
+module.exports = {
+  getSequencePatternType,
+  listSequenceFrames,
+  buildSequenceInputOptions,
+  getPlayCount,
+  getAnimatedSourceFields,
+  isAnimatedImage,
+};
@@ -0,0 +1,265 @@
+/**
+ * Keyframe animation for clip properties.
+ *
+ * A clip's `keyframes` maps a property name to a list of
+ * `{ time, value, easing }` keyframes. `time` is seconds from the start of
+ * the clip on the timeline. The value is held at the first/last keyframe
+ * before/after the animated range. A keyframe's `easing` shapes the move
+ * from that keyframe to the next (default: "linear").
+ *
+ * Keyframes compile to FFmpeg expressions over a time variable (`t` in most
+ * filters, `T` in geq), so the animation runs per frame inside the graph.
+ */
+
+const { resolveLength } = require("./tracks");
+
+/**
+ * Named easing curves. "cubic-bezier(x1, y1, x2, y2)" is also accepted.
+ */
+const EASINGS = ["linear", "ease-in", "ease-out", "ease-in-out"];
+
+/**
+ * Animatable properties of visual clips (video, image, color, layout).
+ */
+const VISUAL_KEYFRAME_PROPERTIES = ["opacity", "x", "y", "scale", "rotation"];
+
+/**
+ * Animatable properties of audio-carrying clips.
+ */
+const AUDIO_KEYFRAME_PROPERTIES = ["volume"];
+
+/**
+ * Animatable params per effect type. `amount` is animatable on every effect.
+ */
+const EFFECT_KEYFRAME_PARAMS = {
+  vignette: ["angle"],
+  colorAdjust: ["brightness", "contrast", "saturation", "gamma"],
+};
+
+/**
+ * Line segments used to approximate a cubic-bezier curve in expressions.
+ */
+const BEZIER_SEGMENTS = 16;
+
+const NUM = "\\s*(-?\\d+(?:\\.\\d+)?)\\s*";
+const CUBIC_BEZIER_RE = new RegExp(
+  `^cubic-bezier\\(${NUM},${NUM},${NUM},${NUM}\\)$`,
+);
+
+function formatNumber(value, decimals = 4) {
+  return Number(value.toFixed(decimals)).toString();
+}
+
+/**
+ * Parse a "cubic-bezier(x1, y1, x2, y2)" easing string.
+ * @param {string} easing
+ * @returns {number[]|null} [x1, y1, x2, y2], or null when not a valid curve
+ */
+function parseCubicBezier(easing) {
+  if (typeof easing !== "string") return null;
+  const match = easing.match(CUBIC_BEZIER_RE);
+  if (!match) return null;
+  const points = match.slice(1).map(Number);
+  const [x1, , x2] = points;
+  if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null;
+  return points;
+}
+
+/**
+ * @param {*} easing
+ * @returns {boolean} True for a named easing or a valid cubic-bezier()
+ */
+function isValidEasing(easing) {
+  return EASINGS.includes(easing) || parseCubicBezier(easing) !== null;
+}
+
+function bezierAxis(u, p1, p2) {
+  const v = 1 - u;
+  return 3 * v * v * u * p1 + 3 * v * u * u * p2 + u * u * u;
+}
+
+/**
+ * Sample a cubic-bezier curve into `BEZIER_SEGMENTS + 1` (x, y) points.
+ * x is monotonic because x1 and x2 are within [0, 1].
+ */
+function sampleCubicBezier(points) {
+  const [x1, y1, x2, y2] = points;
+  const samples = [];
+  for (let i = 0; i <= BEZIER_SEGMENTS; i++) {
+    const u = i / BEZIER_SEGMENTS;
+    samples.push({ x: bezierAxis(u, x1, x2), y: bezierAxis(u, y1, y2) });
+  }
+  return samples;
+}
+
+/**
+ * Build an FFmpeg expression that eases a progress expression `p` (0..1).
+ * cubic-bezier curves are approximated with straight segments.
+ *
+ * @param {string} p - Progress expression, e.g. "(on/99)"
+ * @param {string} [easing="linear"]
+ * @returns {string}
+ */
+function buildEasingExpr(p, easing) {
+  if (easing === "ease-in") {
+    return `(${p})*(${p})`;
+  }
+  if (easing === "ease-out") {
+    return `1-((1-${p})*(1-${p}))`;
+  }
+  if (easing === "ease-in-out") {
+    return `0.5-0.5*cos(PI*${p})`;
+  }
+  const bezier = parseCubicBezier(easing);
+  if (bezier) {
+    const samples = sampleCubicBezier(bezier);
+    let expr = "";
+    let closing = "";
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      const slope = b.x - a.x > 1e-9 ? (b.y - a.y) / (b.x - a.x) : 0;
+      const value = `${formatNumber(a.y, 6)}+(${p}-${formatNumber(a.x, 6)})*${formatNumber(slope, 6)}`;
+      if (i === samples.length - 1) {
+        expr += value;
+      } else {
+        expr += `if(lt(${p},${formatNumber(b.x, 6)}),${value},`;
+        closing += ")";
+      }
+    }
+    return `(${expr}${closing})`;
+  }
+  return p;
+}
+
+/**
+ * Evaluate an easing curve in JavaScript (same approximation as the
+ * FFmpeg expression).
+ * @param {number} p - Progress, 0..1
+ * @param {string} [easing="linear"]
+ * @returns {number}
+ */
+function applyEasing(p, easing) {
+  if (easing === "ease-in") return p * p;
+  if (easing === "ease-out") return 1 - (1 - p) * (1 - p);
+  if (easing === "ease-in-out") return 0.5 - 0.5 * Math.cos(Math.PI * p);
+  const bezier = parseCubicBezier(easing);
+  if (bezier) {
+    const samples = sampleCubicBezier(bezier);
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      if (p < b.x || i === samples.length - 1) {
+        const slope = b.x - a.x > 1e-9 ? (b.y - a.y) / (b.x - a.x) : 0;
+        return a.y + (p - a.x) * slope;
+      }
+    }
+  }
+  return p;
+}
+
+/**
+ * @param {Object} clip
+ * @param {string} property
+ * @returns {Array|null} The property's keyframes sorted by time, or null
+ */
+function getKeyframes(clip, property) {
+  const list = clip && clip.keyframes && clip.keyframes[property];
+  if (!Array.isArray(list) || list.length === 0) return null;
+  return [...list].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * @param {Object} clip
+ * @param {string} property
+ * @returns {boolean}
+ */
+function hasKeyframes(clip, property) {
+  return getKeyframes(clip, property) !== null;
+}
+
+/**
+ * Resolve keyframe values to numbers (e.g. "50%" x/y against the canvas).
+ * @param {Array} keyframes
+ * @param {number} [total] - What 100% refers to, for Length values
+ * @returns {Array}
+ */
+function resolveKeyframeValues(keyframes, total) {
+  return keyframes.map((kf) => ({
+    ...kf,
+    value: resolveLength(kf.value, total, 0),
+  }));
+}
+
+/**
+ * Build an FFmpeg expression for keyframed numeric values over time.
+ *
+ * @param {Array<{ time: number, value: number, easing?: string }>} keyframes - Sorted, numeric values
+ * @param {string} timeExpr - Time expression relative to the clip start, e.g. "t" or "(t-2)"
+ * @param {number} [decimals=4]
+ * @returns {string}
+ */
+function buildKeyframeExpr(keyframes, timeExpr, decimals = 4) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (keyframes.length === 1) {
+    return formatNumber(first.value, decimals);
+  }
+
+  let expr = `if(lt(${timeExpr},${formatNumber(first.time)}),${formatNumber(first.value, decimals)},`;
+  let closing = ")";
+  for (let i = 1; i < keyframes.length; i++) {
+    const a = keyframes[i - 1];
+    const b = keyframes[i];
+    const span = b.time - a.time;
+    const delta = b.value - a.value;
+    let segment;
+    if (span <= 0 || Math.abs(delta) < 1e-9) {
+      segment = formatNumber(a.value, decimals);
+    } else {
+      const progress = `((${timeExpr}-${formatNumber(a.time)})/${formatNumber(span)})`;
+      segment = `${formatNumber(a.value, decimals)}+(${formatNumber(delta, decimals)})*(${buildEasingExpr(progress, a.easing)})`;
+    }
+    expr += `if(lt(${timeExpr},${formatNumber(b.time)}),${segment},`;
+    closing += ")";
+  }
+  return `${expr}${formatNumber(last.value, decimals)}${closing}`;
+}
+
+/**
+ * Evaluate keyframed numeric values at a time (seconds from clip start).
+ * @param {Array<{ time: number, value: number, easing?: string }>} keyframes - Sorted, numeric values
+ * @param {number} time
+ * @returns {number}
+ */
+function getKeyframeValue(keyframes, time) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (time < first.time) return first.value;
+  for (let i = 1; i < keyframes.length; i++) {
+    const a = keyframes[i - 1];
+    const b = keyframes[i];
+    if (time < b.time) {
+      const span = b.time - a.time;
+      if (span <= 0) return a.value;
+      return a.value + (b.value - a.value) * applyEasing((time - a.time) / span, a.easing);
+    }
+  }
+  return last.value;
+}
+
+module.exports = {
+  EASINGS,
+  VISUAL_KEYFRAME_PROPERTIES,
+  AUDIO_KEYFRAME_PROPERTIES,
+  EFFECT_KEYFRAME_PARAMS,
+  parseCubicBezier,
+  isValidEasing,
+  buildEasingExpr,
+  applyEasing,
+  getKeyframes,
+  hasKeyframes,
+  resolveKeyframeValues,
+  buildKeyframeExpr,
+  getKeyframeValue,
+};
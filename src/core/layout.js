@@ -0,0 +1,151 @@
+/**
+ * Layout clip helpers.
+ *
+ * A layout clip composes several child `sources` (video, image or flat
+ * color) into cells of a single visual clip — split screens, grids and
+ * picture-in-picture. Cells come from a named preset or a custom list of
+ * `{ x, y, width, height }` rectangles (pixels or "N%" of the canvas).
+ * Source i fills cell i; cells without a source show the layout background.
+ */
+
+const { resolveLength, resolveBounds } = require("./tracks");
+const { isGeneratedClip } = require("./generators");
+const {
+  isMatteTransition,
+  isStingerTransition,
+} = require("./transitions");
+
+/**
+ * Built-in cell arrangements, keyed by preset name.
+ */
+const LAYOUT_PRESETS = {
+  "split-h": [
+    { x: "0%", y: "0%", width: "50%", height: "100%" },
+    { x: "50%", y: "0%", width: "50%", height: "100%" },
+  ],
+  "split-v": [
+    { x: "0%", y: "0%", width: "100%", height: "50%" },
+    { x: "0%", y: "50%", width: "100%", height: "50%" },
+  ],
+  "grid-2x2": [
+    { x: "0%", y: "0%", width: "50%", height: "50%" },
+    { x: "50%", y: "0%", width: "50%", height: "50%" },
+    { x: "0%", y: "50%", width: "50%", height: "50%" },
+    { x: "50%", y: "50%", width: "50%", height: "50%" },
+  ],
+  "pip-corner": [
+    { x: "0%", y: "0%", width: "100%", height: "100%" },
+    { x: "72%", y: "72%", width: "25%", height: "25%" },
+  ],
+};
+
+/**
+ * Child source types a layout can contain.
+ */
+const LAYOUT_SOURCE_TYPES = ["video", "image", "color"];
+
+/**
+ * @param {Object} clip - Layout clip
+ * @returns {Array<Object>} Cell rectangles (preset or custom), unresolved
+ */
+function getLayoutCells(clip) {
+  if (Array.isArray(clip.layout)) {
+    return clip.layout;
+  }
+  return LAYOUT_PRESETS[clip.layout] || [];
+}
+
+/**
+ * Resolve a layout's cells into even-sized pixel rectangles, one per
+ * source. Each cell is inset by half its gutter on every side, so two
+ * neighbouring cells end up `gutter` pixels apart.
+ *
+ * @param {Object} clip - Layout clip
+ * @param {number} width - Width of the layout stream
+ * @param {number} height - Height of the layout stream
+ * @returns {Array<{ x: number, y: number, width: number, height: number }>}
+ */
+function resolveLayoutCells(clip, width, height) {
+  const sources = Array.isArray(clip.sources) ? clip.sources : [];
+  const cells = getLayoutCells(clip).slice(0, sources.length);
+  return cells.map((cell, i) => {
+    const source = sources[i] || {};
+    const gutter =
+      typeof source.gutter === "number"
+        ? source.gutter
+        : typeof clip.gutter === "number"
+          ? clip.gutter
+          : 0;
+    const cellWidth = resolveLength(cell.width, width, width);
+    const cellHeight = resolveLength(cell.height, height, height);
+    return resolveBounds(
+      {
+        x: resolveLength(cell.x, width, 0) + gutter / 2,
+        y: resolveLength(cell.y, height, 0) + gutter / 2,
+        width: Math.max(2, cellWidth - gutter),
+        height: Math.max(2, cellHeight - gutter),
+      },
+      width,
+      height,
+    );
+  });
+}
+
+/**
+ * Sources of a layout clip that are read from a file (video and image).
+ * @param {Object} clip - Layout clip
+ * @returns {Array<Object>}
+ */
+function getLayoutInputs(clip) {
+  const sources = Array.isArray(clip.sources) ? clip.sources : [];
+  return sources.filter((s) => s.type === "video" || s.type === "image");
+}
+
+/**
+ * Video sources of a layout clip whose audio is mixed into the output.
+ * Audio is on by default; set `audio: false` on a source to mute it.
+ * @param {Object} clip - Loaded layout clip
+ * @returns {Array<Object>}
+ */
+function getLayoutAudioSources(clip) {
+  return getLayoutInputs(clip).filter(
+    (s) => s.type === "video" && s.audio !== false && s.hasAudio,
+  );
+}
+
+/**
+ * Flatten clips into the objects that own an FFmpeg input, in input order.
+ * Flat color and generator clips have no input; layout clips contribute one
+ * input per video/image source. Matte and stinger transitions own the input
+ * of their matte / stinger video, right after the clip they lead into.
+ *
+ * @param {Array<Object>} clips
+ * @returns {Array<Object>}
+ */
+function getInputClips(clips) {
+  const inputs = [];
+  for (const clip of clips) {
+    if (clip.type === "layout") {
+      inputs.push(...getLayoutInputs(clip));
+    } else if (!isGeneratedClip(clip)) {
+      inputs.push(clip);
+    }
+    if (
+      isMatteTransition(clip.transition) ||
+      isStingerTransition(clip.transition)
+    ) {
+      inputs.push(clip.transition);
+    }
+  }
+  return inputs;
+}
+
+module.exports = {
+  LAYOUT_PRESETS,
+  LAYOUT_SOURCE_TYPES,
+  getLayoutCells,
+  resolveLayoutCells,
+  getLayoutInputs,
+  getLayoutAudioSources,
+  getInputClips,
+};
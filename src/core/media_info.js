@@ -1,5 +1,20 @@
 const { spawn } = require("child_process");
 const { MediaNotFoundError } = require("./errors");
+const { readImageOrientation, isTransposedOrientation } = require("./exif");
+const { getDisplayOrientation } = require("./rotation");
+const { normalizeFrameRate } = require("./frame_rate");
+
+/**
+ * Codecs whose files can hold an animation. Their frame count is estimated
+ * from duration and frame rate when the container doesn't report it.
+ */
+const ANIMATED_IMAGE_CODECS = ["gif", "apng", "webp"];
+
+/**
+ * Still-image codecs that carry an EXIF orientation tag. ffprobe reports
+ * their stored size, so the tag is read from the file itself.
+ */
+const EXIF_IMAGE_CODECS = ["mjpeg", "tiff"];
 
 /** Default timeout for ffprobe operations (30 seconds) */
 const DEFAULT_FFPROBE_TIMEOUT_MS = 30000;
@@ -73,12 +88,29 @@ function parseFraction(fraction) {
   return Number.isFinite(result) ? result : null;
 }
 
+/**
+ * Whether an ffprobe format name is a still image demuxer (image2 or one of
+ * the *_pipe image formats), as opposed to video or animated images.
+ * @param {string|null} formatName - `format` from probeMedia()
+ * @returns {boolean}
+ */
+function isStillImageFormat(formatName) {
+  return /(^|,)image2(,|$)|_pipe(,|$)/.test(formatName || "");
+}
+
 /**
  * Probe a media file and return comprehensive metadata.
  *
  * Returns a flat, user-friendly object with duration, dimensions, codecs,
- * format, bitrate, audio details, and rotation info. All fields that are
- * not applicable (e.g. width/height for audio-only files) are set to null.
+ * format, bitrate, audio details, rotation info, and the video frame count
+ * (which tells animated GIF / APNG / WebP files from stills). All fields
+ * that are not applicable (e.g. width/height for audio-only files) are set
+ * to null.
+ *
+ * `orientation` is the EXIF orientation (1-8) the picture is displayed
+ * with: the EXIF tag of JPEG and TIFF images, or the display matrix of
+ * rotated / mirrored video. width/height are the displayed size, i.e.
+ * swapped for sources that are stored sideways.
  *
  * @param {string} filePath - Path to the media file
  * @returns {Promise<{
@@ -88,10 +120,13 @@ function parseFraction(fraction) {
  *   hasVideo: boolean,
  *   hasAudio: boolean,
  *   rotation: number,
+ *   orientation: number,
  *   videoCodec: string|null,
  *   audioCodec: string|null,
  *   format: string|null,
  *   fps: number|null,
+ *   frameRate: number|string|null,
+ *   frameCount: number|null,
  *   size: number|null,
  *   bitrate: number|null,
  *   sampleRate: number|null,
@@ -154,16 +189,45 @@ async function probeMedia(filePath) {
       : null;
 
   // ── FPS ─────────────────────────────────────────────────────────────────
-  // Prefer avg_frame_rate, fall back to r_frame_rate
+  // Prefer avg_frame_rate, fall back to r_frame_rate. `fps` is rounded for
+  // display; `frameRate` keeps the exact rational ("30000/1001").
   const fps =
     parseFraction(videoStream?.avg_frame_rate) ??
     parseFraction(videoStream?.r_frame_rate) ??
     null;
+  const frameRate = videoStream
+    ? (normalizeFrameRate(videoStream.avg_frame_rate) ??
+      normalizeFrameRate(videoStream.r_frame_rate))
+    : null;
+
+  // ── Frame count ─────────────────────────────────────────────────────────
+  const nbFrames = videoStream?.nb_frames
+    ? parseInt(videoStream.nb_frames, 10)
+    : null;
+  let frameCount = Number.isFinite(nbFrames) ? nbFrames : null;
+  if (
+    frameCount == null &&
+    ANIMATED_IMAGE_CODECS.includes(videoStream?.codec_name) &&
+    Number.isFinite(duration) &&
+    Number.isFinite(fps)
+  ) {
+    frameCount = Math.max(1, Math.round(duration * fps));
+  }
 
   // ── Rotation ────────────────────────────────────────────────────────────
-  const rotation = videoStream?.side_data_list?.[0]?.rotation
-    ? videoStream.side_data_list[0].rotation
-    : 0;
+  const display = getDisplayOrientation(videoStream);
+
+  // ── Orientation ─────────────────────────────────────────────────────────
+  // The EXIF tag of photos, else the display matrix of video
+  const isImageFile = isStillImageFormat(format.format_name);
+  const exifOrientation =
+    isImageFile && EXIF_IMAGE_CODECS.includes(videoStream?.codec_name)
+      ? await readImageOrientation(filePath)
+      : null;
+  const orientation = exifOrientation ?? display.orientation;
+  const transposed = isTransposedOrientation(orientation);
+  const storedWidth = videoStream?.width ?? null;
+  const storedHeight = videoStream?.height ?? null;
 
   // ── Size & bitrate ─────────────────────────────────────────────────────
   const size = format.size ? parseInt(format.size, 10) : null;
@@ -178,15 +242,18 @@ async function probeMedia(filePath) {
 
   return {
     duration,
-    width: videoStream?.width ?? null,
-    height: videoStream?.height ?? null,
+    width: transposed ? storedHeight : storedWidth,
+    height: transposed ? storedWidth : storedHeight,
     hasVideo: !!videoStream,
     hasAudio: !!audioStream,
-    rotation,
+    rotation: display.rotation,
+    orientation,
     videoCodec: videoStream?.codec_name ?? null,
     audioCodec: audioStream?.codec_name ?? null,
     format: format.format_name ?? null,
     fps: Number.isFinite(fps) ? Math.round(fps * 100) / 100 : null,
+    frameRate,
+    frameCount,
     size: Number.isFinite(size) ? size : null,
     bitrate: Number.isFinite(bitrate) ? bitrate : null,
     sampleRate: Number.isFinite(sampleRate) ? sampleRate : null,
@@ -197,4 +264,4 @@ async function probeMedia(filePath) {
   };
 }
 
-module.exports = { probeMedia };
+module.exports = { probeMedia, isStillImageFormat };
@@ -0,0 +1,267 @@
+/**
+ * Project files.
+ *
+ * A project document is plain JSON:
+ *
+ *   {
+ *     format: "simple-ffmpeg-project",
+ *     version: "0.6.0",      // library version that wrote it
+ *     options: { ... },      // constructor options
+ *     clips: [ ... ],        // resolved clips, with their ids
+ *     exportOptions: { ... } // defaults for export() / preview()
+ *   }
+ *
+ * Documents written by older library versions are upgraded by the
+ * MIGRATIONS below before they are loaded. Media paths are stored relative
+ * to the project file, so a project folder can be moved as a whole.
+ */
+
+const path = require("path");
+const { SimpleffmpegError } = require("./errors");
+const { isMatteTransition, isStingerTransition } = require("./transitions");
+const { version: LIBRARY_VERSION } = require("../../package.json");
+
+const PROJECT_FORMAT = "simple-ffmpeg-project";
+
+/**
+ * Version assumed for documents without one: a bare clips array or a
+ * `{ clips, options }` object, as written before project files existed.
+ */
+const UNVERSIONED = "0.0.0";
+
+/**
+ * Constructor options that only make sense on the machine that set them.
+ */
+const MACHINE_OPTIONS = ["tempDir"];
+
+/**
+ * Export options that hold callbacks or live objects.
+ */
+const RUNTIME_EXPORT_OPTIONS = ["onProgress", "onLog", "signal"];
+
+/**
+ * Schema upgrades, in release order. Each runs on documents written before
+ * its `version` and returns the upgraded document (without mutating it).
+ */
+const MIGRATIONS = [
+  {
+    // 0.4.0 removed implicit gap filling (`fillGaps`); gapPolicy replaces it
+    version: "0.4.0",
+    migrate(document) {
+      const { fillGaps, ...options } = document.options || {};
+      if (fillGaps && options.gapPolicy == null) {
+        options.gapPolicy = "black";
+      }
+      return { ...document, options };
+    },
+  },
+  {
+    // 0.5.0 added imageFit with "blur-fill" as the default for static
+    // images; they were letterboxed before, which is "contain" now
+    version: "0.5.0",
+    migrate(document) {
+      if (!Array.isArray(document.clips)) return document;
+      const clips = document.clips.map((clip) =>
+        clip && clip.type === "image" && !clip.kenBurns && clip.imageFit == null
+          ? { ...clip, imageFit: "contain" }
+          : clip,
+      );
+      return { ...document, clips };
+    },
+  },
+  // 0.5.4 added fullDuration on text and effect clips. Nothing to upgrade:
+  // older documents cannot hold it, and saved clips keep the flag, so it
+  // is expanded against the timeline again on load.
+];
+
+function parseVersion(version) {
+  return String(version)
+    .split("-")[0]
+    .split(".")
+    .map((part) => parseInt(part, 10) || 0);
+}
+
+/**
+ * Compare two "major.minor.patch" versions.
+ * @returns {number} Negative, zero or positive, like a sort comparator
+ */
+function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Build a project document.
+ * @param {Object} project
+ * @param {Object} project.options - Constructor options
+ * @param {Array} project.clips - Resolved clips
+ * @param {Object} [project.exportOptions] - Default export options
+ * @returns {Object}
+ */
+function createProjectDocument({ options, clips, exportOptions = {} }) {
+  const savedOptions = { ...options };
+  MACHINE_OPTIONS.forEach((key) => delete savedOptions[key]);
+  const savedExportOptions = { ...exportOptions };
+  RUNTIME_EXPORT_OPTIONS.forEach((key) => delete savedExportOptions[key]);
+
+  // Round-trip through JSON so the document holds plain data only
+  return JSON.parse(
+    JSON.stringify({
+      format: PROJECT_FORMAT,
+      version: LIBRARY_VERSION,
+      options: savedOptions,
+      clips,
+      exportOptions: savedExportOptions,
+    }),
+  );
+}
+
+/**
+ * Upgrade a project document to the current schema.
+ * @param {Object|Array} document - Parsed project document (not mutated)
+ * @returns {Object} Current-version document
+ * @throws {SimpleffmpegError} If the document is malformed or newer than this library
+ */
+function migrateProjectDocument(document) {
+  let doc = Array.isArray(document) ? { clips: document } : document;
+  if (!doc || typeof doc !== "object") {
+    throw new SimpleffmpegError("Project document must be an object");
+  }
+  if (doc.format != null && doc.format !== PROJECT_FORMAT) {
+    throw new SimpleffmpegError(
+      `Unknown project format "${doc.format}". Expected "${PROJECT_FORMAT}".`,
+    );
+  }
+
+  const version = doc.version != null ? String(doc.version) : UNVERSIONED;
+  if (compareVersions(version, LIBRARY_VERSION) > 0) {
+    throw new SimpleffmpegError(
+      `Project was saved by simple-ffmpeg ${version}, which is newer than this version (${LIBRARY_VERSION}). Upgrade the library to open it.`,
+    );
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (compareVersions(version, migration.version) < 0) {
+      doc = migration.migrate(doc);
+    }
+  }
+
+  if (!Array.isArray(doc.clips)) {
+    throw new SimpleffmpegError("Project document must have a clips array");
+  }
+  return {
+    format: PROJECT_FORMAT,
+    version: LIBRARY_VERSION,
+    options: doc.options || {},
+    clips: doc.clips,
+    exportOptions: doc.exportOptions || {},
+  };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for local file paths (not URLs like https://...)
+ */
+function isLocalPath(value) {
+  return (
+    typeof value === "string" &&
+    value.length > 0 &&
+    !/^[a-z][a-z\d+.-]+:\/\//i.test(value)
+  );
+}
+
+function mapPath(value, fn) {
+  return isLocalPath(value) ? fn(value) : value;
+}
+
+/**
+ * Copy a clip with every media path passed through `fn`: `url`,
+ * `fontFile`, a matte or stinger transition's `url`, layout sources and
+ * nested composition clips.
+ */
+function mapClipPaths(clip, fn) {
+  if (!clip || typeof clip !== "object") return clip;
+  const next = { ...clip };
+  if (next.url != null) next.url = mapPath(next.url, fn);
+  if (next.fontFile != null) next.fontFile = mapPath(next.fontFile, fn);
+  if (
+    (isMatteTransition(next.transition) ||
+      isStingerTransition(next.transition)) &&
+      next.transition.url != null
+  ) {
+    next.transition = {
+      ...next.transition,
+      url: mapPath(next.transition.url, fn),
+    };
+  }
+  if (Array.isArray(next.sources)) {
+    next.sources = next.sources.map((source) => mapClipPaths(source, fn));
+  }
+  if (Array.isArray(next.clips)) {
+    next.clips = next.clips.map((child) => mapClipPaths(child, fn));
+  }
+  return next;
+}
+
+/**
+ * Copy a project document with every media path passed through `fn`:
+ * clip media, the default and emoji fonts, and the watermark.
+ * Output paths (outputPath, thumbnail, saveCommand) are left as written.
+ *
+ * @param {Object} document
+ * @param {Function} fn - (path) => path
+ * @returns {Object}
+ */
+function mapProjectPaths(document, fn) {
+  const options = { ...document.options };
+  ["fontFile", "emojiFont"].forEach((key) => {
+    if (options[key] != null) options[key] = mapPath(options[key], fn);
+  });
+  const exportOptions = { ...document.exportOptions };
+  if (exportOptions.watermark && typeof exportOptions.watermark === "object") {
+    exportOptions.watermark = mapClipPaths(exportOptions.watermark, fn);
+  }
+  return {
+    ...document,
+    options,
+    clips: document.clips.map((clip) => mapClipPaths(clip, fn)),
+    exportOptions,
+  };
+}
+
+/**
+ * Rewrite media paths relative to a project file's directory.
+ * Relative input paths are taken as relative to the working directory.
+ * @param {Object} document
+ * @param {string} baseDir - Directory of the project file
+ * @returns {Object}
+ */
+function relativizeProjectPaths(document, baseDir) {
+  return mapProjectPaths(document, (p) =>
+    path.relative(baseDir, path.resolve(p)).split(path.sep).join("/") || ".",
+  );
+}
+
+/**
+ * Resolve relative media paths against a project file's directory.
+ * @param {Object} document
+ * @param {string} baseDir - Directory of the project file
+ * @returns {Object}
+ */
+function resolveProjectPaths(document, baseDir) {
+  return mapProjectPaths(document, (p) => path.resolve(baseDir, p));
+}
+
+module.exports = {
+  PROJECT_FORMAT,
+  compareVersions,
+  createProjectDocument,
+  migrateProjectDocument,
+  relativizeProjectPaths,
+  resolveProjectPaths,
+};
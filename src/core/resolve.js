@@ -9,30 +9,47 @@
  *
  * 2. **Auto-sequential positioning**: If a video/image/audio clip omits
  *    `position`, it is placed immediately after the previous clip on the
- *    same track (visual or audio). The first clip defaults to position 0.
+ *    same track (visual or audio). Visual clips sequence independently per
+ *    `track` number. The first clip on a track defaults to position 0.
  *
  * 3. **fullDuration**: If an effect or text clip has `fullDuration: true`,
  *    its position defaults to 0 and end is resolved later in _prepareExport()
  *    once the visual timeline duration is known.
  *
+ * 4. **Compositions**: A composition's `clips` are resolved recursively. If
+ *    it has neither `end` nor `duration`, it runs for the length of its
+ *    nested timeline (minus `cutFrom`).
+ *
  * Clips are shallow-cloned — the caller's original objects are not mutated.
  */
 
-/**
- * Types that auto-sequence on the visual track (video + image share a timeline).
- */
-const VISUAL_TYPES = ["video", "image", "color"];
+const { VISUAL_TYPES, getTrack } = require("./tracks");
+const { getTimelineDuration } = require("./composition");
 
 /**
  * Types that auto-sequence on the audio track.
  */
-const AUDIO_TYPES = ["audio"];
+const AUDIO_TYPES = ["audio", "audioGenerator"];
 
 /**
  * All types eligible for auto-sequencing (position can be omitted).
  */
 const AUTO_SEQUENCE_TYPES = [...VISUAL_TYPES, ...AUDIO_TYPES];
 
+/**
+ * The auto-sequencing lane a clip belongs to: "visual:<track>" for visual
+ * clips, "audio" for audio clips, or null for clips that never auto-sequence.
+ *
+ * @param {Object} clip
+ * @returns {string|null}
+ */
+function getSequenceLane(clip) {
+  if (!clip) return null;
+  if (VISUAL_TYPES.includes(clip.type)) return `visual:${getTrack(clip)}`;
+  if (AUDIO_TYPES.includes(clip.type)) return "audio";
+  return null;
+}
+
 /**
  * Resolve shorthand clip properties into canonical { position, end } form.
  *
@@ -45,7 +62,8 @@ function resolveClips(clips) {
   }
 
   const errors = [];
-  let lastVisualEnd = 0;
+  // Visual clips share a timeline per track number (0 = base track)
+  const lastVisualEnd = new Map();
   let lastAudioEnd = 0;
 
   const resolved = clips.map((clip, index) => {
@@ -81,6 +99,15 @@ function resolveClips(clips) {
       return c;
     }
 
+    // ── Nested composition timeline ─────────────────────────────────────
+    if (c.type === "composition" && Array.isArray(c.clips)) {
+      const nested = resolveClips(c.clips);
+      c.clips = nested.clips;
+      errors.push(
+        ...nested.errors.map((e) => ({ ...e, path: `${path}.${e.path}` })),
+      );
+    }
+
     // ── Conflict check: duration + end ──────────────────────────────────
     if (c.duration != null && c.end != null) {
       errors.push({
@@ -100,7 +127,20 @@ function resolveClips(clips) {
     const canAutoSequence = AUTO_SEQUENCE_TYPES.includes(c.type);
 
     if (canAutoSequence && c.position == null) {
-      c.position = isVisual ? lastVisualEnd : lastAudioEnd;
+      c.position = isVisual
+        ? lastVisualEnd.get(getTrack(c)) || 0
+        : lastAudioEnd;
+    }
+
+    // ── Composition length defaults to its nested timeline ──────────────
+    if (
+      c.type === "composition" &&
+      c.duration == null &&
+      c.end == null &&
+      Array.isArray(c.clips)
+    ) {
+      const cutFrom = typeof c.cutFrom === "number" ? c.cutFrom : 0;
+      c.duration = Math.max(0, getTimelineDuration(c.clips) - cutFrom);
     }
 
     // ── Duration → end ──────────────────────────────────────────────────
@@ -114,7 +154,7 @@ function resolveClips(clips) {
 
     // ── Track the end of the last clip on each track ────────────────────
     if (isVisual && typeof c.end === "number") {
-      lastVisualEnd = c.end;
+      lastVisualEnd.set(getTrack(c), c.end);
     }
     if (isAudio && typeof c.end === "number") {
       lastAudioEnd = c.end;
@@ -126,4 +166,4 @@ function resolveClips(clips) {
   return { clips: resolved, errors };
 }
 
-module.exports = { resolveClips };
+module.exports = { resolveClips, getSequenceLane };
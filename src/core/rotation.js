@@ -1,93 +1,135 @@
-const path = require("path");
-const os = require("os");
-const fs = require("fs");
-const { randomUUID } = require("crypto");
-const { spawn } = require("child_process");
-const { FFmpegError } = require("./errors");
-
-/** Default timeout for unrotate operations (5 minutes) */
-const DEFAULT_UNROTATE_TIMEOUT_MS = 5 * 60 * 1000;
-
 /**
- * Unrotate a video (remove iPhone rotation metadata) using ffmpeg.
- * Uses spawn() with argument array to avoid command injection.
- * @param {string} inputUrl - Path to the input video file
- * @param {Object} [options] - Options
- * @param {number} [options.timeoutMs] - Timeout in milliseconds (default: 5 minutes)
- * @param {string} [options.tempDir] - Custom temp directory (default: os.tmpdir())
- * @returns {Promise<string>} Path to the unrotated temporary video file
- * @throws {FFmpegError} If ffmpeg fails or times out
+ * Display orientation of video streams.
+ *
+ * Phones store portrait video sideways and add a display matrix telling
+ * players how to turn (and sometimes mirror) the frames. The matrix is
+ * reduced to the EXIF orientation (1-8) it is equivalent to, so rotated
+ * videos and EXIF-rotated photos are turned upright by the same filters in
+ * the main filter graph (see ORIENTATION_FILTERS in transform_builder.js).
  */
-function unrotateVideo(inputUrl, options = {}) {
-  const timeoutMs = options.timeoutMs || DEFAULT_UNROTATE_TIMEOUT_MS;
-  return new Promise((resolve, reject) => {
-    const out = path.join(options.tempDir || os.tmpdir(), `unrotated-${randomUUID()}.mp4`);
-    const args = ["-y", "-i", inputUrl, out];
-    let timedOut = false;
-
-    const proc = spawn("ffmpeg", args, {
-      stdio: ["pipe", "pipe", "pipe"],
-    });
 
-    // Set up timeout
-    const timeoutId = setTimeout(() => {
-      timedOut = true;
-      proc.kill("SIGTERM");
-      // Clean up partial output file on timeout
-      try {
-        fs.unlinkSync(out);
-      } catch (_) {}
-    }, timeoutMs);
+/** 1.0 in the 16.16 fixed point used by display matrices */
+const FIXED_ONE = 65536;
 
-    let stderr = "";
+/**
+ * Parse ffprobe's text dump of a display matrix:
+ *
+ *   00000000:            0       65536           0
+ *   00000001:       -65536           0           0
+ *   00000002:            0           0  1073741824
+ *
+ * @param {string} text
+ * @returns {number[]|null} The nine matrix values in row order
+ */
+function parseDisplayMatrix(text) {
+  if (typeof text !== "string") return null;
+  const values = [];
+  for (const line of text.split("\n")) {
+    const colon = line.indexOf(":");
+    if (colon === -1) continue;
+    for (const token of line.slice(colon + 1).trim().split(/\s+/)) {
+      const value = parseInt(token, 10);
+      if (!Number.isFinite(value)) return null;
+      values.push(value);
+    }
+  }
+  return values.length === 9 ? values : null;
+}
 
-    proc.stderr.on("data", (data) => {
-      stderr += data.toString();
-    });
+/**
+ * Display matrix for a pure rotation, given in ffprobe's convention
+ * (degrees counterclockwise, e.g. -90 for a portrait phone video).
+ * @param {number} degrees
+ * @returns {number[]}
+ */
+function rotationToMatrix(degrees) {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.round(Math.cos(rad) * FIXED_ONE);
+  const sin = Math.round(Math.sin(rad) * FIXED_ONE);
+  return [cos, -sin, 0, sin, cos, 0, 0, 0, 1 << 30];
+}
 
-    proc.on("error", (error) => {
-      clearTimeout(timeoutId);
-      reject(
-        new FFmpegError(`ffmpeg process error: ${error.message}`, {
-          stderr,
-          command: `ffmpeg ${args.join(" ")}`,
-        }),
-      );
-    });
+/**
+ * Find a video stream's display matrix. Depending on the ffprobe version
+ * it is a side data entry with the matrix dump and / or a `rotation`
+ * value (not necessarily the first entry), or a `rotate` tag in degrees
+ * clockwise on builds that predate stream side data.
+ *
+ * @param {Object} [stream] - ffprobe stream
+ * @returns {number[]|null}
+ */
+function getDisplayMatrix(stream) {
+  if (!stream) return null;
+  const sideData = Array.isArray(stream.side_data_list)
+    ? stream.side_data_list.find(
+        (entry) =>
+          /display\s*matrix/i.test(entry.side_data_type || "") ||
+          entry.displaymatrix != null,
+      )
+    : null;
+  if (sideData) {
+    const matrix = parseDisplayMatrix(sideData.displaymatrix);
+    if (matrix) return matrix;
+    const rotation = parseFloat(sideData.rotation);
+    if (Number.isFinite(rotation)) return rotationToMatrix(rotation);
+  }
+  const tag = parseFloat(stream.tags?.rotate);
+  return Number.isFinite(tag) && tag !== 0 ? rotationToMatrix(-tag) : null;
+}
 
-    proc.on("close", (code) => {
-      clearTimeout(timeoutId);
+/**
+ * Clockwise angle a display matrix turns the frames by, in [0, 360).
+ * @param {number[]} matrix
+ * @returns {number}
+ */
+function getClockwiseAngle(matrix) {
+  const theta = Math.round((Math.atan2(matrix[1], matrix[0]) * 180) / Math.PI);
+  return ((theta % 360) + 360) % 360;
+}
 
-      if (timedOut) {
-        reject(
-          new FFmpegError(
-            `ffmpeg unrotate timed out after ${timeoutMs}ms for "${inputUrl}"`,
-            {
-              stderr,
-              command: `ffmpeg ${args.join(" ")}`,
-            },
-          ),
-        );
-        return;
-      }
+/**
+ * EXIF orientation equivalent to a display matrix. Mirrored matrices are
+ * told apart the way FFmpeg's own autorotation does it. Angles that are
+ * not a multiple of 90 degrees are not supported and read as upright.
+ *
+ * @param {number[]|null} matrix
+ * @returns {number} 1-8
+ */
+function matrixToOrientation(matrix) {
+  if (!matrix) return 1;
+  const angle = getClockwiseAngle(matrix);
+  const near = (target) => Math.abs(angle - target) < 1;
+  if (near(90)) return matrix[3] > 0 ? 5 : 6;
+  if (near(180)) {
+    if (matrix[0] < 0 && matrix[4] < 0) return 3;
+    if (matrix[0] < 0) return 2;
+    return matrix[4] < 0 ? 4 : 1;
+  }
+  if (near(270)) return matrix[3] < 0 ? 7 : 8;
+  if (near(0) || near(360)) return matrix[4] < 0 ? 4 : 1;
+  return 1;
+}
 
-      if (code !== 0) {
-        // Clean up partial output file on failure
-        try {
-          fs.unlinkSync(out);
-        } catch (_) {}
-        reject(
-          new FFmpegError(`ffmpeg exited with code ${code}`, {
-            stderr,
-            command: `ffmpeg ${args.join(" ")}`,
-            exitCode: code,
-          }),
-        );
-        return;
-      }
-      resolve(out);
-    });
-  });
+/**
+ * Display rotation and orientation of a video stream.
+ *
+ * `rotation` keeps ffprobe's convention (degrees counterclockwise in
+ * (-180, 180], 0 when there is no matrix) for callers of probe().
+ *
+ * @param {Object} [stream] - ffprobe stream
+ * @returns {{ rotation: number, orientation: number }}
+ */
+function getDisplayOrientation(stream) {
+  const matrix = getDisplayMatrix(stream);
+  if (!matrix) return { rotation: 0, orientation: 1 };
+  const angle = getClockwiseAngle(matrix);
+  const rotation = angle === 0 ? 0 : angle < 180 ? -angle : 360 - angle;
+  return { rotation, orientation: matrixToOrientation(matrix) };
 }
 
-module.exports = { unrotateVideo };
+module.exports = {
+  parseDisplayMatrix,
+  getDisplayMatrix,
+  matrixToOrientation,
+  getDisplayOrientation,
+};
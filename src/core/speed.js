@@ -0,0 +1,296 @@
+/**
+ * Playback speed / time remapping for video clips.
+ *
+ * A clip's `position`/`end` always describe timeline (output) time. `speed`,
+ * `speedRamp` and `reverse` only change how much of the source is consumed
+ * to fill that slot and in which direction it plays.
+ *
+ * Speed ramps are piecewise-linear: `speedRamp` is a list of
+ * `{ time, speed }` keyframes where `time` is seconds from the start of the
+ * clip on the timeline. Speed is held at the first/last keyframe value
+ * before/after the ramp.
+ */
+
+const { getPlayCount } = require("./image_sources");
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True when the clip uses a speed ramp
+ */
+function hasSpeedRamp(clip) {
+  return Array.isArray(clip.speedRamp) && clip.speedRamp.length > 0;
+}
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True when source time and timeline time differ
+ */
+function hasTimeRemap(clip) {
+  if (!clip || clip.type !== "video") return false;
+  if (hasSpeedRamp(clip)) return true;
+  return typeof clip.speed === "number" && clip.speed !== 1;
+}
+
+/**
+ * Build the speed curve as contiguous segments in output time.
+ * Each segment has linear speed from s0 (at t0) to s1 (at t1).
+ * The last segment extends to Infinity at constant speed.
+ */
+function getSpeedSegments(clip) {
+  if (!hasSpeedRamp(clip)) {
+    const speed = typeof clip.speed === "number" ? clip.speed : 1;
+    return [{ t0: 0, t1: Infinity, s0: speed, s1: speed }];
+  }
+
+  const points = [...clip.speedRamp].sort((a, b) => a.time - b.time);
+  const segments = [];
+  if (points[0].time > 0) {
+    segments.push({ t0: 0, t1: points[0].time, s0: points[0].speed, s1: points[0].speed });
+  }
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (b.time > a.time) {
+      segments.push({ t0: a.time, t1: b.time, s0: a.speed, s1: b.speed });
+    }
+  }
+  const last = points[points.length - 1];
+  segments.push({ t0: last.time, t1: Infinity, s0: last.speed, s1: last.speed });
+  return segments;
+}
+
+function segmentSlope(seg) {
+  return Number.isFinite(seg.t1) && seg.t1 > seg.t0
+    ? (seg.s1 - seg.s0) / (seg.t1 - seg.t0)
+    : 0;
+}
+
+/** Source seconds consumed by a segment over its first `dt` output seconds. */
+function segmentSourceAt(seg, dt) {
+  return seg.s0 * dt + (segmentSlope(seg) / 2) * dt * dt;
+}
+
+/** Output seconds a segment needs to consume `ds` source seconds. */
+function segmentOutputAt(seg, ds) {
+  const k = segmentSlope(seg);
+  if (Math.abs(k) < 1e-9) {
+    return ds / seg.s0;
+  }
+  return (Math.sqrt(seg.s0 * seg.s0 + 2 * k * ds) - seg.s0) / k;
+}
+
+/**
+ * Source seconds consumed to fill `outputDuration` seconds of timeline.
+ * @param {Object} clip
+ * @param {number} outputDuration
+ * @returns {number}
+ */
+function getSourceDuration(clip, outputDuration) {
+  if (!hasTimeRemap(clip)) return outputDuration;
+  let total = 0;
+  for (const seg of getSpeedSegments(clip)) {
+    if (outputDuration <= seg.t0) break;
+    const dt = Math.min(outputDuration, seg.t1) - seg.t0;
+    total += segmentSourceAt(seg, dt);
+  }
+  return total;
+}
+
+/**
+ * Timeline seconds produced by playing `sourceDuration` seconds of source.
+ * Inverse of getSourceDuration().
+ * @param {Object} clip
+ * @param {number} sourceDuration
+ * @returns {number}
+ */
+function getOutputDuration(clip, sourceDuration) {
+  if (!hasTimeRemap(clip)) return sourceDuration;
+  let remaining = sourceDuration;
+  for (const seg of getSpeedSegments(clip)) {
+    const segSource = Number.isFinite(seg.t1)
+      ? segmentSourceAt(seg, seg.t1 - seg.t0)
+      : Infinity;
+    if (remaining <= segSource) {
+      return seg.t0 + segmentOutputAt(seg, remaining);
+    }
+    remaining -= segSource;
+  }
+  return 0;
+}
+
+/**
+ * Fill modes that keep a clip's full timeline slot when its source runs out.
+ */
+const SLOT_FILL_MODES = ["loop", "freeze"];
+
+/**
+ * How many times a `fill: "loop"` clip may play its source window. Image
+ * and image sequence clips play their own `loop` count; anything else
+ * loops until its slot ends. 1 for clips that don't loop.
+ * @param {Object} clip
+ * @returns {number} A positive integer or Infinity
+ */
+function getLoopPlays(clip) {
+  if (clip.fill !== "loop") return 1;
+  return clip.type === "image" || clip.type === "imageSequence"
+    ? getPlayCount(clip)
+    : Infinity;
+}
+
+/**
+ * Resolve how much source a clip consumes and how long it lasts on the
+ * timeline, clamped to the media available after `cutFrom`.
+ *
+ * `contentDuration` is how long the (remapped) source actually plays.
+ * `duration` is the clip's length on the timeline: equal to contentDuration,
+ * except for `fill: "loop"` / `"freeze"` clips, which keep their full slot.
+ * `_holdDuration` (set by the "freeze-previous" gap policy) is the part of
+ * the slot after the original window that only holds the last frame.
+ *
+ * A looping clip's input is read `inputLoops` extra times (-stream_loop),
+ * so the repeats are decoded again instead of buffered in memory, and its
+ * `sourceDuration` covers every pass.
+ *
+ * @param {Object} clip - Loaded clip (position, end, cutFrom, mediaDuration)
+ * @returns {{ duration: number, sourceDuration: number, contentDuration: number, inputLoops: number }}
+ */
+function resolveClipTiming(clip) {
+  const requestedDuration = Math.max(
+    0,
+    (clip.end || 0) - (clip.position || 0),
+  );
+  const playDuration = Math.max(0, requestedDuration - (clip._holdDuration || 0));
+  const sourceNeeded = getSourceDuration(clip, playDuration);
+  const maxAvailable =
+    typeof clip.mediaDuration === "number" && typeof clip.cutFrom === "number"
+      ? Math.max(0, clip.mediaDuration - clip.cutFrom)
+      : sourceNeeded;
+  let sourceDuration = Math.max(0, Math.min(sourceNeeded, maxAvailable));
+  let inputLoops = 0;
+  const plays = getLoopPlays(clip);
+  if (plays > 1 && sourceDuration > 0 && sourceDuration < sourceNeeded) {
+    const passes = Math.min(plays, Math.ceil(sourceNeeded / sourceDuration - 1e-9));
+    inputLoops = passes - 1;
+    sourceDuration = Math.min(sourceNeeded, sourceDuration * passes);
+  }
+  const contentDuration =
+    sourceDuration < sourceNeeded
+      ? getOutputDuration(clip, sourceDuration)
+      : playDuration;
+  const duration = SLOT_FILL_MODES.includes(clip.fill)
+    ? requestedDuration
+    : contentDuration;
+  return { duration, sourceDuration, contentDuration, inputLoops };
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+/**
+ * Build the setpts filter that maps source time to timeline time.
+ * Expects input timestamps starting at 0. Returns "" when no remap applies.
+ * @param {Object} clip
+ * @returns {string}
+ */
+function buildVideoSpeedFilter(clip) {
+  if (!hasTimeRemap(clip)) return "";
+  if (!hasSpeedRamp(clip)) {
+    return `setpts=PTS/${formatNumber(clip.speed)}`;
+  }
+
+  // Nested if() over segments, keyed on source time T.
+  const segments = getSpeedSegments(clip);
+  let expr = "";
+  let closing = "";
+  let sourceStart = 0;
+  segments.forEach((seg, i) => {
+    const k = segmentSlope(seg);
+    const rel = `(T-${formatNumber(sourceStart)})`;
+    const local =
+      Math.abs(k) < 1e-9
+        ? `${rel}/${formatNumber(seg.s0)}`
+        : `(sqrt(${formatNumber(seg.s0 * seg.s0)}+${formatNumber(2 * k)}*${rel})-${formatNumber(seg.s0)})/${formatNumber(k)}`;
+    const value = `${formatNumber(seg.t0)}+${local}`;
+    if (i === segments.length - 1) {
+      expr += value;
+    } else {
+      const sourceEnd = sourceStart + segmentSourceAt(seg, seg.t1 - seg.t0);
+      expr += `if(lt(T,${formatNumber(sourceEnd)}),${value},`;
+      closing += ")";
+      sourceStart = sourceEnd;
+    }
+  });
+  return `setpts='(${expr}${closing})/TB'`;
+}
+
+/**
+ * Build a chain of atempo filters for an arbitrary speed factor.
+ * Each atempo stage is kept within 0.5-2.0 for compatibility with all
+ * FFmpeg versions.
+ * @param {number} speed
+ * @returns {string} e.g. "atempo=2,atempo=1.5"
+ */
+function buildAtempoChain(speed) {
+  const stages = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    stages.push(2);
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    stages.push(0.5);
+    remaining /= 0.5;
+  }
+  if (Math.abs(remaining - 1) > 1e-9 || stages.length === 0) {
+    stages.push(remaining);
+  }
+  return stages.map((s) => `atempo=${formatNumber(s)}`).join(",");
+}
+
+/**
+ * Split a remapped clip's audio into constant-tempo pieces.
+ * Linear ramp segments are subdivided into steps of at most `maxStep`
+ * timeline seconds; each piece plays at its average speed so audio stays
+ * in sync with video at every piece boundary.
+ *
+ * @param {Object} clip
+ * @param {number} outputDuration - Timeline length of the clip
+ * @param {number} [maxStep=0.5]
+ * @returns {Array<{ sourceStart: number, sourceEnd: number, speed: number }>}
+ */
+function getAudioSpeedPieces(clip, outputDuration, maxStep = 0.5) {
+  const pieces = [];
+  for (const seg of getSpeedSegments(clip)) {
+    if (outputDuration <= seg.t0) break;
+    const segEnd = Math.min(outputDuration, seg.t1);
+    const constant = Math.abs(segmentSlope(seg)) < 1e-9;
+    const steps = constant ? 1 : Math.max(1, Math.ceil((segEnd - seg.t0) / maxStep));
+    const step = (segEnd - seg.t0) / steps;
+    for (let i = 0; i < steps; i++) {
+      const t0 = seg.t0 + i * step;
+      const t1 = i === steps - 1 ? segEnd : t0 + step;
+      const sourceStart = getSourceDuration(clip, t0);
+      const sourceEnd = getSourceDuration(clip, t1);
+      if (t1 - t0 > 1e-6 && sourceEnd > sourceStart) {
+        pieces.push({
+          sourceStart: Number(sourceStart.toFixed(6)),
+          sourceEnd: Number(sourceEnd.toFixed(6)),
+          speed: (sourceEnd - sourceStart) / (t1 - t0),
+        });
+      }
+    }
+  }
+  return pieces;
+}
+
+module.exports = {
+  hasSpeedRamp,
+  hasTimeRemap,
+  getSourceDuration,
+  getOutputDuration,
+  resolveClipTiming,
+  buildVideoSpeedFilter,
+  buildAtempoChain,
+  getAudioSpeedPieces,
+};
@@ -0,0 +1,127 @@
+/**
+ * Visual track helpers.
+ *
+ * Visual clips (video, image, imageSequence, color, generator, layout,
+ * composition) live on numbered tracks. Track 0 is the base track: its clips
+ * are concatenated / crossfaded into the main picture and define the visual
+ * timeline. Clips on higher tracks are layered on top of the base track,
+ * each inside its own `bounds` rectangle, in ascending track order.
+ */
+
+/**
+ * Clip types that produce picture on the visual timeline.
+ */
+const VISUAL_TYPES = [
+  "video",
+  "image",
+  "imageSequence",
+  "color",
+  "generator",
+  "layout",
+  "composition",
+];
+
+/**
+ * Matches percentage strings such as "25%" or "12.5%".
+ */
+const PERCENT_RE = /^(\d+(?:\.\d+)?)%$/;
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True for video, image, imageSequence, color, generator, layout and composition clips
+ */
+function isVisualClip(clip) {
+  return !!clip && VISUAL_TYPES.includes(clip.type);
+}
+
+/**
+ * Get the track number of a clip (default: 0).
+ * @param {Object} clip
+ * @returns {number}
+ */
+function getTrack(clip) {
+  return clip && Number.isInteger(clip.track) && clip.track > 0 ? clip.track : 0;
+}
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True for visual clips on the base track
+ */
+function isBaseTrackClip(clip) {
+  return isVisualClip(clip) && getTrack(clip) === 0;
+}
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True for visual clips layered above the base track
+ */
+function isOverlayClip(clip) {
+  return isVisualClip(clip) && getTrack(clip) > 0;
+}
+
+/**
+ * Check whether a value is a valid length: a finite number >= 0 (pixels)
+ * or a percentage string like "25%".
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidLength(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0;
+  }
+  return typeof value === "string" && PERCENT_RE.test(value);
+}
+
+/**
+ * Resolve a pixel number or percentage string against a total length.
+ * @param {number|string} value
+ * @param {number} total - The length that 100% refers to
+ * @param {number} fallback - Returned when value is missing or invalid
+ * @returns {number}
+ */
+function resolveLength(value, total, fallback) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === "string") {
+    const match = value.match(PERCENT_RE);
+    if (match) {
+      return (parseFloat(match[1]) / 100) * total;
+    }
+  }
+  return fallback;
+}
+
+function toEven(value) {
+  const rounded = Math.max(2, Math.round(value));
+  return rounded % 2 === 0 ? rounded : rounded + 1;
+}
+
+/**
+ * Resolve a clip's `bounds` into an even-sized pixel rectangle on the canvas.
+ * Missing width/height default to the full canvas; missing x/y center the box.
+ *
+ * @param {Object} [bounds] - { x, y, width, height } in pixels or "N%"
+ * @param {number} canvasWidth
+ * @param {number} canvasHeight
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function resolveBounds(bounds, canvasWidth, canvasHeight) {
+  const b = bounds && typeof bounds === "object" ? bounds : {};
+  const width = toEven(resolveLength(b.width, canvasWidth, canvasWidth));
+  const height = toEven(resolveLength(b.height, canvasHeight, canvasHeight));
+  const x = Math.round(resolveLength(b.x, canvasWidth, (canvasWidth - width) / 2));
+  const y = Math.round(resolveLength(b.y, canvasHeight, (canvasHeight - height) / 2));
+  return { x, y, width, height };
+}
+
+module.exports = {
+  VISUAL_TYPES,
+  isVisualClip,
+  getTrack,
+  isBaseTrackClip,
+  isOverlayClip,
+  isValidLength,
+  resolveLength,
+  resolveBounds,
+};
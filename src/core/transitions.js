@@ -0,0 +1,392 @@
+/**
+ * Transitions.
+ *
+ * Built-in transitions are FFmpeg's xfade presets, plus "matte" (a luma
+ * wipe driven by a grayscale image or video) and "stinger" (an animated
+ * overlay that hides a hard cut), see transition_builder.js.
+ *
+ * Custom transitions are registered with SIMPLEFFMPEG.registerTransition() as an xfade `custom`
+ * expression template: `{name}` placeholders in the template are filled
+ * from the clip's `transition.params`, or the declared defaults.
+ *
+ * Custom expressions run on 8-bit YUV 4:2:0 frames (PLANE 0 = Y, 1 = U,
+ * 2 = V), so both inputs are converted to yuv420p before the xfade.
+ */
+
+const { SimpleffmpegError } = require("./errors");
+const { parseColor, isParsableColor } = require("../lib/gradient");
+
+/**
+ * FFmpeg xfade transitions, by name. Some need a recent FFmpeg
+ * (e.g. the cover / reveal family needs 7.0).
+ */
+const BUILT_IN_TRANSITIONS = [
+  "fade",
+  "fadeblack",
+  "fadewhite",
+  "fadegrays",
+  "fadefast",
+  "fadeslow",
+  "distance",
+  "wipeleft",
+  "wiperight",
+  "wipeup",
+  "wipedown",
+  "wipetl",
+  "wipetr",
+  "wipebl",
+  "wipebr",
+  "slideleft",
+  "slideright",
+  "slideup",
+  "slidedown",
+  "smoothleft",
+  "smoothright",
+  "smoothup",
+  "smoothdown",
+  "coverleft",
+  "coverright",
+  "coverup",
+  "coverdown",
+  "revealleft",
+  "revealright",
+  "revealup",
+  "revealdown",
+  "circlecrop",
+  "rectcrop",
+  "circleclose",
+  "circleopen",
+  "horzclose",
+  "horzopen",
+  "vertclose",
+  "vertopen",
+  "diagbl",
+  "diagbr",
+  "diagtl",
+  "diagtr",
+  "hlslice",
+  "hrslice",
+  "vuslice",
+  "vdslice",
+  "hlwind",
+  "hrwind",
+  "vuwind",
+  "vdwind",
+  "dissolve",
+  "pixelize",
+  "radial",
+  "hblur",
+  "squeezeh",
+  "squeezev",
+  "zoomin",
+];
+
+/**
+ * Luma-matte wipe: `{ type: "matte", url, softness?, invert? }`.
+ */
+const MATTE_TRANSITION = "matte";
+
+/**
+ * Stinger: `{ type: "stinger", url, cutPoint?, duration?, volume? }`. The
+ * clips cut at the boundary without overlapping, and the stinger video plays
+ * over the cut.
+ */
+const STINGER_TRANSITION = "stinger";
+
+/**
+ * Parameter types a custom transition can declare.
+ */
+const TRANSITION_PARAM_TYPES = ["number", "enum", "color"];
+
+const NAME_RE = /^[a-zA-Z][a-zA-Z0-9_-]*$/;
+const PLACEHOLDER_RE = /\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+/** Registered custom transitions, by name */
+const customTransitions = new Map();
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Why a value is not valid for a parameter, or null when it is.
+ * @param {Object} spec - Parameter definition
+ * @param {*} value
+ * @returns {string|null}
+ */
+function checkParamValue(spec, value) {
+  if (spec.type === "number") {
+    if (!isFiniteNumber(value)) return "must be a finite number";
+    if (spec.min != null && value < spec.min) return `must be >= ${spec.min}`;
+    if (spec.max != null && value > spec.max) return `must be <= ${spec.max}`;
+    return null;
+  }
+  if (spec.type === "enum") {
+    return spec.values.includes(value)
+      ? null
+      : `must be one of: ${spec.values.map((v) => `"${v}"`).join(", ")}`;
+  }
+  return isParsableColor(value)
+    ? null
+    : "must be a named color (e.g. \"black\") or hex (#RRGGBB)";
+}
+
+function checkParamSpec(transition, key, spec) {
+  const fail = (message) => {
+    throw new SimpleffmpegError(
+      `registerTransition("${transition}"): param "${key}" ${message}`,
+    );
+  };
+  if (!spec || typeof spec !== "object") fail("must be an object");
+  if (!TRANSITION_PARAM_TYPES.includes(spec.type)) {
+    fail(`type must be one of: ${TRANSITION_PARAM_TYPES.join(", ")}`);
+  }
+  if (spec.type === "number") {
+    for (const bound of ["min", "max"]) {
+      if (spec[bound] != null && !isFiniteNumber(spec[bound])) {
+        fail(`${bound} must be a finite number`);
+      }
+    }
+  }
+  if (
+    spec.type === "enum" &&
+    (!Array.isArray(spec.values) ||
+      spec.values.length === 0 ||
+      !spec.values.every((v) => typeof v === "string"))
+  ) {
+    fail("values must be a non-empty array of strings");
+  }
+  if (spec.default !== undefined) {
+    const problem = checkParamValue(spec, spec.default);
+    if (problem) fail(`default ${problem}`);
+  }
+}
+
+/**
+ * Register a custom xfade transition. Registering a name again replaces the
+ * earlier definition; built-in names cannot be replaced.
+ *
+ * @param {string} name - Name used as `transition.type`
+ * @param {Object} definition
+ * @param {string} definition.expr - xfade custom expression with `{param}` placeholders
+ * @param {Object<string, Object>} [definition.params] - Parameter definitions by name:
+ *   `{ type: "number", min?, max?, default? }`, `{ type: "enum", values, default? }`
+ *   (substituted as the index into `values`) or `{ type: "color", default? }`
+ *   (substituted as the color's value on the current plane). Parameters
+ *   without a default are required.
+ * @param {string} [definition.description] - Shown in getSchema() output
+ * @throws {SimpleffmpegError} When the name or definition is invalid
+ */
+function registerTransition(name, definition) {
+  if (typeof name !== "string" || !NAME_RE.test(name)) {
+    throw new SimpleffmpegError(
+      `registerTransition: name must start with a letter and contain only letters, digits, "-" and "_" (got ${JSON.stringify(name)})`,
+    );
+  }
+  if (
+    BUILT_IN_TRANSITIONS.includes(name) ||
+    name === MATTE_TRANSITION ||
+    name === STINGER_TRANSITION ||
+    name === "custom"
+  ) {
+    throw new SimpleffmpegError(
+      `registerTransition: "${name}" is a built-in transition and cannot be replaced`,
+    );
+  }
+  const { expr, params = {}, description } = definition || {};
+  if (typeof expr !== "string" || expr.trim() === "") {
+    throw new SimpleffmpegError(
+      `registerTransition("${name}"): expr must be a non-empty string`,
+    );
+  }
+  // The expression is single-quoted inside the double-quoted filter graph
+  if (/['";]/.test(expr)) {
+    throw new SimpleffmpegError(
+      `registerTransition("${name}"): expr must not contain quotes or semicolons`,
+    );
+  }
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    throw new SimpleffmpegError(
+      `registerTransition("${name}"): params must be an object`,
+    );
+  }
+  for (const [key, spec] of Object.entries(params)) {
+    checkParamSpec(name, key, spec);
+  }
+  for (const [, key] of expr.matchAll(PLACEHOLDER_RE)) {
+    if (!Object.hasOwn(params, key)) {
+      throw new SimpleffmpegError(
+        `registerTransition("${name}"): expr uses {${key}}, which is not a declared param`,
+      );
+    }
+  }
+  if (description != null && typeof description !== "string") {
+    throw new SimpleffmpegError(
+      `registerTransition("${name}"): description must be a string`,
+    );
+  }
+
+  customTransitions.set(name, {
+    expr: expr.trim(),
+    params: { ...params },
+    description,
+  });
+}
+
+/**
+ * Definition of a registered custom transition.
+ * @param {string} name
+ * @returns {{ expr: string, params: Object, description?: string }|null}
+ */
+function getCustomTransition(name) {
+  return customTransitions.get(name) || null;
+}
+
+/**
+ * Every accepted `transition.type`: built-ins, "matte", "stinger", then
+ * registered names.
+ * @returns {string[]}
+ */
+function getTransitionNames() {
+  return [
+    ...BUILT_IN_TRANSITIONS,
+    MATTE_TRANSITION,
+    STINGER_TRANSITION,
+    ...customTransitions.keys(),
+  ];
+}
+
+/**
+ * Whether a (loaded) transition is a luma-matte wipe.
+ * @param {Object} [transition]
+ * @returns {boolean}
+ */
+function isMatteTransition(transition) {
+  return !!transition && transition.type === MATTE_TRANSITION;
+}
+
+/**
+ * Whether a (loaded) transition is a stinger.
+ * @param {Object} [transition]
+ * @returns {boolean}
+ */
+function isStingerTransition(transition) {
+  return !!transition && transition.type === STINGER_TRANSITION;
+}
+
+/**
+ * Seconds of timeline a transition overlaps its two clips by. Stingers cut
+ * without overlapping, so they don't shorten the timeline.
+ * @param {Object} [transition]
+ * @returns {number}
+ */
+function getOverlapDuration(transition) {
+  if (!transition || isStingerTransition(transition)) return 0;
+  return typeof transition.duration === "number" ? transition.duration : 0;
+}
+
+/**
+ * Where a loaded stinger plays for a cut at `cutTime` (output seconds): it
+ * starts `cutPoint` seconds before the cut. A stinger that would start
+ * before 0 skips its head instead.
+ * @param {{ duration: number, cutPoint: number }} transition
+ * @param {number} cutTime
+ * @returns {{ start: number, skip: number, duration: number }}
+ */
+function getStingerWindow(transition, cutTime) {
+  const start = cutTime - transition.cutPoint;
+  const skip = Math.max(0, -start);
+  return {
+    start: Math.max(0, start),
+    skip,
+    duration: Math.max(0, transition.duration - skip),
+  };
+}
+
+/**
+ * Names of the registered custom transitions, in registration order.
+ * @returns {string[]}
+ */
+function getCustomTransitionNames() {
+  return [...customTransitions.keys()];
+}
+
+/**
+ * A color as its 8-bit value on each yuv420p plane (BT.601, limited range),
+ * picked by PLANE inside the expression.
+ */
+function colorPlaneExpr(color) {
+  const [r, g, b] = parseColor(color);
+  const y = Math.round(16 + (65.481 * r + 128.553 * g + 24.966 * b) / 255);
+  const u = Math.round(128 + (-37.797 * r - 74.203 * g + 112 * b) / 255);
+  const v = Math.round(128 + (112 * r - 93.786 * g - 18.214 * b) / 255);
+  return `if(eq(PLANE,0),${y},if(eq(PLANE,1),${u},${v}))`;
+}
+
+function paramExpr(spec, value) {
+  if (spec.type === "enum") return `${spec.values.indexOf(value)}`;
+  if (spec.type === "color") return colorPlaneExpr(value);
+  return value < 0 ? `(${value})` : `${value}`;
+}
+
+/**
+ * xfade `transition` option for a clip's transition: the preset name for
+ * built-ins, or `custom:expr='...'` with the params filled in.
+ *
+ * @param {{ type: string, params?: Object }} transition - Validated transition
+ * @returns {string}
+ */
+function buildXfadeTransition(transition) {
+  const custom = getCustomTransition(transition.type);
+  if (!custom) return transition.type;
+  const values = transition.params || {};
+  const expr = custom.expr.replace(PLACEHOLDER_RE, (_, key) =>
+    paramExpr(custom.params[key], values[key] ?? custom.params[key].default),
+  );
+  return `custom:expr='${expr}'`;
+}
+
+/**
+ * One line per registered transition for getSchema() output.
+ * @returns {string[]}
+ */
+function describeCustomTransitions() {
+  return getCustomTransitionNames().map((name) => {
+    const { params, description } = customTransitions.get(name);
+    const paramList = Object.entries(params).map(([key, spec]) => {
+      const kind =
+        spec.type === "enum"
+          ? spec.values.map((v) => `"${v}"`).join(" | ")
+          : spec.type === "number" && (spec.min != null || spec.max != null)
+            ? `number ${spec.min ?? ""}..${spec.max ?? ""}`
+            : spec.type;
+      return spec.default === undefined
+        ? `${key} (${kind}, required)`
+        : `${key} (${kind}, default ${JSON.stringify(spec.default)})`;
+    });
+    return [
+      `Custom transition "${name}"${description ? `: ${description}` : ""}.`,
+      paramList.length > 0
+        ? `transition.params: ${paramList.join(", ")}.`
+        : "No params.",
+    ].join(" ");
+  });
+}
+
+module.exports = {
+  BUILT_IN_TRANSITIONS,
+  MATTE_TRANSITION,
+  STINGER_TRANSITION,
+  TRANSITION_PARAM_TYPES,
+  registerTransition,
+  getCustomTransition,
+  getTransitionNames,
+  getCustomTransitionNames,
+  isMatteTransition,
+  isStingerTransition,
+  getOverlapDuration,
+  getStingerWindow,
+  checkParamValue,
+  buildXfadeTransition,
+  describeCustomTransitions,
+};
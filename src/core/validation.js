@@ -1,6 +1,53 @@
 const fs = require("fs");
 const nodePath = require("path");
-const { detectVisualGaps } = require("./gaps");
+const { detectVisualGaps, parseGapPolicy, GAP_POLICIES } = require("./gaps");
+const {
+  VISUAL_TYPES,
+  isBaseTrackClip,
+  isOverlayClip,
+  isValidLength,
+} = require("./tracks");
+const {
+  MIN_PLAYBACK_SPEED,
+  MAX_PLAYBACK_SPEED,
+  KEN_BURNS_ENGINES,
+  AUDIO_TRANSITION_MODES,
+  AUDIO_FADE_CURVES,
+} = require("./constants");
+const {
+  LAYOUT_PRESETS,
+  LAYOUT_SOURCE_TYPES,
+  getLayoutCells,
+} = require("./layout");
+const { getCompositionSize, getTimelineDuration } = require("./composition");
+const { parseFrameRate } = require("./frame_rate");
+const {
+  getSequencePatternType,
+  listSequenceFrames,
+} = require("./image_sources");
+const { GRADIENT_TYPES, FRAME_ANIMATIONS } = require("../lib/gradient");
+const {
+  VIDEO_GENERATORS,
+  AUDIO_GENERATORS,
+  GENERATOR_OPTIONS,
+  NOISE_COLORS,
+} = require("./generators");
+const {
+  EASINGS,
+  VISUAL_KEYFRAME_PROPERTIES,
+  AUDIO_KEYFRAME_PROPERTIES,
+  EFFECT_KEYFRAME_PARAMS,
+  isValidEasing,
+} = require("./keyframes");
+const { AUDIO_ENVELOPE_TYPES } = require("./audio_envelope");
+const {
+  getTransitionNames,
+  getCustomTransition,
+  isMatteTransition,
+  isStingerTransition,
+  getOverlapDuration,
+  checkParamValue,
+} = require("./transitions");
 
 // ========================================================================
 // FFmpeg named colors (X11/CSS color names accepted by libavutil)
@@ -119,6 +166,12 @@ const EFFECT_TYPES = [
   "letterbox",
 ];
 
+const VIDEO_FILL_MODES = ["clamp", "loop", "freeze", "stretch"];
+
+const LAYOUT_FIT_MODES = ["cover", "contain", "blur-fill"];
+
+const CHROMA_KEY_MODES = ["chromakey", "colorkey"];
+
 const VIDEO_EXTENSIONS = new Set([
   ".mp4",
   ".mov",
@@ -137,84 +190,1691 @@ const VIDEO_EXTENSIONS = new Set([
   ".ogv",
 ]);
 
-const IMAGE_EXTENSIONS = new Set([
-  ".jpg",
-  ".jpeg",
-  ".png",
-  ".webp",
-  ".bmp",
-  ".tif",
-  ".tiff",
-  ".gif",
-  ".avif",
-]);
+const IMAGE_EXTENSIONS = new Set([
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".webp",
+  ".bmp",
+  ".tif",
+  ".tiff",
+  ".gif",
+  ".avif",
+]);
+
+function validateMediaUrlExtension(clip, clipPath, errors) {
+  if (typeof clip.url !== "string" || clip.url.length === 0) {
+    return;
+  }
+
+  if (!["video", "image", "imageSequence"].includes(clip.type)) {
+    return;
+  }
+
+  const ext = nodePath.extname(clip.url).toLowerCase();
+  const expectedExts = clip.type === "video" ? VIDEO_EXTENSIONS : IMAGE_EXTENSIONS;
+  const expectedLabel = clip.type === "video" ? "video" : "image";
+  const oppositeLabel = clip.type === "video" ? "image" : "video";
+
+  if (!ext || !expectedExts.has(ext)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_FORMAT,
+        `${clipPath}.url`,
+        `URL extension '${ext || "(none)"}' does not match clip type '${clip.type}'. Expected a ${expectedLabel} file extension, not ${oppositeLabel}.`,
+        clip.url,
+      ),
+    );
+  }
+}
+
+function validateFiniteNumber(value, path, errors, opts = {}) {
+  const { min = null, max = null, minInclusive = true, maxInclusive = true } = opts;
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        path,
+        "Must be a finite number",
+        value,
+      ),
+    );
+    return;
+  }
+  if (min != null) {
+    const failsMin = minInclusive ? value < min : value <= min;
+    if (failsMin) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_RANGE,
+          path,
+          minInclusive ? `Must be >= ${min}` : `Must be > ${min}`,
+          value,
+        ),
+      );
+      return;
+    }
+  }
+  if (max != null) {
+    const failsMax = maxInclusive ? value > max : value >= max;
+    if (failsMax) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_RANGE,
+          path,
+          maxInclusive ? `Must be <= ${max}` : `Must be < ${max}`,
+          value,
+        ),
+      );
+    }
+  }
+}
+
+function validateTrackProps(clip, path, errors) {
+  const isVisual = VISUAL_TYPES.includes(clip.type);
+
+  if (clip.track != null) {
+    if (!isVisual) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.track`,
+          `track is only supported on ${VISUAL_TYPES.join(", ")} clips`,
+          clip.type,
+        ),
+      );
+      return;
+    }
+    if (!Number.isInteger(clip.track) || clip.track < 0) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.track`,
+          "track must be a non-negative integer (0 = base track)",
+          clip.track,
+        ),
+      );
+      return;
+    }
+  }
+
+  const track = clip.track || 0;
+
+  if (isVisual && track > 0 && clip.transition) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.transition`,
+        "Transitions are only supported on the base track (track 0). Layered clips cut in and out at their position/end.",
+        clip.transition,
+      ),
+    );
+  }
+
+  if (clip.bounds == null) {
+    return;
+  }
+  if (!isVisual || track === 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.bounds`,
+        "bounds is only supported on visual clips with track >= 1",
+        clip.bounds,
+      ),
+    );
+    return;
+  }
+  if (typeof clip.bounds !== "object" || Array.isArray(clip.bounds)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        `${path}.bounds`,
+        "bounds must be an object { x, y, width, height }",
+        clip.bounds,
+      ),
+    );
+    return;
+  }
+  for (const key of ["x", "y", "width", "height"]) {
+    const value = clip.bounds[key];
+    if (value == null) continue;
+    if (!isValidLength(value)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.bounds.${key}`,
+          `bounds.${key} must be a non-negative number of pixels or a percentage string like "50%"`,
+          value,
+        ),
+      );
+    } else if ((key === "width" || key === "height") && parseFloat(value) <= 0) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_RANGE,
+          `${path}.bounds.${key}`,
+          `bounds.${key} must be greater than 0`,
+          value,
+        ),
+      );
+    }
+  }
+}
+
+function validateTransform(clip, path, errors) {
+  if (clip.transform == null) {
+    return;
+  }
+  const tPath = `${path}.transform`;
+  if (!VISUAL_TYPES.includes(clip.type)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        tPath,
+        `transform is only supported on ${VISUAL_TYPES.join(", ")} clips`,
+        clip.type,
+      ),
+    );
+    return;
+  }
+  const t = clip.transform;
+  if (typeof t !== "object" || Array.isArray(t)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        tPath,
+        "transform must be an object",
+        t,
+      ),
+    );
+    return;
+  }
+
+  if (t.crop != null) {
+    if (typeof t.crop !== "object" || Array.isArray(t.crop)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_TYPE,
+          `${tPath}.crop`,
+          "crop must be an object { x, y, width, height }",
+          t.crop,
+        ),
+      );
+    } else {
+      for (const key of ["x", "y", "width", "height"]) {
+        const value = t.crop[key];
+        if (value == null) continue;
+        if (!isValidLength(value)) {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_VALUE,
+              `${tPath}.crop.${key}`,
+              `crop.${key} must be a non-negative number of source pixels or a percentage string like "50%"`,
+              value,
+            ),
+          );
+        } else if ((key === "width" || key === "height") && parseFloat(value) <= 0) {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_RANGE,
+              `${tPath}.crop.${key}`,
+              `crop.${key} must be greater than 0`,
+              value,
+            ),
+          );
+        }
+      }
+    }
+  }
+
+  for (const key of ["flipH", "flipV"]) {
+    if (t[key] != null && typeof t[key] !== "boolean") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_TYPE,
+          `${tPath}.${key}`,
+          `${key} must be a boolean`,
+          t[key],
+        ),
+      );
+    }
+  }
+
+  if (t.rotate != null) {
+    validateFiniteNumber(t.rotate, `${tPath}.rotate`, errors);
+  }
+  if (t.scale != null) {
+    validateFiniteNumber(t.scale, `${tPath}.scale`, errors, {
+      min: 0,
+      minInclusive: false,
+    });
+  }
+  for (const key of ["x", "y"]) {
+    if (t[key] != null && !isValidLength(t[key])) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${tPath}.${key}`,
+          `${key} must be a non-negative number of pixels or a percentage string like "50%"`,
+          t[key],
+        ),
+      );
+    }
+  }
+  if (t.backgroundColor != null && !isValidFFmpegColor(t.backgroundColor)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${tPath}.backgroundColor`,
+        `Invalid backgroundColor "${t.backgroundColor}". Use a named color (e.g. "black", "white"), hex (#RRGGBB), or color@alpha (e.g. "black@0.5").`,
+        t.backgroundColor,
+      ),
+    );
+  }
+}
+
+function validateLayoutColor(value, path, errors) {
+  if (value != null && !isValidFFmpegColor(value)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        path,
+        `Invalid color "${value}". Use a named color (e.g. "black", "white"), hex (#RRGGBB), or color@alpha (e.g. "black@0.5").`,
+        value,
+      ),
+    );
+  }
+}
+
+function validateLayoutSource(source, path, errors, warnings, options) {
+  const { skipFileChecks = false, skipExtensionsCheck = false } = options;
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        path,
+        "Layout source must be an object",
+        source,
+      ),
+    );
+    return;
+  }
+  if (!LAYOUT_SOURCE_TYPES.includes(source.type)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        `${path}.type`,
+        `Invalid layout source type '${source.type}'. Expected: ${LAYOUT_SOURCE_TYPES.join(", ")}`,
+        source.type,
+      ),
+    );
+    return;
+  }
+
+  if (source.type === "color") {
+    if (typeof source.color !== "string" || !isValidFFmpegColor(source.color)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.color`,
+          "Layout color sources require a flat color string (named color, hex, or color@alpha)",
+          source.color,
+        ),
+      );
+    }
+  } else if (typeof source.url !== "string" || source.url.length === 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.MISSING_REQUIRED,
+        `${path}.url`,
+        "URL is required for video and image layout sources",
+        source.url,
+      ),
+    );
+  } else {
+    if (!skipFileChecks) {
+      try {
+        if (!fs.existsSync(source.url)) {
+          warnings.push(
+            createIssue(
+              ValidationCodes.FILE_NOT_FOUND,
+              `${path}.url`,
+              `File not found: '${source.url}'`,
+              source.url,
+            ),
+          );
+        }
+      } catch (_) {}
+    }
+    if (!skipExtensionsCheck) {
+      validateMediaUrlExtension(source, path, errors);
+    }
+  }
+
+  if (source.cutFrom != null) {
+    validateFiniteNumber(source.cutFrom, `${path}.cutFrom`, errors, { min: 0 });
+  }
+  if (source.volume != null) {
+    validateFiniteNumber(source.volume, `${path}.volume`, errors, { min: 0 });
+  }
+  if (source.gutter != null) {
+    validateFiniteNumber(source.gutter, `${path}.gutter`, errors, { min: 0 });
+  }
+  if (source.audio != null && typeof source.audio !== "boolean") {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        `${path}.audio`,
+        "audio must be a boolean",
+        source.audio,
+      ),
+    );
+  }
+  if (source.fit != null && !LAYOUT_FIT_MODES.includes(source.fit)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.fit`,
+        `Invalid fit '${source.fit}'. Expected: ${LAYOUT_FIT_MODES.join(", ")}`,
+        source.fit,
+      ),
+    );
+  }
+  validateLayoutColor(source.backgroundColor, `${path}.backgroundColor`, errors);
+}
+
+function validateLayoutClip(clip, path, errors, warnings, options) {
+  if (Array.isArray(clip.layout)) {
+    if (clip.layout.length === 0) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.layout`,
+          "Custom layouts need at least one cell",
+          clip.layout,
+        ),
+      );
+    }
+    clip.layout.forEach((cell, i) => {
+      const cellPath = `${path}.layout[${i}]`;
+      if (!cell || typeof cell !== "object" || Array.isArray(cell)) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_TYPE,
+            cellPath,
+            "Layout cell must be an object { x, y, width, height }",
+            cell,
+          ),
+        );
+        return;
+      }
+      for (const key of ["x", "y", "width", "height"]) {
+        const value = cell[key];
+        if (value == null) continue;
+        if (!isValidLength(value)) {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_VALUE,
+              `${cellPath}.${key}`,
+              `${key} must be a non-negative number of pixels or a percentage string like "50%"`,
+              value,
+            ),
+          );
+        } else if ((key === "width" || key === "height") && parseFloat(value) <= 0) {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_RANGE,
+              `${cellPath}.${key}`,
+              `${key} must be greater than 0`,
+              value,
+            ),
+          );
+        }
+      }
+    });
+  } else if (!Object.prototype.hasOwnProperty.call(LAYOUT_PRESETS, clip.layout)) {
+    errors.push(
+      createIssue(
+        clip.layout == null
+          ? ValidationCodes.MISSING_REQUIRED
+          : ValidationCodes.INVALID_VALUE,
+        `${path}.layout`,
+        `layout must be one of ${Object.keys(LAYOUT_PRESETS).join(", ")} or an array of cells`,
+        clip.layout,
+      ),
+    );
+  }
+
+  if (!Array.isArray(clip.sources) || clip.sources.length === 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.MISSING_REQUIRED,
+        `${path}.sources`,
+        "Layout clips require a non-empty sources array",
+        clip.sources,
+      ),
+    );
+  } else {
+    const cellCount = getLayoutCells(clip).length;
+    if (cellCount > 0 && clip.sources.length > cellCount) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.sources`,
+          `Layout has ${cellCount} cell(s) but ${clip.sources.length} sources were given`,
+          clip.sources.length,
+        ),
+      );
+    }
+    clip.sources.forEach((source, i) => {
+      validateLayoutSource(source, `${path}.sources[${i}]`, errors, warnings, options);
+    });
+  }
+
+  if (clip.gutter != null) {
+    validateFiniteNumber(clip.gutter, `${path}.gutter`, errors, { min: 0 });
+  }
+  validateLayoutColor(clip.backgroundColor, `${path}.backgroundColor`, errors);
+
+  if (clip.transform && typeof clip.transform === "object" && clip.transform.crop != null) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.transform.crop`,
+        "transform.crop is not supported on layout clips",
+        clip.transform.crop,
+      ),
+    );
+  }
+}
+
+function validateCompositionClip(clip, path, errors, warnings, options) {
+  if (!Array.isArray(clip.clips) || clip.clips.length === 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.MISSING_REQUIRED,
+        `${path}.clips`,
+        "Composition clips must be a non-empty array of clips",
+        clip.clips,
+      ),
+    );
+    return;
+  }
+
+  for (const key of ["width", "height"]) {
+    const value = clip[key];
+    if (value != null && (!Number.isInteger(value) || value <= 0 || value % 2 !== 0)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.${key}`,
+          `Composition ${key} must be a positive even integer`,
+          value,
+        ),
+      );
+    }
+  }
+  if (clip.cutFrom != null) {
+    validateFiniteNumber(clip.cutFrom, `${path}.cutFrom`, errors, { min: 0 });
+  }
+  if (clip.volume != null) {
+    validateFiniteNumber(clip.volume, `${path}.volume`, errors, { min: 0 });
+  }
+
+  // The nested timeline is validated on its own canvas
+  const { width, height } = getCompositionSize(clip, options.width, options.height);
+  const nested = validateConfig(clip.clips, {
+    ...options,
+    width,
+    height,
+    clipIndices: undefined,
+  });
+  const prefix = (issue) => ({ ...issue, path: `${path}.${issue.path}` });
+  errors.push(...nested.errors.map(prefix));
+  warnings.push(...nested.warnings.map(prefix));
+
+  if (!clip.clips.some(isBaseTrackClip)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TIMELINE,
+        `${path}.clips`,
+        "A composition needs at least one base-track (track 0) visual clip",
+        clip.clips.length,
+      ),
+    );
+    return;
+  }
+
+  const duration = getTimelineDuration(clip.clips);
+  if (typeof clip.cutFrom === "number" && clip.cutFrom >= duration) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_RANGE,
+        `${path}.cutFrom`,
+        `cutFrom (${clip.cutFrom}s) must be < the composition's duration (${duration}s)`,
+        clip.cutFrom,
+      ),
+    );
+  }
+}
+
+function validateImageSource(clip, path, errors) {
+  if (
+    clip.loop != null &&
+    typeof clip.loop !== "boolean" &&
+    !(Number.isInteger(clip.loop) && clip.loop >= 1)
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.loop`,
+        "loop must be true, false, or a play count >= 1",
+        clip.loop,
+      ),
+    );
+  }
+  if (clip.type !== "imageSequence") return;
+
+  if (typeof clip.url === "string" && clip.url.length > 0) {
+    const patternType = getSequencePatternType(clip.url);
+    if (!patternType) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_FORMAT,
+          `${path}.url`,
+          "Image sequence url must be a printf pattern (e.g. 'frames/%04d.png') or a glob (e.g. 'frames/*.png')",
+          clip.url,
+        ),
+      );
+    } else if (/[*?[]/.test(nodePath.dirname(clip.url))) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_FORMAT,
+          `${path}.url`,
+          "Glob wildcards are only supported in the file name, not in directories",
+          clip.url,
+        ),
+      );
+    }
+    if (clip.startNumber != null && patternType === "glob") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.startNumber`,
+          "startNumber only applies to printf patterns",
+          clip.startNumber,
+        ),
+      );
+    }
+  }
+  if (clip.fps != null && !parseFrameRate(clip.fps)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.fps`,
+        "fps must be a positive number, a \"num/den\" string such as \"30000/1001\", or { num, den }",
+        clip.fps,
+      ),
+    );
+  }
+  if (
+    clip.startNumber != null &&
+    !(Number.isInteger(clip.startNumber) && clip.startNumber >= 0)
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.startNumber`,
+        "startNumber must be an integer >= 0",
+        clip.startNumber,
+      ),
+    );
+  }
+}
+
+function validateKenBurnsPath(kenBurns, path, errors) {
+  if (kenBurns.path === undefined) return;
+  const pPath = `${path}.path`;
+  if (!Array.isArray(kenBurns.path) || kenBurns.path.length < 2) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        pPath,
+        "kenBurns.path must be an array of at least 2 waypoints { time, x?, y?, zoom?, easing?, hold? }",
+        kenBurns.path,
+      ),
+    );
+    return;
+  }
+  const conflicting = [
+    "startX",
+    "startY",
+    "endX",
+    "endY",
+    "endZoom",
+    "anchor",
+    "focus",
+  ].filter((field) => kenBurns[field] !== undefined);
+  if (conflicting.length > 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        path,
+        `kenBurns.path cannot be combined with ${conflicting.join(", ")}. Put the camera positions in the waypoints instead.`,
+        conflicting,
+      ),
+    );
+  }
+
+  let previousEnd = -Infinity;
+  kenBurns.path.forEach((point, i) => {
+    const wPath = `${pPath}[${i}]`;
+    if (!point || typeof point !== "object") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          wPath,
+          "Waypoints must be objects { time, x?, y?, zoom?, easing?, hold? }",
+          point,
+        ),
+      );
+      return;
+    }
+    const before = errors.length;
+    if (point.time === undefined) {
+      errors.push(
+        createIssue(
+          ValidationCodes.MISSING_REQUIRED,
+          `${wPath}.time`,
+          "Waypoint time is required (seconds from the clip start)",
+          point.time,
+        ),
+      );
+    } else {
+      validateFiniteNumber(point.time, `${wPath}.time`, errors, { min: 0 });
+    }
+    if (point.hold !== undefined) {
+      validateFiniteNumber(point.hold, `${wPath}.hold`, errors, { min: 0 });
+    }
+    if (errors.length === before) {
+      if (point.time < previousEnd) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_RANGE,
+            `${wPath}.time`,
+            "Waypoints must be in time order, after the previous waypoint's hold",
+            point.time,
+          ),
+        );
+      }
+      previousEnd = point.time + (point.hold || 0);
+    }
+    for (const axis of ["x", "y"]) {
+      if (point[axis] !== undefined) {
+        validateFiniteNumber(point[axis], `${wPath}.${axis}`, errors, {
+          min: 0,
+          max: 1,
+        });
+      }
+    }
+    if (point.zoom !== undefined) {
+      validateFiniteNumber(point.zoom, `${wPath}.zoom`, errors, {
+        min: 0,
+        minInclusive: false,
+      });
+    }
+    if (point.easing !== undefined && !isValidEasing(point.easing)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${wPath}.easing`,
+          `Invalid easing '${point.easing}'. Expected: ${EASINGS.join(", ")} or cubic-bezier(x1, y1, x2, y2)`,
+          point.easing,
+        ),
+      );
+    }
+  });
+}
+
+/**
+ * Validate a `kenBurns` effect name or spec object (image, imageSequence
+ * and video clips).
+ */
+function validateKenBurns(kenBurns, path, errors) {
+  const validKenBurns = [
+    "zoom-in",
+    "zoom-out",
+    "pan-left",
+    "pan-right",
+    "pan-up",
+    "pan-down",
+    "smart",
+    "custom",
+  ];
+  const kbType = typeof kenBurns === "string" ? kenBurns : kenBurns.type;
+  if (kbType && !validKenBurns.includes(kbType)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.kenBurns`,
+        `Invalid kenBurns effect '${kbType}'. Expected: ${validKenBurns.join(
+          ", ",
+        )}`,
+        kbType,
+      ),
+    );
+  }
+
+  if (typeof kenBurns === "object") {
+    const {
+      anchor,
+      easing,
+      engine,
+      startZoom,
+      endZoom,
+      startX,
+      startY,
+      endX,
+      endY,
+    } = kenBurns;
+    if (anchor !== undefined) {
+      const validAnchors = ["top", "bottom", "left", "right"];
+      if (!validAnchors.includes(anchor)) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            `${path}.kenBurns.anchor`,
+            `Invalid kenBurns anchor '${anchor}'. Expected: ${validAnchors.join(
+              ", ",
+            )}`,
+            anchor,
+          ),
+        );
+      }
+    }
+
+    if (easing !== undefined) {
+      if (!isValidEasing(easing)) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            `${path}.kenBurns.easing`,
+            `Invalid kenBurns easing '${easing}'. Expected: ${EASINGS.join(
+              ", ",
+            )} or cubic-bezier(x1, y1, x2, y2)`,
+            easing,
+          ),
+        );
+      }
+    }
+
+    if (engine !== undefined && !KEN_BURNS_ENGINES.includes(engine)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.kenBurns.engine`,
+          `Invalid kenBurns engine '${engine}'. Expected: ${KEN_BURNS_ENGINES.join(", ")}`,
+          engine,
+        ),
+      );
+    }
+
+    const numericFields = [
+      ["startZoom", startZoom],
+      ["endZoom", endZoom],
+      ["startX", startX],
+      ["startY", startY],
+      ["endX", endX],
+      ["endY", endY],
+    ];
+
+    numericFields.forEach(([field, value]) => {
+      if (value === undefined) {
+        return;
+      }
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_TYPE,
+            `${path}.kenBurns.${field}`,
+            `kenBurns.${field} must be a finite number`,
+            value,
+          ),
+        );
+        return;
+      }
+
+      if ((field === "startZoom" || field === "endZoom") && value <= 0) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_RANGE,
+            `${path}.kenBurns.${field}`,
+            `kenBurns.${field} must be > 0`,
+            value,
+          ),
+        );
+      }
+
+      if (
+        (field === "startX" ||
+          field === "startY" ||
+          field === "endX" ||
+          field === "endY") &&
+          (value < 0 || value > 1)
+      ) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_RANGE,
+            `${path}.kenBurns.${field}`,
+            `kenBurns.${field} must be between 0 and 1`,
+            value,
+          ),
+        );
+      }
+    });
+
+    validateKenBurnsPath(kenBurns, `${path}.kenBurns`, errors);
+    if (kenBurns.focus !== undefined) {
+      const focusPath = `${path}.kenBurns.focus`;
+      if (kbType !== "smart") {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            focusPath,
+            "kenBurns.focus only applies to smart mode",
+            kenBurns.focus,
+          ),
+        );
+      } else if (
+        !kenBurns.focus ||
+        typeof kenBurns.focus !== "object"
+      ) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            focusPath,
+            "kenBurns.focus must be an object { x, y } with fractions 0-1",
+            kenBurns.focus,
+          ),
+        );
+      } else {
+        for (const axis of ["x", "y"]) {
+          if (kenBurns.focus[axis] !== undefined) {
+            validateFiniteNumber(
+              kenBurns.focus[axis],
+              `${focusPath}.${axis}`,
+              errors,
+              { min: 0, max: 1 },
+            );
+          }
+        }
+      }
+    }
+  }
+}
+
+function validateGradientColor(value, path, errors) {
+  if (typeof value !== "string" || !isValidFFmpegColor(value)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        path,
+        `Invalid gradient color "${value}". Use a named color (e.g. "black", "navy"), hex (#RRGGBB), or "random".`,
+        value,
+      ),
+    );
+  }
+}
+
+function validateGradientPoint(point, path, errors) {
+  for (const axis of ["x", "y"]) {
+    if (point[axis] != null) {
+      validateFiniteNumber(point[axis], `${path}.${axis}`, errors, {
+        min: 0,
+        max: 1,
+      });
+    }
+  }
+}
+
+function validateGradientSpec(spec, path, errors) {
+  const { type } = spec;
+  if (!type || !GRADIENT_TYPES.includes(type)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.type`,
+        `Invalid gradient type '${type}'. Expected: ${GRADIENT_TYPES.join(", ")}`,
+        type,
+      ),
+    );
+  }
+
+  if (type === "mesh-gradient") {
+    if (!Array.isArray(spec.points) || spec.points.length < 2) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.points`,
+          "Mesh gradient points must be an array of at least 2 { x, y, color } points",
+          spec.points,
+        ),
+      );
+    } else {
+      spec.points.forEach((point, pi) => {
+        const pointPath = `${path}.points[${pi}]`;
+        if (!point || typeof point !== "object") {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_VALUE,
+              pointPath,
+              "Mesh gradient points must be { x, y, color } objects",
+              point,
+            ),
+          );
+          return;
+        }
+        for (const axis of ["x", "y"]) {
+          if (point[axis] == null) {
+            errors.push(
+              createIssue(
+                ValidationCodes.MISSING_REQUIRED,
+                `${pointPath}.${axis}`,
+                `Mesh gradient points need ${axis} (0-1)`,
+                point[axis],
+              ),
+            );
+          }
+        }
+        validateGradientPoint(point, pointPath, errors);
+        validateGradientColor(point.color, `${pointPath}.color`, errors);
+      });
+    }
+  } else if (!Array.isArray(spec.colors) || spec.colors.length < 2) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.colors`,
+        "Gradient colors must be an array of at least 2 color strings",
+        spec.colors,
+      ),
+    );
+  } else {
+    let lastPosition = -Infinity;
+    spec.colors.forEach((stop, ci) => {
+      const stopPath = `${path}.colors[${ci}]`;
+      if (!stop || typeof stop !== "object") {
+        validateGradientColor(stop, stopPath, errors);
+        return;
+      }
+      validateGradientColor(stop.color, `${stopPath}.color`, errors);
+      if (stop.position == null) return;
+      const before = errors.length;
+      validateFiniteNumber(stop.position, `${stopPath}.position`, errors, {
+        min: 0,
+        max: 1,
+      });
+      if (errors.length > before) return;
+      if (stop.position < lastPosition) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_RANGE,
+            `${stopPath}.position`,
+            "Color stop positions must not decrease",
+            stop.position,
+          ),
+        );
+      }
+      lastPosition = stop.position;
+    });
+  }
+
+  if (spec.direction != null) {
+    const validDirections = ["vertical", "horizontal"];
+    if (typeof spec.direction !== "number" && !validDirections.includes(spec.direction)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.direction`,
+          `Invalid gradient direction '${spec.direction}'. Expected: "vertical", "horizontal", or a number (angle in degrees)`,
+          spec.direction,
+        ),
+      );
+    }
+  }
+  if (spec.center != null) {
+    if (type !== "radial-gradient" && type !== "conic-gradient") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.center`,
+          "center only applies to radial and conic gradients",
+          spec.center,
+        ),
+      );
+    } else if (typeof spec.center !== "object") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.center`,
+          "center must be an object { x, y } with fractions 0-1",
+          spec.center,
+        ),
+      );
+    } else {
+      validateGradientPoint(spec.center, `${path}.center`, errors);
+    }
+  }
+  if (spec.angle != null) {
+    if (type !== "conic-gradient") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.angle`,
+          "angle only applies to conic gradients (use direction for linear gradients)",
+          spec.angle,
+        ),
+      );
+    } else {
+      validateFiniteNumber(spec.angle, `${path}.angle`, errors);
+    }
+  }
+
+  if (spec.animate == null) return;
+  const aPath = `${path}.animate`;
+  if (typeof spec.animate !== "object") {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        aPath,
+        "animate must be an object { hue?, shift?, rotate?, fps? }",
+        spec.animate,
+      ),
+    );
+    return;
+  }
+  if (spec.animate.hue != null) {
+    validateFiniteNumber(spec.animate.hue, `${aPath}.hue`, errors);
+  }
+  for (const [key, types] of Object.entries(FRAME_ANIMATIONS)) {
+    if (spec.animate[key] == null) continue;
+    if (!types.includes(type)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${aPath}.${key}`,
+          `animate.${key} is only supported on ${types.join(", ")}`,
+          spec.animate[key],
+        ),
+      );
+    } else {
+      validateFiniteNumber(spec.animate[key], `${aPath}.${key}`, errors);
+    }
+  }
+  if (spec.animate.fps != null) {
+    validateFiniteNumber(spec.animate.fps, `${aPath}.fps`, errors, {
+      min: 0,
+      minInclusive: false,
+    });
+  }
+}
+
+function validateGeneratorClip(clip, path, errors) {
+  const isAudio = clip.type === "audioGenerator";
+  const generators = isAudio ? AUDIO_GENERATORS : VIDEO_GENERATORS;
+  if (!generators.includes(clip.generator)) {
+    errors.push(
+      createIssue(
+        clip.generator == null
+          ? ValidationCodes.MISSING_REQUIRED
+          : ValidationCodes.INVALID_VALUE,
+        `${path}.generator`,
+        `Invalid ${clip.type} '${clip.generator}'. Expected: ${generators.join(", ")}`,
+        clip.generator,
+      ),
+    );
+    return;
+  }
+
+  // Generators render from their first frame; there is no source to cut
+  if (clip.cutFrom != null) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.cutFrom`,
+        `cutFrom is not supported by ${clip.type} clips`,
+        clip.cutFrom,
+      ),
+    );
+  }
+
+  // Options that don't apply to the chosen generator
+  const allowed = GENERATOR_OPTIONS[clip.generator];
+  const options = isAudio
+    ? ["seed", "frequency", "noiseColor", "amplitude"]
+    : ["seed", "strength", "rule", "cellSize", "color"];
+  for (const key of options) {
+    if (clip[key] != null && !allowed.includes(key)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.${key}`,
+          `${key} is not supported by the '${clip.generator}' generator`,
+          clip[key],
+        ),
+      );
+    }
+  }
+
+  if (
+    clip.seed != null &&
+    allowed.includes("seed") &&
+    !(Number.isInteger(clip.seed) && clip.seed >= 0)
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.seed`,
+        "seed must be an integer >= 0",
+        clip.seed,
+      ),
+    );
+  }
+  if (clip.strength != null && allowed.includes("strength")) {
+    validateFiniteNumber(clip.strength, `${path}.strength`, errors, {
+      min: 0,
+      max: 100,
+    });
+  }
+  if (
+    clip.rule != null &&
+    allowed.includes("rule") &&
+    !(Number.isInteger(clip.rule) && clip.rule >= 0 && clip.rule <= 255)
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.rule`,
+        "rule must be an integer from 0 to 255",
+        clip.rule,
+      ),
+    );
+  }
+  if (
+    clip.cellSize != null &&
+    allowed.includes("cellSize") &&
+    !(Number.isInteger(clip.cellSize) && clip.cellSize >= 1)
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.cellSize`,
+        "cellSize must be an integer >= 1",
+        clip.cellSize,
+      ),
+    );
+  }
+  if (
+    clip.color != null &&
+    allowed.includes("color") &&
+    (typeof clip.color !== "string" || !isValidFFmpegColor(clip.color))
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.color`,
+        `Invalid color "${clip.color}". Use a named color (e.g. "gray", "teal") or hex (#RRGGBB).`,
+        clip.color,
+      ),
+    );
+  }
+  if (clip.frequency != null && allowed.includes("frequency")) {
+    validateFiniteNumber(clip.frequency, `${path}.frequency`, errors, {
+      min: 0,
+      minInclusive: false,
+    });
+  }
+  if (
+    clip.noiseColor != null &&
+    allowed.includes("noiseColor") &&
+    !NOISE_COLORS.includes(clip.noiseColor)
+  ) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.noiseColor`,
+        `Invalid noiseColor '${clip.noiseColor}'. Expected: ${NOISE_COLORS.join(", ")}`,
+        clip.noiseColor,
+      ),
+    );
+  }
+  if (clip.amplitude != null && allowed.includes("amplitude")) {
+    validateFiniteNumber(clip.amplitude, `${path}.amplitude`, errors, {
+      min: 0,
+      max: 1,
+    });
+  }
+  if (isAudio && clip.volume != null) {
+    validateFiniteNumber(clip.volume, `${path}.volume`, errors, { min: 0 });
+  }
+}
+
+function validateChromaKey(clip, path, errors) {
+  if (clip.chromaKey == null) {
+    return;
+  }
+  const kPath = `${path}.chromaKey`;
+  if (clip.type !== "video") {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        kPath,
+        "chromaKey is only supported on video clips",
+        clip.type,
+      ),
+    );
+    return;
+  }
+  const key = clip.chromaKey;
+  if (typeof key !== "object" || Array.isArray(key)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        kPath,
+        "chromaKey must be an object { color, similarity, blend, spill }",
+        key,
+      ),
+    );
+    return;
+  }
+
+  if (key.color != null && !isValidFFmpegColor(key.color)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${kPath}.color`,
+        `Invalid key color "${key.color}". Use a named color or hex (#RRGGBB), e.g. "#00FF00" for green screen.`,
+        key.color,
+      ),
+    );
+  }
+  if (key.mode != null && !CHROMA_KEY_MODES.includes(key.mode)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${kPath}.mode`,
+        `Invalid chromaKey mode '${key.mode}'. Expected: ${CHROMA_KEY_MODES.join(", ")}`,
+        key.mode,
+      ),
+    );
+  }
+  if (key.similarity != null) {
+    validateFiniteNumber(key.similarity, `${kPath}.similarity`, errors, {
+      min: 0,
+      minInclusive: false,
+      max: 1,
+    });
+  }
+  for (const field of ["blend", "spill"]) {
+    if (key[field] != null) {
+      validateFiniteNumber(key[field], `${kPath}.${field}`, errors, {
+        min: 0,
+        max: 1,
+      });
+    }
+  }
 
-function validateMediaUrlExtension(clip, clipPath, errors) {
-  if (typeof clip.url !== "string" || clip.url.length === 0) {
-    return;
+  if ((clip.track || 0) === 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TIMELINE,
+        `${path}.track`,
+        "Keyed clips are composited over the clips beneath them, so they must be on track >= 1 above a base-track clip",
+        clip.track,
+      ),
+    );
   }
+}
 
-  if (clip.type !== "video" && clip.type !== "image") {
+function validatePlaybackProps(clip, path, errors) {
+  const playbackFields = ["speed", "speedRamp", "reverse", "fill"];
+  if (clip.type !== "video") {
+    for (const field of playbackFields) {
+      if (clip[field] != null) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            `${path}.${field}`,
+            `${field} is only supported on video clips`,
+            clip.type,
+          ),
+        );
+      }
+    }
     return;
   }
 
-  const ext = nodePath.extname(clip.url).toLowerCase();
-  const expectedExts = clip.type === "video" ? VIDEO_EXTENSIONS : IMAGE_EXTENSIONS;
-  const expectedLabel = clip.type === "video" ? "video" : "image";
-  const oppositeLabel = clip.type === "video" ? "image" : "video";
+  const speedRange = { min: MIN_PLAYBACK_SPEED, max: MAX_PLAYBACK_SPEED };
 
-  if (!ext || !expectedExts.has(ext)) {
+  if (clip.speed != null) {
+    validateFiniteNumber(clip.speed, `${path}.speed`, errors, speedRange);
+  }
+
+  if (clip.fill != null) {
+    if (!VIDEO_FILL_MODES.includes(clip.fill)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.fill`,
+          `Invalid fill '${clip.fill}'. Expected: ${VIDEO_FILL_MODES.join(", ")}`,
+          clip.fill,
+        ),
+      );
+    } else if (clip.fill === "stretch" && clip.speedRamp != null) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.fill`,
+          "fill 'stretch' cannot be combined with speedRamp",
+          clip.fill,
+        ),
+      );
+    }
+  }
+
+  if (clip.reverse != null && typeof clip.reverse !== "boolean") {
     errors.push(
       createIssue(
-        ValidationCodes.INVALID_FORMAT,
-        `${clipPath}.url`,
-        `URL extension '${ext || "(none)"}' does not match clip type '${clip.type}'. Expected a ${expectedLabel} file extension, not ${oppositeLabel}.`,
-        clip.url,
+        ValidationCodes.INVALID_TYPE,
+        `${path}.reverse`,
+        "reverse must be a boolean",
+        clip.reverse,
       ),
     );
   }
-}
 
-function validateFiniteNumber(value, path, errors, opts = {}) {
-  const { min = null, max = null, minInclusive = true, maxInclusive = true } = opts;
-  if (typeof value !== "number" || !Number.isFinite(value)) {
+  if (clip.speedRamp == null) {
+    return;
+  }
+  if (clip.speed != null) {
     errors.push(
       createIssue(
         ValidationCodes.INVALID_VALUE,
-        path,
-        "Must be a finite number",
-        value,
+        `${path}`,
+        "Cannot specify both 'speed' and 'speedRamp'. Use one or the other.",
+        { speed: clip.speed, speedRamp: clip.speedRamp },
+      ),
+    );
+  }
+  if (!Array.isArray(clip.speedRamp) || clip.speedRamp.length < 2) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.speedRamp`,
+        "speedRamp must be an array of at least 2 { time, speed } keyframes",
+        clip.speedRamp,
       ),
     );
     return;
   }
-  if (min != null) {
-    const failsMin = minInclusive ? value < min : value <= min;
-    if (failsMin) {
+  let prevTime = -Infinity;
+  clip.speedRamp.forEach((point, i) => {
+    const pointPath = `${path}.speedRamp[${i}]`;
+    if (!point || typeof point !== "object") {
       errors.push(
         createIssue(
-          ValidationCodes.INVALID_RANGE,
-          path,
-          minInclusive ? `Must be >= ${min}` : `Must be > ${min}`,
-          value,
+          ValidationCodes.INVALID_TYPE,
+          pointPath,
+          "Speed keyframe must be an object { time, speed }",
+          point,
         ),
       );
       return;
     }
+    validateFiniteNumber(point.time, `${pointPath}.time`, errors, { min: 0 });
+    validateFiniteNumber(point.speed, `${pointPath}.speed`, errors, speedRange);
+    if (typeof point.time === "number" && Number.isFinite(point.time)) {
+      if (point.time <= prevTime) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            `${pointPath}.time`,
+            "Speed keyframe times must be strictly increasing",
+            point.time,
+          ),
+        );
+      }
+      prevTime = point.time;
+    }
+  });
+}
+
+/**
+ * Animatable properties for a clip, by type.
+ */
+function getKeyframeProperties(clip) {
+  if (clip.type === "effect") {
+    return ["amount", ...(EFFECT_KEYFRAME_PARAMS[clip.effect] || [])];
   }
-  if (max != null) {
-    const failsMax = maxInclusive ? value > max : value >= max;
-    if (failsMax) {
+  if (clip.type === "video" || clip.type === "composition") {
+    return [...VISUAL_KEYFRAME_PROPERTIES, ...AUDIO_KEYFRAME_PROPERTIES];
+  }
+  if (VISUAL_TYPES.includes(clip.type)) {
+    return VISUAL_KEYFRAME_PROPERTIES;
+  }
+  if (clip.type === "audio" || clip.type === "audioGenerator") {
+    return AUDIO_KEYFRAME_PROPERTIES;
+  }
+  return [];
+}
+
+const KEYFRAME_VALUE_RANGES = {
+  opacity: { min: 0, max: 1 },
+  scale: { min: 0, minInclusive: false },
+  volume: { min: 0 },
+  amount: { min: 0, max: 1 },
+};
+
+function validateKeyframes(clip, path, errors) {
+  if (clip.keyframes == null) {
+    return;
+  }
+  const kfPath = `${path}.keyframes`;
+  if (typeof clip.keyframes !== "object" || Array.isArray(clip.keyframes)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        kfPath,
+        "keyframes must be an object mapping property names to keyframe arrays",
+        clip.keyframes,
+      ),
+    );
+    return;
+  }
+
+  const allowed = getKeyframeProperties(clip);
+  for (const [prop, list] of Object.entries(clip.keyframes)) {
+    const propPath = `${kfPath}.${prop}`;
+    if (!allowed.includes(prop)) {
       errors.push(
         createIssue(
-          ValidationCodes.INVALID_RANGE,
-          path,
-          maxInclusive ? `Must be <= ${max}` : `Must be < ${max}`,
-          value,
+          ValidationCodes.INVALID_VALUE,
+          propPath,
+          allowed.length > 0
+            ? `Property '${prop}' cannot be animated on ${clip.type} clips. Expected: ${allowed.join(", ")}`
+            : `${clip.type} clips do not support keyframes`,
+          prop,
         ),
       );
+      continue;
     }
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          propPath,
+          "Keyframes must be a non-empty array of { time, value, easing? }",
+          list,
+        ),
+      );
+      continue;
+    }
+
+    let prevTime = -Infinity;
+    list.forEach((kf, i) => {
+      const kPath = `${propPath}[${i}]`;
+      if (!kf || typeof kf !== "object") {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_TYPE,
+            kPath,
+            "Keyframe must be an object { time, value, easing? }",
+            kf,
+          ),
+        );
+        return;
+      }
+      validateFiniteNumber(kf.time, `${kPath}.time`, errors, { min: 0 });
+      if (typeof kf.time === "number" && Number.isFinite(kf.time)) {
+        if (kf.time <= prevTime) {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_VALUE,
+              `${kPath}.time`,
+              "Keyframe times must be strictly increasing",
+              kf.time,
+            ),
+          );
+        }
+        prevTime = kf.time;
+      }
+
+      if (prop === "x" || prop === "y") {
+        if (!isValidLength(kf.value)) {
+          errors.push(
+            createIssue(
+              ValidationCodes.INVALID_VALUE,
+              `${kPath}.value`,
+              "Must be a number of pixels or a percentage string like \"50%\"",
+              kf.value,
+            ),
+          );
+        }
+      } else {
+        validateFiniteNumber(
+          kf.value,
+          `${kPath}.value`,
+          errors,
+          KEYFRAME_VALUE_RANGES[prop],
+        );
+      }
+
+      if (kf.easing !== undefined && !isValidEasing(kf.easing)) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            `${kPath}.easing`,
+            `Invalid easing '${kf.easing}'. Expected: ${EASINGS.join(", ")} or cubic-bezier(x1, y1, x2, y2)`,
+            kf.easing,
+          ),
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Validate an audio-bearing clip's fadeIn / fadeOut / fadeCurve and
+ * volumeEnvelope.
+ */
+function validateAudioEnvelope(clip, path, errors) {
+  if (!AUDIO_ENVELOPE_TYPES.includes(clip.type)) {
+    return;
+  }
+  if (clip.fadeIn != null) {
+    validateFiniteNumber(clip.fadeIn, `${path}.fadeIn`, errors, { min: 0 });
+  }
+  if (clip.fadeOut != null) {
+    validateFiniteNumber(clip.fadeOut, `${path}.fadeOut`, errors, { min: 0 });
+  }
+  if (clip.fadeCurve != null && !AUDIO_FADE_CURVES.includes(clip.fadeCurve)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.fadeCurve`,
+        `Invalid fadeCurve '${clip.fadeCurve}'. Expected: ${AUDIO_FADE_CURVES.join(", ")}`,
+        clip.fadeCurve,
+      ),
+    );
   }
+
+  const list = clip.volumeEnvelope;
+  if (list == null) {
+    return;
+  }
+  const envPath = `${path}.volumeEnvelope`;
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        envPath,
+        "volumeEnvelope must be a non-empty array of { time, volume, curve? }",
+        list,
+      ),
+    );
+    return;
+  }
+  if (clip.keyframes && clip.keyframes.volume != null) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        envPath,
+        "Use either volumeEnvelope or keyframes.volume, not both",
+        list,
+      ),
+    );
+  }
+
+  let prevTime = -Infinity;
+  list.forEach((point, i) => {
+    const pPath = `${envPath}[${i}]`;
+    if (!point || typeof point !== "object") {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_TYPE,
+          pPath,
+          "Envelope point must be an object { time, volume, curve? }",
+          point,
+        ),
+      );
+      return;
+    }
+    validateFiniteNumber(point.time, `${pPath}.time`, errors, { min: 0 });
+    if (typeof point.time === "number" && Number.isFinite(point.time)) {
+      if (point.time <= prevTime) {
+        errors.push(
+          createIssue(
+            ValidationCodes.INVALID_VALUE,
+            `${pPath}.time`,
+            "Envelope times must be strictly increasing",
+            point.time,
+          ),
+        );
+      }
+      prevTime = point.time;
+    }
+    validateFiniteNumber(point.volume, `${pPath}.volume`, errors, { min: 0 });
+    if (point.curve !== undefined && !isValidEasing(point.curve)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${pPath}.curve`,
+          `Invalid curve '${point.curve}'. Expected: ${EASINGS.join(", ")} or cubic-bezier(x1, y1, x2, y2)`,
+          point.curve,
+        ),
+      );
+    }
+  });
 }
 
 function validateEffectClip(clip, path, errors) {
@@ -401,9 +2061,14 @@ function validateClip(clip, index, options = {}) {
     "music",
     "backgroundAudio",
     "image",
+    "imageSequence",
     "subtitle",
     "color",
+    "generator",
+    "audioGenerator",
     "effect",
+    "layout",
+    "composition",
   ];
 
   // Check type
@@ -500,9 +2165,19 @@ function validateClip(clip, index, options = {}) {
 
   // Types that require position/end on timeline (unless fullDuration is set)
   const hasFullDuration = clip.fullDuration === true && fullDurationTypes.includes(clip.type);
-  const requiresTimeline = ["video", "audio", "text", "image", "color", "effect"].includes(
-    clip.type,
-  );
+  const requiresTimeline = [
+    "video",
+    "audio",
+    "text",
+    "image",
+    "imageSequence",
+    "color",
+    "generator",
+    "audioGenerator",
+    "effect",
+    "layout",
+    "composition",
+  ].includes(clip.type);
 
   if (requiresTimeline && !hasFullDuration) {
     if (typeof clip.position !== "number") {
@@ -613,7 +2288,7 @@ function validateClip(clip, index, options = {}) {
   }
 
   // Media clips require URL
-  const mediaTypes = ["video", "audio", "music", "backgroundAudio", "image"];
+  const mediaTypes = ["video", "audio", "music", "backgroundAudio", "image", "imageSequence"];
   if (mediaTypes.includes(clip.type)) {
     if (typeof clip.url !== "string" || clip.url.length === 0) {
       errors.push(
@@ -624,6 +2299,17 @@ function validateClip(clip, index, options = {}) {
           clip.url,
         ),
       );
+    } else if (!skipFileChecks && clip.type === "imageSequence") {
+      if (listSequenceFrames(clip.url, clip.startNumber).files.length === 0) {
+        warnings.push(
+          createIssue(
+            ValidationCodes.FILE_NOT_FOUND,
+            `${path}.url`,
+            `No frames found for image sequence '${clip.url}'`,
+            clip.url,
+          ),
+        );
+      }
     } else if (!skipFileChecks) {
       try {
         if (!fs.existsSync(clip.url)) {
@@ -1012,8 +2698,8 @@ function validateClip(clip, index, options = {}) {
     }
   }
 
-  // Image clip validation
-  if (clip.type === "image") {
+  // Fit validation (image, image sequence, video and composition clips)
+  if (["image", "imageSequence", "video", "composition"].includes(clip.type)) {
     if (clip.imageFit !== undefined) {
       const validImageFit = ["cover", "contain", "blur-fill"];
       if (!validImageFit.includes(clip.imageFit)) {
@@ -1037,145 +2723,26 @@ function validateClip(clip, index, options = {}) {
             `blurIntensity must be a finite number`,
             clip.blurIntensity,
           ),
-        );
-      } else if (clip.blurIntensity <= 0) {
-        errors.push(
-          createIssue(
-            ValidationCodes.INVALID_RANGE,
-            `${path}.blurIntensity`,
-            `blurIntensity must be > 0`,
-            clip.blurIntensity,
-          ),
-        );
-      }
-    }
-
-    if (clip.kenBurns) {
-      const validKenBurns = [
-        "zoom-in",
-        "zoom-out",
-        "pan-left",
-        "pan-right",
-        "pan-up",
-        "pan-down",
-        "smart",
-        "custom",
-      ];
-      const kbType =
-        typeof clip.kenBurns === "string"
-          ? clip.kenBurns
-          : clip.kenBurns.type;
-      if (kbType && !validKenBurns.includes(kbType)) {
+        );
+      } else if (clip.blurIntensity <= 0) {
         errors.push(
           createIssue(
-            ValidationCodes.INVALID_VALUE,
-            `${path}.kenBurns`,
-            `Invalid kenBurns effect '${kbType}'. Expected: ${validKenBurns.join(
-              ", ",
-            )}`,
-            kbType,
+            ValidationCodes.INVALID_RANGE,
+            `${path}.blurIntensity`,
+            `blurIntensity must be > 0`,
+            clip.blurIntensity,
           ),
         );
       }
+    }
+  }
 
-      if (typeof clip.kenBurns === "object") {
-        const {
-          anchor,
-          easing,
-          startZoom,
-          endZoom,
-          startX,
-          startY,
-          endX,
-          endY,
-        } =
-          clip.kenBurns;
-        if (anchor !== undefined) {
-          const validAnchors = ["top", "bottom", "left", "right"];
-          if (!validAnchors.includes(anchor)) {
-            errors.push(
-              createIssue(
-                ValidationCodes.INVALID_VALUE,
-                `${path}.kenBurns.anchor`,
-                `Invalid kenBurns anchor '${anchor}'. Expected: ${validAnchors.join(
-                  ", ",
-                )}`,
-                anchor,
-              ),
-            );
-          }
-        }
-
-        if (easing !== undefined) {
-          const validEasing = ["linear", "ease-in", "ease-out", "ease-in-out"];
-          if (!validEasing.includes(easing)) {
-            errors.push(
-              createIssue(
-                ValidationCodes.INVALID_VALUE,
-                `${path}.kenBurns.easing`,
-                `Invalid kenBurns easing '${easing}'. Expected: ${validEasing.join(
-                  ", ",
-                )}`,
-                easing,
-              ),
-            );
-          }
-        }
-
-        const numericFields = [
-          ["startZoom", startZoom],
-          ["endZoom", endZoom],
-          ["startX", startX],
-          ["startY", startY],
-          ["endX", endX],
-          ["endY", endY],
-        ];
-
-        numericFields.forEach(([field, value]) => {
-          if (value === undefined) {
-            return;
-          }
-          if (typeof value !== "number" || !Number.isFinite(value)) {
-            errors.push(
-              createIssue(
-                ValidationCodes.INVALID_TYPE,
-                `${path}.kenBurns.${field}`,
-                `kenBurns.${field} must be a finite number`,
-                value,
-              ),
-            );
-            return;
-          }
-
-          if ((field === "startZoom" || field === "endZoom") && value <= 0) {
-            errors.push(
-              createIssue(
-                ValidationCodes.INVALID_RANGE,
-                `${path}.kenBurns.${field}`,
-                `kenBurns.${field} must be > 0`,
-                value,
-              ),
-            );
-          }
+  // Image and image sequence validation
+  if (clip.type === "image" || clip.type === "imageSequence") {
+    validateImageSource(clip, path, errors);
 
-          if (
-            (field === "startX" ||
-              field === "startY" ||
-              field === "endX" ||
-              field === "endY") &&
-              (value < 0 || value > 1)
-          ) {
-            errors.push(
-              createIssue(
-                ValidationCodes.INVALID_RANGE,
-                `${path}.kenBurns.${field}`,
-                `kenBurns.${field} must be between 0 and 1`,
-                value,
-              ),
-            );
-          }
-        });
-      }
+    if (clip.kenBurns) {
+      validateKenBurns(clip.kenBurns, path, errors);
 
       // Check if image dimensions are provided and sufficient for project dimensions
       // By default, undersized images are upscaled automatically (with a warning)
@@ -1217,6 +2784,11 @@ function validateClip(clip, index, options = {}) {
     }
   }
 
+  // Video Ken Burns (digital zoom on the moving frames)
+  if (clip.type === "video" && clip.kenBurns) {
+    validateKenBurns(clip.kenBurns, path, errors);
+  }
+
   // Color clip validation
   if (clip.type === "color") {
     if (clip.color == null) {
@@ -1240,53 +2812,7 @@ function validateClip(clip, index, options = {}) {
         );
       }
     } else if (typeof clip.color === "object" && clip.color !== null) {
-      const validGradientTypes = ["linear-gradient", "radial-gradient"];
-      if (!clip.color.type || !validGradientTypes.includes(clip.color.type)) {
-        errors.push(
-          createIssue(
-            ValidationCodes.INVALID_VALUE,
-            `${path}.color.type`,
-            `Invalid gradient type '${clip.color.type}'. Expected: ${validGradientTypes.join(", ")}`,
-            clip.color.type,
-          ),
-        );
-      }
-      if (!Array.isArray(clip.color.colors) || clip.color.colors.length < 2) {
-        errors.push(
-          createIssue(
-            ValidationCodes.INVALID_VALUE,
-            `${path}.color.colors`,
-            "Gradient colors must be an array of at least 2 color strings",
-            clip.color.colors,
-          ),
-        );
-      } else {
-        clip.color.colors.forEach((c, ci) => {
-          if (typeof c !== "string" || !isValidFFmpegColor(c)) {
-            errors.push(
-              createIssue(
-                ValidationCodes.INVALID_VALUE,
-                `${path}.color.colors[${ci}]`,
-                `Invalid gradient color "${c}". Use a named color (e.g. "black", "navy"), hex (#RRGGBB), or "random".`,
-                c,
-              ),
-            );
-          }
-        });
-      }
-      if (clip.color.direction != null) {
-        const validDirections = ["vertical", "horizontal"];
-        if (typeof clip.color.direction !== "number" && !validDirections.includes(clip.color.direction)) {
-          errors.push(
-            createIssue(
-              ValidationCodes.INVALID_VALUE,
-              `${path}.color.direction`,
-              `Invalid gradient direction '${clip.color.direction}'. Expected: "vertical", "horizontal", or a number (angle in degrees)`,
-              clip.color.direction,
-            ),
-          );
-        }
-      }
+      validateGradientSpec(clip.color, `${path}.color`, errors);
     } else {
       errors.push(
         createIssue(
@@ -1299,14 +2825,36 @@ function validateClip(clip, index, options = {}) {
     }
   }
 
+  if (clip.type === "generator" || clip.type === "audioGenerator") {
+    validateGeneratorClip(clip, path, errors);
+  }
+
   if (clip.type === "effect") {
     validateEffectClip(clip, path, errors);
   }
 
-  // Visual clip transition validation (video, image, color)
-  const visualTypes = ["video", "image", "color"];
-  if (visualTypes.includes(clip.type) && clip.transition) {
-    if (typeof clip.transition.duration !== "number") {
+  if (clip.type === "layout") {
+    validateLayoutClip(clip, path, errors, warnings, options);
+  }
+
+  if (clip.type === "composition") {
+    validateCompositionClip(clip, path, errors, warnings, options);
+  }
+
+  validateTrackProps(clip, path, errors);
+  validatePlaybackProps(clip, path, errors);
+  validateTransform(clip, path, errors);
+  validateChromaKey(clip, path, errors);
+  validateKeyframes(clip, path, errors);
+  validateAudioEnvelope(clip, path, errors);
+
+  // Visual clip transition validation (video, image, color, layout)
+  if (VISUAL_TYPES.includes(clip.type) && clip.transition) {
+    // A stinger plays its own length unless duration is set
+    const usesOwnLength =
+      isStingerTransition(clip.transition) &&
+      clip.transition.duration === undefined;
+    if (!usesOwnLength && typeof clip.transition.duration !== "number") {
       errors.push(
         createIssue(
           ValidationCodes.INVALID_VALUE,
@@ -1315,7 +2863,7 @@ function validateClip(clip, index, options = {}) {
           clip.transition.duration,
         ),
       );
-    } else if (!Number.isFinite(clip.transition.duration)) {
+    } else if (!usesOwnLength && !Number.isFinite(clip.transition.duration)) {
       errors.push(
         createIssue(
           ValidationCodes.INVALID_VALUE,
@@ -1334,19 +2882,298 @@ function validateClip(clip, index, options = {}) {
         ),
       );
     }
+    validateTransitionType(clip.transition, `${path}.transition`, errors, {
+      warnings,
+      skipFileChecks,
+      skipExtensionsCheck,
+    });
+    validateTransitionAudio(clip.transition, `${path}.transition`, errors);
   }
 
   return { errors, warnings };
 }
 
+/**
+ * Validate how a transition's audio follows the picture.
+ */
+function validateTransitionAudio(transition, path, errors) {
+  const { audio, audioCurve, audioOffset } = transition;
+  if (audio != null && !AUDIO_TRANSITION_MODES.includes(audio)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.audio`,
+        `Invalid audio mode '${audio}'. Expected: ${AUDIO_TRANSITION_MODES.join(", ")}`,
+        audio,
+      ),
+    );
+  }
+  if (audioCurve != null && !AUDIO_FADE_CURVES.includes(audioCurve)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.audioCurve`,
+        `Invalid audioCurve '${audioCurve}'. Expected: ${AUDIO_FADE_CURVES.join(", ")}`,
+        audioCurve,
+      ),
+    );
+  }
+  if (audioOffset != null) {
+    validateFiniteNumber(audioOffset, `${path}.audioOffset`, errors, { min: 0 });
+  }
+}
+
+/**
+ * Validate the media file of a matte or stinger transition.
+ * @param {Object} media
+ * @param {string} media.missing - Message when the url is missing
+ * @param {boolean} media.allowImages - Whether still images are accepted
+ */
+function validateTransitionUrl(url, path, errors, options, media) {
+  const { warnings, skipFileChecks, skipExtensionsCheck } = options;
+  if (typeof url !== "string" || url.length === 0) {
+    errors.push(
+      createIssue(ValidationCodes.MISSING_REQUIRED, `${path}.url`, media.missing, url),
+    );
+  } else {
+    const ext = nodePath.extname(url).toLowerCase();
+    if (
+      !skipExtensionsCheck &&
+      !(media.allowImages && IMAGE_EXTENSIONS.has(ext)) &&
+      !VIDEO_EXTENSIONS.has(ext)
+    ) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_FORMAT,
+          `${path}.url`,
+          `URL extension '${ext || "(none)"}' is not ${media.allowImages ? "an image or video" : "a video"} file extension`,
+          url,
+        ),
+      );
+    }
+    if (!skipFileChecks) {
+      try {
+        if (!fs.existsSync(url)) {
+          warnings.push(
+            createIssue(
+              ValidationCodes.FILE_NOT_FOUND,
+              `${path}.url`,
+              `File not found: '${url}'`,
+              url,
+            ),
+          );
+        }
+      } catch (_) {}
+    }
+  }
+}
+
+/**
+ * Validate the matte of a "matte" transition: a grayscale image or video.
+ */
+function validateMatteTransition(transition, path, errors, options) {
+  const { url, softness, invert } = transition;
+  validateTransitionUrl(url, path, errors, options, {
+    missing: "Matte transitions require a url (grayscale image or video)",
+    allowImages: true,
+  });
+  if (softness != null) {
+    validateFiniteNumber(softness, `${path}.softness`, errors, { min: 0, max: 1 });
+  }
+  if (invert != null && typeof invert !== "boolean") {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        `${path}.invert`,
+        "invert must be a boolean",
+        invert,
+      ),
+    );
+  }
+}
+
+/**
+ * Validate a "stinger" transition: the overlay video and where in it the
+ * clips cut.
+ */
+function validateStingerTransition(transition, path, errors, options) {
+  const { url, cutPoint, duration, volume } = transition;
+  validateTransitionUrl(url, path, errors, options, {
+    missing: "Stinger transitions require a url (video, ideally with alpha)",
+    allowImages: false,
+  });
+  if (cutPoint != null) {
+    const max = typeof duration === "number" && duration > 0 ? duration : null;
+    validateFiniteNumber(cutPoint, `${path}.cutPoint`, errors, { min: 0, max });
+  }
+  if (volume != null) {
+    validateFiniteNumber(volume, `${path}.volume`, errors, { min: 0 });
+  }
+}
+
+/**
+ * Validate transition.type against the built-in and registered transitions,
+ * and transition.params against the params a custom transition declares.
+ */
+function validateTransitionType(transition, path, errors, options) {
+  const { type, params } = transition;
+  if (typeof type !== "string" || !getTransitionNames().includes(type)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        `${path}.type`,
+        `Unknown transition "${type}". Use an FFmpeg xfade transition (e.g. "fade", "wipeleft", "dissolve") or one added with SIMPLEFFMPEG.registerTransition()`,
+        type,
+      ),
+    );
+    return;
+  }
+  if (params != null && (typeof params !== "object" || Array.isArray(params))) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_TYPE,
+        `${path}.params`,
+        "Transition params must be an object",
+        params,
+      ),
+    );
+    return;
+  }
+
+  const custom = getCustomTransition(type);
+  if (!custom) {
+    if (params != null) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.params`,
+          `params are only supported on registered transitions; '${type}' is a built-in transition`,
+          params,
+        ),
+      );
+    }
+    if (isMatteTransition(transition)) {
+      validateMatteTransition(transition, path, errors, options);
+    } else if (isStingerTransition(transition)) {
+      validateStingerTransition(transition, path, errors, options);
+    }
+    return;
+  }
+
+  const values = params || {};
+  for (const [key, value] of Object.entries(values)) {
+    if (!Object.hasOwn(custom.params, key)) {
+      const declared = Object.keys(custom.params);
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.params.${key}`,
+          `'${type}' has no param '${key}'${declared.length > 0 ? `. Available: ${declared.join(", ")}` : ""}`,
+          value,
+        ),
+      );
+      continue;
+    }
+    const problem =
+      value === undefined ? null : checkParamValue(custom.params[key], value);
+    if (problem) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          `${path}.params.${key}`,
+          `${key} ${problem}`,
+          value,
+        ),
+      );
+    }
+  }
+  for (const [key, spec] of Object.entries(custom.params)) {
+    if (spec.default === undefined && values[key] === undefined) {
+      errors.push(
+        createIssue(
+          ValidationCodes.MISSING_REQUIRED,
+          `${path}.params.${key}`,
+          `'${type}' requires the '${key}' param`,
+        ),
+      );
+    }
+  }
+}
+
+/**
+ * Validate clip IDs: optional, but non-empty strings and unique when set.
+ */
+function validateClipIds(clips) {
+  const errors = [];
+  const seen = new Map();
+
+  clips.forEach((clip, i) => {
+    if (!clip || clip.id == null) return;
+    const path = `clips[${i}].id`;
+    if (typeof clip.id !== "string" || clip.id.length === 0) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          path,
+          "Clip id must be a non-empty string",
+          clip.id,
+        ),
+      );
+      return;
+    }
+    if (seen.has(clip.id)) {
+      errors.push(
+        createIssue(
+          ValidationCodes.INVALID_VALUE,
+          path,
+          `Duplicate clip id "${clip.id}" (also used by clips[${seen.get(clip.id)}])`,
+          clip.id,
+        ),
+      );
+      return;
+    }
+    seen.set(clip.id, i);
+  });
+
+  return { errors, warnings: [] };
+}
+
 /**
  * Validate timeline gaps (visual continuity).
  * Uses detectVisualGaps() from gaps.js as the single source of truth
  * for gap detection logic.
  */
-function validateTimelineGaps(clips) {
+function validateTimelineGaps(clips, options = {}) {
   const errors = [];
 
+  const policy = parseGapPolicy(options.gapPolicy);
+  if (!policy) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        "gapPolicy",
+        `Invalid gapPolicy '${options.gapPolicy}'. Expected: ${GAP_POLICIES.join(", ")} or "color:<color>"`,
+        options.gapPolicy,
+      ),
+    );
+    return { errors, warnings: [] };
+  }
+  if (policy.color && !isValidFFmpegColor(policy.color)) {
+    errors.push(
+      createIssue(
+        ValidationCodes.INVALID_VALUE,
+        "gapPolicy",
+        `Invalid gapPolicy color "${policy.color}". Use a named color or hex, e.g. "color:#112233".`,
+        options.gapPolicy,
+      ),
+    );
+    return { errors, warnings: [] };
+  }
+  // Gaps are filled at load time under any other policy
+  if (policy.mode !== "error") {
+    return { errors, warnings: [] };
+  }
+
   // Build clip objects with original indices for error messages
   const indexed = clips.map((c, i) => ({ ...c, _origIndex: i }));
   const gaps = detectVisualGaps(indexed);
@@ -1358,7 +3185,7 @@ function validateTimelineGaps(clips) {
   // Build a sorted visual clip list so we can reference neighbours in messages
   const visual = clips
     .map((c, i) => ({ clip: c, index: i }))
-    .filter(({ clip }) => clip.type === "video" || clip.type === "image" || clip.type === "color")
+    .filter(({ clip }) => isBaseTrackClip(clip))
     .filter(
       ({ clip }) =>
         typeof clip.position === "number" && typeof clip.end === "number",
@@ -1375,7 +3202,7 @@ function validateTimelineGaps(clips) {
           "timeline",
           `Gap at start of visual timeline [0, ${gap.end.toFixed(
             3,
-          )}s]. If intentional, fill it with a { type: "color" } clip. Otherwise, start your first clip at position 0.`,
+          )}s]. If intentional, fill it with a { type: "color" } clip or set gapPolicy. Otherwise, start your first clip at position 0.`,
           { start: gap.start, end: gap.end },
         ),
       );
@@ -1392,7 +3219,7 @@ function validateTimelineGaps(clips) {
           "timeline",
           `Gap in visual timeline [${gap.start.toFixed(3)}s, ${gap.end.toFixed(
             3,
-          )}s] between clips[${prevIdx}] and clips[${nextIdx}]. If intentional, fill it with a { type: "color" } clip. Otherwise, adjust clip positions to remove the gap.`,
+          )}s] between clips[${prevIdx}] and clips[${nextIdx}]. If intentional, fill it with a { type: "color" } clip or set gapPolicy. Otherwise, adjust clip positions to remove the gap.`,
           { start: gap.start, end: gap.end },
         ),
       );
@@ -1409,6 +3236,8 @@ function validateTimelineGaps(clips) {
  * @param {Object} options - Validation options
  * @param {boolean} options.skipFileChecks - Skip file existence checks (useful for AI validation)
  * @param {boolean} options.skipExtensionsCheck - Skip media extension/type checks (video/image)
+ * @param {string} options.gapPolicy - How visual gaps are handled; anything but "error" skips gap errors
+ * @param {number[]} options.clipIndices - Only run per-clip checks on these clips (timeline-wide checks always cover every clip)
  * @returns {Object} Validation result { valid, errors, warnings }
  */
 function validateConfig(clips, options = {}) {
@@ -1442,42 +3271,100 @@ function validateConfig(clips, options = {}) {
   }
 
   // Validate each clip
+  const clipIndices = Array.isArray(options.clipIndices)
+    ? new Set(options.clipIndices)
+    : null;
   for (let i = 0; i < clips.length; i++) {
+    if (clipIndices && !clipIndices.has(i)) continue;
     const { errors, warnings } = validateClip(clips[i], i, options);
     allErrors.push(...errors);
     allWarnings.push(...warnings);
   }
 
+  // Validate clip IDs
+  const idResult = validateClipIds(clips);
+  allErrors.push(...idResult.errors);
+
   // Validate timeline gaps
   const gapResult = validateTimelineGaps(clips, options);
   allErrors.push(...gapResult.errors);
   allWarnings.push(...gapResult.warnings);
 
   // Warn about non-visual clips positioned beyond the visual timeline
-  const visualClips = clips.filter(
-    (c) => c.type === "video" || c.type === "image" || c.type === "color",
-  );
+  const visualClips = clips.filter(isBaseTrackClip);
+  const overlayIndices = clips
+    .map((c, i) => (isOverlayClip(c) ? i : -1))
+    .filter((i) => i >= 0);
+
+  if (visualClips.length === 0 && overlayIndices.length > 0) {
+    allErrors.push(
+      createIssue(
+        ValidationCodes.INVALID_TIMELINE,
+        `clips[${overlayIndices[0]}].track`,
+        "Clips on track >= 1 are layered over the base track, but there are no base-track (track 0) visual clips",
+        clips[overlayIndices[0]].track,
+      ),
+    );
+  }
 
   if (visualClips.length > 0) {
     const visualBaseSum = visualClips.reduce(
       (acc, c) => acc + Math.max(0, (c.end || 0) - (c.position || 0)),
       0,
     );
-    const visualTransitionOverlap = visualClips.reduce((acc, c) => {
-      const d =
-        c.transition && typeof c.transition.duration === "number"
-          ? c.transition.duration
-          : 0;
-      return acc + d;
-    }, 0);
+    const visualTransitionOverlap = visualClips.reduce(
+      (acc, c) => acc + getOverlapDuration(c.transition),
+      0,
+    );
     const visualDuration = Math.max(0, visualBaseSum - visualTransitionOverlap);
 
+    // Keyed overlays must have picture underneath for their whole window:
+    // base-track gaps (even filled ones) and the time after it don't count
+    const baseEnd = Math.max(...visualClips.map((c) => c.end || 0));
+    const uncovered = [
+      ...detectVisualGaps(clips),
+      { start: baseEnd, end: Infinity },
+    ];
+    for (const i of overlayIndices) {
+      const clip = clips[i];
+      if (
+        clip.chromaKey == null ||
+        typeof clip.position !== "number" ||
+        typeof clip.end !== "number"
+      ) {
+        continue;
+      }
+      const hole = uncovered.find(
+        (span) =>
+          span.start < clip.end - 1e-3 && span.end > clip.position + 1e-3,
+      );
+      if (hole) {
+        const from = Math.max(hole.start, clip.position);
+        const to = Math.min(hole.end, clip.end);
+        allErrors.push(
+          createIssue(
+            ValidationCodes.INVALID_TIMELINE,
+            `clips[${i}]`,
+            `Keyed clip runs from ${clip.position}s to ${clip.end}s but no base-track clip covers ${from}s to ${to}s, leaving nothing underneath it`,
+            { position: clip.position, end: clip.end, uncovered: { start: from, end: to } },
+          ),
+        );
+      }
+    }
+
     if (visualDuration > 0) {
-      const nonVisualTypes = ["text", "audio", "subtitle", "music", "backgroundAudio"];
+      const nonVisualTypes = [
+        "text",
+        "audio",
+        "audioGenerator",
+        "subtitle",
+        "music",
+        "backgroundAudio",
+      ];
       for (let i = 0; i < clips.length; i++) {
         const clip = clips[i];
         if (
-          nonVisualTypes.includes(clip.type) &&
+          (nonVisualTypes.includes(clip.type) || isOverlayClip(clip)) &&
           typeof clip.position === "number" &&
           clip.position >= visualDuration
         ) {
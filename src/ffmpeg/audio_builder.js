@@ -1,11 +1,89 @@
+const {
+  hasSpeedRamp,
+  hasTimeRemap,
+  resolveClipTiming,
+  buildAtempoChain,
+  getAudioSpeedPieces,
+} = require("../core/speed");
+const { buildKeyframeExpr } = require("../core/keyframes");
+const { getVolumeKeys, getClipAudioFades } = require("../core/audio_envelope");
+
+function formatNumber(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+/**
+ * afade filters fading audio of a known length in and out.
+ *
+ * @param {Object} fades - { fadeIn, fadeOut }, each { duration, curve } or null
+ * @param {number} audioDuration - Length of the audio
+ * @returns {string} Filters, each followed by ","
+ */
+function buildFadeFilters(fades, audioDuration) {
+  let filter = "";
+  if (!(audioDuration > 0)) {
+    return filter;
+  }
+  if (fades.fadeIn) {
+    const d = Math.min(fades.fadeIn.duration, audioDuration);
+    filter += `afade=t=in:st=0:d=${formatNumber(d)}:curve=${fades.fadeIn.curve},`;
+  }
+  if (fades.fadeOut) {
+    const d = Math.min(fades.fadeOut.duration, audioDuration);
+    filter += `afade=t=out:st=${formatNumber(audioDuration - d)}:d=${formatNumber(d)}:curve=${fades.fadeOut.curve},`;
+  }
+  return filter;
+}
+
+/**
+ * Trim and fade a clip's processed audio to its audio edit (see
+ * core/audio_transitions.js). Runs on clip time, after speed and fill.
+ *
+ * @param {Object} edit - { startShift, endShift, fadeIn, fadeOut }
+ * @param {number} audioDuration - Length of the edited audio
+ * @returns {string} Filters, each followed by ","
+ */
+function buildAudioEdgeFilters(edit, audioDuration) {
+  let filter = "";
+  const headCut = Math.max(0, edit.startShift);
+  if (headCut > 0 || edit.endShift < 0) {
+    filter += `atrim=start=${formatNumber(headCut)}:duration=${formatNumber(audioDuration)},asetpts=PTS-STARTPTS,`;
+  }
+  return filter + buildFadeFilters(edit, audioDuration);
+}
+
+/**
+ * Build the audio graph for a speed-ramped clip: the trimmed source is split
+ * into constant-tempo pieces, each time-stretched with atempo, then joined.
+ *
+ * @param {Object} clip - Video clip with a speedRamp
+ * @param {string} head - Filter chain producing the trimmed source (no output label)
+ * @param {number} key - Unique suffix for intermediate labels
+ * @param {number} contentDuration - Timeline duration of the played source
+ * @param {string} tail - Filter chain (with output label) applied after joining
+ */
+function buildRampedAudio(clip, head, key, contentDuration, tail) {
+  const pieces = getAudioSpeedPieces(clip, contentDuration);
+  const splitLabels = pieces.map((_, i) => `[vas${key}_${i}]`);
+  const pieceLabels = pieces.map((_, i) => `[vap${key}_${i}]`);
+
+  let filter = `${head},asplit=${pieces.length}${splitLabels.join("")};`;
+  pieces.forEach((piece, i) => {
+    filter += `${splitLabels[i]}atrim=start=${piece.sourceStart}:end=${piece.sourceEnd},asetpts=PTS-STARTPTS,${buildAtempoChain(piece.speed)}${pieceLabels[i]};`;
+  });
+  filter += `${pieceLabels.join("")}concat=n=${pieces.length}:v=0:a=1,${tail}`;
+  return filter;
+}
+
 /**
  * Build audio filter chain for video clips.
  *
  * @param {Object} project - The SIMPLEFFMPEG project instance
  * @param {Array} videoClips - Array of video clip objects
  * @param {Map} [transitionOffsets] - Map of clip -> cumulative transition offset in seconds
+ * @param {Map} [audioEdits] - Map of clip -> audio edit at its base-track boundaries
  */
-function buildAudioForVideoClips(project, videoClips, transitionOffsets) {
+function buildAudioForVideoClips(project, videoClips, transitionOffsets, audioEdits) {
   let audioFilter = "";
   const labels = [];
 
@@ -14,21 +92,60 @@ function buildAudioForVideoClips(project, videoClips, transitionOffsets) {
     const inputIndex = project._inputIndexMap
       ? project._inputIndexMap.get(clip)
       : project.videoOrAudioClips.indexOf(clip);
-    const requestedDuration = Math.max(
-      0,
-      (clip.end || 0) - (clip.position || 0),
-    );
-    const maxAvailable =
-      typeof clip.mediaDuration === "number" && typeof clip.cutFrom === "number"
-        ? Math.max(0, clip.mediaDuration - clip.cutFrom)
-        : requestedDuration;
-    const clipDuration = Math.max(0, Math.min(requestedDuration, maxAvailable));
+    // Trim by source duration so speed / speedRamp consume the right amount
+    const { duration: clipDuration, sourceDuration, contentDuration, inputLoops } =
+      resolveClipTiming(clip);
 
     const offset = transitionOffsets ? (transitionOffsets.get(clip) || 0) : 0;
-    const adelayMs = Math.round(Math.max(0, (clip.position || 0) - offset) * 1000);
+    const edit = audioEdits ? audioEdits.get(clip) : null;
+    // Audio reaching past the picture plays extra source on either side
+    const lead = edit ? Math.max(0, -edit.startShift) : 0;
+    const tail = edit ? Math.max(0, edit.endShift) : 0;
+    const adelayMs = Math.round(
+      Math.max(0, (clip.position || 0) - offset + (edit ? edit.startShift : 0)) * 1000,
+    );
     const vol = clip.volume != null ? clip.volume : 1;
+    const volumeKeys = getVolumeKeys(clip);
     const out = `[va${inputIndex}]`;
-    audioFilter += `[${inputIndex}:a]volume=${vol},atrim=start=${clip.cutFrom}:duration=${clipDuration},asetpts=PTS-STARTPTS,adelay=${adelayMs}|${adelayMs}${out};`;
+    // Keyframed volume or an envelope replaces the static volume and runs
+    // on timeline time
+    const staticVolume = volumeKeys ? "" : `volume=${vol},`;
+    const sourceStart = lead > 0 ? formatNumber(clip.cutFrom - lead) : clip.cutFrom;
+    const sourceLength =
+      lead + tail > 0 ? formatNumber(sourceDuration + lead + tail) : sourceDuration;
+    // fill: "loop" repeats the audio with the picture from the looped
+    // input, dropping the part before cutFrom on every pass; "freeze"
+    // leaves silence
+    const trim =
+      inputLoops > 0 && clip.cutFrom > 0
+        ? `asetpts=PTS-STARTPTS,aselect='gte(mod(t,${formatNumber(clip.mediaDuration)}),${clip.cutFrom})',asetpts=N/SR/TB,atrim=duration=${sourceLength}`
+        : `atrim=start=${sourceStart}:duration=${sourceLength}`;
+    let head = `[${inputIndex}:a]${staticVolume}${trim},asetpts=PTS-STARTPTS`;
+    if (clip.reverse === true) {
+      head += ",areverse";
+    }
+    const startShift = edit ? edit.startShift : 0;
+    const audioDuration = edit
+      ? clipDuration - edit.startShift + edit.endShift
+      : clipDuration;
+    const edges = edit ? buildAudioEdgeFilters(edit, audioDuration) : "";
+    // After the edges, t = 0 is startShift seconds into the clip
+    const clipTime =
+      startShift !== 0
+        ? `(t${startShift > 0 ? "+" : ""}${formatNumber(startShift)})`
+        : "t";
+    const envelope = volumeKeys
+      ? `volume='${buildKeyframeExpr(volumeKeys, clipTime)}':eval=frame,`
+      : "";
+    const fades = buildFadeFilters(getClipAudioFades(clip), audioDuration);
+    const end = `${edges}${envelope}${fades}adelay=${adelayMs}|${adelayMs}${out};`;
+    if (hasSpeedRamp(clip)) {
+      audioFilter += buildRampedAudio(clip, head, inputIndex, contentDuration, end);
+    } else if (hasTimeRemap(clip)) {
+      audioFilter += `${head},${buildAtempoChain(clip.speed)},${end}`;
+    } else {
+      audioFilter += `${head},${end}`;
+    }
     labels.push(out);
   });
 
@@ -42,4 +159,4 @@ function buildAudioForVideoClips(project, videoClips, transitionOffsets) {
   return { filter: audioFilter, finalAudioLabel: "[outa]", hasAudio: true };
 }
 
-module.exports = { buildAudioForVideoClips };
+module.exports = { buildAudioForVideoClips, buildFadeFilters };
@@ -1,8 +1,25 @@
+const { buildKeyframeExpr } = require("../core/keyframes");
+const { getVolumeKeys, getClipAudioFades } = require("../core/audio_envelope");
+const { buildFadeFilters } = require("./audio_builder");
+
+/**
+ * Build the background music mix on top of the existing audio.
+ *
+ * @param {Object} project - The SIMPLEFFMPEG project instance
+ * @param {Array} backgroundClips - music / backgroundAudio clips
+ * @param {string|null} existingAudioLabel - Audio to mix under, if any
+ * @param {number} [visualEnd] - Output length of the visual timeline
+ * @param {Object} [options]
+ * @param {boolean} [options.compensateTransitions] - Whether envelope times follow transition overlap
+ * @param {Array} [options.videoClips] - Video clips (needed for transition offset calculation)
+ * @returns {{ filter: string, finalAudioLabel: string|null, hasAudio: boolean }}
+ */
 function buildBackgroundMusicMix(
   project,
   backgroundClips,
   existingAudioLabel,
   visualEnd,
+  { compensateTransitions = false, videoClips = [] } = {},
 ) {
   if (backgroundClips.length === 0) {
     return {
@@ -47,7 +64,30 @@ function buildBackgroundMusicMix(
     const adelay = effectivePosition * 1000;
     const trimEnd = effectiveCutFrom + (effectiveEnd - effectivePosition);
     const outLabel = `[bg${i}]`;
-    filter += `[${inputIndex}:a]volume=${effectiveVolume},atrim=start=${effectiveCutFrom}:end=${trimEnd},asetpts=PTS-STARTPTS,adelay=${adelay}|${adelay}${outLabel};`;
+    // The music keeps its position, but envelope points move with the
+    // timeline like the clips they are timed against
+    const mapTime =
+      compensateTransitions && videoClips.length > 1
+        ? (time) =>
+            project._adjustTimestampForTransitions(
+              videoClips,
+              effectivePosition + time,
+            ) - effectivePosition
+        : null;
+    const volumeKeys = getVolumeKeys(clip, mapTime);
+    const volume = volumeKeys
+      ? `volume='${buildKeyframeExpr(volumeKeys, "t")}':eval=frame`
+      : `volume=${effectiveVolume}`;
+    // Fade out where the music is cut off, which may be the end of the video
+    const fades = buildFadeFilters(
+      getClipAudioFades(clip),
+      Math.min(effectiveEnd, projectDuration) - effectivePosition,
+    );
+    if (volumeKeys) {
+      filter += `[${inputIndex}:a]atrim=start=${effectiveCutFrom}:end=${trimEnd},asetpts=PTS-STARTPTS,${volume},${fades}adelay=${adelay}|${adelay}${outLabel};`;
+    } else {
+      filter += `[${inputIndex}:a]${volume},atrim=start=${effectiveCutFrom}:end=${trimEnd},asetpts=PTS-STARTPTS,${fades}adelay=${adelay}|${adelay}${outLabel};`;
+    }
     bgLabels.push(outLabel);
   });
 
@@ -0,0 +1,85 @@
+const C = require("../core/constants");
+
+const HEX_COLOR_RE = /^(?:#|0x)([0-9a-f]{6})(?:[0-9a-f]{2})?$/i;
+
+function formatNumber(value) {
+  return Number(value.toFixed(4)).toString();
+}
+
+function getChromaKey(clip) {
+  return clip && clip.chromaKey && typeof clip.chromaKey === "object"
+    ? clip.chromaKey
+    : null;
+}
+
+/**
+ * @param {Object} clip
+ * @returns {boolean} True when the clip has a chroma key
+ */
+function hasChromaKey(clip) {
+  return getChromaKey(clip) !== null;
+}
+
+/**
+ * The key color of a clip (default: pure green).
+ * @param {Object} clip
+ * @returns {string}
+ */
+function getKeyColor(clip) {
+  const key = getChromaKey(clip);
+  return (key && key.color) || C.DEFAULT_CHROMA_KEY_COLOR;
+}
+
+/**
+ * Pick the despill channel for a key color: "blue" when blue dominates
+ * green, otherwise "green".
+ * @param {string} color
+ * @returns {"green"|"blue"}
+ */
+function getDespillType(color) {
+  const match = String(color).match(HEX_COLOR_RE);
+  if (match) {
+    const g = parseInt(match[1].slice(2, 4), 16);
+    const b = parseInt(match[1].slice(4, 6), 16);
+    return b > g ? "blue" : "green";
+  }
+  return /blue/i.test(String(color)) ? "blue" : "green";
+}
+
+/**
+ * Build the keying chain for a clip: chromakey (YUV) or colorkey (RGB),
+ * followed by despill when `spill` > 0.
+ *
+ * @param {Object} clip
+ * @returns {string} Filter chain without leading comma (e.g. "chromakey=...") or ""
+ */
+function buildChromaKeyFilter(clip) {
+  const key = getChromaKey(clip);
+  if (!key) return "";
+
+  const color = getKeyColor(clip);
+  const similarity =
+    typeof key.similarity === "number"
+      ? key.similarity
+      : C.DEFAULT_CHROMA_KEY_SIMILARITY;
+  const blend =
+    typeof key.blend === "number" ? key.blend : C.DEFAULT_CHROMA_KEY_BLEND;
+  const keyer = key.mode === "colorkey" ? "colorkey" : "chromakey";
+
+  const filters = [
+    `${keyer}=color=${color}:similarity=${formatNumber(similarity)}:blend=${formatNumber(blend)}`,
+  ];
+  if (typeof key.spill === "number" && key.spill > 0) {
+    filters.push(
+      `despill=type=${getDespillType(color)}:mix=${formatNumber(key.spill)}`,
+    );
+  }
+  return filters.join(",");
+}
+
+module.exports = {
+  hasChromaKey,
+  getKeyColor,
+  getDespillType,
+  buildChromaKeyFilter,
+};
@@ -1,3 +1,5 @@
+const { getKeyframes, buildKeyframeExpr } = require("../core/keyframes");
+
 function formatNumber(value, decimals = 6) {
   return Number(value.toFixed(decimals)).toString();
 }
@@ -6,6 +8,20 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
+/**
+ * A param value for an FFmpeg option: the static number, or a quoted
+ * per-frame expression over `t` when the param has keyframes (keyframe
+ * times are relative to the effect start).
+ */
+function paramValue(effectClip, name, staticValue, decimals) {
+  const keys = getKeyframes(effectClip, name);
+  if (!keys) {
+    return formatNumber(staticValue, decimals);
+  }
+  const start = formatNumber(effectClip.position || 0, 4);
+  return `'${buildKeyframeExpr(keys, `(t-${start})`, decimals)}'`;
+}
+
 function buildProcessedEffectFilter(effectClip, inputLabel, outputLabel) {
   const params = effectClip.params || {};
   const amount = clamp(
@@ -18,7 +34,7 @@ function buildProcessedEffectFilter(effectClip, inputLabel, outputLabel) {
     const angle =
       typeof params.angle === "number" ? params.angle : Math.PI / 5;
     return {
-      filter: `${inputLabel}vignette=angle=${formatNumber(angle)}:eval=frame${outputLabel};`,
+      filter: `${inputLabel}vignette=angle=${paramValue(effectClip, "angle", angle, 6)}:eval=frame${outputLabel};`,
       amount,
     };
   }
@@ -64,14 +80,18 @@ function buildProcessedEffectFilter(effectClip, inputLabel, outputLabel) {
     const saturation =
       typeof params.saturation === "number" ? params.saturation : 1;
     const gamma = typeof params.gamma === "number" ? params.gamma : 1;
+    const animated = ["brightness", "contrast", "saturation", "gamma"].some(
+      (name) => getKeyframes(effectClip, name),
+    );
 
     return {
       filter:
         `${inputLabel}eq=` +
-        `brightness=${formatNumber(brightness, 4)}:` +
-        `contrast=${formatNumber(contrast, 4)}:` +
-        `saturation=${formatNumber(saturation, 4)}:` +
-        `gamma=${formatNumber(gamma, 4)}` +
+        `brightness=${paramValue(effectClip, "brightness", brightness, 4)}:` +
+        `contrast=${paramValue(effectClip, "contrast", contrast, 4)}:` +
+        `saturation=${paramValue(effectClip, "saturation", saturation, 4)}:` +
+        `gamma=${paramValue(effectClip, "gamma", gamma, 4)}` +
+        `${animated ? ":eval=frame" : ""}` +
         `${outputLabel};`,
       amount,
     };
@@ -225,7 +245,11 @@ function buildEffectFilters(effectClips, inputLabel) {
     const fadeOut = Math.max(0, clip.fadeOut || 0);
     const fadeOutStart = Math.max(clip.position || 0, (clip.end || 0) - fadeOut);
 
-    let alphaChain = `format=rgba,colorchannelmixer=aa=${formatNumber(amount, 4)}`;
+    // Keyframed amount is applied per frame with geq (T = output time)
+    const amountKeys = getKeyframes(clip, "amount");
+    let alphaChain = amountKeys
+      ? `format=rgba,geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*(${buildKeyframeExpr(amountKeys, `(T-${start})`)})'`
+      : `format=rgba,colorchannelmixer=aa=${formatNumber(amount, 4)}`;
     if (fadeIn > 0) {
       alphaChain += `,fade=t=in:st=${start}:d=${formatNumber(fadeIn, 4)}:alpha=1`;
     }
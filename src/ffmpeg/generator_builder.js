@@ -0,0 +1,108 @@
+const C = require("../core/constants");
+const {
+  DEFAULT_SINE_FREQUENCY,
+  DEFAULT_NOISE_AMPLITUDE,
+  DEFAULT_NOISE_STRENGTH,
+  DEFAULT_CELLAUTO_RULE,
+  DEFAULT_CELL_SIZE,
+} = require("../core/generators");
+const { formatFrameRate } = require("../core/frame_rate");
+
+function formatNumber(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+/**
+ * Grid size for cellular automata: one cell per `cellSize` pixels.
+ */
+function getCellGrid(clip, width, height) {
+  const cellSize =
+    typeof clip.cellSize === "number" && clip.cellSize >= 1
+      ? clip.cellSize
+      : DEFAULT_CELL_SIZE;
+  return {
+    cols: Math.max(1, Math.ceil(width / cellSize)),
+    rows: Math.max(1, Math.ceil(height / cellSize)),
+  };
+}
+
+/**
+ * Build the lavfi source chain for a visual generator clip, producing
+ * `width`x`height` frames at `fps` for `duration` seconds (no labels).
+ *
+ * @param {Object} clip - generator clip
+ * @param {Object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number|string} opts.fps - Frame rate (see core/frame_rate.js)
+ * @param {number} opts.duration - Seconds
+ * @returns {string}
+ */
+function buildVideoGeneratorSource(clip, { width, height, fps, duration }) {
+  const size = `${width}x${height}`;
+  const rate = formatFrameRate(fps);
+  const d = formatNumber(duration);
+  const seed = typeof clip.seed === "number" ? clip.seed : null;
+
+  switch (clip.generator) {
+    case "smptebars":
+    case "testsrc2":
+      return `${clip.generator}=s=${size}:r=${rate}:d=${d},format=yuv420p`;
+    case "noise": {
+      const strength =
+        typeof clip.strength === "number" ? clip.strength : DEFAULT_NOISE_STRENGTH;
+      const base = clip.color || "gray";
+      const seedOpt = seed != null ? `:all_seed=${seed}` : "";
+      return `color=c=${base}:s=${size}:r=${rate}:d=${d},format=yuv420p,noise=alls=${strength}:allf=t+u${seedOpt}`;
+    }
+    case "cellauto": {
+      // Automata run on a coarse grid and are scaled up with hard edges
+      const { cols, rows } = getCellGrid(clip, width, height);
+      const rule = typeof clip.rule === "number" ? clip.rule : DEFAULT_CELLAUTO_RULE;
+      const seedOpt = seed != null ? `:random_seed=${seed}` : "";
+      return `cellauto=s=${cols}x${rows}:r=${rate}:rule=${rule}:scroll=1${seedOpt},trim=duration=${d},scale=${width}:${height}:flags=neighbor,format=yuv420p`;
+    }
+    case "life": {
+      const { cols, rows } = getCellGrid(clip, width, height);
+      const seedOpt = seed != null ? `:random_seed=${seed}` : "";
+      const colorOpt = clip.color ? `:life_color=${clip.color}` : "";
+      return `life=s=${cols}x${rows}:r=${rate}${seedOpt}${colorOpt},trim=duration=${d},scale=${width}:${height}:flags=neighbor,format=yuv420p`;
+    }
+    case "mandelbrot":
+      return `mandelbrot=s=${size}:r=${rate},trim=duration=${d},format=yuv420p`;
+    default:
+      throw new Error(`Unknown generator "${clip.generator}"`);
+  }
+}
+
+/**
+ * Build the lavfi source for an audio generator clip: `duration` seconds of
+ * stereo audio at the output sample rate (no labels).
+ *
+ * @param {Object} clip - audioGenerator clip
+ * @param {number} duration - Seconds
+ * @returns {string}
+ */
+function buildAudioGeneratorSource(clip, duration) {
+  const rate = C.AUDIO_SAMPLE_RATE;
+  const d = formatNumber(duration);
+  let source;
+  if (clip.generator === "sine") {
+    const frequency =
+      typeof clip.frequency === "number" ? clip.frequency : DEFAULT_SINE_FREQUENCY;
+    source = `sine=frequency=${frequency}:sample_rate=${rate}:duration=${d}`;
+  } else if (clip.generator === "anoisesrc") {
+    const amplitude =
+      typeof clip.amplitude === "number" ? clip.amplitude : DEFAULT_NOISE_AMPLITUDE;
+    const seedOpt = typeof clip.seed === "number" ? `:seed=${clip.seed}` : "";
+    source = `anoisesrc=color=${clip.noiseColor || "white"}:amplitude=${amplitude}:sample_rate=${rate}:duration=${d}${seedOpt}`;
+  } else {
+    throw new Error(`Unknown audio generator "${clip.generator}"`);
+  }
+  return `${source},aformat=channel_layouts=stereo`;
+}
+
+module.exports = {
+  buildVideoGeneratorSource,
+  buildAudioGeneratorSource,
+};
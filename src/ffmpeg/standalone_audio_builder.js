@@ -1,5 +1,11 @@
+const { buildKeyframeExpr } = require("../core/keyframes");
+const { getVolumeKeys, getClipAudioFades } = require("../core/audio_envelope");
+const { buildAudioGeneratorSource } = require("./generator_builder");
+const { buildFadeFilters } = require("./audio_builder");
+
 /**
- * Build audio filter chain for standalone audio clips (sound effects, voiceovers, etc.).
+ * Build audio filter chain for standalone audio clips (sound effects, voiceovers, etc.)
+ * and audio generator clips (tones, noise beds).
  *
  * @param {Object} project - The SIMPLEFFMPEG project instance
  * @param {Array} audioClips - Array of standalone audio clip objects
@@ -20,8 +26,9 @@ function buildStandaloneAudioMix(
   }
 
   // Compensate audio timings for transition overlap if enabled
+  const compensate = compensateTransitions && videoClips.length > 1;
   let adjustedClips = audioClips;
-  if (compensateTransitions && videoClips.length > 1) {
+  if (compensate) {
     adjustedClips = audioClips.map((clip) => {
       const adjustedPosition = project._adjustTimestampForTransitions(
         videoClips,
@@ -42,17 +49,52 @@ function buildStandaloneAudioMix(
     // Use the original clip for input index lookup since
     // _inputIndexMap keys are the original clip objects.
     const originalClip = audioClips[idx];
-    const inputIndex = project._inputIndexMap
-      ? project._inputIndexMap.get(originalClip)
-      : project.videoOrAudioClips.indexOf(originalClip);
+    const isGenerator = clip.type === "audioGenerator";
+    let source;
+    let label;
+    if (isGenerator) {
+      // Generators have no input stream; their lavfi source starts the chain
+      source = `${buildAudioGeneratorSource(clip, clip.end - clip.position)},`;
+      label = `[ag${idx}]`;
+    } else {
+      const inputIndex = project._inputIndexMap
+        ? project._inputIndexMap.get(originalClip)
+        : project.videoOrAudioClips.indexOf(originalClip);
+      source = `[${inputIndex}:a]`;
+      label = `[a${inputIndex}]`;
+    }
 
     const adelay = Math.round(Math.max(0, (clip.position || 0) * 1000));
-    const label = `[a${inputIndex}]`;
-    filter += `[${inputIndex}:a]volume=${clip.volume},atrim=start=${
-      clip.cutFrom
-    }:end=${
-      clip.cutFrom + (clip.end - clip.position)
-    },adelay=${adelay}|${adelay},asetpts=PTS-STARTPTS${label};`;
+    // A generator's source already lasts exactly the clip
+    const trim = isGenerator
+      ? ""
+      : `atrim=start=${clip.cutFrom}:end=${
+        clip.cutFrom + (clip.end - clip.position)
+      },`;
+    // Envelope points move with the timeline, like the clip's position and end
+    const mapTime = compensate
+      ? (time) =>
+          project._adjustTimestampForTransitions(
+            videoClips,
+            (originalClip.position || 0) + time,
+          ) - (clip.position || 0)
+      : null;
+    const volumeKeys = getVolumeKeys(clip, mapTime);
+    const fades = buildFadeFilters(
+      getClipAudioFades(clip),
+      clip.end - clip.position,
+    );
+    if (volumeKeys) {
+      // Keyframe times are relative to the clip start, so reset timestamps first
+      filter += `${source}${trim}asetpts=PTS-STARTPTS,volume='${buildKeyframeExpr(
+        volumeKeys,
+        "t",
+      )}':eval=frame,${fades}adelay=${adelay}|${adelay},asetpts=PTS-STARTPTS${label};`;
+    } else if (fades) {
+      filter += `${source}volume=${clip.volume},${trim}asetpts=PTS-STARTPTS,${fades}adelay=${adelay}|${adelay},asetpts=PTS-STARTPTS${label};`;
+    } else {
+      filter += `${source}volume=${clip.volume},${trim}adelay=${adelay}|${adelay},asetpts=PTS-STARTPTS${label};`;
+    }
     labels.push(label);
   });
 
@@ -0,0 +1,248 @@
+const { resolveLength, getTrack } = require("../core/tracks");
+const {
+  VISUAL_KEYFRAME_PROPERTIES,
+  getKeyframes,
+  resolveKeyframeValues,
+  buildKeyframeExpr,
+} = require("../core/keyframes");
+const { formatFrameRate, frameTimeBase } = require("../core/frame_rate");
+
+const PERCENT_RE = /^(\d+(?:\.\d+)?)%$/;
+
+/**
+ * Filters that turn a source stored with EXIF orientation 2-8 upright.
+ * Rotated video is mapped to the same orientations (see core/rotation.js).
+ */
+const ORIENTATION_FILTERS = {
+  2: ["hflip"],
+  3: ["hflip", "vflip"],
+  4: ["vflip"],
+  5: ["transpose=0"],
+  6: ["transpose=1"],
+  7: ["transpose=3"],
+  8: ["transpose=2"],
+};
+
+function formatNumber(value, decimals = 6) {
+  return Number(value.toFixed(decimals)).toString();
+}
+
+function getTransform(clip) {
+  return clip && clip.transform && typeof clip.transform === "object"
+    ? clip.transform
+    : null;
+}
+
+/**
+ * Convert a crop length (pixels or "N%") into an FFmpeg expression
+ * relative to the input dimension variable (iw / ih).
+ */
+function lengthExpr(value, dimVar) {
+  if (typeof value === "string") {
+    const match = value.match(PERCENT_RE);
+    if (match) {
+      return `${dimVar}*${formatNumber(parseFloat(match[1]) / 100)}`;
+    }
+  }
+  return `${value}`;
+}
+
+/**
+ * Build source-level transform filters (crop, flip) that run before the
+ * clip is fitted to the canvas. Sources with an EXIF orientation or a
+ * rotated display matrix are turned upright first, so crop and flip apply
+ * to the displayed picture.
+ *
+ * @param {Object} clip
+ * @returns {string} Comma-prefixed filter chain (e.g. ",crop=...,hflip") or ""
+ */
+function buildSourceTransformFilters(clip) {
+  const filters = [...(ORIENTATION_FILTERS[clip && clip._orientation] || [])];
+  const t = getTransform(clip);
+  if (!t) return filters.length > 0 ? `,${filters.join(",")}` : "";
+
+  if (t.crop && typeof t.crop === "object") {
+    const parts = [];
+    if (t.crop.width != null) parts.push(`w=${lengthExpr(t.crop.width, "iw")}`);
+    if (t.crop.height != null) parts.push(`h=${lengthExpr(t.crop.height, "ih")}`);
+    if (t.crop.x != null) parts.push(`x=${lengthExpr(t.crop.x, "iw")}`);
+    if (t.crop.y != null) parts.push(`y=${lengthExpr(t.crop.y, "ih")}`);
+    if (parts.length > 0) {
+      filters.push(`crop=${parts.join(":")}`);
+    }
+  }
+  if (t.flipH === true) filters.push("hflip");
+  if (t.flipV === true) filters.push("vflip");
+
+  return filters.length > 0 ? `,${filters.join(",")}` : "";
+}
+
+/**
+ * Source dimensions after `transform.crop`, when they can be computed.
+ *
+ * @param {Object} clip
+ * @param {number} [sourceWidth]
+ * @param {number} [sourceHeight]
+ * @returns {{ width: number|undefined, height: number|undefined }}
+ */
+function getTransformedSourceSize(clip, sourceWidth, sourceHeight) {
+  const t = getTransform(clip);
+  const hasDims =
+    typeof sourceWidth === "number" &&
+    typeof sourceHeight === "number" &&
+    sourceWidth > 0 &&
+    sourceHeight > 0;
+  if (!t || !t.crop || !hasDims) {
+    return { width: sourceWidth, height: sourceHeight };
+  }
+  return {
+    width: Math.round(resolveLength(t.crop.width, sourceWidth, sourceWidth)),
+    height: Math.round(resolveLength(t.crop.height, sourceHeight, sourceHeight)),
+  };
+}
+
+/**
+ * Whether a clip needs a placement pass (scale / rotate / reposition /
+ * opacity inside the canvas) after it has been fitted.
+ * @param {Object} clip
+ * @returns {boolean}
+ */
+function needsPlacement(clip) {
+  if (VISUAL_KEYFRAME_PROPERTIES.some((prop) => getKeyframes(clip, prop))) {
+    return true;
+  }
+  const t = getTransform(clip);
+  if (!t) return false;
+  const scaled = typeof t.scale === "number" && t.scale !== 1;
+  const rotated = typeof t.rotate === "number" && t.rotate % 360 !== 0;
+  return scaled || rotated || t.x != null || t.y != null;
+}
+
+function toEven(value) {
+  const rounded = Math.max(2, Math.ceil(value));
+  return rounded % 2 === 0 ? rounded : rounded + 1;
+}
+
+/**
+ * Scale, rotate and position a fitted clip stream on a background the size
+ * of the canvas.
+ *
+ * `transform.x` / `transform.y` place the clip's center (pixels or "N%" of
+ * the canvas, default: centered). `keyframes` for x, y, scale, rotation and
+ * opacity override the matching static values and are evaluated per frame.
+ * Layered clips (track >= 1) are placed on a transparent background unless
+ * `transform.backgroundColor` is set, so the tracks below show through.
+ * On the base track the background is opaque, so keyframed opacity fades
+ * the clip against black (or `transform.backgroundColor`).
+ *
+ * @param {Object} clip
+ * @param {string} inputLabel - Fitted stream label
+ * @param {string} outLabel - Output label
+ * @param {Object} opts
+ * @param {number} opts.width - Canvas width
+ * @param {number} opts.height - Canvas height
+ * @param {number|string} opts.fps
+ * @param {number} opts.duration - Stream duration in seconds
+ * @param {string|number} opts.key - Suffix for intermediate labels
+ * @returns {string}
+ */
+function buildPlacementFilter(clip, inputLabel, outLabel, opts) {
+  const { width, height, fps, duration, key } = opts;
+  const t = getTransform(clip) || {};
+  const scaleKeys = getKeyframes(clip, "scale");
+  const rotationKeys = getKeyframes(clip, "rotation");
+  const opacityKeys = getKeyframes(clip, "opacity");
+  const xKeys = getKeyframes(clip, "x");
+  const yKeys = getKeyframes(clip, "y");
+  const scale = !scaleKeys && typeof t.scale === "number" ? t.scale : 1;
+  const rotate = !rotationKeys && typeof t.rotate === "number" ? t.rotate : 0;
+  const transparent = getTrack(clip) > 0 && !t.backgroundColor;
+  const background = t.backgroundColor || (transparent ? "black@0" : "black");
+
+  const fgLabel = `[tffg${key}]`;
+  const bgLabel = `[tfbg${key}]`;
+
+  // Foreground size after each stage, for centering animated scales
+  let fgWidth = width * scale;
+  let fgHeight = height * scale;
+
+  let filter = "";
+  let source = inputLabel;
+  const chain = [];
+  if (opacityKeys) {
+    // Blend the clip with itself: the color planes are copied (normal mode)
+    // and only the alpha plane runs the per-pixel expression
+    const alpha = buildKeyframeExpr(opacityKeys, "T");
+    const topLabel = `[tfop${key}a]`;
+    const bottomLabel = `[tfop${key}b]`;
+    filter += `${inputLabel}format=yuva420p,split${topLabel}${bottomLabel};`;
+    source = `${topLabel}${bottomLabel}`;
+    chain.push(`blend=c3_expr='A*(${alpha})'`);
+  }
+  if (scale !== 1) {
+    const s = formatNumber(scale, 4);
+    chain.push(`scale=trunc(iw*${s}/2)*2:trunc(ih*${s}/2)*2`);
+  }
+  if (rotationKeys) {
+    // Square output that fits the clip at any angle
+    const side = toEven(Math.hypot(fgWidth, fgHeight));
+    const angle = buildKeyframeExpr(rotationKeys, "t");
+    if (!opacityKeys) chain.push("format=rgba");
+    chain.push(`rotate=a='(${angle})*PI/180':ow=${side}:oh=${side}:c=none`);
+    fgWidth = side;
+    fgHeight = side;
+  } else if (rotate % 360 !== 0) {
+    const rad = formatNumber((rotate * Math.PI) / 180, 6);
+    if (!opacityKeys) chain.push("format=rgba");
+    chain.push(`rotate=${rad}:ow='rotw(${rad})':oh='roth(${rad})':c=none`);
+    const a = (rotate * Math.PI) / 180;
+    const w = fgWidth;
+    fgWidth = Math.abs(w * Math.cos(a)) + Math.abs(fgHeight * Math.sin(a));
+    fgHeight = Math.abs(w * Math.sin(a)) + Math.abs(fgHeight * Math.cos(a));
+  }
+
+  let halfWidth = "w/2";
+  let halfHeight = "h/2";
+  if (scaleKeys) {
+    const s = buildKeyframeExpr(scaleKeys, "t");
+    chain.push(
+      `scale=w='max(2,trunc(iw*(${s})/2)*2)':h='max(2,trunc(ih*(${s})/2)*2)':eval=frame`,
+    );
+    // overlay's w/h are fixed at init, so compute the animated size here
+    halfWidth = `${formatNumber(fgWidth / 2, 3)}*(${s})`;
+    halfHeight = `${formatNumber(fgHeight / 2, 3)}*(${s})`;
+  }
+
+  const cx = xKeys
+    ? buildKeyframeExpr(resolveKeyframeValues(xKeys, width), "t", 3)
+    : formatNumber(resolveLength(t.x, width, width / 2), 3);
+  const cy = yKeys
+    ? buildKeyframeExpr(resolveKeyframeValues(yKeys, height), "t", 3)
+    : formatNumber(resolveLength(t.y, height, height / 2), 3);
+  const animated = xKeys || yKeys || scaleKeys;
+  const xExpr = animated ? `'${cx}-${halfWidth}'` : `${cx}-${halfWidth}`;
+  const yExpr = animated ? `'${cy}-${halfHeight}'` : `${cy}-${halfHeight}`;
+
+  filter += `${source}${chain.length > 0 ? chain.join(",") : "null"}${fgLabel};`;
+  filter += `color=c=${background}:s=${width}x${height}:d=${formatNumber(duration)}${transparent ? ",format=rgba" : ""},fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}${bgLabel};`;
+  filter += `${bgLabel}${fgLabel}overlay=x=${xExpr}:y=${yExpr}${transparent ? ":format=rgb" : ""},setsar=1:1,settb=${frameTimeBase(fps)}${outLabel};`;
+  return filter;
+}
+
+/**
+ * Extra pad options for contain-fit letterboxing (e.g. ":color=white").
+ * @param {Object} clip
+ * @returns {string}
+ */
+function getPadColorOption(clip) {
+  const t = getTransform(clip);
+  return t && t.backgroundColor ? `:color=${t.backgroundColor}` : "";
+}
+
+module.exports = {
+  buildSourceTransformFilters,
+  getTransformedSourceSize,
+  needsPlacement,
+  buildPlacementFilter,
+  getPadColorOption,
+};
@@ -0,0 +1,203 @@
+const C = require("../core/constants");
+const {
+  formatFrameRate,
+  frameRateExpr,
+  frameTimeBase,
+} = require("../core/frame_rate");
+const { getStingerWindow } = require("../core/transitions");
+
+/**
+ * Transitions that are not a single xfade.
+ *
+ * Luma-matte ("matte") transitions:
+ *
+ * A matte wipe reveals the incoming clip where the matte's luminance is
+ * below a threshold that sweeps from black to white over the transition.
+ * The mask is computed per frame with geq and applied with maskedmerge
+ * instead of xfade:
+ *
+ *   A: [head: frames before the offset][tail: transition frames]
+ *   B:                                  [head: transition frames][rest]
+ *   out = head(A) + maskedmerge(tail(A), head(B), mask) + rest(B)
+ *
+ * The offset and length are the same whole-frame values an xfade would
+ * get, so the timeline length and overlay compensation are unchanged.
+ *
+ * Stingers: the base track hard-cuts between the two clips (no overlap),
+ * and the stinger video is overlaid on the finished picture so that its
+ * cutPoint lands on the cut. Its alpha channel lets the picture show
+ * around the animation.
+ */
+
+/** Scale from limited-range luma (16-235) to 0-255 */
+const LIMITED_LUMA_SCALE = 255 / 219;
+
+function formatNumber(value) {
+  return Number(value.toFixed(6)).toString();
+}
+
+/**
+ * geq expression for the mask on one plane: 255 where B shows, 0 where A
+ * does. `N` is the frame number within the transition.
+ *
+ * @param {string} lumaAt - Matte luma at the current sample, e.g. "lum(X,Y)"
+ * @param {{ frames: number, softness: number, invert: boolean }} opts
+ * @returns {string}
+ */
+function buildMaskExpr(lumaAt, { frames, softness, invert }) {
+  const soft = Math.max(softness, 1 / 255);
+  // The threshold rises from 0 to 1 + softness, so the first frame is all
+  // A and the soft edge has fully passed white by the last one
+  const rate = formatNumber(((1 + soft) * 255) / frames);
+  const gain = formatNumber(1 / (soft * 255));
+  const scale = formatNumber(LIMITED_LUMA_SCALE);
+  const luma = invert
+    ? `(235-${lumaAt})*${scale}`
+    : `(${lumaAt}-16)*${scale}`;
+  return `255*clip((N*${rate}-${luma})*${gain},0,1)`;
+}
+
+/**
+ * Filter chain turning the matte input into a yuv420p mask of exactly
+ * `frames` frames. The mask value is written to every plane, since
+ * maskedmerge masks each plane with the matching mask plane.
+ *
+ * @param {Object} transition - Loaded matte transition
+ * @param {number} inputIndex - FFmpeg input index of the matte
+ * @param {Object} opts
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number|string} opts.fps
+ * @param {number} opts.frames - Transition length in frames
+ * @returns {string} Chain starting at the input label, without output label
+ */
+function buildMatteMask(transition, inputIndex, { width, height, fps, frames }) {
+  const fit = `scale=${width}:${height},setsar=1:1,format=yuv420p`;
+  // A still matte is held for the transition, a video matte plays (and
+  // holds its last frame if it is shorter than the transition)
+  const timing = transition._stillMatte
+    ? `${fit},loop=${frames - 1}:1:0,setpts=N/${frameRateExpr(fps)}/TB`
+    : `setpts=PTS-STARTPTS,fps=${formatFrameRate(fps)},${fit},tpad=stop_mode=clone:stop=${frames}`;
+  const opts = {
+    frames,
+    softness:
+      typeof transition.softness === "number"
+        ? transition.softness
+        : C.DEFAULT_MATTE_SOFTNESS,
+    invert: transition.invert === true,
+  };
+  const luma = buildMaskExpr("lum(X,Y)", opts);
+  const chroma = buildMaskExpr("lum(X/SW,Y/SH)", opts);
+  return `[${inputIndex}:v]${timing},trim=end_frame=${frames},setpts=PTS-STARTPTS,geq=lum='${luma}':cb='${chroma}':cr='${chroma}'`;
+}
+
+/**
+ * Build a matte transition between the stream so far (A) and the next
+ * base-track clip (B).
+ *
+ * @param {Object} opts
+ * @param {string} opts.fromLabel - Stream so far, e.g. "[vtrans1]"
+ * @param {string} opts.toLabel - Incoming clip, e.g. "[scaled2]"
+ * @param {string} opts.outLabel - Label of the combined stream
+ * @param {number} opts.key - Unique suffix for intermediate labels
+ * @param {number} opts.offsetFrames - Frame of A where the transition starts
+ * @param {number} opts.durationFrames - Transition length in frames
+ * @param {number} opts.toFrames - Length of B in frames
+ * @param {Object} opts.transition - Loaded matte transition
+ * @param {number} opts.inputIndex - FFmpeg input index of the matte
+ * @param {number} opts.width
+ * @param {number} opts.height
+ * @param {number|string} opts.fps
+ * @returns {string} Filter graph segments, each terminated by ";"
+ */
+function buildMatteTransition(opts) {
+  const {
+    fromLabel,
+    toLabel,
+    outLabel,
+    key,
+    offsetFrames,
+    durationFrames: frames,
+    toFrames,
+    transition,
+    inputIndex,
+    width,
+    height,
+    fps,
+  } = opts;
+  const label = (name) => `[m${name}${key}]`;
+  const segments = [];
+  let filter = "";
+
+  // A: keep the frames before the offset, mix the transition frames
+  let fromTail = fromLabel;
+  if (offsetFrames > 0) {
+    filter += `${fromLabel}split${label("ahead")}${label("atail")};`;
+    filter += `${label("ahead")}trim=end_frame=${offsetFrames},setpts=PTS-STARTPTS${label("head")};`;
+    segments.push(label("head"));
+    fromTail = label("atail");
+  }
+  filter += `${fromTail}trim=start_frame=${offsetFrames}:end_frame=${offsetFrames + frames},setpts=PTS-STARTPTS,format=yuv420p${label("from")};`;
+
+  // B: mix the transition frames, keep the rest
+  let toHead = toLabel;
+  if (toFrames > frames) {
+    filter += `${toLabel}split${label("bhead")}${label("btail")};`;
+    toHead = label("bhead");
+  }
+  filter += `${toHead}trim=end_frame=${frames},setpts=PTS-STARTPTS,format=yuv420p${label("to")};`;
+
+  filter += `${buildMatteMask(transition, inputIndex, { width, height, fps, frames })}${label("mask")};`;
+  filter += `${label("from")}${label("to")}${label("mask")}maskedmerge${label("mix")};`;
+  segments.push(label("mix"));
+
+  if (toFrames > frames) {
+    filter += `${label("btail")}trim=start_frame=${frames},setpts=PTS-STARTPTS${label("rest")};`;
+    segments.push(label("rest"));
+  }
+
+  filter += `${segments.join("")}concat=n=${segments.length}:v=1:a=0,fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}${outLabel};`;
+  return filter;
+}
+
+/**
+ * Overlay stingers on the composed picture.
+ *
+ * @param {Array<{ transition: Object, cutTime: number }>} stingers - Loaded
+ *   stinger transitions and the output time of their cut
+ * @param {string} baseLabel - Label of the picture to draw on
+ * @param {Object} ctx
+ * @param {number} ctx.width
+ * @param {number} ctx.height
+ * @param {number|string} ctx.fps
+ * @param {Map} ctx.inputIndexMap - Clip / transition -> FFmpeg input index
+ * @returns {{ filter: string, finalVideoLabel: string }}
+ */
+function buildStingerOverlays(stingers, baseLabel, ctx) {
+  const { width, height, fps, inputIndexMap } = ctx;
+  let filter = "";
+  let currentLabel = baseLabel;
+
+  stingers.forEach(({ transition, cutTime }, i) => {
+    const { start, skip, duration } = getStingerWindow(transition, cutTime);
+    if (duration <= 0) {
+      return;
+    }
+    const inputIndex = inputIndexMap.get(transition);
+    const startStr = formatNumber(start);
+    const endStr = formatNumber(start + duration);
+    const streamLabel = `[stinger${i}]`;
+    const outLabel = `[stingout${i}]`;
+    filter += `[${inputIndex}:v]trim=start=${formatNumber(skip)}:duration=${formatNumber(duration)},setpts=PTS-STARTPTS,fps=${formatFrameRate(fps)},scale=${width}:${height},setsar=1:1,format=yuva420p,setpts=PTS-STARTPTS+${startStr}/TB${streamLabel};`;
+    filter += `${currentLabel}${streamLabel}overlay=eof_action=pass:enable='between(t,${startStr},${endStr})'${outLabel};`;
+    currentLabel = outLabel;
+  });
+
+  return { filter, finalVideoLabel: currentLabel };
+}
+
+module.exports = {
+  buildMatteMask,
+  buildMatteTransition,
+  buildStingerOverlays,
+};
@@ -1,3 +1,44 @@
+const C = require("../core/constants");
+const { getTrack, resolveBounds } = require("../core/tracks");
+const { resolveClipTiming, buildVideoSpeedFilter } = require("../core/speed");
+const {
+  buildSourceTransformFilters,
+  getTransformedSourceSize,
+  needsPlacement,
+  buildPlacementFilter,
+  getPadColorOption,
+} = require("./transform_builder");
+const { resolveLayoutCells, getInputClips } = require("../core/layout");
+const {
+  hasChromaKey,
+  getKeyColor,
+  buildChromaKeyFilter,
+} = require("./chroma_key_builder");
+const {
+  buildEasingExpr: easeProgressExpr,
+  buildKeyframeExpr,
+} = require("../core/keyframes");
+const {
+  formatFrameRate,
+  frameRateExpr,
+  frameTimeBase,
+  secondsToFrames,
+  framesToSeconds,
+  snapToFrame,
+} = require("../core/frame_rate");
+const { buildVideoGeneratorSource } = require("./generator_builder");
+const {
+  getCustomTransition,
+  buildXfadeTransition,
+  isMatteTransition,
+  isStingerTransition,
+  getOverlapDuration,
+} = require("../core/transitions");
+const {
+  buildMatteTransition,
+  buildStingerOverlays,
+} = require("./transition_builder");
+
 const DEFAULT_KEN_BURNS_ZOOM = 0.15;
 const DEFAULT_PAN_ZOOM = 1.12;
 const MIN_PAN_ZOOM = 1.04;
@@ -13,44 +54,178 @@ function formatNumber(value, decimals) {
   return Number(value.toFixed(decimals)).toString();
 }
 
-function buildEasingExpr(framesMinusOne, easing) {
-  const t = `(on/${framesMinusOne})`;
-  if (easing === "ease-in") {
-    return `(${t})*(${t})`;
-  }
-  if (easing === "ease-out") {
-    return `1-((1-${t})*(1-${t}))`;
-  }
-  if (easing === "ease-in-out") {
-    return `0.5-0.5*cos(PI*${t})`;
-  }
-  return t;
+// Ken Burns expressions count frames: zoompan's output frame `on` for
+// stills, the filter's input frame `n` for the digital zoom on video.
+function buildEasingExpr(framesMinusOne, easing, frameVar = "on") {
+  return easeProgressExpr(`(${frameVar}/${framesMinusOne})`, easing);
 }
 
-function buildInterpolatedExpr(start, end, framesMinusOne, easing, decimals) {
+function buildInterpolatedExpr(start, end, framesMinusOne, easing, decimals, frameVar) {
   const delta = end - start;
   const startStr = formatNumber(start, decimals);
   if (framesMinusOne <= 1 || Math.abs(delta) < 1e-8) {
     return startStr;
   }
   const deltaStr = formatNumber(delta, decimals);
-  const ease = buildEasingExpr(framesMinusOne, easing);
+  const ease = buildEasingExpr(framesMinusOne, easing, frameVar);
   return `${startStr}+(${deltaStr})*(${ease})`;
 }
 
-function buildZoomExpr(startZoom, endZoom, framesMinusOne, easing) {
-  return buildInterpolatedExpr(startZoom, endZoom, framesMinusOne, easing, 4);
+function buildZoomExpr(startZoom, endZoom, framesMinusOne, easing, frameVar) {
+  return buildInterpolatedExpr(startZoom, endZoom, framesMinusOne, easing, 4, frameVar);
+}
+
+function buildPositionExpr(start, end, framesMinusOne, easing, frameVar) {
+  return buildInterpolatedExpr(start, end, framesMinusOne, easing, 4, frameVar);
 }
 
-function buildPositionExpr(start, end, framesMinusOne, easing) {
-  return buildInterpolatedExpr(start, end, framesMinusOne, easing, 4);
+/**
+ * Piecewise expression for one property ("zoom", "x" or "y") of a resolved
+ * Ken Burns path. Waypoint times are seconds; the expressions count frames,
+ * so times are scaled to put the clip end on the last frame.
+ */
+function buildPathExpr(path, property, framesMinusOne, duration, frameVar = "on") {
+  const perFrame = duration > 0 ? framesMinusOne / duration : 0;
+  const keyframes = path.map((point) => ({
+    time: point.time * perFrame,
+    value: point[property],
+    easing: point.easing,
+  }));
+  return buildKeyframeExpr(keyframes, frameVar, 4);
 }
 
-function resolveKenBurnsOptions(kenBurns, width, height, sourceWidth, sourceHeight) {
+/**
+ * Zoom and position (0-1 of the pan range) expressions for resolved Ken
+ * Burns options, plus the zoom range the camera covers.
+ */
+function buildKenBurnsExprs(options, framesMinusOne, duration, frameVar = "on") {
+  const { startZoom, endZoom, startX, startY, endX, endY, easing, path } = options;
+  if (path) {
+    const zooms = path.map((p) => p.zoom);
+    return {
+      zoomExpr: buildPathExpr(path, "zoom", framesMinusOne, duration, frameVar),
+      xPosExpr: buildPathExpr(path, "x", framesMinusOne, duration, frameVar),
+      yPosExpr: buildPathExpr(path, "y", framesMinusOne, duration, frameVar),
+      minZoom: Math.min(...zooms),
+      maxZoom: Math.max(...zooms),
+    };
+  }
+  return {
+    zoomExpr: buildZoomExpr(startZoom, endZoom, framesMinusOne, easing, frameVar),
+    xPosExpr: buildPositionExpr(startX, endX, framesMinusOne, easing, frameVar),
+    yPosExpr: buildPositionExpr(startY, endY, framesMinusOne, easing, frameVar),
+    minZoom: Math.min(startZoom, endZoom),
+    maxZoom: Math.max(startZoom, endZoom),
+  };
+}
+
+/**
+ * Ken Burns on moving footage. zoompan holds a single frame, so instead the
+ * source is cropped to the box aspect at full resolution, every frame is
+ * scaled to the current zoom (`eval=frame`) and the visible window is
+ * cropped back out. Expressions count the filter's input frames (`n`).
+ */
+function buildDigitalZoomFilter(boxW, boxH, zoomExpr, xPosExpr, yPosExpr) {
+  const zoom = `max(1,${zoomExpr})`;
+  const zoomedW = `trunc(${boxW}*${zoom}/2)*2`;
+  const zoomedH = `trunc(${boxH}*${zoom}/2)*2`;
+  return `crop='min(iw,ih*${boxW}/${boxH})':'min(ih,iw*${boxH}/${boxW})',scale=w='${zoomedW}':h='${zoomedH}':eval=frame,crop=${boxW}:${boxH}:x='(${zoomedW}-${boxW})*(${xPosExpr})':y='(${zoomedH}-${boxH})*(${yPosExpr})',setsar=1:1`;
+}
+
+/**
+ * Resolve `kenBurns.path` waypoints into `{ time, zoom, x, y, easing }`
+ * keyframes. Omitted values carry over from the previous waypoint, and a
+ * waypoint's `hold` becomes a second keyframe with the same values.
+ */
+function resolveKenBurnsPath(kb, defaultEasing) {
+  const waypoints = [...kb.path].sort((a, b) => a.time - b.time);
+  const zoomWasExplicit =
+    typeof kb.startZoom === "number" ||
+    waypoints.some((point) => typeof point.zoom === "number");
+
+  let zoom = typeof kb.startZoom === "number" ? kb.startZoom : 1;
+  let x = 0.5;
+  let y = 0.5;
+  const path = [];
+  for (const point of waypoints) {
+    if (typeof point.zoom === "number") zoom = point.zoom;
+    if (clamp01(point.x) !== undefined) x = clamp01(point.x);
+    if (clamp01(point.y) !== undefined) y = clamp01(point.y);
+    const easing = point.easing || defaultEasing;
+    if (typeof point.hold === "number" && point.hold > 0) {
+      path.push({ time: point.time, zoom, x, y, easing: "linear" });
+      path.push({ time: point.time + point.hold, zoom, x, y, easing });
+    } else {
+      path.push({ time: point.time, zoom, x, y, easing });
+    }
+  }
+
+  // Same rule as start/end moves: a pan at zoom 1.0 is invisible
+  const hasPan = path.some((p) => p.x !== path[0].x || p.y !== path[0].y);
+  if (hasPan) {
+    const minZoom = zoomWasExplicit ? MIN_PAN_ZOOM : DEFAULT_PAN_ZOOM;
+    for (const p of path) {
+      if (p.zoom < minZoom) p.zoom = minZoom;
+    }
+  }
+  return path;
+}
+
+/**
+ * Map a focus point given as fractions of the source image to fractions of
+ * the frame zoompan works on. "cover" crops the source to the output aspect
+ * first; the other fits keep the whole source.
+ */
+function mapFocusToFrame(focus, fit, width, height, sourceWidth, sourceHeight) {
+  const fx = clamp01(focus.x) ?? 0.5;
+  const fy = clamp01(focus.y) ?? 0.5;
+  const hasSourceDims =
+    typeof sourceWidth === "number" &&
+    typeof sourceHeight === "number" &&
+    sourceWidth > 0 &&
+    sourceHeight > 0;
+  if (fit !== "cover" || !hasSourceDims) {
+    return { x: fx, y: fy };
+  }
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const offsetX = (sourceWidth * scale - width) / 2;
+  const offsetY = (sourceHeight * scale - height) / 2;
+  return {
+    x: clamp01((fx * sourceWidth * scale - offsetX) / width),
+    y: clamp01((fy * sourceHeight * scale - offsetY) / height),
+  };
+}
+
+/**
+ * zoompan position (0-1 of the pan range) that centers the window on a
+ * frame point at `zoom`, as far as the frame edges allow.
+ */
+function centerOnPoint(point, zoom) {
+  if (zoom <= 1) return 0.5;
+  return clamp01((point * zoom - 0.5) / (zoom - 1));
+}
+
+function resolveKenBurnsOptions(kenBurns, width, height, sourceWidth, sourceHeight, fit = "cover") {
   const kb = typeof kenBurns === "object" && kenBurns ? kenBurns : {};
   const type = typeof kenBurns === "string" ? kenBurns : kb.type || "custom";
   const easing = kb.easing || "ease-in-out";
 
+  if (Array.isArray(kb.path) && kb.path.length > 0) {
+    const path = resolveKenBurnsPath(kb, easing);
+    const first = path[0];
+    const last = path[path.length - 1];
+    return {
+      startZoom: first.zoom,
+      endZoom: last.zoom,
+      startX: first.x,
+      startY: first.y,
+      endX: last.x,
+      endY: last.y,
+      easing,
+      path,
+    };
+  }
+
   let startZoom = 1;
   let endZoom = 1;
   let startX = 0.5;
@@ -84,6 +259,23 @@ function resolveKenBurnsOptions(kenBurns, width, height, sourceWidth, sourceHeig
     endZoom = DEFAULT_PAN_ZOOM;
     startY = 0;
     endY = 1;
+  } else if (type === "smart" && kb.focus) {
+    // Push in on the subject: the window ends centered on the focus point
+    startZoom = typeof kb.startZoom === "number" ? kb.startZoom : 1;
+    endZoom =
+      typeof kb.endZoom === "number" ? kb.endZoom : 1 + DEFAULT_KEN_BURNS_ZOOM;
+    const focus = mapFocusToFrame(kb.focus, fit, width, height, sourceWidth, sourceHeight);
+    // Positions follow the zoom, so the pan needs no minimum zoom
+    return {
+      startZoom,
+      endZoom,
+      startX: centerOnPoint(focus.x, startZoom),
+      startY: centerOnPoint(focus.y, startZoom),
+      endX: centerOnPoint(focus.x, endZoom),
+      endY: centerOnPoint(focus.y, endZoom),
+      easing,
+      path: null,
+    };
   } else if (type === "smart") {
     const anchor = kb.anchor;
     startZoom = DEFAULT_PAN_ZOOM;
@@ -168,7 +360,68 @@ function resolveKenBurnsOptions(kenBurns, width, height, sourceWidth, sourceHeig
     if (endZoom < minZoom) endZoom = minZoom;
   }
 
-  return { startZoom, endZoom, startX, startY, endX, endY, easing };
+  return { startZoom, endZoom, startX, startY, endX, endY, easing, path: null };
+}
+
+/**
+ * Motion engine for a Ken Burns clip: `kenBurns.engine`, else the project's
+ * `kenBurnsEngine`, else "zoompan".
+ */
+function resolveKenBurnsEngine(kenBurns, projectEngine) {
+  if (kenBurns && typeof kenBurns === "object" && kenBurns.engine) {
+    return kenBurns.engine;
+  }
+  return projectEngine || C.DEFAULT_KEN_BURNS_ENGINE;
+}
+
+/**
+ * Ken Burns motion for an image stream: fits the source to `boxW`x`boxH`
+ * and moves the camera over it, producing `frames` frames at `fps` (no
+ * labels). Stills are one frame that the engine holds for the clip.
+ *
+ * - "zoompan" pre-scales to a large overscan canvas so zoompan's whole-pixel
+ *   window offsets move in steps too small to see.
+ * - "perspective" works at the box size times the widest zoom, resamples
+ *   the window with sub-pixel precision on every frame and scales the result
+ *   down to the box. No overscan, so it is much cheaper on large outputs.
+ */
+function buildKenBurnsMotion(boxW, boxH, { engine, kbOptions, frames, fps, duration, still }) {
+  const framesMinusOne = Math.max(1, frames - 1);
+  const fitTo = (w, h) =>
+    `scale=${w}:${h}:force_original_aspect_ratio=increase,setsar=1:1,crop=${w}:${h}:(iw-${w})/2:(ih-${h})/2`;
+
+  if (engine === "perspective") {
+    // perspective counts frames from 1
+    const { zoomExpr, xPosExpr, yPosExpr, maxZoom } = buildKenBurnsExprs(
+      kbOptions,
+      framesMinusOne,
+      duration,
+      "(in-1)",
+    );
+    const workZoom = Math.min(10, Math.max(1, maxZoom));
+    const workW = Math.ceil((boxW * workZoom) / 2) * 2;
+    const workH = Math.ceil((boxH * workZoom) / 2) * 2;
+    const hold = still ? `,loop=${frames - 1}:1:0,setpts=N/${frameRateExpr(fps)}/TB` : "";
+    const windowW = `W/max(1,${zoomExpr})`;
+    const windowH = `H/max(1,${zoomExpr})`;
+    const left = `(W-${windowW})*(${xPosExpr})`;
+    const top = `(H-${windowH})*(${yPosExpr})`;
+    const right = `${left}+${windowW}`;
+    const bottom = `${top}+${windowH}`;
+    return `${fitTo(workW, workH)}${hold},perspective=x0='${left}':y0='${top}':x1='${right}':y1='${top}':x2='${left}':y2='${bottom}':x3='${right}':y3='${bottom}':eval=frame,scale=${boxW}:${boxH}`;
+  }
+
+  const { zoomExpr, xPosExpr, yPosExpr, minZoom, maxZoom } = buildKenBurnsExprs(
+    kbOptions,
+    framesMinusOne,
+    duration,
+  );
+  // Overscan for the widest zoom the camera reaches
+  const overscanW = computeOverscanWidth(boxW, minZoom, maxZoom);
+  const xExpr = `(iw - iw/zoom)*(${xPosExpr})`;
+  const yExpr = `(ih - ih/zoom)*(${yPosExpr})`;
+  const zoomFrames = still ? frames : 1;
+  return `${fitTo(boxW, boxH)},scale=${overscanW}:-1,zoompan=z='${zoomExpr}':x='${xExpr}':y='${yExpr}':d=${zoomFrames}:s=${boxW}x${boxH}:fps=${formatFrameRate(fps)}`;
 }
 
 function computeOverscanWidth(width, startZoom, endZoom) {
@@ -206,137 +459,520 @@ function resolveImageFit(clip) {
   return clip.kenBurns ? "cover" : "blur-fill";
 }
 
-function buildVideoFilter(project, videoClips) {
+/**
+ * @param {Object} clip
+ * @returns {boolean} True for image and imageSequence clips
+ */
+function isImageClip(clip) {
+  return clip.type === "image" || clip.type === "imageSequence";
+}
+
+/**
+ * Fit mode for a non-Ken-Burns clip stream. Video and rendered compositions
+ * default to "contain" (letterbox); gradient color clips use "contain",
+ * except reduced-size animation frames, which are scaled up to "cover".
+ */
+function resolveClipFit(clip) {
+  if (isImageClip(clip)) return resolveImageFit(clip);
+  if (clip.type === "video" || clip.type === "composition") {
+    return clip.imageFit || "contain";
+  }
+  if (clip.type === "color" && clip._animated) {
+    return "cover";
+  }
+  return "contain";
+}
+
+/**
+ * Hue rotation of an animated gradient (`color.animate.hue` degrees over
+ * the clip) as a per-frame expression. Returns "" when there is none.
+ */
+function buildGradientHueFilter(clip, duration) {
+  const animate = clip.type === "color" && clip.color && clip.color.animate;
+  if (!animate || typeof animate.hue !== "number" || animate.hue === 0) {
+    return "";
+  }
+  if (duration <= 0) {
+    return "";
+  }
+  return `,hue=h='${formatNumber(animate.hue, 6)}*t/${formatNumber(duration, 6)}'`;
+}
+
+/**
+ * Timestamp chain after trimming a clip's source: reset to zero, then
+ * `reverse` and speed remapping for video clips.
+ */
+function buildVideoTiming(clip) {
+  let timing = "setpts=PTS-STARTPTS";
+  if (clip.type === "video" && clip.reverse === true) {
+    timing += ",reverse";
+  }
+  const speedFilter = buildVideoSpeedFilter(clip);
+  if (speedFilter) {
+    timing += `,${speedFilter}`;
+  }
+  return timing;
+}
+
+/**
+ * Extend a fitted stream from `contentDuration` to `clipDuration` according
+ * to the clip's `fill` mode. Looping clips are repeated at the input (see
+ * buildSourceTrim), so what is left is the hold after a finite loop count
+ * or a frozen last frame. Returns "" when nothing needs filling.
+ */
+function buildFillFilter(clip, contentDuration, clipDuration) {
+  const missing = clipDuration - contentDuration;
+  if (missing <= 1e-6) {
+    return "";
+  }
+  if (clip.fill === "loop" || clip.fill === "freeze") {
+    return `,tpad=stop_mode=clone:stop_duration=${formatNumber(missing, 6)}`;
+  }
+  return "";
+}
+
+/**
+ * Cut the part of a clip's source that plays out of its input stream. A
+ * looping input repeats the whole file (-stream_loop, see
+ * resolveClipTiming), so every pass drops the part before `cutFrom` and
+ * the passes are joined end to end. Nothing is buffered.
+ */
+function buildSourceTrim(clip, sourceDuration, inputLoops) {
+  const cutFrom = clip.cutFrom || 0;
+  if (inputLoops > 0 && cutFrom > 0) {
+    const length = formatNumber(clip.mediaDuration, 6);
+    return `setpts=PTS-STARTPTS,select='gte(mod(t,${length}),${cutFrom})',setpts=PTS-(floor(T/${length})+1)*${cutFrom}/TB,trim=duration=${sourceDuration}`;
+  }
+  return `trim=start=${cutFrom}:duration=${sourceDuration}`;
+}
+
+/**
+ * Build the filter chain that turns one visual clip into a trimmed,
+ * fitted stream of exactly `width`x`height` at the project frame rate.
+ *
+ * @param {Object} clip - Loaded visual clip (video, image, color, layout or rendered composition)
+ * @param {number} inputIndex - FFmpeg input index (unused for flat colors and layouts)
+ * @param {Object} opts
+ * @param {number} opts.width - Target stream width
+ * @param {number} opts.height - Target stream height
+ * @param {number|string} opts.fps - Project frame rate (see core/frame_rate.js)
+ * @param {string|number} opts.key - Suffix that keeps intermediate labels unique
+ * @param {string} opts.outLabel - Output label, e.g. "[scaled0]"
+ * @param {Map} [opts.inputIndexMap] - Source -> input index, used by layout clips
+ * @returns {{ filter: string, duration: number }}
+ */
+function buildClipStream(clip, inputIndex, opts) {
+  const { width, height, fps, key, outLabel, inputIndexMap, kenBurnsEngine } = opts;
+  let filterComplex = "";
+
+  // Clips with transform.scale / rotate / x / y are fitted into an
+  // intermediate label, then placed on a canvas-sized background.
+  const placed = needsPlacement(clip);
+  const scaledLabel = placed ? `[tfin${key}]` : outLabel;
+  const srcTransform = buildSourceTransformFilters(clip);
+  const padColor = getPadColorOption(clip);
+
+  const requestedDuration = Math.max(
+    0,
+    (clip.end || 0) - (clip.position || 0),
+  );
+
+  // Handle flat color clips — generate using color= filter source
+  if (clip.type === "color" && clip._isFlatColor) {
+    const colorValue = clip.color;
+    filterComplex += `color=c=${colorValue}:s=${width}x${height}:d=${requestedDuration},fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}${scaledLabel};`;
+    if (placed) {
+      filterComplex += buildPlacementFilter(clip, scaledLabel, outLabel, {
+        width,
+        height,
+        fps,
+        duration: requestedDuration,
+        key,
+      });
+    }
+    return { filter: filterComplex, duration: requestedDuration };
+  }
+
+  // Generator clips are lavfi sources rendered at the target size
+  if (clip.type === "generator") {
+    const source = buildVideoGeneratorSource(clip, {
+      width,
+      height,
+      fps,
+      duration: requestedDuration,
+    });
+    filterComplex += `${source},setsar=1:1,settb=${frameTimeBase(fps)}${scaledLabel};`;
+    if (placed) {
+      filterComplex += buildPlacementFilter(clip, scaledLabel, outLabel, {
+        width,
+        height,
+        fps,
+        duration: requestedDuration,
+        key,
+      });
+    }
+    return { filter: filterComplex, duration: requestedDuration };
+  }
+
+  // clipDuration is timeline time; sourceDuration is how much of the source
+  // it consumes once speed / speedRamp are applied.
+  const { duration: clipDuration, sourceDuration, contentDuration, inputLoops } =
+    resolveClipTiming(clip);
+  const sourceTrim = buildSourceTrim(clip, sourceDuration, inputLoops);
+
+  if (clip.type === "layout") {
+    // Each source is fitted into its cell, then overlaid on a solid
+    // background. Sources that end early hold their last frame.
+    const background = clip.backgroundColor || "black";
+    const cells = resolveLayoutCells(clip, width, height);
+    let currentLabel = `[lybg${key}]`;
+    filterComplex += `color=c=${background}:s=${width}x${height}:d=${clipDuration},fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}${currentLabel};`;
+    cells.forEach((cell, i) => {
+      const source = clip.sources[i];
+      const cellBackground = source.backgroundColor || clip.backgroundColor;
+      const cellLabel = `[lycell${key}_${i}]`;
+      const { filter } = buildClipStream(
+        {
+          ...source,
+          position: clip.position,
+          end: clip.end,
+          imageFit: source.fit || "cover",
+          transform: cellBackground ? { backgroundColor: cellBackground } : undefined,
+        },
+        inputIndexMap ? inputIndexMap.get(source) : undefined,
+        {
+          width: cell.width,
+          height: cell.height,
+          fps,
+          key: `${key}_${i}`,
+          outLabel: cellLabel,
+        },
+      );
+      filterComplex += filter;
+      const nextLabel = `[lyout${key}_${i}]`;
+      filterComplex += `${currentLabel}${cellLabel}overlay=x=${cell.x}:y=${cell.y}${nextLabel};`;
+      currentLabel = nextLabel;
+    });
+    filterComplex += `${currentLabel}setsar=1:1${srcTransform},settb=${frameTimeBase(fps)}${scaledLabel};`;
+  } else if (isImageClip(clip) && clip.kenBurns) {
+    const frames = Math.max(1, secondsToFrames(clipDuration, fps));
+    // A still is one frame that is held for `frames` frames; a moving
+    // source (animated image, sequence) is zoomed frame by frame.
+    const kbInput = clip._animated
+      ? `[${inputIndex}:v]${sourceTrim},setpts=PTS-STARTPTS,fps=${formatFrameRate(fps)}${srcTransform}${buildFillFilter(clip, contentDuration, clipDuration)}`
+      : `[${inputIndex}:v]select='eq(n,0)',setpts=PTS-STARTPTS${srcTransform}`;
+    const bgHold = clip._animated
+      ? ""
+      : `,loop=${frames - 1}:1:0,setpts=N/${frameRateExpr(fps)}/TB,fps=${formatFrameRate(fps)}`;
+    // Source size after transform.crop — drives fit and smart panning
+    const src = getTransformedSourceSize(clip, clip.width, clip.height);
+
+    let kbFit = resolveImageFit(clip);
+    const hasSrcDims = typeof src.width === "number" && typeof src.height === "number"
+      && src.width > 0 && src.height > 0;
+    if ((kbFit === "blur-fill" || kbFit === "contain") && !hasSrcDims) {
+      kbFit = "cover";
+    }
+
+    const kbOptions = resolveKenBurnsOptions(
+      clip.kenBurns,
+      width,
+      height,
+      src.width,
+      src.height,
+      kbFit,
+    );
+    const motion = {
+      engine: resolveKenBurnsEngine(clip.kenBurns, kenBurnsEngine),
+      kbOptions,
+      frames,
+      fps,
+      duration: clipDuration,
+      still: !clip._animated,
+    };
+
+    if (kbFit === "blur-fill") {
+      const { cw, ch } = computeContainedSize(src.width, src.height, width, height);
+      const sigma = typeof clip.blurIntensity === "number" && Number.isFinite(clip.blurIntensity) && clip.blurIntensity > 0
+        ? clip.blurIntensity
+        : 40;
+      const kbbgLabel = `[kbbg${key}]`;
+      const kbfgLabel = `[kbfg${key}]`;
+      const kbbgrLabel = `[kbbgr${key}]`;
+      const kbfgrLabel = `[kbfgr${key}]`;
+      filterComplex += `${kbInput},split${kbbgLabel}${kbfgLabel};`;
+      filterComplex += `${kbbgLabel}scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,gblur=sigma=${sigma}${bgHold},settb=${frameTimeBase(fps)}${kbbgrLabel};`;
+      filterComplex += `${kbfgLabel}${buildKenBurnsMotion(cw, ch, motion)},setsar=1:1,settb=${frameTimeBase(fps)}${kbfgrLabel};`;
+      filterComplex += `${kbbgrLabel}${kbfgrLabel}overlay=(W-w)/2:(H-h)/2,setsar=1:1,settb=${frameTimeBase(fps)}${scaledLabel};`;
+    } else if (kbFit === "contain") {
+      const { cw, ch } = computeContainedSize(src.width, src.height, width, height);
+      filterComplex += `${kbInput},${buildKenBurnsMotion(cw, ch, motion)},setsar=1:1,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2${padColor},settb=${frameTimeBase(fps)}${scaledLabel};`;
+    } else {
+      filterComplex += `${kbInput},${buildKenBurnsMotion(width, height, motion)},setsar=1:1,settb=${frameTimeBase(fps)}${scaledLabel};`;
+    }
+  } else if (clip.type === "video" && clip.kenBurns) {
+    const frames = Math.max(1, secondsToFrames(clipDuration, fps));
+    const framesMinusOne = Math.max(1, frames - 1);
+    // Filled frames (loop / freeze) are zoomed too, so the move runs for
+    // the whole clip
+    const kbInput = `[${inputIndex}:v]${sourceTrim},${buildVideoTiming(clip)},fps=${formatFrameRate(fps)}${srcTransform}${buildFillFilter(clip, contentDuration, clipDuration)}`;
+    const src = getTransformedSourceSize(clip, clip.width, clip.height);
+
+    let kbFit = clip.imageFit || "cover";
+    const hasSrcDims = typeof src.width === "number" && typeof src.height === "number"
+      && src.width > 0 && src.height > 0;
+    if ((kbFit === "blur-fill" || kbFit === "contain") && !hasSrcDims) {
+      kbFit = "cover";
+    }
+    const box = kbFit === "cover"
+      ? { cw: width, ch: height }
+      : computeContainedSize(src.width, src.height, width, height);
+    const kbOptions = resolveKenBurnsOptions(
+      clip.kenBurns,
+      width,
+      height,
+      src.width,
+      src.height,
+      kbFit,
+    );
+    const { zoomExpr, xPosExpr, yPosExpr } = buildKenBurnsExprs(
+      kbOptions,
+      framesMinusOne,
+      clipDuration,
+      "n",
+    );
+    const zoomFilter = buildDigitalZoomFilter(box.cw, box.ch, zoomExpr, xPosExpr, yPosExpr);
+
+    if (kbFit === "blur-fill") {
+      const sigma = typeof clip.blurIntensity === "number" && Number.isFinite(clip.blurIntensity) && clip.blurIntensity > 0
+        ? clip.blurIntensity
+        : 40;
+      const kbbgLabel = `[kbbg${key}]`;
+      const kbfgLabel = `[kbfg${key}]`;
+      const kbbgrLabel = `[kbbgr${key}]`;
+      const kbfgrLabel = `[kbfgr${key}]`;
+      filterComplex += `${kbInput},split${kbbgLabel}${kbfgLabel};`;
+      filterComplex += `${kbbgLabel}scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,gblur=sigma=${sigma}${kbbgrLabel};`;
+      filterComplex += `${kbfgLabel}${zoomFilter}${kbfgrLabel};`;
+      filterComplex += `${kbbgrLabel}${kbfgrLabel}overlay=(W-w)/2:(H-h)/2,setsar=1:1,settb=${frameTimeBase(fps)}${scaledLabel};`;
+    } else if (kbFit === "contain") {
+      filterComplex += `${kbInput},${zoomFilter},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2${padColor},settb=${frameTimeBase(fps)}${scaledLabel};`;
+    } else {
+      filterComplex += `${kbInput},${zoomFilter},settb=${frameTimeBase(fps)}${scaledLabel};`;
+    }
+  } else {
+    const fit = resolveClipFit(clip);
+    const hueFilter = buildGradientHueFilter(clip, clipDuration);
+    const trimPrefix = `[${inputIndex}:v]${sourceTrim},${buildVideoTiming(clip)},fps=${formatFrameRate(fps)}${hueFilter}${srcTransform}`;
+    const fillTail = buildFillFilter(clip, contentDuration, clipDuration);
+
+    if (fit === "blur-fill") {
+      const sigma = typeof clip.blurIntensity === "number" && Number.isFinite(clip.blurIntensity) && clip.blurIntensity > 0
+        ? clip.blurIntensity
+        : 40;
+      const bgLabel = `[bg${key}]`;
+      const fgLabel = `[fg${key}]`;
+      const bgrLabel = `[bgr${key}]`;
+      const fgrLabel = `[fgr${key}]`;
+      filterComplex += `${trimPrefix},split${bgLabel}${fgLabel};`;
+      filterComplex += `${bgLabel}scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,gblur=sigma=${sigma}${bgrLabel};`;
+      filterComplex += `${fgLabel}scale=${width}:${height}:force_original_aspect_ratio=decrease${fgrLabel};`;
+      filterComplex += `${bgrLabel}${fgrLabel}overlay=(W-w)/2:(H-h)/2,setsar=1:1,settb=${frameTimeBase(fps)}${fillTail}${scaledLabel};`;
+    } else if (fit === "cover") {
+      filterComplex += `${trimPrefix},scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,setsar=1:1,settb=${frameTimeBase(fps)}${fillTail}${scaledLabel};`;
+    } else {
+      filterComplex += `${trimPrefix},scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2${padColor},setsar=1:1,settb=${frameTimeBase(fps)}${fillTail}${scaledLabel};`;
+    }
+  }
+
+  if (placed) {
+    filterComplex += buildPlacementFilter(clip, scaledLabel, outLabel, {
+      width,
+      height,
+      fps,
+      duration: clipDuration,
+      key,
+    });
+  }
+
+  return { filter: filterComplex, duration: clipDuration };
+}
+
+/**
+ * Cumulative base-track transition overlap at or before a timestamp.
+ * Mirrors SIMPLEFFMPEG#_getTransitionOffsetAt for use inside the builder.
+ */
+function getBaseTransitionOffsetAt(baseClips, timestamp, fps) {
+  let offset = 0;
+  for (let i = 1; i < baseClips.length; i++) {
+    const clip = baseClips[i];
+    if ((clip.position || 0) <= timestamp && clip.transition) {
+      offset += snapToFrame(getOverlapDuration(clip.transition), fps);
+    }
+  }
+  return offset;
+}
+
+/**
+ * Stinger transitions on the base track and the output time of each cut,
+ * counted in whole frames like the transition loop in buildVideoFilter.
+ * @param {Array<{ clip: Object, duration: number }>} streams - Base-track streams
+ * @param {number|string} fps
+ * @returns {Array<{ transition: Object, cutTime: number }>}
+ */
+function getStingerCuts(streams, fps) {
+  const cuts = [];
+  let frames = 0;
+  streams.forEach(({ clip, duration }, i) => {
+    if (i > 0 && isStingerTransition(clip.transition)) {
+      cuts.push({ transition: clip.transition, cutTime: framesToSeconds(frames, fps) });
+    }
+    const overlap = i > 0 ? secondsToFrames(getOverlapDuration(clip.transition), fps) : 0;
+    frames += secondsToFrames(duration, fps) - overlap;
+  });
+  return cuts;
+}
+
+/**
+ * A base-track clip with its position and end moved onto the output frame
+ * grid, so its stream is a whole number of frames long and consecutive
+ * clips add up without drift (3 s at 29.97 fps is 89.91 frames).
+ */
+function snapClipToFrames(clip, fps) {
+  if (typeof clip.position !== "number" || typeof clip.end !== "number") {
+    return clip;
+  }
+  const position = snapToFrame(clip.position, fps);
+  const end = snapToFrame(clip.end, fps);
+  return position === clip.position && end === clip.end
+    ? clip
+    : { ...clip, position, end };
+}
+
+/**
+ * Letterbox / placement padding of a keyed clip defaults to the key color,
+ * so it is keyed out together with the backdrop.
+ */
+function withKeyedBackground(clip) {
+  if (!hasChromaKey(clip)) return clip;
+  const transform = clip.transform || {};
+  if (transform.backgroundColor) return clip;
+  return {
+    ...clip,
+    transform: { ...transform, backgroundColor: getKeyColor(clip) },
+  };
+}
+
+/**
+ * Composite clips from tracks >= 1 over the base track output.
+ * Each clip is fitted into its `bounds` rectangle, shifted to its timeline
+ * position and overlaid only during its [position, end] window. Clips with
+ * a `chromaKey` are keyed after fitting so whatever is underneath shows
+ * through.
+ */
+function buildOverlayTracks(overlayClips, baseClips, baseLabel, baseDuration, ctx) {
+  const { width, height, fps, inputIndexMap, compensateTransitions, kenBurnsEngine } = ctx;
+  let filter = "";
+  let currentLabel = baseLabel;
+
+  const ordered = [...overlayClips].sort((a, b) => {
+    const trackDiff = getTrack(a) - getTrack(b);
+    if (trackDiff !== 0) return trackDiff;
+    return (a.position || 0) - (b.position || 0);
+  });
+
+  ordered.forEach((clip, i) => {
+    const adjust = (t) =>
+      compensateTransitions ? t - getBaseTransitionOffsetAt(baseClips, t, fps) : t;
+    const start = Math.max(0, adjust(clip.position || 0));
+    const end = Math.min(baseDuration, adjust(clip.end || 0));
+    if (end - start <= 0) {
+      return;
+    }
+
+    const box = resolveBounds(clip.bounds, width, height);
+    const streamLabel = `[ovscaled${i}]`;
+    const { filter: streamFilter } = buildClipStream(
+      withKeyedBackground({ ...clip, position: start, end }),
+      inputIndexMap.get(clip),
+      {
+        width: box.width,
+        height: box.height,
+        fps,
+        key: `ov${i}`,
+        outLabel: streamLabel,
+        inputIndexMap,
+        kenBurnsEngine,
+      },
+    );
+    filter += streamFilter;
+
+    const shiftedLabel = `[ovshift${i}]`;
+    const outLabel = `[ovout${i}]`;
+    const startStr = formatNumber(start, 4);
+    const endStr = formatNumber(end, 4);
+    const keyFilter = buildChromaKeyFilter(clip);
+    filter += `${streamLabel}${keyFilter ? `${keyFilter},` : ""}setpts=PTS-STARTPTS+${startStr}/TB${shiftedLabel};`;
+    filter += `${currentLabel}${shiftedLabel}overlay=x=${box.x}:y=${box.y}:eof_action=pass:enable='between(t,${startStr},${endStr})'${outLabel};`;
+    currentLabel = outLabel;
+  });
+
+  return { filter, finalVideoLabel: currentLabel };
+}
+
+/**
+ * Build the visual filter graph.
+ *
+ * Base-track clips (track 0) are concatenated or crossfaded into one stream.
+ * Clips on higher tracks are then composited on top of it in track order.
+ *
+ * @param {Object} project - The SIMPLEFFMPEG project instance
+ * @param {Array} videoClips - Visual clips (video, image, color, layout), any track
+ * @param {Object} [options]
+ * @param {boolean} [options.compensateTransitions=true] - Shift overlay timings for base-track transition overlap
+ * @returns {{ filter: string, finalVideoLabel: string|null, hasVideo: boolean, videoDuration: number }}
+ */
+function buildVideoFilter(project, videoClips, options = {}) {
   let filterComplex = "";
   let videoIndex = 0;
   const fps = project.options.fps;
   const width = project.options.width;
   const height = project.options.height;
+  const kenBurnsEngine = project.options.kenBurnsEngine;
 
   // Use the project-level input index map (built in _prepareExport) when available,
   // otherwise build a local one for standalone usage (e.g. unit tests).
   let inputIndexMap = project._inputIndexMap;
   if (!inputIndexMap) {
     inputIndexMap = new Map();
-    let inputIdx = 0;
-    for (const clip of project.videoOrAudioClips) {
-      if (clip.type === "color" && clip._isFlatColor) {
-        continue;
-      }
+    getInputClips(project.videoOrAudioClips).forEach((clip, inputIdx) => {
       inputIndexMap.set(clip, inputIdx);
-      inputIdx++;
-    }
+    });
   }
 
+  const baseClips = videoClips.filter((clip) => getTrack(clip) === 0);
+  const overlayClips = videoClips.filter((clip) => getTrack(clip) > 0);
+
   // Build scaled streams
   const scaledStreams = [];
-  videoClips.forEach((clip) => {
+  baseClips.forEach((clip) => {
     const scaledLabel = `[scaled${videoIndex}]`;
-
-    const requestedDuration = Math.max(
-      0,
-      (clip.end || 0) - (clip.position || 0),
-    );
-
-    // Handle flat color clips — generate using color= filter source
-    if (clip.type === "color" && clip._isFlatColor) {
-      const colorValue = clip.color;
-      filterComplex += `color=c=${colorValue}:s=${width}x${height}:d=${requestedDuration},fps=${fps},settb=1/${fps}${scaledLabel};`;
-      scaledStreams.push({
-        label: scaledLabel,
-        clip,
-        index: videoIndex,
-        duration: requestedDuration,
-      });
-      videoIndex++;
-      return;
-    }
-
-    const inputIndex = inputIndexMap.get(clip);
-    const maxAvailable =
-      typeof clip.mediaDuration === "number" && typeof clip.cutFrom === "number"
-        ? Math.max(0, clip.mediaDuration - clip.cutFrom)
-        : requestedDuration;
-    const clipDuration = Math.max(0, Math.min(requestedDuration, maxAvailable));
-
-    if (clip.type === "image" && clip.kenBurns) {
-      const frames = Math.max(1, Math.round(clipDuration * fps));
-      const framesMinusOne = Math.max(1, frames - 1);
-
-      const { startZoom, endZoom, startX, startY, endX, endY, easing } =
-        resolveKenBurnsOptions(
-          clip.kenBurns,
-          width,
-          height,
-          clip.width,
-          clip.height,
-        );
-      const zoomExpr = buildZoomExpr(startZoom, endZoom, framesMinusOne, easing);
-      const xPosExpr = buildPositionExpr(startX, endX, framesMinusOne, easing);
-      const yPosExpr = buildPositionExpr(startY, endY, framesMinusOne, easing);
-      const xExpr = `(iw - iw/zoom)*(${xPosExpr})`;
-      const yExpr = `(ih - ih/zoom)*(${yPosExpr})`;
-
-      let kbFit = resolveImageFit(clip);
-      const hasSrcDims = typeof clip.width === "number" && typeof clip.height === "number"
-        && clip.width > 0 && clip.height > 0;
-      if ((kbFit === "blur-fill" || kbFit === "contain") && !hasSrcDims) {
-        kbFit = "cover";
-      }
-
-      if (kbFit === "blur-fill") {
-        const { cw, ch } = computeContainedSize(clip.width, clip.height, width, height);
-        const sigma = typeof clip.blurIntensity === "number" && Number.isFinite(clip.blurIntensity) && clip.blurIntensity > 0
-          ? clip.blurIntensity
-          : 40;
-        const overscanCW = computeOverscanWidth(cw, startZoom, endZoom);
-        const cs = `${cw}x${ch}`;
-        const kbbgLabel = `[kbbg${videoIndex}]`;
-        const kbfgLabel = `[kbfg${videoIndex}]`;
-        const kbbgrLabel = `[kbbgr${videoIndex}]`;
-        const kbfgrLabel = `[kbfgr${videoIndex}]`;
-        filterComplex += `[${inputIndex}:v]select='eq(n,0)',setpts=PTS-STARTPTS,split${kbbgLabel}${kbfgLabel};`;
-        filterComplex += `${kbbgLabel}scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,gblur=sigma=${sigma},loop=${frames - 1}:1:0,setpts=N/${fps}/TB,fps=${fps},settb=1/${fps}${kbbgrLabel};`;
-        filterComplex += `${kbfgLabel}scale=${cw}:${ch}:force_original_aspect_ratio=increase,setsar=1:1,crop=${cw}:${ch}:(iw-${cw})/2:(ih-${ch})/2,scale=${overscanCW}:-1,zoompan=z='${zoomExpr}':x='${xExpr}':y='${yExpr}':d=${frames}:s=${cs}:fps=${fps},setsar=1:1,settb=1/${fps}${kbfgrLabel};`;
-        filterComplex += `${kbbgrLabel}${kbfgrLabel}overlay=(W-w)/2:(H-h)/2,setsar=1:1,settb=1/${fps}${scaledLabel};`;
-      } else if (kbFit === "contain") {
-        const { cw, ch } = computeContainedSize(clip.width, clip.height, width, height);
-        const overscanCW = computeOverscanWidth(cw, startZoom, endZoom);
-        const cs = `${cw}x${ch}`;
-        filterComplex += `[${inputIndex}:v]select='eq(n,0)',setpts=PTS-STARTPTS,scale=${cw}:${ch}:force_original_aspect_ratio=increase,setsar=1:1,crop=${cw}:${ch}:(iw-${cw})/2:(ih-${ch})/2,scale=${overscanCW}:-1,zoompan=z='${zoomExpr}':x='${xExpr}':y='${yExpr}':d=${frames}:s=${cs}:fps=${fps},setsar=1:1,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,settb=1/${fps}${scaledLabel};`;
-      } else {
-        const s = `${width}x${height}`;
-        const overscanW = computeOverscanWidth(width, startZoom, endZoom);
-        filterComplex += `[${inputIndex}:v]select='eq(n,0)',setpts=PTS-STARTPTS,scale=${width}:${height}:force_original_aspect_ratio=increase,setsar=1:1,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,scale=${overscanW}:-1,zoompan=z='${zoomExpr}':x='${xExpr}':y='${yExpr}':d=${frames}:s=${s}:fps=${fps},setsar=1:1,settb=1/${fps}${scaledLabel};`;
-      }
-    } else {
-      const fit = clip.type === "image" ? resolveImageFit(clip) : null;
-      const trimPrefix = `[${inputIndex}:v]trim=start=${clip.cutFrom || 0}:duration=${clipDuration},setpts=PTS-STARTPTS,fps=${fps}`;
-
-      if (fit === "blur-fill") {
-        const sigma = typeof clip.blurIntensity === "number" && Number.isFinite(clip.blurIntensity) && clip.blurIntensity > 0
-          ? clip.blurIntensity
-          : 40;
-        const bgLabel = `[bg${videoIndex}]`;
-        const fgLabel = `[fg${videoIndex}]`;
-        const bgrLabel = `[bgr${videoIndex}]`;
-        const fgrLabel = `[fgr${videoIndex}]`;
-        filterComplex += `${trimPrefix},split${bgLabel}${fgLabel};`;
-        filterComplex += `${bgLabel}scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,gblur=sigma=${sigma}${bgrLabel};`;
-        filterComplex += `${fgLabel}scale=${width}:${height}:force_original_aspect_ratio=decrease${fgrLabel};`;
-        filterComplex += `${bgrLabel}${fgrLabel}overlay=(W-w)/2:(H-h)/2,setsar=1:1,settb=1/${fps}${scaledLabel};`;
-      } else if (fit === "cover") {
-        filterComplex += `${trimPrefix},scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}:(iw-${width})/2:(ih-${height})/2,setsar=1:1,settb=1/${fps}${scaledLabel};`;
-      } else {
-        filterComplex += `${trimPrefix},scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1:1,settb=1/${fps}${scaledLabel};`;
-      }
-    }
+    const { filter, duration } = buildClipStream(snapClipToFrames(clip, fps), inputIndexMap.get(clip), {
+      width,
+      height,
+      fps,
+      key: videoIndex,
+      outLabel: scaledLabel,
+      inputIndexMap,
+      kenBurnsEngine,
+    });
+    filterComplex += filter;
 
     scaledStreams.push({
       label: scaledLabel,
       clip,
       index: videoIndex,
-      duration: clipDuration,
+      duration,
     });
     videoIndex++;
   });
@@ -345,47 +981,124 @@ function buildVideoFilter(project, videoClips) {
     return { filter: "", finalVideoLabel: null, hasVideo: false, videoDuration: 0 };
   }
 
+  const compositeOverlays = (result) => {
+    if (overlayClips.length === 0) {
+      return result;
+    }
+    const ov = buildOverlayTracks(
+      overlayClips,
+      baseClips,
+      result.finalVideoLabel,
+      result.videoDuration,
+      {
+        width,
+        height,
+        fps,
+        inputIndexMap,
+        kenBurnsEngine,
+        compensateTransitions: options.compensateTransitions !== false,
+      },
+    );
+    return {
+      ...result,
+      filter: result.filter + ov.filter,
+      finalVideoLabel: ov.finalVideoLabel,
+    };
+  };
+
+  // Stingers play over everything composited on the base track
+  const stingerCuts = getStingerCuts(scaledStreams, fps);
+  const composite = (result) => {
+    const composed = compositeOverlays(result);
+    if (stingerCuts.length === 0) {
+      return composed;
+    }
+    const st = buildStingerOverlays(stingerCuts, composed.finalVideoLabel, {
+      width,
+      height,
+      fps,
+      inputIndexMap,
+    });
+    return {
+      ...composed,
+      filter: composed.filter + st.filter,
+      finalVideoLabel: st.finalVideoLabel,
+    };
+  };
+
+  // Stingers hard-cut on the base track, like clips without a transition
   const hasTransitions = scaledStreams.some(
-    (s, i) => i > 0 && s.clip.transition,
+    (s, i) => i > 0 && getOverlapDuration(s.clip.transition) > 0,
   );
 
   if (!hasTransitions) {
     const labels = scaledStreams.map((s) => s.label);
-    const videoDuration = scaledStreams.reduce((sum, s) => sum + s.duration, 0);
+    const videoDuration = framesToSeconds(
+      scaledStreams.reduce((sum, s) => sum + secondsToFrames(s.duration, fps), 0),
+      fps,
+    );
     filterComplex += `${labels.join("")}concat=n=${
       labels.length
-    }:v=1:a=0,fps=${fps},settb=1/${fps}[outv];`;
-    return { filter: filterComplex, finalVideoLabel: "[outv]", hasVideo: true, videoDuration };
+    }:v=1:a=0,fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}[outv];`;
+    return composite({ filter: filterComplex, finalVideoLabel: "[outv]", hasVideo: true, videoDuration });
   }
 
+  // Durations and offsets are counted in whole frames, so xfade offsets
+  // land on the frame grid and long timelines don't drift
   let currentVideo = scaledStreams[0].label;
-  let currentVideoDuration = scaledStreams[0].duration;
+  let currentFrames = secondsToFrames(scaledStreams[0].duration, fps);
   for (let i = 1; i < scaledStreams.length; i++) {
     const nextVideoLabel = scaledStreams[i].label;
     const transClip = scaledStreams[i].clip;
     const transitionedVideoLabel = `[vtrans${i}]`;
-    if (transClip.transition) {
-      const type = transClip.transition.type;
-      const duration = transClip.transition.duration;
-      const offset = Math.max(0, currentVideoDuration - duration);
-      filterComplex += `${currentVideo}${nextVideoLabel}xfade=transition=${type}:duration=${duration}:offset=${offset},fps=${fps},settb=1/${fps}${transitionedVideoLabel};`;
-      currentVideoDuration =
-        currentVideoDuration + scaledStreams[i].duration - duration;
+    const streamFrames = secondsToFrames(scaledStreams[i].duration, fps);
+    if (getOverlapDuration(transClip.transition) > 0) {
+      const durationFrames = secondsToFrames(transClip.transition.duration, fps);
+      const offsetFrames = Math.max(0, currentFrames - durationFrames);
+      if (isMatteTransition(transClip.transition)) {
+        filterComplex += buildMatteTransition({
+          fromLabel: currentVideo,
+          toLabel: nextVideoLabel,
+          outLabel: transitionedVideoLabel,
+          key: i,
+          offsetFrames,
+          durationFrames,
+          toFrames: streamFrames,
+          transition: transClip.transition,
+          inputIndex: inputIndexMap.get(transClip.transition),
+          width,
+          height,
+          fps,
+        });
+        currentFrames = currentFrames + streamFrames - durationFrames;
+        currentVideo = transitionedVideoLabel;
+        continue;
+      }
+      const duration = formatNumber(framesToSeconds(durationFrames, fps), 6);
+      const offset = formatNumber(framesToSeconds(offsetFrames, fps), 6);
+      let inputs = `${currentVideo}${nextVideoLabel}`;
+      if (getCustomTransition(transClip.transition.type)) {
+        // Custom expressions are written against yuv420p planes
+        filterComplex += `${currentVideo}format=yuv420p[xfa${i}];${nextVideoLabel}format=yuv420p[xfb${i}];`;
+        inputs = `[xfa${i}][xfb${i}]`;
+      }
+      filterComplex += `${inputs}xfade=transition=${buildXfadeTransition(transClip.transition)}:duration=${duration}:offset=${offset},fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}${transitionedVideoLabel};`;
+      currentFrames = currentFrames + streamFrames - durationFrames;
       currentVideo = transitionedVideoLabel;
     } else {
       const concatenatedVideoLabel = `[vcat${i}]`;
-      filterComplex += `${currentVideo}${nextVideoLabel}concat=n=2:v=1:a=0,fps=${fps},settb=1/${fps}${concatenatedVideoLabel};`;
+      filterComplex += `${currentVideo}${nextVideoLabel}concat=n=2:v=1:a=0,fps=${formatFrameRate(fps)},settb=${frameTimeBase(fps)}${concatenatedVideoLabel};`;
       currentVideo = concatenatedVideoLabel;
-      currentVideoDuration = currentVideoDuration + scaledStreams[i].duration;
+      currentFrames = currentFrames + streamFrames;
     }
   }
 
-  return {
+  return composite({
     filter: filterComplex,
     finalVideoLabel: currentVideo,
     hasVideo: true,
-    videoDuration: currentVideoDuration,
-  };
+    videoDuration: framesToSeconds(currentFrames, fps),
+  });
 }
 
 module.exports = { buildVideoFilter };
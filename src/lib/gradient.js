@@ -7,10 +7,44 @@
  *
  * Supports:
  *   - Linear gradients (vertical, horizontal, or arbitrary angle)
- *   - Radial gradients (center → edge)
- *   - Multi-color stop support (2+ colors, evenly distributed)
+ *   - Radial gradients (center → farthest corner)
+ *   - Conic gradients (angle sweep around a center)
+ *   - Mesh gradients (colors blended between free-standing points)
+ *   - Color stops with explicit positions (others are spaced evenly)
+ *   - Animation: `shift` moves the stops and `rotate` turns the gradient
+ *     over the clip. These are rendered frame by frame; `hue` rotation is
+ *     left to an FFmpeg expression on the still image.
  */
 
+const { frameRateToNumber } = require("../core/frame_rate");
+
+/**
+ * Gradient types, by `type`.
+ */
+const GRADIENT_TYPES = [
+  "linear-gradient",
+  "radial-gradient",
+  "conic-gradient",
+  "mesh-gradient",
+];
+
+/**
+ * Frame-rendered animations and the gradient types they apply to.
+ */
+const FRAME_ANIMATIONS = {
+  shift: ["linear-gradient", "radial-gradient", "conic-gradient"],
+  rotate: ["linear-gradient", "conic-gradient"],
+};
+
+/** Frame rate of rendered gradient animations (capped at the project fps) */
+const DEFAULT_ANIMATION_FPS = 15;
+
+/** Rendered gradient frames are this fraction of the output size; FFmpeg scales them up */
+const ANIMATION_FRAME_SCALE = 0.5;
+
+/** Disk budget of one rendered gradient animation; longer ones get a lower frame rate */
+const MAX_ANIMATION_BYTES = 256 * 1024 * 1024;
+
 // ── Named color → RGB lookup ────────────────────────────────────────────────
 // Subset of X11/CSS colors that FFmpeg accepts. This list mirrors the
 // FFMPEG_NAMED_COLORS set in validation.js but maps to RGB values.
@@ -121,6 +155,23 @@ function parseColor(str) {
   return [0, 0, 0]; // fallback
 }
 
+/**
+ * Whether parseColor() understands a color string, rather than falling back
+ * to black.
+ *
+ * @param {string} str - Color string
+ * @returns {boolean}
+ */
+function isParsableColor(str) {
+  if (typeof str !== "string" || str.length === 0) return false;
+  const atIdx = str.indexOf("@");
+  const color = atIdx > 0 ? str.slice(0, atIdx) : str;
+  return (
+    Object.hasOwn(NAMED_COLORS, color.toLowerCase()) ||
+    /^(#[0-9a-fA-F]{3}|#[0-9a-fA-F]{6}([0-9a-fA-F]{2})?|0x[0-9a-fA-F]{6}([0-9a-fA-F]{2})?)$/.test(color)
+  );
+}
+
 /**
  * Interpolate between an array of colors at position t (0–1).
  * Colors are evenly distributed across the 0–1 range.
@@ -148,79 +199,238 @@ function interpolateColors(colors, t) {
 }
 
 /**
- * Generate a linear gradient PPM image buffer.
+ * Resolve color stops to parsed colors with positions (0–1). Stops are
+ * color strings or `{ color, position }` objects; as in CSS, the first and
+ * last stops default to 0 and 1 and stops without a position are spaced
+ * evenly between their neighbours.
  *
- * @param {number} width
- * @param {number} height
- * @param {number[][]} colors - Parsed [r,g,b] color stops
- * @param {string|number} direction - "vertical", "horizontal", or angle in degrees
- * @returns {Buffer}
+ * @param {Array<string|{color: string, position?: number}>} colors
+ * @returns {Array<{color: number[], position: number}>}
  */
-function generateLinearGradient(width, height, colors, direction) {
-  const pixels = Buffer.alloc(width * height * 3);
+function normalizeStops(colors) {
+  const stops = colors.map((stop) =>
+    typeof stop === "string"
+      ? { color: parseColor(stop), position: null }
+      : {
+          color: parseColor(stop.color),
+          position: typeof stop.position === "number" ? stop.position : null,
+        },
+  );
+  const last = stops.length - 1;
+  if (stops[0].position == null) stops[0].position = 0;
+  if (stops[last].position == null) stops[last].position = 1;
+
+  let prev = 0;
+  for (let i = 1; i <= last; i++) {
+    if (stops[i].position == null) continue;
+    const from = stops[prev].position;
+    const to = stops[i].position;
+    for (let j = prev + 1; j < i; j++) {
+      stops[j].position = from + ((to - from) * (j - prev)) / (i - prev);
+    }
+    prev = i;
+  }
+  return stops;
+}
 
-  // Compute unit direction vector from direction spec
-  let dx = 0;
-  let dy = 1; // default: vertical (top to bottom)
-  if (direction === "horizontal") {
-    dx = 1;
-    dy = 0;
-  } else if (direction === "vertical") {
-    dx = 0;
-    dy = 1;
-  } else if (typeof direction === "number") {
-    const rad = (direction * Math.PI) / 180;
-    dx = Math.cos(rad);
-    dy = Math.sin(rad);
+/**
+ * Color of positioned stops at t (0–1). Before the first stop and after
+ * the last, the end colors are held.
+ *
+ * @param {Array<{color: number[], position: number}>} stops - Sorted stops
+ * @param {number} t
+ * @returns {number[]} [r, g, b]
+ */
+function interpolateStops(stops, t) {
+  if (t <= stops[0].position) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    const b = stops[i];
+    if (t <= b.position) {
+      const a = stops[i - 1];
+      const span = b.position - a.position;
+      const f = span > 0 ? (t - a.position) / span : 1;
+      return [
+        Math.round(a.color[0] + (b.color[0] - a.color[0]) * f),
+        Math.round(a.color[1] + (b.color[1] - a.color[1]) * f),
+        Math.round(a.color[2] + (b.color[2] - a.color[2]) * f),
+      ];
+    }
   }
+  return stops[stops.length - 1].color;
+}
+
+/**
+ * Angle of a linear gradient in degrees (0 = left → right, 90 = top → bottom).
+ */
+function getLinearAngle(direction) {
+  if (direction === "horizontal") return 0;
+  if (typeof direction === "number") return direction;
+  return 90;
+}
+
+function getCenter(colorSpec) {
+  const center = colorSpec.center || {};
+  return {
+    x: typeof center.x === "number" ? center.x : 0.5,
+    y: typeof center.y === "number" ? center.y : 0.5,
+  };
+}
 
+/**
+ * Fill a pixel buffer from a per-pixel color function.
+ */
+function fillPixels(width, height, colorAt) {
+  const pixels = Buffer.alloc(width * height * 3);
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      // Project pixel onto gradient axis (normalized 0–1)
-      const nx = width > 1 ? x / (width - 1) : 0.5;
-      const ny = height > 1 ? y / (height - 1) : 0.5;
-      const t = nx * dx + ny * dy;
-
-      const [r, g, b] = interpolateColors(colors, t);
+      const [r, g, b] = colorAt(x, y);
       const idx = (y * width + x) * 3;
       pixels[idx] = r;
       pixels[idx + 1] = g;
       pixels[idx + 2] = b;
     }
   }
-
   return pixels;
 }
 
 /**
- * Generate a radial gradient PPM image buffer.
+ * Build the function that maps a pixel to its gradient position for
+ * linear, radial and conic gradients.
  *
  * @param {number} width
  * @param {number} height
- * @param {number[][]} colors - Parsed [r,g,b] color stops (center → edge)
- * @returns {Buffer}
+ * @param {Object} colorSpec
+ * @param {number} rotation - Extra rotation in degrees (linear / conic)
+ * @returns {function(number, number): number}
  */
-function generateRadialGradient(width, height, colors) {
-  const pixels = Buffer.alloc(width * height * 3);
-  const cx = (width - 1) / 2;
-  const cy = (height - 1) / 2;
-  // Max distance from center to any corner
-  const maxDist = Math.sqrt(cx * cx + cy * cy) || 1;
+function createPositionFn(width, height, colorSpec, rotation) {
+  if (colorSpec.type === "radial-gradient") {
+    const { x: cxf, y: cyf } = getCenter(colorSpec);
+    const cx = cxf * (width - 1);
+    const cy = cyf * (height - 1);
+    // Distance from the center to the farthest corner
+    const maxDist =
+      Math.sqrt(
+        Math.max(cx, width - 1 - cx) ** 2 + Math.max(cy, height - 1 - cy) ** 2,
+      ) || 1;
+    return (x, y) => Math.sqrt((x - cx) ** 2 + (y - cy) ** 2) / maxDist;
+  }
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const dist = Math.sqrt((x - cx) * (x - cx) + (y - cy) * (y - cy));
-      const t = dist / maxDist;
+  if (colorSpec.type === "conic-gradient") {
+    const { x: cxf, y: cyf } = getCenter(colorSpec);
+    const cx = cxf * (width - 1);
+    const cy = cyf * (height - 1);
+    const start = (typeof colorSpec.angle === "number" ? colorSpec.angle : 0) + rotation;
+    // 0° points up and angles run clockwise, as in CSS
+    return (x, y) => {
+      const deg = (Math.atan2(x - cx, cy - y) * 180) / Math.PI - start;
+      return (((deg % 360) + 360) % 360) / 360;
+    };
+  }
 
-      const [r, g, b] = interpolateColors(colors, t);
-      const idx = (y * width + x) * 3;
-      pixels[idx] = r;
-      pixels[idx + 1] = g;
-      pixels[idx + 2] = b;
+  // Linear: project onto the gradient axis through the center, scaled so
+  // the axis spans the frame corner to corner in normalized coordinates.
+  const rad = ((getLinearAngle(colorSpec.direction) + rotation) * Math.PI) / 180;
+  // Rounded so axis-aligned directions project exactly
+  const dx = Number(Math.cos(rad).toFixed(12));
+  const dy = Number(Math.sin(rad).toFixed(12));
+  const extent = Math.abs(dx) + Math.abs(dy) || 1;
+  return (x, y) => {
+    const nx = width > 1 ? x / (width - 1) : 0.5;
+    const ny = height > 1 ? y / (height - 1) : 0.5;
+    return 0.5 + ((nx - 0.5) * dx + (ny - 0.5) * dy) / extent;
+  };
+}
+
+/**
+ * Generate mesh gradient pixels: every pixel blends the point colors,
+ * weighted by inverse squared distance.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{x: number, y: number, color: string}>} points - Positions as fractions (0–1)
+ * @returns {Buffer}
+ */
+function generateMeshGradient(width, height, points) {
+  const parsed = points.map((p) => ({
+    x: p.x * (width - 1),
+    y: p.y * (height - 1),
+    color: parseColor(p.color),
+  }));
+  return fillPixels(width, height, (x, y) => {
+    let total = 0;
+    const sum = [0, 0, 0];
+    for (const p of parsed) {
+      const d2 = (x - p.x) ** 2 + (y - p.y) ** 2;
+      if (d2 === 0) return p.color;
+      const w = 1 / d2;
+      total += w;
+      sum[0] += p.color[0] * w;
+      sum[1] += p.color[1] * w;
+      sum[2] += p.color[2] * w;
     }
-  }
+    return [
+      Math.round(sum[0] / total),
+      Math.round(sum[1] / total),
+      Math.round(sum[2] / total),
+    ];
+  });
+}
 
-  return pixels;
+/**
+ * @param {Object} colorSpec - Gradient specification
+ * @returns {boolean} True if the gradient moves its stops or rotates, so it
+ *   has to be rendered as a frame sequence
+ */
+function isFrameAnimatedGradient(colorSpec) {
+  const animate = colorSpec && colorSpec.animate;
+  if (!animate) return false;
+  return Object.keys(FRAME_ANIMATIONS).some(
+    (key) => typeof animate[key] === "number" && animate[key] !== 0,
+  );
+}
+
+/**
+ * Frame rate for a frame-rendered gradient animation.
+ * @param {Object} colorSpec
+ * @param {number|string} projectFps - Project frame rate (see core/frame_rate.js)
+ * @returns {number|string}
+ */
+function getGradientFrameRate(colorSpec, projectFps) {
+  const fps =
+    colorSpec.animate && typeof colorSpec.animate.fps === "number"
+      ? colorSpec.animate.fps
+      : DEFAULT_ANIMATION_FPS;
+  // The project rate may be rational ("30000/1001"); keep it exact
+  return fps < frameRateToNumber(projectFps) ? fps : projectFps;
+}
+
+/**
+ * Frame rate and frame count of a frame-rendered gradient animation. When
+ * its frames would take more than MAX_ANIMATION_BYTES, the frame rate is
+ * lowered until they fit; the motion still spans the whole clip.
+ *
+ * @param {Object} colorSpec
+ * @param {number|string} projectFps - Project frame rate
+ * @param {number} duration - Clip length in seconds
+ * @param {number} width - Rendered frame width
+ * @param {number} height - Rendered frame height
+ * @returns {{ fps: number|string, frameCount: number, reduced: boolean }}
+ */
+function getGradientFramePlan(colorSpec, projectFps, duration, width, height) {
+  const fps = getGradientFrameRate(colorSpec, projectFps);
+  const frameCount = Math.max(1, Math.ceil(duration * frameRateToNumber(fps)));
+  const maxFrames = Math.max(2, Math.floor(MAX_ANIMATION_BYTES / (width * height * 3)));
+  if (frameCount <= maxFrames) {
+    return { fps, frameCount, reduced: false };
+  }
+  // Rounded down to three decimals, so the rate stays a short exact rational
+  const reducedFps = Math.max(0.001, Math.floor((maxFrames / duration) * 1000) / 1000);
+  return {
+    fps: reducedFps,
+    frameCount: Math.max(1, Math.ceil(duration * reducedFps)),
+    reduced: true,
+  };
 }
 
 /**
@@ -229,21 +439,32 @@ function generateRadialGradient(width, height, colors) {
  * @param {number} width - Image width
  * @param {number} height - Image height
  * @param {Object} colorSpec - Gradient specification
- * @param {string} colorSpec.type - "linear-gradient" or "radial-gradient"
- * @param {string[]} colorSpec.colors - Array of color strings (2+ colors)
+ * @param {string} colorSpec.type - "linear-gradient", "radial-gradient", "conic-gradient" or "mesh-gradient"
+ * @param {Array<string|Object>} [colorSpec.colors] - Color stops (2+): color strings or { color, position }
  * @param {string|number} [colorSpec.direction] - For linear: "vertical", "horizontal", or angle in degrees (default: "vertical")
+ * @param {{x: number, y: number}} [colorSpec.center] - For radial / conic: center as fractions (default: 0.5, 0.5)
+ * @param {number} [colorSpec.angle] - For conic: start angle in degrees, clockwise from the top (default: 0)
+ * @param {Array<Object>} [colorSpec.points] - For mesh: { x, y, color } points (2+)
+ * @param {Object} [colorSpec.animate] - { shift, rotate } are applied at `progress`
+ * @param {number} [progress=0] - Animation progress (0 = clip start, 1 = clip end)
  * @returns {Buffer} PPM image buffer ready to write to disk
  */
-function generateGradientPPM(width, height, colorSpec) {
-  const parsedColors = colorSpec.colors.map(parseColor);
-
+function generateGradientPPM(width, height, colorSpec, progress = 0) {
   let pixels;
-  if (colorSpec.type === "radial-gradient") {
-    pixels = generateRadialGradient(width, height, parsedColors);
+  if (colorSpec.type === "mesh-gradient") {
+    pixels = generateMeshGradient(width, height, colorSpec.points);
   } else {
-    // linear-gradient (default)
-    const direction = colorSpec.direction || "vertical";
-    pixels = generateLinearGradient(width, height, parsedColors, direction);
+    const animate = colorSpec.animate || {};
+    const shift = typeof animate.shift === "number" ? animate.shift * progress : 0;
+    const rotation = typeof animate.rotate === "number" ? animate.rotate * progress : 0;
+    const stops = normalizeStops(colorSpec.colors);
+    const positionAt = createPositionFn(width, height, colorSpec, rotation);
+    pixels = fillPixels(width, height, (x, y) => {
+      let t = positionAt(x, y);
+      // Moving stops repeat the gradient so the frame stays covered
+      if (shift !== 0) t = t - shift - Math.floor(t - shift);
+      return interpolateStops(stops, t);
+    });
   }
 
   const header = Buffer.from(`P6\n${width} ${height}\n255\n`);
@@ -251,7 +472,16 @@ function generateGradientPPM(width, height, colorSpec) {
 }
 
 module.exports = {
+  GRADIENT_TYPES,
+  FRAME_ANIMATIONS,
+  ANIMATION_FRAME_SCALE,
+  MAX_ANIMATION_BYTES,
   generateGradientPPM,
+  isFrameAnimatedGradient,
+  getGradientFrameRate,
+  getGradientFramePlan,
+  normalizeStops,
   parseColor,
+  isParsableColor,
   interpolateColors,
 };
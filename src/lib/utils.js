@@ -69,6 +69,27 @@ function parseFFmpegProgress(line, totalDuration) {
   return progress;
 }
 
+/**
+ * Wrap a progress callback so a sub-task's 0-100% maps onto a slice of the
+ * whole, e.g. a nested render that is a third of the work.
+ * @param {Function} onProgress - Progress callback of the whole task
+ * @param {number} offset - Percent already done when the sub-task starts
+ * @param {number} share - Fraction of the whole the sub-task accounts for (0-1)
+ * @returns {Function}
+ */
+function scaleProgress(onProgress, offset, share) {
+  return (progress) => {
+    if (typeof progress.percent !== "number") {
+      onProgress(progress);
+      return;
+    }
+    onProgress({
+      ...progress,
+      percent: Math.min(100, Math.round(offset + progress.percent * share)),
+    });
+  };
+}
+
 /**
  * Run FFmpeg command with spawn, supporting progress callbacks and cancellation
  * @param {Object} options
@@ -230,5 +251,6 @@ module.exports = {
   parseFFmpegTime,
   parseFFmpegProgress,
   runFFmpeg,
+  scaleProgress,
   parseFFmpegCommand,
 };
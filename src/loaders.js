@@ -1,10 +1,86 @@
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
-const { probeMedia } = require("./core/media_info");
+const { probeMedia, isStillImageFormat } = require("./core/media_info");
 const { ValidationError, MediaNotFoundError } = require("./core/errors");
 const C = require("./core/constants");
-const { generateGradientPPM } = require("./lib/gradient");
+const {
+  generateGradientPPM,
+  isFrameAnimatedGradient,
+  getGradientFramePlan,
+  ANIMATION_FRAME_SCALE,
+  MAX_ANIMATION_BYTES,
+} = require("./lib/gradient");
+const { getSourceDuration, getOutputDuration } = require("./core/speed");
+const {
+  getCompositionSize,
+  getTimelineDuration,
+} = require("./core/composition");
+const {
+  listSequenceFrames,
+  getAnimatedSourceFields,
+  isAnimatedImage,
+} = require("./core/image_sources");
+const { getOrientationFields } = require("./core/exif");
+const {
+  normalizeFrameRate,
+  frameRateToNumber,
+  framesToSeconds,
+} = require("./core/frame_rate");
+
+/**
+ * Fit a clip's timeline slot to the source that is available after cutFrom,
+ * according to its `fill` mode ("stretch" slows it down, "clamp" shortens it).
+ * A stretch never goes below MIN_PLAYBACK_SPEED; past that the end is clamped.
+ * @param {Object} clipObj - Clip with position / end / cutFrom (mutated)
+ * @param {number} mediaDuration - Source duration in seconds
+ * @param {string} label - Clip kind for the warning, e.g. "Video"
+ */
+function fitToSource(clipObj, mediaDuration, label) {
+  if (
+    typeof clipObj.position !== "number" ||
+    typeof clipObj.end !== "number" ||
+    typeof clipObj.cutFrom !== "number"
+  ) {
+    return;
+  }
+  // Compare in source time: speed / speedRamp change how much of the
+  // source a timeline slot consumes.
+  const requestedDuration = Math.max(0, clipObj.end - clipObj.position);
+  const sourceNeeded = getSourceDuration(clipObj, requestedDuration);
+  const maxAvailable = Math.max(0, mediaDuration - clipObj.cutFrom);
+  const fill = clipObj.fill || "clamp";
+  if (sourceNeeded > maxAvailable && fill === "stretch") {
+    // Slow the requested speed down further so the available source fills
+    // the slot
+    const speed = typeof clipObj.speed === "number" ? clipObj.speed : 1;
+    const stretched = speed * (maxAvailable / sourceNeeded);
+    if (stretched < C.MIN_PLAYBACK_SPEED) {
+      const clampedEnd = clipObj.position + maxAvailable / C.MIN_PLAYBACK_SPEED;
+      console.warn(
+        `${label} clip would need speed ${stretched.toFixed(3)} to stretch its source over ${requestedDuration}s. Using the minimum speed ${C.MIN_PLAYBACK_SPEED} and clamping end from ${clipObj.end}s to ${clampedEnd}s.`,
+      );
+      clipObj.speed = C.MIN_PLAYBACK_SPEED;
+      clipObj.end = clampedEnd;
+    } else {
+      if (speed !== 1) {
+        console.warn(
+          `${label} clip speed ${speed} lowered to ${stretched.toFixed(3)} so the source fills the slot (fill: "stretch").`,
+        );
+      }
+      clipObj.speed = stretched;
+    }
+  } else if (sourceNeeded > maxAvailable && fill === "clamp") {
+    const availableDuration = getOutputDuration(clipObj, maxAvailable);
+    const clampedEnd = clipObj.position + availableDuration;
+    console.warn(
+      `${label} clip overruns source by ${(
+        requestedDuration - availableDuration
+      ).toFixed(3)}s. Clamping end from ${clipObj.end}s to ${clampedEnd}s.`,
+    );
+    clipObj.end = clampedEnd;
+  }
+}
 
 async function loadVideo(project, clipObj) {
   const metadata = await probeMedia(clipObj.url);
@@ -24,27 +100,12 @@ async function loadVideo(project, clipObj) {
       );
     }
   }
-  if (
-    typeof clipObj.position === "number" &&
-    typeof clipObj.end === "number" &&
-    typeof clipObj.cutFrom === "number" &&
-    metadata.duration != null
-  ) {
-    const requestedDuration = Math.max(0, clipObj.end - clipObj.position);
-    const maxAvailable = Math.max(0, metadata.duration - clipObj.cutFrom);
-    if (requestedDuration > maxAvailable) {
-      const clampedEnd = clipObj.position + maxAvailable;
-      console.warn(
-        `Video clip overruns source by ${(
-          requestedDuration - maxAvailable
-        ).toFixed(3)}s. Clamping end from ${clipObj.end}s to ${clampedEnd}s.`,
-      );
-      clipObj.end = clampedEnd;
-    }
+  if (metadata.duration != null) {
+    fitToSource(clipObj, metadata.duration, "Video");
   }
   project.videoOrAudioClips.push({
     ...clipObj,
-    iphoneRotation: metadata.rotation,
+    ...getOrientationFields(metadata),
     hasAudio: metadata.hasAudio,
     mediaDuration: metadata.duration,
   });
@@ -98,10 +159,61 @@ async function loadImage(project, clipObj) {
     cutFrom: 0,
     width: clipObj.width ?? metadata.width,
     height: clipObj.height ?? metadata.height,
+    ...getOrientationFields(metadata),
+    // Animated GIF / APNG / WebP play instead of showing their first frame
+    ...(isAnimatedImage(metadata)
+      ? getAnimatedSourceFields(clipObj, metadata)
+      : {}),
   };
   project.videoOrAudioClips.push(clip);
 }
 
+async function loadImageSequence(project, clipObj) {
+  const { files, startNumber } = listSequenceFrames(
+    clipObj.url,
+    clipObj.startNumber,
+  );
+  if (files.length === 0) {
+    throw new MediaNotFoundError(
+      `No frames found for image sequence "${clipObj.url}"`,
+      { path: clipObj.url },
+    );
+  }
+  // Frames share the first frame's size
+  const metadata = await probeMedia(files[0]);
+  const fps = normalizeFrameRate(clipObj.fps ?? project.options.fps);
+  const cutFrom = clipObj.cutFrom ?? 0;
+  const duration = framesToSeconds(files.length, fps);
+  if (cutFrom >= duration) {
+    throw new ValidationError(
+      `Image sequence cutFrom (${cutFrom}s) must be < sequence duration (${duration}s)`,
+      {
+        errors: [
+          {
+            code: "INVALID_RANGE",
+            path: "cutFrom",
+            message: `cutFrom exceeds sequence duration`,
+          },
+        ],
+      },
+    );
+  }
+  project.videoOrAudioClips.push({
+    ...clipObj,
+    fps,
+    ...(startNumber != null ? { startNumber } : {}),
+    hasAudio: false,
+    cutFrom,
+    width: metadata.width,
+    height: metadata.height,
+    ...getOrientationFields(metadata),
+    ...getAnimatedSourceFields(clipObj, {
+      duration,
+      frameCount: files.length,
+    }),
+  });
+}
+
 async function loadBackgroundAudio(project, clipObj) {
   const metadata = await probeMedia(clipObj.url);
   const durationSec = metadata.duration;
@@ -233,12 +345,61 @@ async function loadColor(project, clipObj) {
     // Gradient — generate a temp PPM image and treat as an image clip
     const width = project.options.width || C.DEFAULT_WIDTH;
     const height = project.options.height || C.DEFAULT_HEIGHT;
-    const ppmBuffer = generateGradientPPM(width, height, clipObj.color);
-
-    const tempPath = path.join(
+    const tempBase = path.join(
       project.options.tempDir || os.tmpdir(),
-      `simpleffmpeg-gradient-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.ppm`,
+      `simpleffmpeg-gradient-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
     );
+
+    if (isFrameAnimatedGradient(clipObj.color)) {
+      // Moving stops / rotation — render a reduced-size frame sequence
+      // that is read like an imageSequence clip and scaled up by FFmpeg
+      const duration = Math.max(0, clipObj.end - clipObj.position);
+      const frameWidth = Math.max(1, Math.round(width * ANIMATION_FRAME_SCALE));
+      const frameHeight = Math.max(1, Math.round(height * ANIMATION_FRAME_SCALE));
+      const { fps, frameCount, reduced } = getGradientFramePlan(
+        clipObj.color,
+        project.options.fps || C.DEFAULT_FPS,
+        duration,
+        frameWidth,
+        frameHeight,
+      );
+      if (reduced) {
+        console.warn(
+          `Animated gradient of ${duration}s is rendered at ${fps} fps to keep its frames within ${Math.round(
+            MAX_ANIMATION_BYTES / (1024 * 1024),
+          )} MB. Split it into shorter clips for smoother motion.`,
+        );
+      }
+      const rate = frameRateToNumber(fps);
+      for (let i = 0; i < frameCount; i++) {
+        const progress = duration > 0 ? Math.min(1, i / (duration * rate)) : 0;
+        const framePath = `${tempBase}-${String(i).padStart(5, "0")}.ppm`;
+        // Written one at a time so long animations don't block the event loop
+        await fs.promises.writeFile(
+          framePath,
+          generateGradientPPM(frameWidth, frameHeight, clipObj.color, progress),
+        );
+        project.filesToClean.push(framePath);
+      }
+      project.videoOrAudioClips.push({
+        ...clipObj,
+        url: `${tempBase}-%05d.ppm`,
+        fps,
+        startNumber: 0,
+        cutFrom: 0,
+        hasAudio: false,
+        width: frameWidth,
+        height: frameHeight,
+        ...getAnimatedSourceFields(clipObj, {
+          duration: framesToSeconds(frameCount, fps),
+          frameCount,
+        }),
+      });
+      return;
+    }
+
+    const ppmBuffer = generateGradientPPM(width, height, clipObj.color);
+    const tempPath = `${tempBase}.ppm`;
     fs.writeFileSync(tempPath, ppmBuffer);
 
     // Register for cleanup
@@ -252,13 +413,193 @@ async function loadColor(project, clipObj) {
   }
 }
 
+async function loadGenerator(project, clipObj) {
+  // Rendered by a lavfi source — no file to probe
+  project.videoOrAudioClips.push({ ...clipObj, hasAudio: false });
+}
+
+async function loadAudioGenerator(project, clipObj) {
+  project.videoOrAudioClips.push({ ...clipObj });
+}
+
+async function loadLayoutSource(clipObj, source) {
+  const base = {
+    ...source,
+    position: clipObj.position,
+    end: clipObj.end,
+  };
+  if (source.type === "color") {
+    return { ...base, hasAudio: false, _isFlatColor: true };
+  }
+
+  const metadata = await probeMedia(source.url);
+  if (source.type === "image") {
+    return {
+      ...base,
+      hasAudio: false,
+      cutFrom: 0,
+      width: metadata.width,
+      height: metadata.height,
+      ...getOrientationFields(metadata),
+      ...(isAnimatedImage(metadata)
+        ? getAnimatedSourceFields(source, metadata)
+        : {}),
+    };
+  }
+
+  const cutFrom = source.cutFrom ?? 0;
+  if (metadata.duration != null && cutFrom >= metadata.duration) {
+    throw new ValidationError(
+      `Layout source cutFrom (${cutFrom}s) must be < source duration (${metadata.duration}s)`,
+      {
+        errors: [
+          {
+            code: "INVALID_RANGE",
+            path: "cutFrom",
+            message: `cutFrom exceeds source duration`,
+          },
+        ],
+      },
+    );
+  }
+  return {
+    ...base,
+    cutFrom,
+    volume: source.volume != null ? source.volume : 1,
+    width: metadata.width,
+    height: metadata.height,
+    ...getOrientationFields(metadata),
+    hasAudio: metadata.hasAudio,
+    mediaDuration: metadata.duration,
+  };
+}
+
+async function loadLayout(project, clipObj) {
+  const sources = await Promise.all(
+    clipObj.sources.map((source) => loadLayoutSource(clipObj, source)),
+  );
+  project.videoOrAudioClips.push({
+    ...clipObj,
+    // Audio is mixed per source (see getLayoutAudioSources)
+    hasAudio: false,
+    sources,
+  });
+}
+
+async function loadComposition(project, clipObj) {
+  const { width, height } = getCompositionSize(
+    clipObj,
+    project.options.width,
+    project.options.height,
+  );
+  // The nested timeline is its own project with the parent's settings.
+  // It was already validated as part of the parent, so skip file checks.
+  const child = new project.constructor({
+    ...project.options,
+    preset: null,
+    width,
+    height,
+  });
+  await child.load(clipObj.clips, {
+    skipFileChecks: true,
+    skipExtensionsCheck: true,
+  });
+
+  const mediaDuration = getTimelineDuration([
+    ...child.videoOrAudioClips,
+    ...child.textClips,
+  ]);
+  fitToSource(clipObj, mediaDuration, "Composition");
+  project.videoOrAudioClips.push({
+    ...clipObj,
+    // Rendered to `url` in _prepareExport(), which also sets hasAudio
+    hasAudio: false,
+    mediaDuration,
+    _project: child,
+  });
+}
+
+/**
+ * Probe the matte of a "matte" transition. A still image matte is held for
+ * the whole transition; a video matte plays from its first frame.
+ * @param {Object} transition - Normalized `{ type: "matte", url, ... }`
+ * @returns {Promise<Object>} The transition with `_stillMatte` set
+ */
+async function loadMatteTransition(transition) {
+  const metadata = await probeMedia(transition.url);
+  return { ...transition, _stillMatte: isStillImageFormat(metadata.format) };
+}
+
+/**
+ * Probe the video of a "stinger" transition. `duration` defaults to the
+ * stinger's length and `cutPoint` to its middle.
+ * @param {Object} transition - Normalized `{ type: "stinger", url, ... }`
+ * @returns {Promise<Object>} The transition with its timing filled in
+ */
+async function loadStingerTransition(transition) {
+  const metadata = await probeMedia(transition.url);
+  let duration = transition.duration ?? metadata.duration;
+  if (typeof duration !== "number" || !(duration > 0)) {
+    throw new ValidationError(
+      `Could not read the length of stinger '${transition.url}'; set transition.duration`,
+      {
+        errors: [
+          {
+            code: "MISSING_REQUIRED",
+            path: "transition.duration",
+            message: "stinger length is unknown",
+          },
+        ],
+      },
+    );
+  }
+  if (metadata.duration != null && duration > metadata.duration) {
+    console.warn(
+      `Stinger transition overruns source by ${(
+        duration - metadata.duration
+      ).toFixed(3)}s. Clamping duration from ${duration}s to ${metadata.duration}s.`,
+    );
+    duration = metadata.duration;
+  }
+  const cutPoint = transition.cutPoint ?? duration / 2;
+  if (cutPoint > duration) {
+    throw new ValidationError(
+      `Stinger cutPoint (${cutPoint}s) must be <= its duration (${duration}s)`,
+      {
+        errors: [
+          {
+            code: "INVALID_RANGE",
+            path: "transition.cutPoint",
+            message: "cutPoint exceeds stinger duration",
+          },
+        ],
+      },
+    );
+  }
+  return {
+    ...transition,
+    duration,
+    cutPoint,
+    _hasAudio: metadata.hasAudio,
+    _alphaDecoder: C.ALPHA_DECODERS[metadata.videoCodec] || null,
+  };
+}
+
 module.exports = {
+  fitToSource,
   loadVideo,
   loadAudio,
   loadImage,
+  loadImageSequence,
   loadBackgroundAudio,
   loadText,
   loadEffect,
   loadSubtitle,
   loadColor,
+  loadGenerator,
+  loadAudioGenerator,
+  loadLayout,
+  loadComposition,
+  loadMatteTransition,
+  loadStingerTransition,
 };
@@ -143,7 +143,11 @@ function formatSchema(modules, options = {}) {
     video: "\"video\"",
     audio: "\"audio\"",
     image: "\"image\"",
+    imageSequence: "\"imageSequence\"",
     color: "\"color\"",
+    generator: "\"generator\" or \"audioGenerator\"",
+    layout: "\"layout\"",
+    composition: "\"composition\"",
     effect: "\"effect\"",
     text: "\"text\"",
     subtitle: "\"subtitle\"",
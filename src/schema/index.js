@@ -12,7 +12,11 @@ const { formatSchema } = require("./formatter");
 const videoModule = require("./modules/video");
 const audioModule = require("./modules/audio");
 const imageModule = require("./modules/image");
+const imageSequenceModule = require("./modules/imageSequence");
 const colorModule = require("./modules/color");
+const generatorModule = require("./modules/generator");
+const layoutModule = require("./modules/layout");
+const compositionModule = require("./modules/composition");
 const effectModule = require("./modules/effect");
 const textModule = require("./modules/text");
 const subtitleModule = require("./modules/subtitle");
@@ -26,7 +30,11 @@ const ALL_MODULES = {
   video: videoModule,
   audio: audioModule,
   image: imageModule,
+  imageSequence: imageSequenceModule,
   color: colorModule,
+  generator: generatorModule,
+  layout: layoutModule,
+  composition: compositionModule,
   effect: effectModule,
   text: textModule,
   subtitle: subtitleModule,
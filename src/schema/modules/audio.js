@@ -1,3 +1,5 @@
+const C = require("../../core/constants");
+
 module.exports = {
   id: "audio",
   name: "Audio Clips",
@@ -11,7 +13,21 @@ module.exports = {
   duration?: number;          // Duration in seconds (alternative to end). end = position + duration.
   cutFrom?: number;           // Start playback from this point in the source (default: 0)
   volume?: number;            // Volume multiplier (default: 1, 0 = mute, >1 = amplify)
+  keyframes?: {               // Animated volume, overrides volume
+    volume: { time: number; value: number; easing?: Easing }[]; // time = seconds from clip start
+  };
+  fadeIn?: number;            // Seconds to fade in from silence
+  fadeOut?: number;           // Seconds to fade out to silence
+  fadeCurve?: AudioFadeCurve; // Shape of both fades (default: "tri")
+  volumeEnvelope?: {          // Volume over time, overrides volume. Use this OR keyframes.volume.
+    time: number;             //   Seconds from clip start
+    volume: number;           //   Volume multiplier at this point
+    curve?: Easing;           //   Move to the next point (default: "linear")
+  }[];
 }`,
+  enums: {
+    AudioFadeCurve: C.AUDIO_FADE_CURVES,
+  },
   examples: [
     {
       label: "Sound effect at 3 seconds",
@@ -21,11 +37,19 @@ module.exports = {
       label: "Voiceover with boosted volume",
       code: `{ type: "audio", url: "voiceover.wav", position: 0, end: 30, volume: 1.5 }`,
     },
+    {
+      label: "Ambience that swells and fades away",
+      code: `{ type: "audio", url: "rain.wav", position: 0, end: 20, fadeIn: 2, fadeOut: 3,
+  volumeEnvelope: [{ time: 0, volume: 0.3 }, { time: 8, volume: 1, curve: "ease-in-out" }] }`,
+    },
   ],
   notes: [
     "If position is omitted, the clip is placed immediately after the previous audio clip (auto-sequencing). The first clip defaults to position 0.",
     "Use duration instead of end to specify how long the clip plays: end = position + duration. Cannot use both.",
     "Audio clips are mixed (layered) with video audio and background music — they don't replace other audio.",
     "Use cutFrom to start playback partway through the source file.",
+    "keyframes.volume builds a volume envelope, e.g. [{ time: 0, value: 0 }, { time: 1, value: 1 }] fades in over the first second.",
+    "fadeIn / fadeOut fade the clip's audio at its start and end on top of its volume. fadeCurve takes an FFmpeg afade curve.",
+    "volumeEnvelope is the same as keyframes.volume with { time, volume, curve } points. With transition compensation, envelope times move with the timeline like position and end, so a dip stays under the clip it was timed against.",
   ],
 };
@@ -2,7 +2,7 @@ module.exports = {
   id: "color",
   name: "Color Clips",
   description:
-    "Solid color or gradient clips for filling gaps, creating transitions to/from black, or adding visual backgrounds to the timeline.",
+    "Solid color or gradient clips for filling gaps, creating transitions to/from black, or adding static or animated backgrounds to the timeline.",
   schema: `{
   type: "color";                            // Required: clip type identifier
   color: string | GradientSpec;             // Required: flat color string or gradient specification
@@ -10,9 +10,33 @@ module.exports = {
   end?: number;                             // End time on timeline (seconds). Use end OR duration, not both.
   duration?: number;                        // Duration in seconds (alternative to end). end = position + duration.
   transition?: TransitionConfig;            // Optional: transition effect from the previous visual clip
+  transform?: ClipTransform;                // Optional: crop / flip / rotate / scale / position (see video clip schema)
+  track?: number;                           // Optional: visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: { x?, y?, width?, height? };     // Optional: placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+  keyframes?: VisualKeyframes;              // Optional: animate opacity / x / y / scale / rotation (see video clip schema)
+}
+
+interface GradientSpec {
+  type: GradientType;                       // Required: gradient kind
+  colors?: (string | ColorStop)[];          // Required except for mesh: 2+ stops. Strings are spaced evenly.
+  direction?: GradientDirection | number;   // linear: direction or angle in degrees (default: "vertical")
+  center?: { x?: number; y?: number };      // radial / conic: center as fractions 0-1 (default: 0.5, 0.5)
+  angle?: number;                           // conic: start angle in degrees, clockwise from the top (default: 0)
+  points?: { x: number; y: number; color: string }[];  // mesh: 2+ points, x/y as fractions 0-1
+  animate?: {
+    hue?: number;                           // Degrees of hue rotation over the clip (all types)
+    shift?: number;                         // Moves the stops by this fraction of the gradient over the clip (linear / radial / conic)
+    rotate?: number;                        // Degrees of rotation over the clip (linear / conic)
+    fps?: number;                           // Frame rate of rendered shift / rotate frames (default: 15)
+  };
+}
+
+interface ColorStop {
+  color: string;                            // Required: stop color
+  position?: number;                        // Position along the gradient, 0-1. Omit to space evenly between neighbours.
 }`,
   enums: {
-    GradientType: ["linear-gradient", "radial-gradient"],
+    GradientType: ["linear-gradient", "radial-gradient", "conic-gradient", "mesh-gradient"],
     GradientDirection: ["vertical", "horizontal"],
   },
   examples: [
@@ -40,15 +64,32 @@ module.exports = {
       label: "Multi-stop gradient",
       code: `{ type: "color", color: { type: "linear-gradient", colors: ["#ff0000", "#00ff00", "#0000ff"], direction: "horizontal" }, duration: 4 }`,
     },
+    {
+      label: "Explicit stop positions",
+      code: `{ type: "color", color: { type: "linear-gradient", colors: ["#0f2027", { color: "#203a43", position: 0.7 }, "#2c5364"] }, duration: 4 }`,
+    },
+    {
+      label: "Spinning conic gradient",
+      code: `{ type: "color", color: { type: "conic-gradient", colors: ["#ff006e", "#3a86ff", "#ff006e"], animate: { rotate: 360 } }, duration: 6 }`,
+    },
+    {
+      label: "Mesh gradient with hue cycling",
+      code: `{ type: "color", color: { type: "mesh-gradient", points: [{ x: 0, y: 0, color: "#ff9a8b" }, { x: 1, y: 0.3, color: "#7f7fd5" }, { x: 0.4, y: 1, color: "#91eae4" }], animate: { hue: 360 } }, duration: 8 }`,
+    },
   ],
   notes: [
     "Flat color accepts any valid FFmpeg color: named colors (\"black\", \"navy\", \"red\"), hex (#RGB, #RRGGBB), or \"random\".",
     "Gradient clips generate a temporary image internally and flow through the image pipeline — no external dependencies required.",
     "Linear gradients support direction as \"vertical\" (default), \"horizontal\", or a number (angle in degrees).",
-    "Radial gradients interpolate from the center outward.",
-    "Gradient colors array must have at least 2 colors; multiple stops are evenly distributed.",
+    "Radial gradients interpolate from the center (default: frame center) to the farthest corner.",
+    "Conic gradients sweep clockwise around the center, starting at angle (0 = top). Repeat the first color at the end for a seamless seam.",
+    "Mesh gradients blend the colors of free-standing points, weighted by distance. They use points instead of colors.",
+    "Gradient colors array must have at least 2 colors. Stops without a position are evenly distributed between their neighbours; positions must not decrease.",
+    "animate.hue is applied by FFmpeg to the still gradient. animate.shift and animate.rotate render a frame sequence at half the output size and animate.fps (default: 15, at most the project fps), which FFmpeg scales up. Long clips get a lower frame rate so their frames stay under 256 MB.",
+    "With animate.shift the gradient repeats, so use matching first and last colors for a seamless loop.",
     "Color clips support transitions just like video and image clips (e.g. fade, wipe, dissolve).",
     "If position is omitted, the clip is placed immediately after the previous visual clip (auto-sequencing).",
     "Use duration instead of end to specify length: end = position + duration. Cannot use both.",
+    "A color clip on track >= 1 with bounds draws a solid box over the base track (e.g. a lower-third backing panel).",
   ],
 };
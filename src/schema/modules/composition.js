@@ -0,0 +1,55 @@
+module.exports = {
+  id: "composition",
+  name: "Composition Clips",
+  description:
+    "Nest a whole timeline inside another one. A composition clip renders its own clips on its own canvas and is then placed in the parent like a video clip, so reusable intros and segments can be shared between projects.",
+  schema: `{
+  type: "composition";                      // Required: clip type identifier
+  clips: Clip[];                            // Required: the nested timeline (any clip types, including compositions)
+  width?: number;                           // Optional: nested canvas width (default: parent width, even)
+  height?: number;                          // Optional: nested canvas height (default: parent height, even)
+  position?: number;                        // Start time on timeline (seconds). Omit to auto-sequence after previous visual clip.
+  end?: number;                             // End time on timeline (seconds). Use end OR duration, not both.
+  duration?: number;                        // Duration in seconds. Defaults to the nested timeline's length (minus cutFrom).
+  cutFrom?: number;                         // Optional: start this many seconds into the nested timeline (default: 0)
+  volume?: number;                          // Optional: volume of the nested timeline's audio (default: 1)
+  imageFit?: ImageFit;                      // Optional: how the nested canvas fits the parent canvas (default: "contain")
+  blurIntensity?: number;                   // Optional: blur strength for blur-fill background (default: 40)
+  transition?: TransitionConfig;            // Optional: transition effect from the previous visual clip
+  transform?: ClipTransform;                // Optional: crop / flip / rotate / scale / position (see video clip schema)
+  track?: number;                           // Optional: visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: { x?, y?, width?, height? };     // Optional: placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+  keyframes?: VisualKeyframes;              // Optional: animate opacity / x / y / scale / rotation / volume
+}`,
+  enums: {
+    ImageFit: ["cover", "contain", "blur-fill"],
+  },
+  examples: [
+    {
+      label: "Reusable branded intro",
+      code: `const intro = [
+  { type: "color", color: "#101820", duration: 3 },
+  { type: "text", text: "ACME Weekly", position: 0.5, end: 3, fontSize: 96, fontColor: "white" },
+  { type: "music", url: "sting.mp3", volume: 0.8 }
+];
+
+[
+  { type: "composition", clips: intro },
+  { type: "video", url: "episode.mp4", duration: 60, transition: { type: "fade", duration: 0.5 } }
+]`,
+    },
+    {
+      label: "Square segment fitted into a landscape video",
+      code: `{ type: "composition", width: 1080, height: 1080, imageFit: "blur-fill", clips: [
+  { type: "image", url: "product.jpg", duration: 4, kenBurns: "zoom-in" },
+  { type: "image", url: "detail.jpg", duration: 4, transition: { type: "fade", duration: 0.5 } }
+] }`,
+    },
+  ],
+  notes: [
+    "The nested clips are resolved and validated together with the parent. Validation paths point into them, e.g. clips[2].clips[0].url.",
+    "A composition needs at least one base-track visual clip. Its length is the nested timeline's exported length (transition overlap included).",
+    "The nested timeline is rendered to an intermediate file during export (and preview), using the intermediate codec settings, then used like a video clip.",
+    "Transitions into and out of a composition, tracks, bounds, transform and keyframes work the same as on video clips.",
+  ],
+};
@@ -15,6 +15,7 @@ module.exports = {
   fadeIn?: number;                          // Optional: seconds to ramp in from 0 to full intensity
   fadeOut?: number;                         // Optional: seconds to ramp out from full intensity to 0
   params: EffectParams;                     // Required: effect-specific parameters
+  keyframes?: { [param]: Keyframe[] };      // Optional: animate amount (all effects), vignette angle, colorAdjust brightness/contrast/saturation/gamma
 }`,
   enums: {
     EffectType: [
@@ -120,6 +121,7 @@ module.exports = {
     "position is required unless fullDuration: true is set, which spans the entire visual timeline.",
     "fadeIn/fadeOut are optional linear envelope controls that avoid abrupt on/off changes.",
     "params.amount is a normalized blend amount from 0 to 1 (default: 1).",
+    "keyframes override the matching params over time: keyframe times are seconds from the effect's position, and each keyframe's easing shapes the move to the next.",
     "filmGrain: use params.strength (0-1) for noise intensity, params.amount for blend alpha.",
   ],
 };
@@ -0,0 +1,82 @@
+module.exports = {
+  id: "generator",
+  name: "Generator Clips",
+  description:
+    "Test patterns, procedural backgrounds and audio tones rendered by FFmpeg itself — no media files needed. Use \"generator\" for picture and \"audioGenerator\" for sound.",
+  schema: `{
+  type: "generator";                        // Required: clip type identifier
+  generator: GeneratorName;                 // Required: which source to render
+  position?: number;                        // Start time on timeline (seconds). Omit to auto-sequence after previous visual clip.
+  end?: number;                             // End time on timeline (seconds). Use end OR duration, not both.
+  duration?: number;                        // Duration in seconds (alternative to end). end = position + duration.
+  seed?: number;                            // noise / cellauto / life: integer random seed for repeatable output
+  strength?: number;                        // noise: grain strength 0-100 (default: 60)
+  color?: string;                           // noise: base color (default: "gray"); life: color of live cells
+  rule?: number;                            // cellauto: elementary automaton rule 0-255 (default: 110)
+  cellSize?: number;                        // cellauto / life: pixels per cell (default: 4)
+  transition?: TransitionConfig;            // Optional: transition effect from the previous visual clip
+  transform?: ClipTransform;                // Optional: crop / flip / rotate / scale / position (see video clip schema)
+  track?: number;                           // Optional: visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: { x?, y?, width?, height? };     // Optional: placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+  keyframes?: VisualKeyframes;              // Optional: animate opacity / x / y / scale / rotation (see video clip schema)
+}
+
+{
+  type: "audioGenerator";                   // Required: clip type identifier
+  generator: AudioGeneratorName;            // Required: which source to render
+  position?: number;                        // Start time on timeline (seconds). Omit to auto-sequence after previous audio clip.
+  end?: number;                             // End time on timeline (seconds). Use end OR duration, not both.
+  duration?: number;                        // Duration in seconds (alternative to end). end = position + duration.
+  volume?: number;                          // Volume multiplier (default: 1)
+  frequency?: number;                       // sine: tone frequency in Hz (default: 440)
+  noiseColor?: NoiseColor;                  // anoisesrc: noise spectrum (default: "white")
+  amplitude?: number;                       // anoisesrc: amplitude 0-1 (default: 0.1)
+  seed?: number;                            // anoisesrc: integer random seed for repeatable output
+  keyframes?: { volume?: Keyframe[] };      // Optional: animate volume (see audio clip schema)
+  fadeIn?: number;                          // Optional: seconds to fade in from silence
+  fadeOut?: number;                         // Optional: seconds to fade out to silence
+  fadeCurve?: string;                       // Optional: afade curve of both fades (default: "tri")
+  volumeEnvelope?: VolumeEnvelopePoint[];   // Optional: volume over time (see audio clip schema)
+}`,
+  enums: {
+    GeneratorName: ["smptebars", "testsrc2", "noise", "cellauto", "life", "mandelbrot"],
+    AudioGeneratorName: ["sine", "anoisesrc"],
+    NoiseColor: ["white", "pink", "brown", "blue", "violet", "velvet"],
+  },
+  examples: [
+    {
+      label: "QA slate: color bars with a 1 kHz tone",
+      code: `[
+  { type: "generator", generator: "smptebars", position: 0, end: 5 },
+  { type: "audioGenerator", generator: "sine", frequency: 1000, volume: 0.5, position: 0, end: 5 }
+]`,
+    },
+    {
+      label: "Film-grain background behind a title",
+      code: `[
+  { type: "generator", generator: "noise", color: "#202020", strength: 30, seed: 7, duration: 4 },
+  { type: "text", text: "Chapter One", position: 0, end: 4 }
+]`,
+    },
+    {
+      label: "Game of Life backdrop with chunky cells",
+      code: `{ type: "generator", generator: "life", cellSize: 8, color: "teal", seed: 42, duration: 6 }`,
+    },
+    {
+      label: "Room tone bed under a voice-over",
+      code: `[
+  { type: "audio", url: "voiceover.wav", position: 0, end: 20 },
+  { type: "audioGenerator", generator: "anoisesrc", noiseColor: "brown", amplitude: 0.02, position: 0, end: 20 }
+]`,
+    },
+  ],
+  notes: [
+    "Generator clips are rendered by FFmpeg source filters, so they need no input file and are never probed.",
+    "\"generator\" clips behave like color clips on the visual timeline: they support transitions, tracks, bounds, transforms and keyframes.",
+    "\"audioGenerator\" clips behave like audio clips: they auto-sequence on the audio track and mix with the rest of the audio.",
+    "Options only apply to the generators listed next to them; passing e.g. rule to a noise generator is a validation error.",
+    "Generators have no source media, so cutFrom is a validation error on both clip types.",
+    "Set seed to get the same noise or automaton on every export. Without it, each export is different.",
+    "cellauto and life run on a grid of (width / cellSize) x (height / cellSize) cells that is scaled up with hard edges.",
+  ],
+};
@@ -2,7 +2,7 @@ module.exports = {
   id: "image",
   name: "Image Clips",
   description:
-    "Display still images on the timeline, optionally with Ken Burns (pan/zoom) motion effects.",
+    "Display still or animated images (GIF, APNG, WebP) on the timeline, optionally with Ken Burns (pan/zoom) motion effects.",
   schema: `{
   type: "image";                            // Required: clip type identifier
   url: string;                              // Required: path to image file (jpg, png, etc.)
@@ -14,6 +14,11 @@ module.exports = {
   kenBurns?: KenBurnsEffect | KenBurnsSpec; // Optional: apply pan/zoom motion to the image
   imageFit?: ImageFit;                     // Optional: how to fit image when aspect ratio differs from output (default: "blur-fill" without Ken Burns, "cover" with Ken Burns)
   blurIntensity?: number;                  // Optional: blur strength for blur-fill background (Gaussian sigma). Default: 40. Higher = blurrier. Typical range: 10-80.
+  loop?: boolean | number;                  // Optional: animated GIF / APNG / WebP playback. true repeats (default), a number plays that many times, false plays once.
+  transform?: ClipTransform;                // Optional: crop / flip / rotate / scale / position (see video clip schema)
+  track?: number;                           // Optional: visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: { x?, y?, width?, height? };     // Optional: placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+  keyframes?: VisualKeyframes;              // Optional: animate opacity / x / y / scale / rotation (see video clip schema)
 }`,
   enums: {
     KenBurnsEffect: [
@@ -28,6 +33,7 @@ module.exports = {
     ],
     KenBurnsAnchor: ["top", "bottom", "left", "right"],
     KenBurnsEasing: ["linear", "ease-in", "ease-out", "ease-in-out"],
+    KenBurnsEngine: ["zoompan", "perspective"],
     ImageFit: ["cover", "contain", "blur-fill"],
   },
   examples: [
@@ -51,6 +57,14 @@ module.exports = {
       label: "Custom Ken Burns with explicit pan endpoints",
       code: `{ type: "image", url: "photo.jpg", duration: 4, kenBurns: { type: "custom", startX: 0.2, startY: 0.8, endX: 0.7, endY: 0.3 } }`,
     },
+    {
+      label: "Ken Burns path through several waypoints with a hold",
+      code: `{ type: "image", url: "group.jpg", duration: 8, kenBurns: { path: [{ time: 0, x: 0.2, zoom: 1.4, hold: 1 }, { time: 3, x: 0.8, easing: "ease-out" }, { time: 6, x: 0.5, zoom: 1 }] } }`,
+    },
+    {
+      label: "Smart Ken Burns pushing in on a subject",
+      code: `{ type: "image", url: "portrait.jpg", duration: 5, kenBurns: { type: "smart", focus: { x: 0.62, y: 0.3 } } }`,
+    },
     {
       label: "Landscape image in portrait video with blurred background (default)",
       code: `{ type: "image", url: "landscape.jpg", duration: 5 }`,
@@ -70,9 +84,16 @@ module.exports = {
     "imageFit controls how images are fitted when their aspect ratio differs from the output: 'blur-fill' (default) fills empty space with a blurred version of the image, 'cover' scales up and crops to fill the frame, 'contain' pads with black bars.",
     "Ken Burns defaults to 'cover' but respects imageFit when set. With 'blur-fill' or 'contain', the Ken Burns motion applies to the contained image while the background stays static. Source dimensions (width/height) are required for KB + blur-fill/contain; without them it falls back to cover.",
     "If width/height are provided, they override probed dimensions (useful for remote or generated images).",
+    "JPEG and TIFF images are turned upright according to their EXIF orientation, so portrait phone photos are fitted as portrait. Probed (and overriding) width/height are the upright size.",
+    "Animated GIF / APNG / WebP images play their frames instead of freezing on the first one. loop: true (default) repeats them for the whole clip; a number plays them that many times and false plays them once, then the last frame is held. Animated WebP needs an FFmpeg build that decodes it.",
     "Image clips can be placed on the same timeline as video clips and can use transitions between them.",
     "Advanced Ken Burns accepts custom zoom/pan endpoints via normalized coordinates (0 = left/top, 1 = right/bottom).",
+    "kenBurns.path lists waypoints { time, x?, y?, zoom?, easing?, hold? } in time order (seconds from the clip start). Omitted values carry over from the previous waypoint; hold keeps the camera still before the next move. A path replaces startX/startY/endX/endY/endZoom/anchor.",
+    "kenBurns.focus { x, y } (smart mode only) is the subject point as fractions of the source image; the camera pushes in and ends centered on it.",
+    "kenBurns.engine (or the project's kenBurnsEngine) picks the renderer: 'zoompan' (default) pans over a large overscan canvas; 'perspective' resamples each frame with sub-pixel precision and no overscan, which is faster and lighter for 4K and long slideshows.",
     "smart mode auto-pans along the dominant axis; use anchor to pick a starting edge.",
-    "Use easing ('linear', 'ease-in', 'ease-out', 'ease-in-out') to smooth motion (default: ease-in-out).",
+    "Use easing ('linear', 'ease-in', 'ease-out', 'ease-in-out', or 'cubic-bezier(x1, y1, x2, y2)') to smooth motion (default: ease-in-out).",
+    "transform (crop, flipH, flipV, rotate, scale, x, y, backgroundColor) works on images the same way as on video clips. Crop runs before Ken Burns.",
+    "Set track >= 1 to layer the image over the base track (e.g. a logo or picture-in-picture). Use bounds to position and size it; imageFit applies inside the bounds box.",
   ],
 };
@@ -0,0 +1,44 @@
+module.exports = {
+  id: "imageSequence",
+  name: "Image Sequence Clips",
+  description:
+    "Play numbered image frames (e.g. PNG renders from a 3D or motion graphics tool) as footage, with the same fit and Ken Burns options as image clips.",
+  schema: `{
+  type: "imageSequence";                    // Required: clip type identifier
+  url: string;                              // Required: printf pattern ("frames/%04d.png") or glob in the file name ("frames/*.png")
+  fps?: number | string;                    // Optional: source frame rate, e.g. 24 or "24000/1001" (default: project fps)
+  startNumber?: number;                     // Optional: first frame number for printf patterns (default: lowest existing number)
+  position?: number;                        // Start time on timeline (seconds). Omit to auto-sequence after previous visual clip.
+  end?: number;                             // End time on timeline (seconds). Use end OR duration, not both.
+  duration?: number;                        // Duration in seconds (alternative to end). end = position + duration.
+  cutFrom?: number;                         // Optional: start this many seconds into the sequence (default: 0)
+  loop?: boolean | number;                  // Optional: true repeats, a number plays that many times, false plays once (default). Then the last frame is held.
+  kenBurns?: KenBurnsEffect | KenBurnsSpec; // Optional: pan/zoom over the moving frames (see image clip schema)
+  imageFit?: ImageFit;                      // Optional: fit when the aspect ratio differs (default: "blur-fill", "cover" with Ken Burns)
+  blurIntensity?: number;                   // Optional: blur strength for blur-fill background (default: 40)
+  transition?: TransitionConfig;            // Optional: transition effect from the previous visual clip
+  transform?: ClipTransform;                // Optional: crop / flip / rotate / scale / position (see video clip schema)
+  track?: number;                           // Optional: visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: { x?, y?, width?, height? };     // Optional: placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+  keyframes?: VisualKeyframes;              // Optional: animate opacity / x / y / scale / rotation (see video clip schema)
+}`,
+  enums: {
+    ImageFit: ["cover", "contain", "blur-fill"],
+  },
+  examples: [
+    {
+      label: "Rendered PNG frames at 24 fps",
+      code: `{ type: "imageSequence", url: "renders/shot_%04d.png", fps: 24, duration: 5 }`,
+    },
+    {
+      label: "Looping animated overlay from a glob",
+      code: `{ type: "imageSequence", url: "sparkles/*.png", fps: 30, duration: 6, loop: true, track: 1, bounds: { x: "70%", y: "5%", width: "25%", height: "25%" } }`,
+    },
+  ],
+  notes: [
+    "Like image clips, a sequence needs end or duration. The sequence itself lasts frame count / fps seconds.",
+    "printf patterns play from startNumber until the first missing number. Globs play every matching file in name order; wildcards are only allowed in the file name. Glob patterns need an FFmpeg build with glob support (not available on Windows).",
+    "When the frames run out before the clip ends, the last frame is held (or the sequence repeats with loop).",
+    "All frames should have the same size as the first one.",
+  ],
+};
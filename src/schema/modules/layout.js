@@ -0,0 +1,73 @@
+module.exports = {
+  id: "layout",
+  name: "Layout Clips",
+  description:
+    "Split-screen, grid and picture-in-picture compositions. A layout clip arranges several video, image or color sources in cells and behaves like one visual clip on the timeline.",
+  schema: `{
+  type: "layout";                           // Required: clip type identifier
+  layout: LayoutPreset | LayoutCell[];      // Required: preset name or custom cells
+  sources: LayoutSource[];                  // Required: child sources, one per cell (source i fills cell i)
+  gutter?: number;                          // Optional: space in pixels between neighbouring cells (default: 0)
+  backgroundColor?: string;                 // Optional: background behind cells and gutters (default: "black")
+  position?: number;                        // Start time on timeline (seconds). Omit to auto-sequence after previous visual clip.
+  end?: number;                             // End time on timeline (seconds). Use end OR duration, not both.
+  duration?: number;                        // Duration in seconds (alternative to end). end = position + duration.
+  transition?: TransitionConfig;            // Optional: transition effect from the previous visual clip
+  transform?: ClipTransform;                // Optional: flip / rotate / scale / position (no crop)
+  track?: number;                           // Optional: visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: { x?, y?, width?, height? };     // Optional: placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+  keyframes?: VisualKeyframes;              // Optional: animate opacity / x / y / scale / rotation (see video clip schema)
+}
+
+LayoutCell: { x?, y?, width?, height? }    // Pixels or "NN%" of the layout
+
+LayoutSource: {
+  type: "video" | "image" | "color";        // Required: source type
+  url?: string;                             // Required for video / image sources
+  color?: string;                           // Required for color sources (flat color only)
+  cutFrom?: number;                         // Optional: start offset into a video source (seconds, default: 0)
+  volume?: number;                          // Optional: audio volume multiplier (default: 1)
+  audio?: boolean;                          // Optional: mix this video source's audio (default: true)
+  fit?: ImageFit;                           // Optional: how the source fills its cell (default: "cover")
+  gutter?: number;                          // Optional: overrides the layout gutter for this cell
+  backgroundColor?: string;                 // Optional: cell background behind "contain" fits
+}`,
+  enums: {
+    LayoutPreset: ["split-h", "split-v", "grid-2x2", "pip-corner"],
+    ImageFit: ["cover", "contain", "blur-fill"],
+  },
+  examples: [
+    {
+      label: "Side-by-side before/after",
+      code: `{ type: "layout", layout: "split-h", gutter: 8, duration: 6, sources: [
+  { type: "video", url: "before.mp4", audio: false },
+  { type: "video", url: "after.mp4" }
+] }`,
+    },
+    {
+      label: "Reaction video with a corner camera",
+      code: `{ type: "layout", layout: "pip-corner", duration: 10, sources: [
+  { type: "video", url: "clip.mp4" },
+  { type: "video", url: "webcam.mp4", volume: 0.8 }
+] }`,
+    },
+    {
+      label: "Custom cells",
+      code: `{ type: "layout", duration: 5, backgroundColor: "#111111", layout: [
+  { x: "0%", y: "0%", width: "66%", height: "100%" },
+  { x: "66%", y: "0%", width: "34%", height: "100%" }
+], sources: [
+  { type: "video", url: "main.mp4" },
+  { type: "image", url: "notes.png", fit: "contain", backgroundColor: "white" }
+] }`,
+    },
+  ],
+  notes: [
+    "Presets: \"split-h\" (left/right), \"split-v\" (top/bottom), \"grid-2x2\" (four cells), \"pip-corner\" (full-frame + small bottom-right cell).",
+    "Sources are drawn in order, so later sources appear on top (e.g. the corner cell in \"pip-corner\").",
+    "A layout may have fewer sources than cells; empty cells show the background. More sources than cells is an error.",
+    "Each cell is inset by half its gutter on every side, so neighbouring cells end up gutter pixels apart.",
+    "A video source that is shorter than the layout holds its last frame.",
+    "Layout clips support transitions just like video and image clips.",
+  ],
+};
@@ -1,3 +1,5 @@
+const C = require("../../core/constants");
+
 module.exports = {
   id: "music",
   name: "Background Music",
@@ -12,7 +14,18 @@ module.exports = {
   cutFrom?: number;           // Start playback from this point in the source (default: 0)
   volume?: number;            // Volume multiplier (default: 0.2 — quieter than main audio)
   loop?: boolean;             // Loop the track to fill the entire video duration (default: false)
+  fadeIn?: number;            // Seconds to fade in from silence
+  fadeOut?: number;           // Seconds to fade out to silence, ending where the music or the video ends
+  fadeCurve?: AudioFadeCurve; // Shape of both fades (default: "tri")
+  volumeEnvelope?: {          // Volume over time, overrides volume
+    time: number;             //   Seconds from the music's start
+    volume: number;           //   Volume multiplier at this point
+    curve?: Easing;           //   Move to the next point (default: "linear")
+  }[];
 }`,
+  enums: {
+    AudioFadeCurve: C.AUDIO_FADE_CURVES,
+  },
   examples: [
     {
       label: "Background music for the entire video",
@@ -22,10 +35,20 @@ module.exports = {
       label: "Music for a specific section",
       code: `{ type: "music", url: "intro-music.mp3", position: 0, end: 10, volume: 0.25 }`,
     },
+    {
+      label: "Music bed that fades in, ducks under a voiceover and fades out",
+      code: `{ type: "music", url: "bed.mp3", loop: true, fadeIn: 1, fadeOut: 3, fadeCurve: "qsin",
+  volumeEnvelope: [
+    { time: 4, volume: 0.3 }, { time: 5, volume: 0.08 },
+    { time: 15, volume: 0.08 }, { time: 16, volume: 0.3 },
+  ] }`,
+    },
   ],
   notes: [
     "The type can be either \"music\" or \"backgroundAudio\" — both work identically.",
     "Default volume is 0.2 (20%), so background music doesn't overpower speech or main audio.",
     "When loop is true, the track repeats seamlessly to fill the video duration. position/end are not required with loop.",
+    "fadeIn / fadeOut fade the music at its start and end, so the bed doesn't start or stop abruptly. fadeCurve takes an FFmpeg afade curve.",
+    "volumeEnvelope points hold their volume before the first and after the last point. Their times follow transition compression, like text timings.",
   ],
 };
@@ -1,3 +1,34 @@
+const {
+  getTransitionNames,
+  describeCustomTransitions,
+} = require("../../core/transitions");
+const C = require("../../core/constants");
+
+const NOTES = [
+  "If position is omitted, the clip is placed immediately after the previous video/image clip (auto-sequencing). The first clip defaults to position 0.",
+  "Use duration instead of end to specify how long the clip appears: end = position + duration. Cannot use both.",
+  "Transitions overlap clips: a 0.5s fade means clip B's position should start 0.5s before clip A's end.",
+  "The first clip in the timeline cannot have a transition (there's nothing to transition from).",
+  "The total video duration is shortened by the sum of all transition durations.",
+  "Text and subtitle timings are automatically adjusted for transition compression.",
+  "transition.type \"matte\" is a luma wipe driven by a grayscale image or video (transition.url): clip B shows where the matte is darker than a threshold that sweeps from black to white. softness (0-1, default 0.1) widens the edge; invert: true reveals from white to black.",
+  "transition.type \"stinger\" plays an overlay video (transition.url, ideally with alpha: ProRes 4444 .mov or VP9 .webm) over a hard cut. The clips switch cutPoint seconds into the stinger (default: its middle). A stinger does not overlap the clips: place the next clip where the previous one ends. transition.duration is optional (default: the stinger's length) and transition.volume sets the stinger's own audio level (default 1).",
+  "Audio follows the picture at base-track clip boundaries: a transition crossfades the two clips' audio over the same window, and a hard cut gets a 10ms declick fade. transition.audio overrides this: 'cut' switches in the middle of the transition, 'j-cut' starts the next clip's audio audioOffset seconds early (default 1), 'l-cut' lets the previous clip's audio run on. J/L-cuts need spare source before cutFrom / after the clip's end and are shortened to what is available. transition.audioCurve picks the fade curve (default 'tri').",
+  "transition.type also accepts transitions registered with SIMPLEFFMPEG.registerTransition(). Only those take transition.params; they are listed below when any are registered.",
+  "Rotated or mirrored phone video (display matrix) is turned upright in the filter graph before imageFit, kenBurns and transform apply.",
+  "position/end/duration are timeline time. speed and speedRamp change how much source is consumed: a 4s clip at speed 2 uses 8s of source starting at cutFrom. If the source runs out, end is clamped.",
+  "reverse plays the source window [cutFrom, cutFrom + consumed source] backwards. Audio is reversed and time-stretched with pitch preserved (atempo).",
+  "fill controls what happens when the source is shorter than end - position: 'clamp' (default) shortens the clip and warns, 'loop' repeats the source window, 'freeze' holds the last frame (with silence), 'stretch' slows the clip (including any speed) down to fit, but not below speed 0.1.",
+  "imageFit works on video clips too: 'contain' (default) letterboxes, 'cover' crops to fill, 'blur-fill' fills bars with a blurred copy.",
+  "kenBurns works on video with the same options as on images. Each frame is scaled to the current zoom from the full-resolution source and cropped, so the move follows the footage frame by frame. Video Ken Burns defaults to imageFit 'cover'.",
+  "transform is applied in order: crop and flip on the source, then fit to the frame, then scale / rotate / position over backgroundColor.",
+  "fadeIn / fadeOut / fadeCurve and volumeEnvelope shape the clip's audio the same way as on audio clips. The fades apply to the audio that plays, including a J/L-cut lead or run-on.",
+  "keyframes animate opacity, x/y (center, pixels or \"NN%\"), scale, rotation (degrees) and volume. Values hold before the first and after the last keyframe. A keyframe's easing ('linear' default, 'ease-in', 'ease-out', 'ease-in-out' or 'cubic-bezier(x1, y1, x2, y2)') shapes the move to the next keyframe.",
+  "Clips on track 0 (the default) form the base timeline. Clips on track >= 1 are composited on top in ascending track order and do not affect timeline length or gap checks.",
+  "Layered clips (track >= 1) are fitted into their bounds box and cannot have transitions. Their audio is still mixed in.",
+  "chromaKey removes a backdrop color so the tracks below show through. It requires track >= 1 and base-track picture for the clip's whole window. Contain padding defaults to the key color so it is keyed out too.",
+];
+
 module.exports = {
   id: "video",
   name: "Video Clips",
@@ -11,55 +42,70 @@ module.exports = {
   duration?: number;          // Duration in seconds (alternative to end). end = position + duration.
   cutFrom?: number;           // Trim: start playback from this point in the source (default: 0)
   volume?: number;            // Audio volume multiplier (default: 1, 0 = mute, >1 = amplify)
+  speed?: number;             // Playback speed multiplier, 0.1-10 (default: 1). 2 = twice as fast, 0.5 = slow motion.
+  reverse?: boolean;          // Play the source window backwards (default: false)
+  speedRamp?: {               // Speed keyframes, linearly interpolated. Use speed OR speedRamp, not both.
+    time: number;             //   Seconds from the clip's start on the timeline
+    speed: number;            //   Speed multiplier at this point (0.1-10)
+  }[];
+  fill?: VideoFillMode;       // When the source is shorter than the slot (default: "clamp")
+  imageFit?: ImageFit;        // How to fit when aspect ratio differs from output (default: "contain", "cover" with kenBurns)
+  blurIntensity?: number;     // Blur strength for blur-fill background (default: 40)
+  kenBurns?: KenBurnsEffect | KenBurnsSpec; // Digital zoom / pan over the footage (see image clip schema)
+  transform?: {               // Optional per-clip geometry
+    crop?: { x?, y?, width?, height? }; // Source region, in source pixels or "NN%" (centered if x/y omitted)
+    flipH?: boolean;          //   Mirror horizontally
+    flipV?: boolean;          //   Mirror vertically
+    rotate?: number;          //   Rotation in degrees (clockwise)
+    scale?: number;           //   Scale after fitting (default: 1)
+    x?: number | string;      //   Center X on canvas, pixels or "NN%" (default: "50%")
+    y?: number | string;      //   Center Y on canvas, pixels or "NN%" (default: "50%")
+    backgroundColor?: string; //   Fill behind a scaled/rotated clip and contain padding (default: "black")
+  };
   transition?: {              // Crossfade transition INTO this clip from the previous one
     type: string;             //   Transition type (see below)
-    duration: number;         //   Duration in seconds (default: 0.5)
+    duration: number;         //   Duration in seconds (default: 0.5; stinger: its length)
+    params?: object;          //   Parameters of a custom transition (see notes)
+    url?: string;             //   "matte" only: grayscale matte image or video
+    softness?: number;        //   "matte" only: 0-1 edge softness (default: 0.1)
+    invert?: boolean;         //   "matte" only: reveal white areas first (default: false)
+    cutPoint?: number;        //   "stinger" only: seconds into the stinger where clips cut (default: middle)
+    volume?: number;          //   "stinger" only: stinger audio volume (default: 1)
+    audio?: AudioTransitionMode; // How the audio follows (default: "crossfade")
+    audioCurve?: AudioFadeCurve; // Audio fade curve (default: "tri")
+    audioOffset?: number;     //   Lead / lag of a j-cut / l-cut in seconds (default: 1)
+  };
+  track?: number;             // Visual track / z-order (default: 0 = base track). Higher tracks draw on top.
+  bounds?: {                  // Placement on the canvas (track >= 1 only). Pixels or "NN%" strings.
+    x?: number | string;      //   Left edge (default: centered)
+    y?: number | string;      //   Top edge (default: centered)
+    width?: number | string;  //   Box width (default: full width)
+    height?: number | string; //   Box height (default: full height)
+  };
+  chromaKey?: {               // Green/blue screen keying (track >= 1 only)
+    color?: string;           //   Backdrop color to remove (default: "#00FF00")
+    mode?: ChromaKeyMode;     //   Keyer (default: "chromakey")
+    similarity?: number;      //   0-1, how much color around the key is removed (default: 0.1)
+    blend?: number;           //   0-1, edge softness (default: 0)
+    spill?: number;           //   0-1, despill strength (default: 0 = off)
   };
+  keyframes?: {               // Animated properties: { time, value, easing? }[] per property
+    opacity?, x?, y?, scale?, rotation?, volume?; // time = seconds from clip start; overrides static values
+  };
+  fadeIn?: number;            // Seconds to fade the clip's audio in from silence
+  fadeOut?: number;           // Seconds to fade the clip's audio out to silence
+  fadeCurve?: AudioFadeCurve; // Shape of both audio fades (default: "tri")
+  volumeEnvelope?: { time: number; volume: number; curve?: Easing }[]; // Audio volume over time. Use this OR keyframes.volume.
 }`,
   enums: {
-    "transition.type": [
-      "fade",
-      "fadeblack",
-      "fadewhite",
-      "distance",
-      "wipeleft",
-      "wiperight",
-      "wipeup",
-      "wipedown",
-      "slideleft",
-      "slideright",
-      "slideup",
-      "slidedown",
-      "smoothleft",
-      "smoothright",
-      "smoothup",
-      "smoothdown",
-      "circlecrop",
-      "circleclose",
-      "circleopen",
-      "horzclose",
-      "horzopen",
-      "vertclose",
-      "vertopen",
-      "diagbl",
-      "diagbr",
-      "diagtl",
-      "diagtr",
-      "hlslice",
-      "hrslice",
-      "vuslice",
-      "vdslice",
-      "dissolve",
-      "pixelize",
-      "radial",
-      "hblur",
-      "wipetl",
-      "wipetr",
-      "wipebl",
-      "wipebr",
-      "squeezeh",
-      "squeezev",
-    ],
+    VideoFillMode: ["clamp", "loop", "freeze", "stretch"],
+    ImageFit: ["cover", "contain", "blur-fill"],
+    ChromaKeyMode: ["chromakey", "colorkey"],
+    AudioTransitionMode: C.AUDIO_TRANSITION_MODES,
+    AudioFadeCurve: C.AUDIO_FADE_CURVES,
+    get "transition.type"() {
+      return getTransitionNames();
+    },
   },
   examples: [
     {
@@ -68,6 +114,30 @@ module.exports = {
   { type: "video", url: "intro.mp4", position: 0, end: 5 },
   { type: "video", url: "main.mp4", position: 4.5, end: 15,
     transition: { type: "fade", duration: 0.5 } }
+]`,
+    },
+    {
+      label: "Luma-matte wipe from a grayscale image",
+      code: `[
+  { type: "video", url: "intro.mp4", position: 0, end: 5 },
+  { type: "video", url: "main.mp4", position: 4, end: 15,
+    transition: { type: "matte", duration: 1, url: "mattes/radial.png", softness: 0.2 } }
+]`,
+    },
+    {
+      label: "Stinger with alpha over a hard cut",
+      code: `[
+  { type: "video", url: "round1.mp4", position: 0, end: 10 },
+  { type: "video", url: "round2.mp4", position: 10, end: 20,
+    transition: { type: "stinger", url: "stinger.webm", cutPoint: 0.6 } }
+]`,
+    },
+    {
+      label: "J-cut: hear the next scene before you see it",
+      code: `[
+  { type: "video", url: "interview.mp4", position: 0, end: 8 },
+  { type: "video", url: "broll.mp4", position: 7.5, end: 14, cutFrom: 5,
+    transition: { type: "fade", duration: 0.5, audio: "j-cut", audioOffset: 1.5 } }
 ]`,
     },
     {
@@ -81,13 +151,49 @@ module.exports = {
       label: "Trim source video (use 10s starting at the 10s mark)",
       code: `{ type: "video", url: "long-clip.mp4", cutFrom: 10, duration: 10 }`,
     },
+    {
+      label: "Slow motion and a speed ramp",
+      code: `[
+  { type: "video", url: "jump.mp4", duration: 4, speed: 0.5 },
+  { type: "video", url: "run.mp4", duration: 6,
+    speedRamp: [{ time: 0, speed: 1 }, { time: 2, speed: 0.25 }, { time: 4, speed: 2 }] }
+]`,
+    },
+    {
+      label: "Loop footage of unknown length to fill a 10s slot",
+      code: `{ type: "video", url: "user-upload.mp4", position: 0, end: 10, fill: "loop" }`,
+    },
+    {
+      label: "Crop a vertical slice, mirror it, and blur-fill the sides",
+      code: `{ type: "video", url: "wide.mp4", duration: 5, imageFit: "blur-fill",
+  transform: { crop: { width: "40%", height: "100%" }, flipH: true } }`,
+    },
+    {
+      label: "Punch in on the speaker, then pan across a screen recording",
+      code: `[
+  { type: "video", url: "interview.mp4", duration: 8, kenBurns: { type: "smart", focus: { x: 0.35, y: 0.4 }, endZoom: 1.4 } },
+  { type: "video", url: "dashboard.mp4", duration: 6, kenBurns: { startZoom: 1.6, endZoom: 1.6, startX: 0, endX: 1 } }
+]`,
+    },
+    {
+      label: "Picture-in-picture on track 1",
+      code: `[
+  { type: "video", url: "main.mp4", position: 0, end: 20 },
+  { type: "video", url: "webcam.mp4", track: 1, position: 2, end: 18,
+    bounds: { x: "70%", y: "70%", width: "25%", height: "25%" } }
+]`,
+    },
+    {
+      label: "Green-screen presenter over a background image",
+      code: `[
+  { type: "image", url: "studio.jpg", position: 0, end: 12 },
+  { type: "video", url: "presenter.mp4", track: 1, position: 0, end: 12,
+    chromaKey: { color: "#00FF00", similarity: 0.15, blend: 0.05, spill: 0.5 } }
+]`,
+    },
   ],
-  notes: [
-    "If position is omitted, the clip is placed immediately after the previous video/image clip (auto-sequencing). The first clip defaults to position 0.",
-    "Use duration instead of end to specify how long the clip appears: end = position + duration. Cannot use both.",
-    "Transitions overlap clips: a 0.5s fade means clip B's position should start 0.5s before clip A's end.",
-    "The first clip in the timeline cannot have a transition (there's nothing to transition from).",
-    "The total video duration is shortened by the sum of all transition durations.",
-    "Text and subtitle timings are automatically adjusted for transition compression.",
-  ],
+  // Registered custom transitions are listed after the fixed notes
+  get notes() {
+    return [...NOTES, ...describeCustomTransitions()];
+  },
 };
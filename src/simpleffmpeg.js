@@ -3,7 +3,6 @@ const fsPromises = require("fs").promises;
 const path = require("path");
 const os = require("os");
 const TextRenderer = require("./ffmpeg/text_renderer");
-const { unrotateVideo } = require("./core/rotation");
 const Loaders = require("./loaders");
 const { buildVideoFilter } = require("./ffmpeg/video_builder");
 const { buildAudioForVideoClips } = require("./ffmpeg/audio_builder");
@@ -20,6 +19,7 @@ const {
 const {
   validateConfig,
   formatValidationResult,
+  isValidFFmpegColor,
   ValidationCodes,
 } = require("./core/validation");
 const {
@@ -39,7 +39,7 @@ const {
   sanitizeFilterComplex,
 } = require("./ffmpeg/command_builder");
 const { runTextPasses } = require("./ffmpeg/text_passes");
-const { formatBytes, runFFmpeg } = require("./lib/utils");
+const { formatBytes, runFFmpeg, scaleProgress } = require("./lib/utils");
 const {
   buildWatermarkFilter,
   validateWatermarkConfig,
@@ -51,8 +51,37 @@ const {
   buildASSFilter,
 } = require("./ffmpeg/subtitle_builder");
 const { getSchema, getSchemaModules } = require("./schema");
+const {
+  registerTransition,
+  isMatteTransition,
+  isStingerTransition,
+  getOverlapDuration,
+  getStingerWindow,
+} = require("./core/transitions");
 const { resolveClips } = require("./core/resolve");
+const { getAudioTransitionEdits } = require("./core/audio_transitions");
+const {
+  isVisualClip,
+  isBaseTrackClip,
+  isOverlayClip,
+} = require("./core/tracks");
+const { getInputClips, getLayoutAudioSources } = require("./core/layout");
+const { parseGapPolicy, fillVisualGaps } = require("./core/gaps");
+const Editing = require("./core/editing");
+const { buildSequenceInputOptions } = require("./core/image_sources");
+const {
+  createProjectDocument,
+  migrateProjectDocument,
+  relativizeProjectPaths,
+  resolveProjectPaths,
+} = require("./core/project_file");
 const { probeMedia } = require("./core/media_info");
+const { normalizeFrameRate, snapToFrame } = require("./core/frame_rate");
+const { resolveClipTiming } = require("./core/speed");
+const {
+  compositionHasAudio,
+  getTimelineDuration,
+} = require("./core/composition");
 const {
   transcode: transcodeMedia,
   isWebSafeMp4: isWebSafeMp4Fn,
@@ -65,14 +94,16 @@ class SIMPLEFFMPEG {
    * @param {Object} options - Project configuration options
    * @param {number} options.width - Output width in pixels (default: 1920)
    * @param {number} options.height - Output height in pixels (default: 1080)
-   * @param {number} options.fps - Frames per second (default: 30)
+   * @param {number|string|Object} options.fps - Frames per second (default: 30). Accepts rationals: "30000/1001", { num: 30000, den: 1001 } or an NTSC decimal such as 29.97.
    * @param {string} options.preset - Platform preset ('tiktok', 'youtube', 'instagram-post', etc.)
    * @param {string} options.validationMode - Validation behavior: 'warn' or 'strict' (default: 'warn')
    * @param {boolean} options.skipFileChecks - Skip file existence checks during load() validation
    * @param {boolean} options.skipExtensionsCheck - Skip media URL extension/type checks (video/image) during load() validation
    * @param {string} options.fontFile - Default font file path (.ttf, .otf) applied to all text clips unless overridden per-clip
    * @param {string} options.emojiFont - Path to a .ttf/.otf emoji font for rendering emoji in text overlays (opt-in). Without this, emoji are silently stripped from text. Recommended: Noto Emoji (B&W outline).
-   * @param {string} options.tempDir - Custom directory for temporary files (gradient images, unrotated videos, intermediate renders). Defaults to os.tmpdir(). Useful for fast SSDs, ramdisks, or environments with constrained /tmp.
+   * @param {string} options.tempDir - Custom directory for temporary files (gradient images, intermediate renders). Defaults to os.tmpdir(). Useful for fast SSDs, ramdisks, or environments with constrained /tmp.
+   * @param {string} options.gapPolicy - How gaps in the visual timeline are handled: 'error' (default), 'black', 'color:<color>', 'freeze-previous' or 'extend-previous'
+   * @param {string} options.kenBurnsEngine - Ken Burns motion engine for images: 'zoompan' (default) or 'perspective' (sub-pixel, no overscan; cheaper on large outputs). Clips can override it with kenBurns.engine.
    *
    * @example
    * const project = new SIMPLEFFMPEG({ preset: 'tiktok' });
@@ -99,8 +130,9 @@ class SIMPLEFFMPEG {
     }
 
     // Explicit options override preset values
+    const fps = options.fps || presetConfig.fps || C.DEFAULT_FPS;
     this.options = {
-      fps: options.fps || presetConfig.fps || C.DEFAULT_FPS,
+      fps: normalizeFrameRate(fps) ?? fps,
       width: options.width || presetConfig.width || C.DEFAULT_WIDTH,
       height: options.height || presetConfig.height || C.DEFAULT_HEIGHT,
       validationMode: options.validationMode || C.DEFAULT_VALIDATION_MODE,
@@ -110,7 +142,25 @@ class SIMPLEFFMPEG {
       fontFile: options.fontFile || null,
       emojiFont: options.emojiFont || null,
       tempDir: options.tempDir || null,
+      gapPolicy: options.gapPolicy || C.DEFAULT_GAP_POLICY,
+      kenBurnsEngine: options.kenBurnsEngine || C.DEFAULT_KEN_BURNS_ENGINE,
     };
+    const gapPolicy = parseGapPolicy(this.options.gapPolicy);
+    if (!gapPolicy || (gapPolicy.color && !isValidFFmpegColor(gapPolicy.color))) {
+      throw new SimpleffmpegError(
+        `Invalid gapPolicy "${this.options.gapPolicy}". Expected "error", "black", "color:<color>", "freeze-previous" or "extend-previous".`,
+      );
+    }
+    if (normalizeFrameRate(fps) == null) {
+      throw new SimpleffmpegError(
+        `Invalid fps ${JSON.stringify(fps)}. Expected a positive number, a "num/den" string such as "30000/1001", or { num, den }.`,
+      );
+    }
+    if (!C.KEN_BURNS_ENGINES.includes(this.options.kenBurnsEngine)) {
+      throw new SimpleffmpegError(
+        `Invalid kenBurnsEngine "${this.options.kenBurnsEngine}". Expected: ${C.KEN_BURNS_ENGINES.join(", ")}.`,
+      );
+    }
     if (this.options.tempDir) {
       if (typeof this.options.tempDir !== "string") {
         throw new SimpleffmpegError(
@@ -143,6 +193,14 @@ class SIMPLEFFMPEG {
     this.subtitleClips = [];
     this.effectClips = [];
     this.filesToClean = [];
+    this._gapFillers = [];
+    this._clips = [];
+    this._loadedClips = new Map();
+    this._nextClipId = 1;
+    // Options of the last load(), reused when the editing methods reload clips
+    this._loadOptions = {};
+    // Default export() / preview() options, saved with the project
+    this.exportOptions = {};
     this._isLoading = false;
     this._isExporting = false;
   }
@@ -153,18 +211,33 @@ class SIMPLEFFMPEG {
    * @returns {string} FFmpeg input arguments string
    */
   _getInputStreams() {
-    return this.videoOrAudioClips
-      .filter((clip) => {
-        // Flat color clips use the color= filter source — no file input needed
-        if (clip.type === "color" && clip._isFlatColor) return false;
-        return true;
-      })
+    // Flat color and generator clips use lavfi sources — no file input needed.
+    // Layout clips contribute one input per video/image source.
+    return getInputClips(this.videoOrAudioClips)
       .map((clip) => {
         const escapedUrl = escapeFilePath(clip.url);
-        // Gradient color clips and image clips are looped images
+        // Rotated video and EXIF-oriented images are turned upright in the
+        // filter graph, so FFmpeg must not apply the rotation a second time
+        const orient = clip._orientation ? "-noautorotate " : "";
+        // fill: "loop" reads the input again instead of buffering frames
+        const { inputLoops } = resolveClipTiming(clip);
+        const loop = inputLoops > 0 ? `-stream_loop ${inputLoops} ` : "";
+        // Image sequences (and animated gradient frames) read numbered
+        // frames at their own frame rate
+        if (
+          clip.type === "imageSequence" ||
+          (clip.type === "color" && clip._animated)
+        ) {
+          return `${orient}${loop}${buildSequenceInputOptions(clip)} -i "${escapedUrl}"`;
+        }
+        // Animated images play their own frames; looping happens in the filter graph
+        if (clip.type === "image" && clip._animated) {
+          return `${orient}${loop}-i "${escapedUrl}"`;
+        }
+        // Gradient color clips and still image clips are looped images
         if (clip.type === "image" || (clip.type === "color" && !clip._isFlatColor)) {
           const duration = Math.max(0, (clip.end ?? 0) - (clip.position ?? 0));
-          return `-loop 1 -t ${duration} -i "${escapedUrl}"`;
+          return `${orient}-loop 1 -t ${duration} -i "${escapedUrl}"`;
         }
         // Loop background music if specified
         if (
@@ -173,13 +246,17 @@ class SIMPLEFFMPEG {
         ) {
           return `-stream_loop -1 -i "${escapedUrl}"`;
         }
-        return `-i "${escapedUrl}"`;
+        // VP8/VP9 stingers need libvpx to keep their alpha channel
+        if (clip._alphaDecoder) {
+          return `-c:v ${clip._alphaDecoder} -i "${escapedUrl}"`;
+        }
+        return `${orient}${loop}-i "${escapedUrl}"`;
       })
       .join(" ");
   }
 
   /**
-   * Clean up temporary files created during export (unrotated videos, temp ASS files, etc.)
+   * Clean up temporary files created during export (intermediate renders, temp ASS files, etc.)
    * @private
    * @returns {Promise<void>}
    */
@@ -205,7 +282,8 @@ class SIMPLEFFMPEG {
   /**
    * Calculate cumulative transition offset at a given timestamp.
    * Transitions cause timeline compression - this returns how much time
-   * has been "lost" to transitions before the given timestamp.
+   * has been "lost" to transitions before the given timestamp. Durations
+   * are rounded to whole frames like the xfade offsets they mirror.
    * @private
    * @param {Array} videoClips - Array of video clips sorted by position
    * @param {number} timestamp - The original timeline timestamp
@@ -218,11 +296,10 @@ class SIMPLEFFMPEG {
       const transitionPoint = clip.position || 0;
       // Only count transitions that occur at or before this timestamp
       if (transitionPoint <= timestamp && clip.transition) {
-        const duration =
-          typeof clip.transition.duration === "number"
-            ? clip.transition.duration
-            : 0;
-        cumulativeOffset += duration;
+        cumulativeOffset += snapToFrame(
+          getOverlapDuration(clip.transition),
+          this.options.fps,
+        );
       }
     }
     return cumulativeOffset;
@@ -278,7 +355,7 @@ class SIMPLEFFMPEG {
    * Load clips into the project for processing
    *
    * @param {Array} clipObjs - Array of clip configuration objects
-   * @param {string} clipObjs[].type - Clip type: 'video', 'audio', 'image', 'color', 'text', 'effect', 'music', 'backgroundAudio', 'subtitle'
+   * @param {string} clipObjs[].type - Clip type: 'video', 'audio', 'image', 'color', 'layout', 'composition', 'text', 'effect', 'music', 'backgroundAudio', 'subtitle'
    * @param {string} clipObjs[].url - Media file path (required for video, audio, image, music, subtitle)
    * @param {number} clipObjs[].position - Start time on timeline in seconds
    * @param {number} clipObjs[].end - End time on timeline in seconds
@@ -287,7 +364,7 @@ class SIMPLEFFMPEG {
    * @param {Object|string} clipObjs[].transition - Transition effect for video clips
    * @param {string} clipObjs[].text - Text content (for text clips)
    * @param {string} clipObjs[].mode - Text mode: 'static', 'word-replace', 'word-sequential', 'karaoke'
-   * @param {string} clipObjs[].kenBurns - Ken Burns effect for images: 'zoom-in', 'zoom-out', 'pan-left', etc.
+   * @param {string} clipObjs[].kenBurns - Ken Burns effect for image and video clips: 'zoom-in', 'zoom-out', 'pan-left', etc.
    * @param {Object} options - Load options
    * @param {boolean} options.skipFileChecks - Override file existence checks for media URLs
    * @param {boolean} options.skipExtensionsCheck - Override extension/type validation for media URLs
@@ -317,100 +394,535 @@ class SIMPLEFFMPEG {
       this.subtitleClips = [];
       this.effectClips = [];
       this.filesToClean = [];
+      this._gapFillers = [];
+      this._clips = [];
+      this._loadedClips = new Map();
+
+      // Every clip gets a stable id for the editing methods
+      const clips = Array.isArray(clipObjs)
+        ? clipObjs.map((clip) =>
+            clip && typeof clip === "object" && clip.id == null
+              ? { ...clip, id: this._createClipId(clipObjs) }
+              : clip,
+          )
+        : clipObjs;
+      await this._applyClips(clips, options);
+      this._clips = clips;
+      this._loadOptions = options;
+    } finally {
+      this._isLoading = false;
+    }
+  }
 
-      // Resolve shorthand: duration → end, auto-sequential positioning
-      const resolved = resolveClips(clipObjs);
-      const skipExtensionsCheck =
-        typeof options.skipExtensionsCheck === "boolean"
-          ? options.skipExtensionsCheck
-          : this.options.skipExtensionsCheck;
-      const skipFileChecks =
-        typeof options.skipFileChecks === "boolean"
-          ? options.skipFileChecks
-          : this.options.skipFileChecks;
-
-      // Merge resolution errors into validation
-      const result = validateConfig(resolved.clips, {
-        width: this.options.width,
-        height: this.options.height,
-        skipFileChecks,
-        skipExtensionsCheck,
+  /**
+   * Resolve, validate and load clip descriptors into the project state.
+   * Clips whose resolved descriptor is unchanged since the last load or
+   * edit keep their loaded state; clips that only moved on the timeline
+   * (same media and length) keep it too, shifted to their new position.
+   * Only the others are loaded (probed) again. Timeline-wide checks always
+   * cover every clip.
+   * @private
+   * @param {Array} clips - Clip descriptors with ids
+   * @param {Object} options - Load options (skipFileChecks, skipExtensionsCheck)
+   */
+  async _applyClips(clips, options = {}) {
+    // Resolve shorthand: duration → end, auto-sequential positioning
+    const resolved = resolveClips(clips);
+    const resolvedClips = Array.isArray(resolved.clips) ? resolved.clips : [];
+    const signatures = new Map();
+    const reused = resolvedClips.map((clipObj) => {
+      if (!clipObj || clipObj.id == null) return null;
+      const signature = Editing.getLoadSignature(clipObj);
+      signatures.set(clipObj.id, signature);
+      const loaded = this._loadedClips.get(clipObj.id);
+      return loaded && loaded.signature === signature ? loaded : null;
+    });
+    // Clips that only moved keep their loaded state but are validated again
+    const unchanged = resolvedClips.map(
+      (clipObj, i) =>
+        reused[i] !== null &&
+        reused[i].position === clipObj.position &&
+        reused[i].end === clipObj.end,
+    );
+    const skipExtensionsCheck =
+      typeof options.skipExtensionsCheck === "boolean"
+        ? options.skipExtensionsCheck
+        : this.options.skipExtensionsCheck;
+    const skipFileChecks =
+      typeof options.skipFileChecks === "boolean"
+        ? options.skipFileChecks
+        : this.options.skipFileChecks;
+
+    // Merge resolution errors into validation
+    const result = validateConfig(resolved.clips, {
+      width: this.options.width,
+      height: this.options.height,
+      skipFileChecks,
+      skipExtensionsCheck,
+      gapPolicy: this.options.gapPolicy,
+      clipIndices: unchanged.flatMap((same, i) => (same ? [] : [i])),
+    });
+
+    // Prepend resolution errors (e.g. duration+end conflict)
+    result.errors.unshift(...resolved.errors);
+    result.valid = result.valid && resolved.errors.length === 0;
+
+    if (!result.valid) {
+      throw new ValidationError(formatValidationResult(result), {
+        errors: result.errors,
+        warnings: result.warnings,
       });
+    }
 
-      // Prepend resolution errors (e.g. duration+end conflict)
-      result.errors.unshift(...resolved.errors);
-      result.valid = result.valid && resolved.errors.length === 0;
+    // Log warnings in warn mode
+    if (
+      this.options.validationMode === "warn" &&
+      result.warnings.length > 0
+    ) {
+      result.warnings.forEach((w) => console.warn(`${w.path}: ${w.message}`));
+    }
 
-      if (!result.valid) {
-        throw new ValidationError(formatValidationResult(result), {
-          errors: result.errors,
-          warnings: result.warnings,
-        });
+    this.videoOrAudioClips = [];
+    this.textClips = [];
+    this.subtitleClips = [];
+    this.effectClips = [];
+
+    await Promise.all(
+      resolvedClips.map((clipObj, i) => {
+        if (reused[i]) {
+          const shift = (clipObj.position || 0) - (reused[i].position || 0);
+          reused[i].entries.forEach(({ list, clip }) =>
+            this[list].push(Editing.shiftLoadedClip(clip, shift)),
+          );
+          return undefined;
+        }
+        return this._loadClip(clipObj);
+      }),
+    );
+
+    // Remember each clip's loaded state so later edits can reuse it
+    const resolvedById = new Map(
+      resolvedClips
+        .filter((clipObj) => clipObj && clipObj.id != null)
+        .map((clipObj) => [clipObj.id, clipObj]),
+    );
+    this._loadedClips = new Map();
+    for (const list of Editing.LOADED_CLIP_LISTS) {
+      for (const clip of this[list]) {
+        if (!signatures.has(clip.id)) continue;
+        if (!this._loadedClips.has(clip.id)) {
+          const { position, end } = resolvedById.get(clip.id);
+          this._loadedClips.set(clip.id, {
+            signature: signatures.get(clip.id),
+            position,
+            end,
+            entries: [],
+          });
+        }
+        this._loadedClips
+          .get(clip.id)
+          .entries.push({ list, clip: Editing.copyLoadedClip(clip) });
       }
+    }
+
+    // Fill visual gaps per gapPolicy (validation already rejected them under "error")
+    const filled = fillVisualGaps(this.videoOrAudioClips, this.options.gapPolicy);
+    this.videoOrAudioClips = filled.clips;
+    this._gapFillers = filled.fillers;
+  }
 
-      // Log warnings in warn mode
-      if (
-        this.options.validationMode === "warn" &&
-        result.warnings.length > 0
-      ) {
-        result.warnings.forEach((w) => console.warn(`${w.path}: ${w.message}`));
+  /**
+   * Load one resolved clip with the loader for its type.
+   * @private
+   * @param {Object} clipObj - Resolved clip
+   */
+  async _loadClip(clipObj) {
+    if (
+      clipObj.type === "video" ||
+      clipObj.type === "audio" ||
+      clipObj.type === "audioGenerator" ||
+      clipObj.type === "composition"
+    ) {
+      clipObj.volume = clipObj.volume != null ? clipObj.volume : 1;
+      clipObj.cutFrom = clipObj.cutFrom ?? 0;
+    }
+    // Normalize transitions for all visual clip types
+    if (
+      isVisualClip(clipObj) &&
+      clipObj.transition
+    ) {
+      const transition =
+        typeof clipObj.transition === "string"
+          ? { type: clipObj.transition }
+          : clipObj.transition;
+      if (isStingerTransition(transition)) {
+        // A stinger plays its own length unless duration is set
+        clipObj.transition = await Loaders.loadStingerTransition(transition);
+      } else {
+        clipObj.transition = {
+          ...transition,
+          duration: transition.duration ?? 0.5,
+        };
+      }
+      if (isMatteTransition(clipObj.transition)) {
+        clipObj.transition = await Loaders.loadMatteTransition(clipObj.transition);
       }
+    }
+    if (clipObj.type === "video") {
+      return Loaders.loadVideo(this, clipObj);
+    }
+    if (clipObj.type === "audio") {
+      return Loaders.loadAudio(this, clipObj);
+    }
+    if (clipObj.type === "text") {
+      return Loaders.loadText(this, clipObj);
+    }
+    if (clipObj.type === "effect") {
+      return Loaders.loadEffect(this, clipObj);
+    }
+    if (clipObj.type === "image") {
+      return Loaders.loadImage(this, clipObj);
+    }
+    if (clipObj.type === "imageSequence") {
+      return Loaders.loadImageSequence(this, clipObj);
+    }
+    if (clipObj.type === "color") {
+      return Loaders.loadColor(this, clipObj);
+    }
+    if (clipObj.type === "generator") {
+      return Loaders.loadGenerator(this, clipObj);
+    }
+    if (clipObj.type === "audioGenerator") {
+      return Loaders.loadAudioGenerator(this, clipObj);
+    }
+    if (clipObj.type === "layout") {
+      return Loaders.loadLayout(this, clipObj);
+    }
+    if (clipObj.type === "composition") {
+      return Loaders.loadComposition(this, clipObj);
+    }
+    if (clipObj.type === "music" || clipObj.type === "backgroundAudio") {
+      return Loaders.loadBackgroundAudio(this, clipObj);
+    }
+    if (clipObj.type === "subtitle") {
+      return Loaders.loadSubtitle(this, clipObj);
+    }
+  }
 
-      // Use resolved clips (with position/end computed) for loading
-      const resolvedClips = resolved.clips;
+  /**
+   * Generate a clip id that isn't used by `clips`.
+   * @private
+   * @param {Array} clips
+   * @returns {string}
+   */
+  _createClipId(clips) {
+    const used = new Set(clips.map((clip) => clip && clip.id));
+    let id;
+    do {
+      id = `clip-${this._nextClipId++}`;
+    } while (used.has(id));
+    return id;
+  }
 
-      await Promise.all(
-        resolvedClips.map((clipObj) => {
-          if (clipObj.type === "video" || clipObj.type === "audio") {
-            clipObj.volume = clipObj.volume != null ? clipObj.volume : 1;
-            clipObj.cutFrom = clipObj.cutFrom ?? 0;
-          }
-          // Normalize transitions for all visual clip types
-          if (
-            (clipObj.type === "video" || clipObj.type === "image" || clipObj.type === "color") &&
-            clipObj.transition
-          ) {
-            clipObj.transition = {
-              type: clipObj.transition.type || clipObj.transition,
-              duration: clipObj.transition.duration ?? 0.5,
-            };
-          }
-          if (clipObj.type === "video") {
-            return Loaders.loadVideo(this, clipObj);
-          }
-          if (clipObj.type === "audio") {
-            return Loaders.loadAudio(this, clipObj);
-          }
-          if (clipObj.type === "text") {
-            return Loaders.loadText(this, clipObj);
-          }
-          if (clipObj.type === "effect") {
-            return Loaders.loadEffect(this, clipObj);
-          }
-          if (clipObj.type === "image") {
-            return Loaders.loadImage(this, clipObj);
-          }
-          if (clipObj.type === "color") {
-            return Loaders.loadColor(this, clipObj);
-          }
-          if (clipObj.type === "music" || clipObj.type === "backgroundAudio") {
-            return Loaders.loadBackgroundAudio(this, clipObj);
-          }
-          if (clipObj.type === "subtitle") {
-            return Loaders.loadSubtitle(this, clipObj);
-          }
-        }),
+  /**
+   * Apply an edit to the clip descriptors and reload what changed. The
+   * project is left untouched if the edit fails validation or loading.
+   * @private
+   * @param {string} method - Method name for error messages
+   * @param {Function} edit - (clips) => new clips
+   */
+  async _editClips(method, edit) {
+    if (this._isLoading) {
+      throw new SimpleffmpegError(
+        `Cannot call ${method} while load() or another edit is in progress. Await it first.`,
       );
+    }
+    if (this._isExporting) {
+      throw new SimpleffmpegError(
+        `Cannot call ${method} while export() is in progress. Await the export first.`,
+      );
+    }
+
+    this._isLoading = true;
+    const previous = {
+      _clips: this._clips,
+      _loadedClips: this._loadedClips,
+      _gapFillers: this._gapFillers,
+      videoOrAudioClips: this.videoOrAudioClips,
+      textClips: this.textClips,
+      subtitleClips: this.subtitleClips,
+      effectClips: this.effectClips,
+    };
+
+    try {
+      const clips = edit(this._clips);
+      if (clips.length === 0) {
+        this.videoOrAudioClips = [];
+        this.textClips = [];
+        this.subtitleClips = [];
+        this.effectClips = [];
+        this._loadedClips = new Map();
+        this._gapFillers = [];
+      } else {
+        await this._applyClips(clips, this._loadOptions);
+      }
+      this._clips = clips;
+    } catch (error) {
+      Object.assign(this, previous);
+      throw error;
     } finally {
       this._isLoading = false;
     }
   }
 
+  /**
+   * Get the project's clip descriptors, as given to load() and changed by
+   * the editing methods. Every clip has an `id`.
+   * @returns {Array<Object>} Copies of the clip descriptors
+   */
+  getClips() {
+    return this._clips.map((clip) => ({ ...clip }));
+  }
+
+  /**
+   * Add a clip. Only clips whose resolved timing or settings change are
+   * validated and loaded again.
+   *
+   * @param {Object} clip - Clip descriptor, as passed to load(). Gets an id if it has none.
+   * @param {Object} options
+   * @param {number} options.index - Index in the clip list (default: last). Auto-sequenced clips follow the clip before them in the list.
+   * @param {boolean} options.ripple - Insert into the clip's track at `clip.position` and re-sequence the clips after it
+   * @returns {Promise<string>} The clip's id
+   * @throws {ValidationError} If the edited timeline is invalid (the project is left unchanged)
+   *
+   * @example
+   * const id = await project.addClip({ type: 'image', url: './card.png', duration: 3 });
+   */
+  async addClip(clip, options = {}) {
+    if (!clip || typeof clip !== "object") {
+      throw new SimpleffmpegError("addClip() expects a clip object");
+    }
+    let id = clip.id;
+    await this._editClips("addClip()", (clips) => {
+      id = id ?? this._createClipId(clips);
+      return Editing.insertClip(clips, { ...clip, id }, options);
+    });
+    return id;
+  }
+
+  /**
+   * Remove a clip.
+   * @param {string} id - Clip id
+   * @param {Object} options
+   * @param {boolean} options.ripple - Close the gap by re-sequencing the clips after it on its track
+   * @returns {Promise<Object>} The removed clip descriptor
+   */
+  async removeClip(id, options = {}) {
+    let removed;
+    await this._editClips("removeClip()", (clips) => {
+      removed = { ...clips[Editing.findClipIndex(clips, id)] };
+      return Editing.removeClip(clips, id, options);
+    });
+    return removed;
+  }
+
+  /**
+   * Change a clip's fields. Fields set to `undefined` are removed.
+   * @param {string} id - Clip id
+   * @param {Object} patch - Fields to merge into the clip descriptor
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await project.updateClip('title', { text: 'New title', fontColor: '#FFCC00' });
+   */
+  async updateClip(id, patch) {
+    if (!patch || typeof patch !== "object") {
+      throw new SimpleffmpegError("updateClip() expects a patch object");
+    }
+    await this._editClips("updateClip()", (clips) =>
+      Editing.updateClip(clips, id, patch),
+    );
+  }
+
+  /**
+   * Move a clip to a new start time, keeping its length.
+   * @param {string} id - Clip id
+   * @param {number} position - New start time in seconds
+   * @param {Object} options
+   * @param {boolean} options.ripple - Insert the clip into its track before the clip starting at or after `position`, and re-sequence the track from the earliest affected clip
+   * @returns {Promise<void>}
+   */
+  async moveClip(id, position, options = {}) {
+    if (typeof position !== "number" || !Number.isFinite(position)) {
+      throw new SimpleffmpegError("moveClip() expects a position in seconds");
+    }
+    await this._editClips("moveClip()", (clips) =>
+      Editing.moveClip(clips, id, position, options),
+    );
+  }
+
+  /**
+   * Split a clip in two at a timeline time. The first part keeps the id and
+   * transition; the second part continues the source from the split point.
+   * @param {string} id - Clip id
+   * @param {number} time - Split time in seconds, inside the clip
+   * @returns {Promise<string>} The id of the second part
+   */
+  async splitClip(id, time) {
+    if (typeof time !== "number" || !Number.isFinite(time)) {
+      throw new SimpleffmpegError("splitClip() expects a time in seconds");
+    }
+    let newId;
+    await this._editClips("splitClip()", (clips) => {
+      newId = this._createClipId(clips);
+      return Editing.splitClip(clips, id, time, newId);
+    });
+    return newId;
+  }
+
+  /**
+   * Trim a clip to new start and/or end times. Trimming the start advances
+   * the clip's cutFrom, so the remaining part plays as before.
+   * @param {string} id - Clip id
+   * @param {Object} options
+   * @param {number} options.start - New start time in seconds (default: unchanged)
+   * @param {number} options.end - New end time in seconds (default: unchanged)
+   * @param {boolean} options.ripple - Keep the clip's start in place and re-sequence the clips after it on its track
+   * @returns {Promise<void>}
+   *
+   * @example
+   * // Cut the first second; later clips on the track move up
+   * await project.trimClip('intro', { start: 1, ripple: true });
+   */
+  async trimClip(id, options = {}) {
+    await this._editClips("trimClip()", (clips) =>
+      Editing.trimClip(clips, id, options),
+    );
+  }
+
+  /**
+   * Serialize the project: constructor options, resolved clips (with ids)
+   * and `exportOptions`. `tempDir` and callback options are not included.
+   * Media paths are written as given; use saveProject() to store them
+   * relative to the project file.
+   *
+   * @returns {Object} Project document (plain JSON data)
+   *
+   * @example
+   * const doc = project.toJSON();
+   * const copy = await SIMPLEFFMPEG.fromJSON(doc);
+   */
+  toJSON() {
+    return createProjectDocument({
+      options: this.options,
+      clips: resolveClips(this._clips).clips,
+      exportOptions: this.exportOptions,
+    });
+  }
+
+  /**
+   * Save the project to a JSON file. Local media paths are stored relative
+   * to the file's directory, so the project can be moved together with its
+   * media.
+   *
+   * @param {string} filePath - Project file path (e.g. './edit.json')
+   * @returns {Promise<string>} The project file path
+   *
+   * @example
+   * await project.saveProject('./projects/trailer.json');
+   */
+  async saveProject(filePath) {
+    if (typeof filePath !== "string" || filePath.length === 0) {
+      throw new SimpleffmpegError("saveProject() expects a file path");
+    }
+    const document = relativizeProjectPaths(
+      this.toJSON(),
+      path.dirname(path.resolve(filePath)),
+    );
+    await fsPromises.writeFile(
+      filePath,
+      JSON.stringify(document, null, 2) + "\n",
+    );
+    return filePath;
+  }
+
+  /**
+   * Render each nested composition to an intermediate file so it can be
+   * used like a video clip. Sets the clip's url, hasAudio and mediaDuration.
+   * A dry run (preview) renders nothing and points the clips at placeholder
+   * paths instead.
+   * @private
+   * @param {Object} exportOptions - Resolved export options (intermediate codec settings)
+   * @param {Object} options - Raw export options (signal, onLog, onProgress)
+   * @param {Object} [mode]
+   * @param {boolean} [mode.dryRun=false] - Build the command without rendering
+   * @returns {Promise<number>} Fraction of the export's progress the
+   *   renders took up (0 when nothing was rendered)
+   */
+  async _renderCompositions(exportOptions, options, { dryRun = false } = {}) {
+    const compositions = this.videoOrAudioClips.filter(
+      (clip) => clip.type === "composition",
+    );
+    if (dryRun) {
+      compositions.forEach((clip, i) => {
+        clip.url = path.join(
+          this.options.tempDir || os.tmpdir(),
+          `simpleffmpeg-composition-preview-${i}.mp4`,
+        );
+        clip.hasAudio = compositionHasAudio(clip._project);
+      });
+      return 0;
+    }
+
+    // Progress is shared between the nested renders and the main export
+    // by timeline length
+    const { onProgress } = options;
+    const durations = compositions.map((clip) => clip.mediaDuration || 0);
+    const total =
+      getTimelineDuration([...this.videoOrAudioClips, ...this.textClips]) +
+      durations.reduce((sum, d) => sum + d, 0);
+    let done = 0;
+    // One at a time: each render is a full FFmpeg export
+    for (const [i, clip] of compositions.entries()) {
+      const outputPath = path.join(
+        this.options.tempDir || os.tmpdir(),
+        `simpleffmpeg-composition-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp4`,
+      );
+      this.filesToClean.push(outputPath);
+      await clip._project.export({
+        outputPath,
+        videoCodec: exportOptions.intermediateVideoCodec,
+        crf: exportOptions.intermediateCrf,
+        preset: exportOptions.intermediatePreset,
+        audioSampleRate: exportOptions.audioSampleRate,
+        compensateTransitions: exportOptions.compensateTransitions,
+        signal: options.signal,
+        onLog: options.onLog,
+        onProgress:
+          typeof onProgress === "function" && total > 0
+            ? scaleProgress(onProgress, (done / total) * 100, durations[i] / total)
+            : undefined,
+      });
+      done += durations[i];
+      const metadata = await probeMedia(outputPath);
+      clip.url = outputPath;
+      clip.hasAudio = metadata.hasAudio;
+      if (metadata.duration != null) {
+        clip.mediaDuration = metadata.duration;
+      }
+    }
+    return total > 0 ? done / total : 0;
+  }
+
   /**
    * Build the export command and metadata (internal helper)
    * @private
+   * @param {Object} [callOptions] - export() / preview() options
+   * @param {Object} [mode]
+   * @param {boolean} [mode.dryRun=false] - Don't render nested compositions (preview)
    */
-  async _prepareExport(options = {}) {
+  async _prepareExport(callOptions = {}, { dryRun = false } = {}) {
+    const options = { ...this.exportOptions, ...callOptions };
     const exportOptions = {
       // Output
       outputPath: options.outputPath || "./output.mp4",
@@ -490,38 +1002,28 @@ class SIMPLEFFMPEG {
       return 0;
     });
 
-    // Handle rotation
-    await Promise.all(
-      this.videoOrAudioClips.map(async (clip) => {
-        if (clip.type === "video" && clip.iphoneRotation !== 0) {
-          const unrotatedUrl = await unrotateVideo(clip.url, {
-            tempDir: this.options.tempDir,
-          });
-          this.filesToClean.push(unrotatedUrl);
-          clip.url = unrotatedUrl;
-        }
-      }),
+    const compositionShare = await this._renderCompositions(
+      exportOptions,
+      options,
+      { dryRun },
     );
 
     // Build a mapping from clip to its FFmpeg input stream index.
-    // Flat color clips use the color= filter source and do not have file inputs,
-    // so they are skipped by _getInputStreams(). All other clips' indices must
-    // account for this offset.
+    // Flat color and generator clips use lavfi sources and do not have file
+    // inputs, so they are skipped by _getInputStreams(). Layout clips are replaced by
+    // their video/image sources, which each get their own input.
     this._inputIndexMap = new Map();
-    let _inputIdx = 0;
-    for (const clip of this.videoOrAudioClips) {
-      if (clip.type === "color" && clip._isFlatColor) {
-        continue; // No file input for flat color clips
-      }
-      this._inputIndexMap.set(clip, _inputIdx);
-      _inputIdx++;
-    }
+    getInputClips(this.videoOrAudioClips).forEach((clip, inputIdx) => {
+      this._inputIndexMap.set(clip, inputIdx);
+    });
 
-    const videoClips = this.videoOrAudioClips.filter(
-      (clip) => clip.type === "video" || clip.type === "image" || clip.type === "color",
-    );
+    // Base-track clips define the visual timeline; clips on higher tracks are
+    // composited on top of it and never extend or shift it.
+    const visualClips = this.videoOrAudioClips.filter(isVisualClip);
+    const videoClips = visualClips.filter(isBaseTrackClip);
+    const overlayClips = visualClips.filter(isOverlayClip);
     const audioClips = this.videoOrAudioClips.filter(
-      (clip) => clip.type === "audio",
+      (clip) => clip.type === "audio" || clip.type === "audioGenerator",
     );
     const backgroundClips = this.videoOrAudioClips.filter(
       (clip) => clip.type === "music" || clip.type === "backgroundAudio",
@@ -533,19 +1035,20 @@ class SIMPLEFFMPEG {
     let hasVideo = false;
     let hasAudio = false;
 
+    // Counted on the output frame grid, like the video filter graph
+    const fps = this.options.fps;
     let totalVideoDuration = (() => {
       if (videoClips.length === 0) return 0;
       const baseSum = videoClips.reduce(
-        (acc, c) => acc + Math.max(0, (c.end || 0) - (c.position || 0)),
+        (acc, c) =>
+          acc +
+          Math.max(0, snapToFrame(c.end || 0, fps) - snapToFrame(c.position || 0, fps)),
+        0,
+      );
+      const transitionsOverlap = videoClips.reduce(
+        (acc, c) => acc + snapToFrame(getOverlapDuration(c.transition), fps),
         0,
       );
-      const transitionsOverlap = videoClips.reduce((acc, c) => {
-        const d =
-          c.transition && typeof c.transition.duration === "number"
-            ? c.transition.duration
-            : 0;
-        return acc + d;
-      }, 0);
       return Math.max(0, baseSum - transitionsOverlap);
     })();
     const textEnd =
@@ -556,6 +1059,7 @@ class SIMPLEFFMPEG {
       .filter(
         (c) =>
           c.type === "audio" ||
+          c.type === "audioGenerator" ||
           c.type === "music" ||
           c.type === "backgroundAudio",
       )
@@ -569,7 +1073,9 @@ class SIMPLEFFMPEG {
 
     // Build video filter
     if (videoClips.length > 0) {
-      const vres = buildVideoFilter(this, videoClips);
+      const vres = buildVideoFilter(this, visualClips, {
+        compensateTransitions: exportOptions.compensateTransitions,
+      });
       filterComplex += vres.filter;
       finalVideoLabel = vres.finalVideoLabel;
       hasVideo = vres.hasVideo;
@@ -612,11 +1118,62 @@ class SIMPLEFFMPEG {
       let cumOffset = 0;
       for (let i = 0; i < videoClips.length; i++) {
         if (i > 0 && videoClips[i].transition) {
-          cumOffset += videoClips[i].transition.duration || 0;
+          cumOffset += snapToFrame(getOverlapDuration(videoClips[i].transition), fps);
         }
         transitionOffsets.set(videoClips[i], cumOffset);
       }
-      const ares = buildAudioForVideoClips(this, videoClips, transitionOffsets);
+      for (const clip of overlayClips) {
+        transitionOffsets.set(
+          clip,
+          exportOptions.compensateTransitions
+            ? this._getTransitionOffsetAt(videoClips, clip.position || 0)
+            : 0,
+        );
+      }
+      // Crossfades, cuts and J/L-cuts at base-track clip boundaries
+      const audioEdits = getAudioTransitionEdits(videoClips, fps);
+      // Layout clips play the audio of their selected sources
+      const audioSourceClips = [];
+      for (const clip of [...videoClips, ...overlayClips]) {
+        if (clip.type !== "layout") {
+          audioSourceClips.push(clip);
+          continue;
+        }
+        for (const source of getLayoutAudioSources(clip)) {
+          transitionOffsets.set(source, transitionOffsets.get(clip));
+          if (audioEdits.has(clip)) {
+            audioEdits.set(source, audioEdits.get(clip));
+          }
+          audioSourceClips.push(source);
+        }
+      }
+      // Stingers mix their own audio in over the cut. The source shares the
+      // stinger's input and is placed in output time already.
+      for (const clip of videoClips) {
+        const transition = clip.transition;
+        if (!isStingerTransition(transition) || !transition._hasAudio) continue;
+        const cutTime =
+          snapToFrame(clip.position || 0, fps) - transitionOffsets.get(clip);
+        const { start, skip, duration } = getStingerWindow(transition, cutTime);
+        const source = {
+          url: transition.url,
+          hasAudio: true,
+          position: start,
+          end: start + duration,
+          cutFrom: skip,
+          mediaDuration: transition.duration,
+          volume: transition.volume,
+        };
+        this._inputIndexMap.set(source, this._inputIndexMap.get(transition));
+        transitionOffsets.set(source, 0);
+        audioSourceClips.push(source);
+      }
+      const ares = buildAudioForVideoClips(
+        this,
+        audioSourceClips,
+        transitionOffsets,
+        audioEdits,
+      );
       filterComplex += ares.filter;
       finalAudioLabel = ares.finalAudioLabel || finalAudioLabel;
       hasAudio = hasAudio || ares.hasAudio;
@@ -642,6 +1199,10 @@ class SIMPLEFFMPEG {
         backgroundClips,
         hasAudio ? finalAudioLabel : null,
         finalVisualEnd,
+        {
+          compensateTransitions: exportOptions.compensateTransitions,
+          videoClips,
+        },
       );
       filterComplex += bgres.filter;
       finalAudioLabel = bgres.finalAudioLabel || finalAudioLabel;
@@ -992,21 +1553,23 @@ class SIMPLEFFMPEG {
       hasAudio,
       finalVideoLabel,
       finalAudioLabel,
+      compositionShare,
     };
   }
 
   /**
    * Get a preview of the FFmpeg command without executing it (dry-run)
    * @param {Object} options - Same options as export()
-   * @returns {Promise<{command: string, filterComplex: string, totalDuration: number}>}
+   * @returns {Promise<{command: string, filterComplex: string, totalDuration: number, gapFillers: Array}>}
    */
   async preview(options = {}) {
     try {
-      const result = await this._prepareExport(options);
+      const result = await this._prepareExport(options, { dryRun: true });
       return {
         command: result.command,
         filterComplex: result.filterComplex,
         totalDuration: result.totalDuration,
+        gapFillers: this._gapFillers.map((filler) => ({ ...filler })),
       };
     } finally {
       await this._cleanup();
@@ -1049,7 +1612,11 @@ class SIMPLEFFMPEG {
 
     this._isExporting = true;
     const t0 = Date.now();
-    const { onProgress, signal, onLog } = options;
+    const {
+      onProgress: reportProgress,
+      signal,
+      onLog,
+    } = { ...this.exportOptions, ...options };
 
     let prepared;
     try {
@@ -1071,7 +1638,17 @@ class SIMPLEFFMPEG {
       hasAudio,
       finalVideoLabel,
       finalAudioLabel,
+      compositionShare,
     } = prepared;
+    // Nested composition renders already reported the first part
+    const onProgress =
+      compositionShare > 0 && typeof reportProgress === "function"
+        ? scaleProgress(
+            reportProgress,
+            compositionShare * 100,
+            1 - compositionShare,
+          )
+        : reportProgress;
 
     // Verbose logging
     if (exportOptions.verbose) {
@@ -1284,6 +1861,64 @@ class SIMPLEFFMPEG {
     }
   }
 
+  /**
+   * Create a project from a project document (see toJSON()). Documents
+   * from older library versions are migrated first; documents from newer
+   * versions are rejected.
+   *
+   * @param {Object|Array} document - Project document, or a bare clips array
+   * @param {Object} options
+   * @param {string} options.baseDir - Directory that relative media paths resolve against (default: working directory)
+   * @param {boolean} options.skipFileChecks - Skip file existence checks during load()
+   * @param {boolean} options.skipExtensionsCheck - Skip media URL extension/type checks during load()
+   * @returns {Promise<SIMPLEFFMPEG>} The loaded project
+   * @throws {SimpleffmpegError} If the document cannot be read or migrated
+   * @throws {ValidationError} If its clips are invalid
+   *
+   * @example
+   * const project = await SIMPLEFFMPEG.fromJSON(JSON.parse(text), { baseDir: './media' });
+   */
+  static async fromJSON(document, options = {}) {
+    const { baseDir, ...loadOptions } = options;
+    let migrated = migrateProjectDocument(document);
+    if (baseDir) {
+      migrated = resolveProjectPaths(migrated, baseDir);
+    }
+    const project = new SIMPLEFFMPEG(migrated.options);
+    project.exportOptions = { ...migrated.exportOptions };
+    await project.load(migrated.clips, loadOptions);
+    return project;
+  }
+
+  /**
+   * Load a project file written by saveProject(). Relative media paths
+   * resolve against the project file's directory.
+   *
+   * @param {string} filePath - Project file path
+   * @param {Object} options - Load options (skipFileChecks, skipExtensionsCheck)
+   * @returns {Promise<SIMPLEFFMPEG>} The loaded project
+   * @throws {SimpleffmpegError} If the file is missing, not JSON, or cannot be migrated
+   * @throws {ValidationError} If its clips are invalid
+   *
+   * @example
+   * const project = await SIMPLEFFMPEG.loadProject('./projects/trailer.json');
+   * await project.export({ outputPath: './trailer.mp4' });
+   */
+  static async loadProject(filePath, options = {}) {
+    let document;
+    try {
+      document = JSON.parse(await fsPromises.readFile(filePath, "utf8"));
+    } catch (error) {
+      throw new SimpleffmpegError(
+        `Could not read project file "${filePath}": ${error.message}`,
+      );
+    }
+    return SIMPLEFFMPEG.fromJSON(document, {
+      ...options,
+      baseDir: path.dirname(path.resolve(filePath)),
+    });
+  }
+
   /**
    * Get available platform presets
    * @returns {Object} Map of preset names to their configurations
@@ -1309,6 +1944,7 @@ class SIMPLEFFMPEG {
    * @param {Object} options - Validation options
    * @param {boolean} options.skipFileChecks - Skip file existence checks (useful for AI)
    * @param {boolean} options.skipExtensionsCheck - Skip media URL extension/type checks (video/image)
+   * @param {string} options.gapPolicy - Project gapPolicy; anything but "error" skips gap errors
    * @returns {Object} Validation result { valid, errors, warnings }
    *
    * @example
@@ -1336,6 +1972,11 @@ class SIMPLEFFMPEG {
    * Returns the visual timeline duration: sum of video/image clip durations
    * minus transition overlaps.
    *
+   * Clip durations are timeline durations, so `speed` / `speedRamp` do not
+   * change the result; they only change how much source media each clip
+   * consumes. (A clip whose remapped source runs out is clamped at load time,
+   * which requires probing and is not reflected here.)
+   *
    * This is a pure function — same clips always produce the same result.
    * No file I/O is performed.
    *
@@ -1355,10 +1996,8 @@ class SIMPLEFFMPEG {
     // Resolve shorthand (duration → end, auto-sequencing)
     const { clips: resolved } = resolveClips(clips);
 
-    // Filter to visual clips (video + image + color)
-    const visual = resolved.filter(
-      (c) => c.type === "video" || c.type === "image" || c.type === "color",
-    );
+    // Filter to base-track visual clips (video + image + color)
+    const visual = resolved.filter(isBaseTrackClip);
 
     if (visual.length === 0) return 0;
 
@@ -1367,13 +2006,10 @@ class SIMPLEFFMPEG {
       0,
     );
 
-    const transitionsOverlap = visual.reduce((acc, c) => {
-      const d =
-        c.transition && typeof c.transition.duration === "number"
-          ? c.transition.duration
-          : 0;
-      return acc + d;
-    }, 0);
+    const transitionsOverlap = visual.reduce(
+      (acc, c) => acc + getOverlapDuration(c.transition),
+      0,
+    );
 
     return Math.max(0, baseSum - transitionsOverlap);
   }
@@ -1381,8 +2017,8 @@ class SIMPLEFFMPEG {
   /**
    * Calculate the total transition overlap for a clips configuration.
    * Resolves shorthand (duration, auto-sequencing) before computing.
-   * Returns the total seconds consumed by xfade transition overlaps
-   * among visual clips (video, image, color).
+   * Returns the total seconds consumed by transition overlaps among visual
+   * clips (video, image, color). Stingers don't overlap their clips.
    *
    * This is a pure function — same clips always produce the same result.
    * No file I/O is performed.
@@ -1402,19 +2038,50 @@ class SIMPLEFFMPEG {
 
     const { clips: resolved } = resolveClips(clips);
 
-    const visual = resolved.filter(
-      (c) => c.type === "video" || c.type === "image" || c.type === "color",
-    );
+    const visual = resolved.filter(isBaseTrackClip);
 
     if (visual.length === 0) return 0;
 
-    return visual.reduce((acc, c) => {
-      const d =
-        c.transition && typeof c.transition.duration === "number"
-          ? c.transition.duration
-          : 0;
-      return acc + d;
-    }, 0);
+    return visual.reduce((acc, c) => acc + getOverlapDuration(c.transition), 0);
+  }
+
+  /**
+   * Register a custom transition, usable as `transition.type` on any visual
+   * clip. The transition is an xfade `custom` expression (variables X, Y,
+   * W, H, P, PLANE, A, B, a0(x,y)..., see the FFmpeg xfade docs) on yuv420p
+   * frames, with `{param}` placeholders filled from the clip's
+   * `transition.params` or the declared defaults. Registered transitions are
+   * checked by validation and listed in getSchema() output.
+   *
+   * Registration is global to the process. Registering a name again replaces
+   * the earlier definition; built-in xfade names cannot be replaced.
+   *
+   * @param {string} name - Transition name (letters, digits, "-" and "_")
+   * @param {Object} definition
+   * @param {string} definition.expr - xfade expression template
+   * @param {Object<string, Object>} [definition.params] - Declared params by name:
+   *   `{ type: "number", min?, max?, default? }`, `{ type: "enum", values, default? }`
+   *   (substituted as the index into `values`) or `{ type: "color", default? }`
+   *   (substituted as the color's value on the current plane). Params without
+   *   a default are required.
+   * @param {string} [definition.description] - One line for getSchema() output
+   * @throws {SimpleffmpegError} If the name or definition is invalid
+   *
+   * @example
+   * SIMPLEFFMPEG.registerTransition("brand-wipe", {
+   *   // P runs from 1 to 0; the edge sweeps across with a colored band
+   *   expr: "if(lt(abs(X/W-if(eq({direction},0),P,1-P)),{softness}),{color},if(eq({direction},0),if(gt(X/W,P),B,A),if(lt(X/W,1-P),B,A)))",
+   *   params: {
+   *     direction: { type: "enum", values: ["left", "right"], default: "left" },
+   *     softness: { type: "number", min: 0, max: 0.5, default: 0.02 },
+   *     color: { type: "color", default: "#FF0066" },
+   *   },
+   *   description: "Wipe with a brand-colored leading edge",
+   * });
+   * // { type: "video", ..., transition: { type: "brand-wipe", duration: 0.6, params: { direction: "right" } } }
+   */
+  static registerTransition(name, definition) {
+    registerTransition(name, definition);
   }
 
   /**
@@ -1427,15 +2094,17 @@ class SIMPLEFFMPEG {
    * @param {string} filePath - Path to the media file
    * @returns {Promise<Object>} Media info object with:
    *   - duration (number|null) — total duration in seconds
-   *   - width (number|null) — video width in pixels
-   *   - height (number|null) — video height in pixels
+   *   - width (number|null) — displayed width in pixels (after rotation / EXIF orientation)
+   *   - height (number|null) — displayed height in pixels (after rotation / EXIF orientation)
    *   - hasVideo (boolean) — true if file contains a video stream
    *   - hasAudio (boolean) — true if file contains an audio stream
    *   - rotation (number) — iPhone/mobile rotation value (0 if none)
+   *   - orientation (number) — EXIF orientation 1-8 of JPEG/TIFF images, or its equivalent for rotated / mirrored video (1 if upright)
    *   - videoCodec (string|null) — e.g. "h264", "hevc", "vp9"
    *   - audioCodec (string|null) — e.g. "aac", "mp3"
    *   - format (string|null) — container format, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
-   *   - fps (number|null) — frames per second
+   *   - fps (number|null) — frames per second, rounded to 2 decimals
+   *   - frameRate (number|string|null) — exact frame rate: a whole number or a "num/den" string such as "30000/1001"
    *   - size (number|null) — file size in bytes
    *   - bitrate (number|null) — overall bitrate in bits/sec
    *   - sampleRate (number|null) — audio sample rate, e.g. 48000
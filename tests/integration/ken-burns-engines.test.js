@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { execSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+const OUTPUT_DIR = path.join(__dirname, "..", "output", "ken-burns-engines");
+const IMAGE = path.join(FIXTURES_DIR, "test-image.png");
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+
+function isFFmpegAvailable() {
+  try {
+    execSync("ffmpeg -version", { stdio: "pipe" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Mean SSIM of two videos over all frames and planes (1 = identical)
+function getSsim(a, b) {
+  const output = execSync(
+    `ffmpeg -hide_banner -i "${a}" -i "${b}" -lavfi ssim -f null - 2>&1`,
+    { encoding: "utf8" },
+  );
+  const match = output.match(/All:([\d.]+)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function getFrameCount(filepath) {
+  const output = execSync(
+    `ffprobe -v error -count_frames -select_streams v:0 -show_entries stream=nb_read_frames -of default=noprint_wrappers=1:nokey=1 "${filepath}"`,
+    { encoding: "utf8" },
+  );
+  return parseInt(output.trim(), 10);
+}
+
+async function render(engine, kenBurns, name) {
+  const project = new SIMPLEFFMPEG({
+    width: 320,
+    height: 240,
+    fps: 30,
+    kenBurnsEngine: engine,
+  });
+  const outputPath = path.join(OUTPUT_DIR, `${name}-${engine}.mp4`);
+  await project.load([
+    { type: "image", url: IMAGE, position: 0, end: 2, kenBurns },
+  ]);
+  await project.export({ outputPath, crf: 12 });
+  return outputPath;
+}
+
+describe("Ken Burns engines", () => {
+  const ffmpegAvailable = isFFmpegAvailable();
+
+  beforeAll(() => {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    if (ffmpegAvailable && !fs.existsSync(IMAGE)) {
+      try {
+        execSync("node tests/fixtures/generate-fixtures.js", {
+          cwd: path.join(__dirname, "..", ".."),
+          stdio: "pipe",
+        });
+      } catch (e) {
+        console.warn("Could not generate fixtures:", e.message);
+      }
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  describe.skipIf(!ffmpegAvailable)("visual equivalence with zoompan", () => {
+    const cases = [
+      ["zoom-in", "zoom-in"],
+      ["diagonal-pan", { type: "custom", startX: 0.2, startY: 0.8, endX: 0.8, endY: 0.2 }],
+      ["path", { path: [{ time: 0, x: 0, zoom: 1.3, hold: 0.5 }, { time: 2, x: 1, zoom: 1.1 }] }],
+    ];
+
+    for (const [name, kenBurns] of cases) {
+      it(`should frame ${name} like zoompan`, async () => {
+        const zoompan = await render("zoompan", kenBurns, name);
+        const perspective = await render("perspective", kenBurns, name);
+
+        expect(getFrameCount(perspective)).toBe(getFrameCount(zoompan));
+        // zoompan snaps the window to whole overscan pixels and perspective
+        // interpolates, so the frames match closely but not bit for bit
+        expect(getSsim(zoompan, perspective)).toBeGreaterThan(0.9);
+      }, 60000);
+    }
+  });
+});
@@ -69,7 +69,8 @@ describe("loaders (integration)", () => {
       const clip = project.videoOrAudioClips[0];
       expect(clip.hasAudio).toBe(true);
       expect(clip.mediaDuration).toBeGreaterThan(1.5);
-      expect(typeof clip.iphoneRotation).toBe("number");
+      // The fixture is stored upright, so it needs no orientation fix
+      expect(clip._orientation).toBeUndefined();
     });
 
     it.skipIf(!canRun)("should throw when cutFrom exceeds source duration", async () => {
@@ -103,12 +103,12 @@ describe("SIMPLEFFMPEG.probe", () => {
         });
       });
 
-      it("should return exactly 17 keys in the result", async () => {
+      it("should return exactly 20 keys in the result", async () => {
         const info = await SIMPLEFFMPEG.probe(
           path.join(FIXTURES_DIR, "test-video-2s.mp4"),
         );
         const keys = Object.keys(info);
-        expect(keys).toHaveLength(17);
+        expect(keys).toHaveLength(20);
         expect(keys.sort()).toEqual([
           "audioCodec",
           "bitrate",
@@ -118,9 +118,12 @@ describe("SIMPLEFFMPEG.probe", () => {
           "duration",
           "format",
           "fps",
+          "frameCount",
+          "frameRate",
           "hasAudio",
           "hasVideo",
           "height",
+          "orientation",
           "pixelFormat",
           "rotation",
           "sampleRate",
@@ -0,0 +1,194 @@
+import { describe, it, expect } from "vitest";
+
+const { getVolumeEnvelope, getClipAudioFades } = await import("../../src/core/audio_envelope.js");
+const { getAudioTransitionEdits } = await import("../../src/core/audio_transitions.js");
+const { buildAudioForVideoClips } = await import("../../src/ffmpeg/audio_builder.js");
+const { buildStandaloneAudioMix } = await import("../../src/ffmpeg/standalone_audio_builder.js");
+const { buildBackgroundMusicMix } = await import("../../src/ffmpeg/bgm_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+function projectFor(clips) {
+  return {
+    videoOrAudioClips: clips,
+    _inputIndexMap: new Map(clips.map((clip, i) => [clip, i])),
+    // One 0.5s transition at 5s
+    _adjustTimestampForTransitions: (videoClips, ts) => (ts >= 5 ? ts - 0.5 : ts),
+  };
+}
+
+function standalone(clip, compensateTransitions = false) {
+  return buildStandaloneAudioMix(projectFor([clip]), [clip], {
+    compensateTransitions,
+    videoClips: [{}, {}],
+    hasAudio: false,
+    finalAudioLabel: null,
+  }).filter;
+}
+
+describe("getVolumeEnvelope", () => {
+  it("should sort points into volume keyframes", () => {
+    const clip = {
+      volumeEnvelope: [
+        { time: 3, volume: 0.2 },
+        { time: 1, volume: 1, curve: "ease-out" },
+      ],
+    };
+    expect(getVolumeEnvelope(clip)).toEqual([
+      { time: 1, value: 1, easing: "ease-out" },
+      { time: 3, value: 0.2, easing: undefined },
+    ]);
+    expect(getVolumeEnvelope({})).toBeNull();
+  });
+
+  it("should default the fade curve", () => {
+    expect(getClipAudioFades({ fadeIn: 1 })).toEqual({
+      fadeIn: { duration: 1, curve: "tri" },
+      fadeOut: null,
+    });
+    expect(getClipAudioFades({ fadeOut: 2, fadeCurve: "qsin" }).fadeOut).toEqual({
+      duration: 2,
+      curve: "qsin",
+    });
+  });
+});
+
+describe("audio clip fades and envelopes", () => {
+  it("should fade a standalone audio clip in and out", () => {
+    const filter = standalone({
+      type: "audio",
+      position: 1,
+      end: 5,
+      cutFrom: 0,
+      volume: 1,
+      fadeIn: 0.5,
+      fadeOut: 1,
+    });
+    expect(filter).toContain(
+      "[0:a]volume=1,atrim=start=0:end=4,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=0.5:curve=tri,afade=t=out:st=3:d=1:curve=tri,adelay=1000|1000,asetpts=PTS-STARTPTS[a0];",
+    );
+  });
+
+  it("should move envelope points with transition compensation", () => {
+    const clip = {
+      type: "audio",
+      position: 2,
+      end: 12,
+      cutFrom: 0,
+      volume: 1,
+      volumeEnvelope: [
+        { time: 2, volume: 1 },
+        { time: 4, volume: 0.2 },
+      ],
+    };
+    // 4s and 6s on the timeline play at 4s and 5.5s
+    expect(standalone(clip, true)).toContain(
+      "volume='if(lt(t,2),1,if(lt(t,3.5),1+(-0.8)*(((t-2)/1.5)),0.2))':eval=frame,adelay=2000|2000",
+    );
+    expect(standalone(clip, false)).toContain(
+      "volume='if(lt(t,2),1,if(lt(t,4),1+(-0.8)*(((t-2)/2)),0.2))':eval=frame,adelay=2000|2000",
+    );
+  });
+
+  it("should fade background music out at the end of the video", () => {
+    const clip = { type: "music", position: 0, cutFrom: 0, volume: 0.2, fadeIn: 1, fadeOut: 2, fadeCurve: "qsin" };
+    const { filter } = buildBackgroundMusicMix(projectFor([clip]), [clip], null, 10);
+    expect(filter).toContain(
+      "[0:a]volume=0.2,atrim=start=0:end=10,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=1:curve=qsin,afade=t=out:st=8:d=2:curve=qsin,adelay=0|0[bg0];",
+    );
+  });
+
+  it("should compensate a music envelope against its fixed position", () => {
+    const clip = {
+      type: "music",
+      position: 0,
+      cutFrom: 0,
+      volume: 0.2,
+      volumeEnvelope: [{ time: 6, volume: 0.2 }, { time: 7, volume: 0 }],
+    };
+    const { filter } = buildBackgroundMusicMix(projectFor([clip]), [clip], null, 9.5, {
+      compensateTransitions: true,
+      videoClips: [{}, {}],
+    });
+    expect(filter).toContain(
+      "[0:a]atrim=start=0:end=9.5,asetpts=PTS-STARTPTS,volume='if(lt(t,5.5),0.2,if(lt(t,6.5),0.2+(-0.2)*(((t-5.5)/1)),0))':eval=frame,adelay=0|0[bg0];",
+    );
+  });
+});
+
+describe("video clip fades and envelopes", () => {
+  it("should fade and envelope the clip's audio after its transition edits", () => {
+    const a = { type: "video", hasAudio: true, position: 0, end: 5, cutFrom: 0, mediaDuration: 20 };
+    const b = {
+      type: "video",
+      hasAudio: true,
+      position: 5,
+      end: 10,
+      cutFrom: 3,
+      mediaDuration: 20,
+      fadeOut: 1,
+      volumeEnvelope: [{ time: 0, volume: 0.5 }, { time: 1, volume: 1 }],
+      transition: { type: "fade", duration: 0.5, audio: "cut" },
+    };
+    const clips = [a, b];
+    const offsets = new Map([[a, 0], [b, 0.5]]);
+    const { filter } = buildAudioForVideoClips(
+      { videoOrAudioClips: clips },
+      clips,
+      offsets,
+      getAudioTransitionEdits(clips, 30),
+    );
+    // The cut starts b's audio 0.25s into the clip
+    expect(filter).toContain(
+      "atrim=start=0.25:duration=4.75,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=0.01:curve=tri,volume='if(lt((t+0.25),0),0.5,if(lt((t+0.25),1),0.5+(0.5)*((((t+0.25)-0)/1)),1))':eval=frame,afade=t=out:st=3.75:d=1:curve=tri,adelay=4750|4750[va1];",
+    );
+  });
+});
+
+describe("audio envelope validation", () => {
+  const opts = { skipFileChecks: true };
+
+  it("should accept fades and envelopes on clips with audio", () => {
+    const result = validateConfig(
+      [
+        { type: "video", url: "./a.mp4", position: 0, end: 10, fadeIn: 1, fadeCurve: "qsin" },
+        {
+          type: "music",
+          url: "./bed.mp3",
+          fadeOut: 2,
+          volumeEnvelope: [{ time: 0, volume: 0.3 }, { time: 5, volume: 0.1, curve: "ease-in-out" }],
+        },
+      ],
+      opts,
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  it("should reject bad fades, curves and points", () => {
+    const result = validateConfig(
+      [
+        {
+          type: "audio",
+          url: "./a.mp3",
+          position: 0,
+          end: 5,
+          fadeIn: -1,
+          fadeCurve: "linear",
+          keyframes: { volume: [{ time: 0, value: 1 }] },
+          volumeEnvelope: [
+            { time: 2, volume: 1, curve: "bounce" },
+            { time: 1, volume: -1 },
+          ],
+        },
+      ],
+      opts,
+    );
+    expect(result.errors.map((e) => e.path)).toEqual([
+      "clips[0].fadeIn",
+      "clips[0].fadeCurve",
+      "clips[0].volumeEnvelope",
+      "clips[0].volumeEnvelope[0].curve",
+      "clips[0].volumeEnvelope[1].time",
+      "clips[0].volumeEnvelope[1].volume",
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+
+const { getAudioTransitionEdits } = await import("../../src/core/audio_transitions.js");
+const { buildAudioForVideoClips } = await import("../../src/ffmpeg/audio_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+// Two butted clips with a 0.5s fade: the picture crossfades over [4.5, 5]
+function clipsWith(transition) {
+  const a = { type: "video", url: "./a.mp4", hasAudio: true, position: 0, end: 5, cutFrom: 2, mediaDuration: 20 };
+  const b = { type: "video", url: "./b.mp4", hasAudio: true, position: 5, end: 10, cutFrom: 3, mediaDuration: 20, transition };
+  return [a, b];
+}
+
+function build(clips) {
+  const offsets = new Map([
+    [clips[0], 0],
+    [clips[1], clips[1].transition?.type === "fade" ? 0.5 : 0],
+  ]);
+  const project = { videoOrAudioClips: clips };
+  return buildAudioForVideoClips(project, clips, offsets, getAudioTransitionEdits(clips, 30)).filter;
+}
+
+describe("getAudioTransitionEdits", () => {
+  it("should crossfade over the picture transition by default", () => {
+    const clips = clipsWith({ type: "fade", duration: 0.5, audioCurve: "qsin" });
+    const edits = getAudioTransitionEdits(clips, 30);
+    expect(edits.get(clips[0])).toEqual({ startShift: 0, endShift: 0, fadeIn: null, fadeOut: { duration: 0.5, curve: "qsin" } });
+    expect(edits.get(clips[1])).toEqual({ startShift: 0, endShift: 0, fadeIn: { duration: 0.5, curve: "qsin" }, fadeOut: null });
+  });
+
+  it("should declick hard cuts", () => {
+    const clips = clipsWith(undefined);
+    const edits = getAudioTransitionEdits(clips, 30);
+    expect(edits.get(clips[0]).fadeOut).toEqual({ duration: 0.01, curve: "tri" });
+    expect(edits.get(clips[1]).fadeIn).toEqual({ duration: 0.01, curve: "tri" });
+  });
+
+  it("should move the audio crossfade for J- and L-cuts", () => {
+    const j = clipsWith({ type: "fade", duration: 0.5, audio: "j-cut" });
+    const jEdits = getAudioTransitionEdits(j, 30);
+    expect(jEdits.get(j[0]).endShift).toBe(-1);
+    expect(jEdits.get(j[1]).startShift).toBe(-1);
+
+    const l = clipsWith({ type: "fade", duration: 0.5, audio: "l-cut", audioOffset: 2 });
+    const lEdits = getAudioTransitionEdits(l, 30);
+    expect(lEdits.get(l[0]).endShift).toBe(2);
+    expect(lEdits.get(l[1]).startShift).toBe(2);
+  });
+
+  it("should limit a J-cut to the source before cutFrom", () => {
+    const clips = clipsWith({ type: "fade", duration: 0.5, audio: "j-cut", audioOffset: 5 });
+    clips[1].cutFrom = 0.75;
+    expect(getAudioTransitionEdits(clips, 30).get(clips[1]).startShift).toBe(-0.75);
+    // Nothing to lead with: a plain crossfade
+    clips[1].cutFrom = 0;
+    expect(getAudioTransitionEdits(clips, 30).get(clips[1])).toMatchObject({ startShift: 0, fadeIn: { duration: 0.5 } });
+  });
+});
+
+describe("audio transitions in the filter graph", () => {
+  it("should fade both clips across the crossfade", () => {
+    const filter = build(clipsWith({ type: "fade", duration: 0.5 }));
+    expect(filter).toContain("[0:a]volume=1,atrim=start=2:duration=5,asetpts=PTS-STARTPTS,afade=t=out:st=4.5:d=0.5:curve=tri,adelay=0|0[va0];");
+    expect(filter).toContain("[1:a]volume=1,atrim=start=3:duration=5,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=0.5:curve=tri,adelay=4500|4500[va1];");
+  });
+
+  it("should switch in the middle of the transition for audio: cut", () => {
+    const filter = build(clipsWith({ type: "fade", duration: 0.5, audio: "cut" }));
+    expect(filter).toContain("atrim=start=0:duration=4.75,asetpts=PTS-STARTPTS,afade=t=out:st=4.74:d=0.01:curve=tri,adelay=0|0[va0];");
+    expect(filter).toContain("atrim=start=0.25:duration=4.75,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=0.01:curve=tri,adelay=4750|4750[va1];");
+  });
+
+  it("should lead with the next clip's audio for a J-cut", () => {
+    const filter = build(clipsWith({ type: "fade", duration: 0.5, audio: "j-cut" }));
+    expect(filter).toContain("afade=t=out:st=3.5:d=0.5:curve=tri,adelay=0|0[va0];");
+    expect(filter).toContain("[1:a]volume=1,atrim=start=2:duration=6,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=0.5:curve=tri,adelay=3500|3500[va1];");
+  });
+
+  it("should let the previous clip's audio run on for an L-cut", () => {
+    const filter = build(clipsWith({ type: "fade", duration: 0.5, audio: "l-cut" }));
+    expect(filter).toContain("[0:a]volume=1,atrim=start=2:duration=6,asetpts=PTS-STARTPTS,afade=t=out:st=5.5:d=0.5:curve=tri,adelay=0|0[va0];");
+    expect(filter).toContain("atrim=start=1:duration=4,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=0.5:curve=tri,adelay=5500|5500[va1];");
+  });
+});
+
+describe("transition audio validation", () => {
+  it("should reject unknown modes and curves", () => {
+    const clips = clipsWith({ type: "fade", duration: 0.5, audio: "x-cut", audioCurve: "linear", audioOffset: -1 });
+    const { errors } = validateConfig(clips, { skipFileChecks: true });
+    expect(errors.map((e) => e.path)).toEqual([
+      "clips[1].transition.audio",
+      "clips[1].transition.audioCurve",
+      "clips[1].transition.audioOffset",
+    ]);
+  });
+});
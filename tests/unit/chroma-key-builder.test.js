@@ -0,0 +1,172 @@
+import { describe, it, expect } from "vitest";
+
+const { buildChromaKeyFilter, getDespillType } = await import("../../src/ffmpeg/chroma_key_builder.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+describe("buildChromaKeyFilter", () => {
+  it("should return empty string without chromaKey", () => {
+    expect(buildChromaKeyFilter({ type: "video" })).toBe("");
+  });
+
+  it("should default to a green chromakey", () => {
+    expect(buildChromaKeyFilter({ type: "video", chromaKey: {} })).toBe(
+      "chromakey=color=#00FF00:similarity=0.1:blend=0",
+    );
+  });
+
+  it("should support colorkey and despill", () => {
+    expect(
+      buildChromaKeyFilter({
+        type: "video",
+        chromaKey: {
+          mode: "colorkey",
+          color: "#0047BB",
+          similarity: 0.25,
+          blend: 0.05,
+          spill: 0.6,
+        },
+      }),
+    ).toBe(
+      "colorkey=color=#0047BB:similarity=0.25:blend=0.05,despill=type=blue:mix=0.6",
+    );
+  });
+
+  it("should pick the despill channel from the key color", () => {
+    expect(getDespillType("#00FF00")).toBe("green");
+    expect(getDespillType("0x1030F0")).toBe("blue");
+    expect(getDespillType("blue")).toBe("blue");
+    expect(getDespillType("lime")).toBe("green");
+  });
+});
+
+describe("keyed clips in buildVideoFilter", () => {
+  it("should key the fitted overlay stream and pad with the key color", () => {
+    const project = {
+      options: { fps: 30, width: 1920, height: 1080 },
+      videoOrAudioClips: [],
+    };
+    const background = {
+      type: "color",
+      color: "navy",
+      _isFlatColor: true,
+      position: 0,
+      end: 8,
+    };
+    const presenter = {
+      type: "video",
+      url: "./presenter.mp4",
+      track: 1,
+      position: 1,
+      end: 6,
+      cutFrom: 0,
+      mediaDuration: 20,
+      chromaKey: { color: "#00FF00", similarity: 0.2, spill: 0.5 },
+    };
+    project.videoOrAudioClips.push(background, presenter);
+
+    const result = buildVideoFilter(project, [background, presenter]);
+
+    expect(result.filter).toContain("pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=#00FF00");
+    expect(result.filter).toContain(
+      "[ovscaled0]chromakey=color=#00FF00:similarity=0.2:blend=0,despill=type=green:mix=0.5,setpts=PTS-STARTPTS+1/TB[ovshift0];",
+    );
+  });
+});
+
+describe("chromaKey validation", () => {
+  const opts = { skipFileChecks: true };
+  const base = { type: "image", url: "./studio.jpg", position: 0, end: 10 };
+
+  it("should accept a keyed clip over a base track", () => {
+    const result = validateConfig(
+      [
+        base,
+        {
+          type: "video",
+          url: "./presenter.mp4",
+          track: 1,
+          position: 0,
+          end: 10,
+          chromaKey: { color: "#00FF00", similarity: 0.15, blend: 0.1, spill: 0.4 },
+        },
+      ],
+      opts,
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  it("should reject keyed clips with nothing underneath", () => {
+    const onBase = validateConfig(
+      [
+        {
+          type: "video",
+          url: "./presenter.mp4",
+          position: 0,
+          end: 5,
+          chromaKey: {},
+        },
+      ],
+      opts,
+    );
+    expect(onBase.errors.some((e) => e.path === "clips[0].track")).toBe(true);
+
+    const pastEnd = validateConfig(
+      [
+        base,
+        {
+          type: "video",
+          url: "./presenter.mp4",
+          track: 1,
+          position: 5,
+          end: 12,
+          chromaKey: {},
+        },
+      ],
+      opts,
+    );
+    expect(pastEnd.errors.some((e) => e.path === "clips[1]")).toBe(true);
+  });
+
+  it("should reject keyed clips placed over a gap in the base track", () => {
+    const result = validateConfig(
+      [
+        { type: "color", color: "navy", position: 0, end: 4 },
+        { type: "color", color: "navy", position: 6, end: 10 },
+        {
+          type: "video",
+          url: "./presenter.mp4",
+          track: 1,
+          position: 3,
+          end: 7,
+          chromaKey: {},
+        },
+      ],
+      { ...opts, gapPolicy: "black" },
+    );
+    const issue = result.errors.find((e) => e.path === "clips[2]");
+    expect(issue.received.uncovered).toEqual({ start: 4, end: 6 });
+  });
+
+  it("should reject invalid key options", () => {
+    const result = validateConfig(
+      [
+        base,
+        {
+          type: "video",
+          url: "./presenter.mp4",
+          track: 1,
+          position: 0,
+          end: 5,
+          chromaKey: { color: "not-a-color", similarity: 0, spill: 2, mode: "luma" },
+        },
+      ],
+      opts,
+    );
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toContain("clips[1].chromaKey.color");
+    expect(paths).toContain("clips[1].chromaKey.similarity");
+    expect(paths).toContain("clips[1].chromaKey.spill");
+    expect(paths).toContain("clips[1].chromaKey.mode");
+  });
+});
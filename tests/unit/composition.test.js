@@ -0,0 +1,171 @@
+import { describe, it, expect } from "vitest";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const { getTimelineDuration } = await import("../../src/core/composition.js");
+const { resolveClips } = await import("../../src/core/resolve.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+const intro = [
+  { type: "color", color: "navy", duration: 3 },
+  { type: "color", color: "black", duration: 2, transition: { type: "fade", duration: 0.5 } },
+  { type: "text", text: "Hello", position: 0.5, end: 2 },
+];
+
+describe("composition timing", () => {
+  it("should measure a timeline like an export", () => {
+    const { clips } = resolveClips(intro);
+    expect(getTimelineDuration(clips)).toBe(4.5);
+    expect(
+      getTimelineDuration([{ type: "audio", position: 1, end: 6 }]),
+    ).toBe(6);
+  });
+
+  it("should not count a stinger as overlap", () => {
+    const cut = { type: "stinger", url: "./logo.mov", duration: 2 };
+    const { clips } = resolveClips([
+      {
+        type: "composition",
+        clips: [
+          { type: "color", color: "navy", duration: 5 },
+          { type: "color", color: "black", duration: 5, transition: cut },
+        ],
+      },
+    ]);
+    expect(getTimelineDuration(clips[0].clips)).toBe(10);
+    expect(clips[0]).toMatchObject({ position: 0, end: 10 });
+  });
+
+  it("should resolve nested clips and default to the nested length", () => {
+    const { clips, errors } = resolveClips([
+      { type: "video", url: "./a.mp4", duration: 5 },
+      { type: "composition", clips: intro, cutFrom: 0.5 },
+    ]);
+    expect(errors).toEqual([]);
+    expect(clips[1]).toMatchObject({ position: 5, end: 9 });
+    expect(clips[1].clips[1]).toMatchObject({ position: 3, end: 5 });
+    expect(intro[0].end).toBeUndefined();
+  });
+
+  it("should prefix nested resolution errors", () => {
+    const { errors } = resolveClips([
+      {
+        type: "composition",
+        clips: [{ type: "color", color: "red", duration: 2, end: 2 }],
+      },
+    ]);
+    expect(errors[0].path).toBe("clips[0].clips[0]");
+  });
+});
+
+describe("composition validation", () => {
+  const opts = { skipFileChecks: true, width: 1920, height: 1080 };
+
+  it("should accept a valid composition", () => {
+    const { clips } = resolveClips([
+      { type: "composition", width: 1080, height: 1080, imageFit: "blur-fill", clips: intro },
+    ]);
+    expect(validateConfig(clips, opts).valid).toBe(true);
+  });
+
+  it("should report nested errors with their full path", () => {
+    const { clips } = resolveClips([
+      {
+        type: "composition",
+        width: 1081,
+        clips: [
+          { type: "color", color: "red", duration: 2 },
+          { type: "image", duration: 2 },
+        ],
+      },
+    ]);
+    const paths = validateConfig(clips, opts).errors.map((e) => e.path);
+    expect(paths).toContain("clips[0].width");
+    expect(paths).toContain("clips[0].clips[1].url");
+  });
+
+  it("should require nested picture", () => {
+    const { clips } = resolveClips([
+      { type: "video", url: "./a.mp4", duration: 5 },
+      {
+        type: "composition",
+        duration: 3,
+        clips: [{ type: "audio", url: "./a.mp3", position: 0, end: 3 }],
+      },
+      { type: "composition", clips: [] },
+    ]);
+    const paths = validateConfig(clips, opts).errors.map((e) => e.path);
+    expect(paths).toContain("clips[1].clips");
+    expect(paths).toContain("clips[2].clips");
+  });
+});
+
+describe("loading compositions", () => {
+  it("should load the nested timeline into a child project", async () => {
+    const project = new SIMPLEFFMPEG({ width: 1920, height: 1080, fps: 25 });
+    await project.load([
+      { type: "composition", width: 1080, height: 1080, clips: intro },
+    ]);
+    const [clip] = project.videoOrAudioClips;
+    expect(clip).toMatchObject({
+      type: "composition",
+      position: 0,
+      end: 4.5,
+      mediaDuration: 4.5,
+      cutFrom: 0,
+      volume: 1,
+    });
+    expect(clip._project.options).toMatchObject({ width: 1080, height: 1080, fps: 25 });
+    expect(clip._project.videoOrAudioClips).toHaveLength(2);
+    expect(clip._project.textClips).toHaveLength(1);
+  });
+});
+
+describe("previewing compositions", () => {
+  it("should build the command without rendering the nested timeline", async () => {
+    const project = new SIMPLEFFMPEG({ width: 1920, height: 1080, fps: 25 });
+    await project.load([{ type: "composition", clips: intro }]);
+    const exports = [];
+    project.videoOrAudioClips[0]._project.export = async (opts) => exports.push(opts);
+    const { command, totalDuration } = await project.preview();
+    expect(exports).toHaveLength(0);
+    expect(command).toContain("simpleffmpeg-composition-preview-0.mp4");
+    expect(totalDuration).toBeCloseTo(4.5, 1);
+  });
+});
+
+describe("composition clips in buildVideoFilter", () => {
+  it("should fit the rendered composition and transition into it", () => {
+    const project = {
+      options: { fps: 30, width: 1920, height: 1080 },
+      videoOrAudioClips: [],
+    };
+    const first = {
+      type: "video",
+      url: "./a.mp4",
+      position: 0,
+      end: 5,
+      cutFrom: 0,
+      mediaDuration: 10,
+    };
+    const nested = {
+      type: "composition",
+      url: "/tmp/simpleffmpeg-composition.mp4",
+      position: 5,
+      end: 9,
+      cutFrom: 0,
+      mediaDuration: 4,
+      transition: { type: "fade", duration: 0.5 },
+    };
+    project.videoOrAudioClips.push(first, nested);
+
+    const result = buildVideoFilter(project, [first, nested]);
+
+    expect(result.filter).toContain(
+      "[1:v]trim=start=0:duration=4,setpts=PTS-STARTPTS,fps=30,scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080",
+    );
+    expect(result.filter).toContain(
+      "[scaled0][scaled1]xfade=transition=fade:duration=0.5:offset=4.5",
+    );
+  });
+});
@@ -0,0 +1,272 @@
+import { describe, it, expect, vi } from "vitest";
+import { createRequire } from "module";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const Editing = await import("../../src/core/editing.js");
+const { resolveClips } = await import("../../src/core/resolve.js");
+const Loaders = createRequire(import.meta.url)("../../src/loaders.js");
+
+const timing = (clips) =>
+  resolveClips(clips).clips.map(({ id, position, end }) => ({ id, position, end }));
+
+const shots = [
+  { id: "a", type: "color", color: "red", duration: 2 },
+  { id: "b", type: "color", color: "green", duration: 3 },
+  { id: "c", type: "color", color: "blue", duration: 1 },
+];
+
+describe("timeline edits", () => {
+  it("should move a clip and keep its length", () => {
+    const clips = [
+      { id: "a", type: "color", color: "red", position: 0, end: 4 },
+      { id: "t", type: "text", text: "Hi", position: 1, end: 2 },
+    ];
+    const moved = Editing.moveClip(clips, "t", 3);
+    expect(moved[1]).toMatchObject({ position: 3, end: 4 });
+    expect(clips[1].position).toBe(1);
+  });
+
+  it("should ripple a move through the track", () => {
+    const moved = Editing.moveClip(shots, "c", 0, { ripple: true });
+    expect(timing(moved)).toEqual([
+      { id: "c", position: 0, end: 1 },
+      { id: "a", position: 1, end: 3 },
+      { id: "b", position: 3, end: 6 },
+    ]);
+  });
+
+  it("should close the hole on a ripple delete", () => {
+    const clips = [
+      { id: "a", type: "color", color: "red", position: 0, end: 2 },
+      { id: "b", type: "color", color: "green", position: 2, end: 5 },
+      { id: "c", type: "color", color: "blue", position: 5, end: 6 },
+      { id: "m", type: "audio", url: "./a.mp3", position: 0, end: 6 },
+    ];
+    expect(timing(Editing.removeClip(clips, "b", { ripple: true }))).toEqual([
+      { id: "a", position: 0, end: 2 },
+      { id: "c", position: 2, end: 3 },
+      { id: "m", position: 0, end: 6 },
+    ]);
+    expect(timing(Editing.removeClip(clips, "b"))[1]).toEqual({
+      id: "c",
+      position: 5,
+      end: 6,
+    });
+  });
+
+  it("should insert into a track with ripple", () => {
+    const inserted = Editing.insertClip(
+      shots,
+      { id: "x", type: "color", color: "white", position: 2, duration: 1 },
+      { ripple: true },
+    );
+    expect(timing(inserted).map((c) => c.id)).toEqual(["a", "x", "b", "c"]);
+    expect(timing(inserted)[3]).toEqual({ id: "c", position: 6, end: 7 });
+  });
+
+  it("should split a video and continue its source", () => {
+    const clips = [
+      {
+        id: "v",
+        type: "video",
+        url: "./a.mp4",
+        position: 2,
+        end: 8,
+        cutFrom: 1,
+        speed: 2,
+        transition: { type: "fade", duration: 0.5 },
+      },
+    ];
+    const [first, second] = Editing.splitClip(clips, "v", 5, "v2");
+    expect(first).toMatchObject({ id: "v", position: 2, end: 5, cutFrom: 1 });
+    expect(first.transition).toBeDefined();
+    expect(second).toMatchObject({ id: "v2", position: 5, end: 8, cutFrom: 7 });
+    expect(second.transition).toBeUndefined();
+  });
+
+  it("should cut reversed clips from the source start", () => {
+    const clips = [
+      { id: "v", type: "video", url: "./a.mp4", duration: 6, cutFrom: 0, reverse: true },
+    ];
+    const [first, second] = Editing.splitClip(clips, "v", 4, "v2");
+    expect(first).toMatchObject({ duration: 4, cutFrom: 2 });
+    expect(first.position).toBeUndefined();
+    expect(second).toMatchObject({ duration: 2, cutFrom: 0 });
+    expect(second.position).toBeUndefined();
+    expect(timing([first, second])[1]).toEqual({ id: "v2", position: 4, end: 6 });
+  });
+
+  it("should trim the start and advance cutFrom", () => {
+    const clips = [
+      { id: "v", type: "video", url: "./a.mp4", position: 0, end: 5, cutFrom: 0 },
+      { id: "w", type: "video", url: "./b.mp4", position: 5, end: 9 },
+    ];
+    expect(Editing.trimClip(clips, "v", { start: 1 })[0]).toMatchObject({
+      position: 1,
+      end: 5,
+      cutFrom: 1,
+    });
+    const rippled = Editing.trimClip(clips, "v", { start: 1, ripple: true });
+    expect(rippled[0]).toMatchObject({ position: 0, end: 4, cutFrom: 1 });
+    expect(timing(rippled)[1]).toEqual({ id: "w", position: 4, end: 8 });
+  });
+
+  it("should keep transition overlap when rippling", () => {
+    const clips = [
+      { id: "a", type: "color", color: "red", position: 0, end: 3 },
+      {
+        id: "b",
+        type: "color",
+        color: "green",
+        position: 2.5,
+        end: 5.5,
+        transition: { type: "fade", duration: 0.5 },
+      },
+      { id: "c", type: "color", color: "blue", position: 5.5, end: 7.5 },
+    ];
+    expect(timing(Editing.trimClip(clips, "a", { end: 2, ripple: true }))).toEqual([
+      { id: "a", position: 0, end: 2 },
+      { id: "b", position: 1.5, end: 4.5 },
+      { id: "c", position: 4.5, end: 6.5 },
+    ]);
+    expect(timing(Editing.removeClip(clips, "a", { ripple: true }))).toEqual([
+      { id: "b", position: 0, end: 3 },
+      { id: "c", position: 3, end: 5 },
+    ]);
+  });
+
+  it("should refuse edits that would shift timed animation", () => {
+    const clips = [
+      {
+        id: "v",
+        type: "video",
+        url: "./a.mp4",
+        position: 0,
+        end: 5,
+        keyframes: { opacity: [{ time: 0, value: 0 }, { time: 1, value: 1 }] },
+      },
+    ];
+    expect(() => Editing.splitClip(clips, "v", 2, "v2")).toThrow(/keyframes/);
+    expect(() => Editing.trimClip(clips, "v", { start: 1 })).toThrow(/keyframes/);
+    expect(Editing.trimClip(clips, "v", { end: 4 })[0].end).toBe(4);
+
+    const music = [
+      { id: "m", type: "audio", url: "./a.mp3", position: 0, end: 5, volumeEnvelope: [{ time: 1, volume: 0.5 }] },
+    ];
+    expect(() => Editing.splitClip(music, "m", 2, "m2")).toThrow(/volumeEnvelope/);
+  });
+
+  it("should reject unknown ids and id changes", () => {
+    expect(() => Editing.moveClip(shots, "nope", 1)).toThrow(/No clip with id "nope"/);
+    expect(() => Editing.updateClip(shots, "a", { id: "z" })).toThrow(/id/);
+    expect(Editing.updateClip(shots, "a", { color: undefined })[0].color).toBeUndefined();
+  });
+});
+
+describe("project editing methods", () => {
+  it("should assign ids on load and keep given ones", async () => {
+    const project = new SIMPLEFFMPEG();
+    await project.load([
+      { type: "color", color: "red", duration: 2 },
+      { id: "title", type: "text", text: "Hi", position: 0, end: 2 },
+    ]);
+    const [color, text] = project.getClips();
+    expect(color.id).toBe("clip-1");
+    expect(text.id).toBe("title");
+    expect(project.videoOrAudioClips[0].id).toBe("clip-1");
+    expect(project.textClips[0].id).toBe("title");
+  });
+
+  it("should only reload the clips that changed", async () => {
+    const project = new SIMPLEFFMPEG();
+    await project.load([
+      {
+        id: "bg",
+        type: "color",
+        color: { type: "linear-gradient", colors: ["#000000", "#FFFFFF"] },
+        duration: 4,
+      },
+      { id: "title", type: "text", text: "Hi", position: 0, end: 2 },
+    ]);
+    const gradientUrl = project.videoOrAudioClips[0].url;
+
+    await project.updateClip("title", { text: "Hello" });
+    expect(project.textClips[0].text).toBe("Hello");
+    expect(project.videoOrAudioClips[0].url).toBe(gradientUrl);
+    expect(project.filesToClean).toHaveLength(1);
+
+    await project.trimClip("bg", { end: 3 });
+    expect(project.videoOrAudioClips[0].end).toBe(3);
+    expect(project.videoOrAudioClips[0].url).not.toBe(gradientUrl);
+    await project._cleanup();
+  });
+
+  it("should not probe clips again when a ripple only moves them", async () => {
+    const probe = vi
+      .spyOn(Loaders, "loadVideo")
+      .mockImplementation(async (project, clipObj) => {
+        project.videoOrAudioClips.push({ ...clipObj, mediaDuration: 10, hasAudio: false });
+      });
+
+    try {
+      const project = new SIMPLEFFMPEG({ skipFileChecks: true });
+      await project.load([
+        { id: "a", type: "video", url: "./a.mp4", duration: 3 },
+        { id: "b", type: "video", url: "./b.mp4", duration: 3 },
+        { id: "c", type: "video", url: "./c.mp4", duration: 3 },
+      ]);
+      expect(probe).toHaveBeenCalledTimes(3);
+
+      await project.trimClip("a", { end: 2, ripple: true });
+      expect(probe).toHaveBeenCalledTimes(4);
+      expect(probe.mock.calls[3][1].id).toBe("a");
+      const placed = project.videoOrAudioClips.map((c) => [c.id, c.position, c.end]);
+      expect(placed).toEqual([
+        ["a", 0, 2],
+        ["b", 2, 5],
+        ["c", 5, 8],
+      ]);
+    } finally {
+      probe.mockRestore();
+    }
+  });
+
+  it("should add, split and remove clips", async () => {
+    const project = new SIMPLEFFMPEG();
+    await project.load(shots);
+    const id = await project.addClip(
+      { type: "color", color: "white", position: 2, duration: 1 },
+      { ripple: true },
+    );
+    const second = await project.splitClip("b", 4);
+    expect(project.getClips().map((c) => c.id)).toEqual(["a", id, "b", second, "c"]);
+
+    const removed = await project.removeClip(id, { ripple: true });
+    expect(removed.color).toBe("white");
+    const ends = project.videoOrAudioClips.map((c) => [c.id, c.position, c.end]);
+    expect(ends).toEqual(
+      expect.arrayContaining([
+        ["b", 2, 3],
+        [second, 3, 5],
+        ["c", 5, 6],
+      ]),
+    );
+  });
+
+  it("should leave the project unchanged when an edit is invalid", async () => {
+    const project = new SIMPLEFFMPEG();
+    await project.load(shots);
+    await expect(project.moveClip("b", 10)).rejects.toThrow(/Gap/);
+    expect(project.getClips()).toEqual(shots);
+    expect(project.videoOrAudioClips).toHaveLength(3);
+    await expect(project.addClip({ id: "a", type: "color", color: "red", duration: 1 })).rejects.toThrow(/Duplicate clip id/);
+  });
+
+  it("should reload edited clips with the options given to load()", async () => {
+    const project = new SIMPLEFFMPEG();
+    await project.load(shots, { skipFileChecks: true });
+    const apply = vi.spyOn(project, "_applyClips");
+    await project.updateClip("a", { color: "white" });
+    expect(apply).toHaveBeenCalledWith(expect.any(Array), { skipFileChecks: true });
+  });
+});
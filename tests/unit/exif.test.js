@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const Exif = await import("../../src/core/exif.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+
+// TIFF structure with one IFD0 entry: Orientation (SHORT)
+function tiff(orientation, order = "II") {
+  const buf = Buffer.alloc(26);
+  const little = order === "II";
+  const u16 = (value, offset) => (little ? buf.writeUInt16LE(value, offset) : buf.writeUInt16BE(value, offset));
+  const u32 = (value, offset) => (little ? buf.writeUInt32LE(value, offset) : buf.writeUInt32BE(value, offset));
+  buf.write(order, 0, "latin1");
+  u16(42, 2);
+  u32(8, 4);
+  u16(1, 8);
+  u16(0x0112, 10);
+  u16(3, 12);
+  u32(1, 14);
+  u16(orientation, 18);
+  return buf;
+}
+
+// SOI, an APP0 / JFIF segment, then APP1 / Exif and the start of scan
+function jpeg(orientation, order) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x07, 0x4a, 0x46, 0x49, 0x46, 0x00]);
+  const exif = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff(orientation, order)]);
+  const app1 = Buffer.alloc(4);
+  app1.writeUInt16BE(0xffe1, 0);
+  app1.writeUInt16BE(exif.length + 2, 2);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, app1, exif, Buffer.from([0xff, 0xda, 0x00, 0x02])]);
+}
+
+describe("EXIF orientation", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleffmpeg-exif-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should read the tag from TIFF headers in either byte order", () => {
+    expect(Exif.readExifOrientation(tiff(6, "II"))).toBe(6);
+    expect(Exif.readExifOrientation(tiff(8, "MM"))).toBe(8);
+    expect(Exif.readExifOrientation(tiff(9))).toBeNull();
+  });
+
+  it("should find the Exif segment after other JPEG segments", () => {
+    expect(Exif.readExifOrientation(jpeg(3, "MM"))).toBe(3);
+    expect(Exif.readExifOrientation(jpeg(5, "II"))).toBe(5);
+    const plain = Buffer.from([0xff, 0xd8, 0xff, 0xda, 0x00, 0x02]);
+    expect(Exif.readExifOrientation(plain)).toBeNull();
+    expect(Exif.readExifOrientation(Buffer.from("\x89PNG\r\n\x1a\n", "latin1"))).toBeNull();
+  });
+
+  it("should read files and ignore the ones it cannot open", async () => {
+    const file = path.join(dir, "portrait.jpg");
+    fs.writeFileSync(file, jpeg(6, "II"));
+    expect(await Exif.readImageOrientation(file)).toBe(6);
+    expect(await Exif.readImageOrientation(path.join(dir, "missing.jpg"))).toBeNull();
+  });
+
+  it("should swap dimensions only for quarter turns", () => {
+    expect([1, 2, 3, 4, 5, 6, 7, 8].filter(Exif.isTransposedOrientation)).toEqual([5, 6, 7, 8]);
+    expect(Exif.getOrientationFields({ orientation: 1 })).toEqual({});
+    expect(Exif.getOrientationFields({ orientation: 6 })).toEqual({ _orientation: 6 });
+  });
+});
+
+describe("EXIF orientation in the filter graph", () => {
+  const project = (clips) => ({
+    options: { fps: 30, width: 640, height: 360 },
+    videoOrAudioClips: clips,
+  });
+  // A 4032x3024 sensor image shot in portrait, as loaded
+  const photo = (props) => ({
+    type: "image",
+    url: "portrait.jpg",
+    position: 0,
+    end: 3,
+    cutFrom: 0,
+    width: 3024,
+    height: 4032,
+    hasAudio: false,
+    _orientation: 6,
+    ...props,
+  });
+
+  it("should turn the image upright before transforms and fitting", () => {
+    const clip = photo({ imageFit: "blur-fill", transform: { flipH: true } });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("fps=30,transpose=1,hflip,split");
+    const mirrored = photo({ _orientation: 3, width: 4032, height: 3024 });
+    expect(buildVideoFilter(project([mirrored]), [mirrored]).filter).toContain("fps=30,hflip,vflip,split");
+  });
+
+  it("should fit Ken Burns to the upright size", () => {
+    const clip = photo({ imageFit: "contain", kenBurns: "zoom-in" });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("select='eq(n,0)',setpts=PTS-STARTPTS,transpose=1,");
+    // 3024x4032 contained in 640x360 is 270x360
+    expect(filter).toContain("s=270x360");
+  });
+
+  it("should keep FFmpeg from applying the orientation again", () => {
+    const p = new SIMPLEFFMPEG();
+    p.videoOrAudioClips = [photo(), photo({ url: "landscape.jpg", _orientation: undefined })];
+    expect(p._getInputStreams()).toBe("-noautorotate -loop 1 -t 3 -i \"portrait.jpg\" -loop 1 -t 3 -i \"landscape.jpg\"");
+  });
+});
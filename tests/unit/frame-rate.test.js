@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const FrameRate = await import("../../src/core/frame_rate.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { buildSequenceInputOptions } = await import("../../src/core/image_sources.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+describe("frame rates", () => {
+  it("should parse integers, fractions, and objects", () => {
+    expect(FrameRate.parseFrameRate(30)).toEqual({ num: 30, den: 1 });
+    expect(FrameRate.parseFrameRate("30000/1001")).toEqual({ num: 30000, den: 1001 });
+    expect(FrameRate.parseFrameRate("60:2")).toEqual({ num: 30, den: 1 });
+    expect(FrameRate.parseFrameRate({ num: 24000, den: 1001 })).toEqual({ num: 24000, den: 1001 });
+    expect(FrameRate.parseFrameRate("25")).toEqual({ num: 25, den: 1 });
+    expect(FrameRate.parseFrameRate(12.5)).toEqual({ num: 25, den: 2 });
+  });
+
+  it("should read NTSC decimals as their exact rates", () => {
+    expect(FrameRate.normalizeFrameRate(29.97)).toBe("30000/1001");
+    expect(FrameRate.normalizeFrameRate(23.976)).toBe("24000/1001");
+    expect(FrameRate.normalizeFrameRate("59.94")).toBe("60000/1001");
+    expect(FrameRate.normalizeFrameRate({ num: 50, den: 2 })).toBe(25);
+  });
+
+  it("should reject rates that are not positive", () => {
+    for (const value of [0, -30, NaN, "0/1001", "30/0", "fast", "", { num: 30 }, null]) {
+      expect(FrameRate.parseFrameRate(value)).toBeNull();
+    }
+    expect(() => FrameRate.formatFrameRate("fast")).toThrow("Invalid frame rate");
+  });
+
+  it("should format rates for filters and count frames exactly", () => {
+    const ntsc = "30000/1001";
+    expect(FrameRate.formatFrameRate(ntsc)).toBe("30000/1001");
+    expect(FrameRate.frameRateExpr(ntsc)).toBe("(30000/1001)");
+    expect(FrameRate.frameTimeBase(ntsc)).toBe("1001/30000");
+    expect(FrameRate.frameTimeBase(30)).toBe("1/30");
+    // One hour at 29.97 is 107892 frames, not 108000
+    expect(FrameRate.secondsToFrames(3600, ntsc)).toBe(107892);
+    expect(FrameRate.framesToSeconds(30000, ntsc)).toBe(1001);
+    expect(FrameRate.snapToFrame(3, ntsc)).toBeCloseTo(3.003, 9);
+    expect(FrameRate.snapToFrame(2, 30)).toBe(2);
+  });
+});
+
+describe("project frame rate", () => {
+  it("should store whole rates as numbers and others as fractions", () => {
+    expect(new SIMPLEFFMPEG({ fps: 24 }).options.fps).toBe(24);
+    expect(new SIMPLEFFMPEG({ fps: 29.97 }).options.fps).toBe("30000/1001");
+    expect(new SIMPLEFFMPEG({ fps: { num: 60000, den: 1001 } }).options.fps).toBe("60000/1001");
+    expect(() => new SIMPLEFFMPEG({ fps: "fast" })).toThrow("Invalid fps \"fast\"");
+  });
+
+  it("should build the filter graph on the exact frame grid", () => {
+    const clips = [
+      { type: "video", url: "./a.mp4", position: 0, end: 3, cutFrom: 0, mediaDuration: 10 },
+      {
+        type: "video",
+        url: "./b.mp4",
+        position: 2.5,
+        end: 5.5,
+        cutFrom: 0,
+        mediaDuration: 10,
+        transition: { type: "fade", duration: 0.5 },
+      },
+    ];
+    const project = { options: { fps: "30000/1001", width: 640, height: 360 }, videoOrAudioClips: clips };
+    const { filter, videoDuration } = buildVideoFilter(project, clips);
+
+    expect(filter).toContain("fps=30000/1001,");
+    expect(filter).toContain("settb=1001/30000");
+    // 90 frames, then a 15-frame fade starting on frame 75
+    expect(filter).toContain("xfade=transition=fade:duration=0.5005:offset=2.5025");
+    expect(videoDuration).toBeCloseTo(5.5055, 9);
+  });
+
+  it("should play image sequences at a rational rate", () => {
+    expect(buildSequenceInputOptions({ url: "f/%04d.png", fps: "24000/1001", startNumber: 1 })).toBe(
+      "-framerate 24000/1001 -start_number 1",
+    );
+    const clip = { type: "imageSequence", url: "f/%04d.png", position: 0, end: 2, fps: "24000/1001" };
+    expect(validateConfig([clip]).errors).toEqual([]);
+    const invalid = validateConfig([{ ...clip, fps: "fast" }]);
+    expect(invalid.errors[0].message).toContain("num/den");
+  });
+});
@@ -3,6 +3,9 @@ import { describe, it, expect } from "vitest";
 const { detectVisualGaps, hasVisualGaps, getVisualTimelineEnd } = await import(
   "../../src/core/gaps.js",
 );
+const { parseGapPolicy, fillVisualGaps } = await import("../../src/core/gaps.js");
+const { resolveClipTiming } = await import("../../src/core/speed.js");
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
 
 describe("Gap Detection", () => {
   describe("detectVisualGaps", () => {
@@ -219,3 +222,120 @@ describe("Gap Detection", () => {
     });
   });
 });
+
+describe("Gap Filling", () => {
+  const video = (position, end, extra = {}) => ({
+    type: "video",
+    url: "./a.mp4",
+    position,
+    end,
+    cutFrom: 0,
+    mediaDuration: 20,
+    ...extra,
+  });
+
+  describe("parseGapPolicy", () => {
+    it("should parse named and color policies", () => {
+      expect(parseGapPolicy(undefined)).toEqual({ mode: "error" });
+      expect(parseGapPolicy("black")).toEqual({ mode: "color", color: "black" });
+      expect(parseGapPolicy("color:#112233")).toEqual({
+        mode: "color",
+        color: "#112233",
+      });
+      expect(parseGapPolicy("extend-previous")).toEqual({
+        mode: "extend-previous",
+      });
+    });
+
+    it("should return null for unknown policies", () => {
+      expect(parseGapPolicy("blur")).toBeNull();
+      expect(parseGapPolicy("color:")).toBeNull();
+    });
+  });
+
+  describe("fillVisualGaps", () => {
+    it("should leave clips alone under the error policy", () => {
+      const clips = [video(0, 3), video(5, 8)];
+      const result = fillVisualGaps(clips, "error");
+      expect(result.clips).toBe(clips);
+      expect(result.fillers).toEqual([]);
+    });
+
+    it("should insert flat color clips", () => {
+      const clips = [video(0, 3), video(5, 8)];
+      const result = fillVisualGaps(clips, "color:#112233");
+      expect(result.clips).toHaveLength(3);
+      expect(result.clips[2]).toMatchObject({
+        type: "color",
+        color: "#112233",
+        position: 3,
+        end: 5,
+        _isFlatColor: true,
+      });
+      expect(result.fillers).toEqual([
+        { start: 3, end: 5, duration: 2, policy: "color", color: "#112233" },
+      ]);
+    });
+
+    it("should freeze the previous video after its original window", () => {
+      const clips = [video(0, 3), video(5, 8)];
+      const result = fillVisualGaps(clips, "freeze-previous");
+      expect(result.clips[0]).toMatchObject({
+        end: 5,
+        fill: "freeze",
+        _holdDuration: 2,
+      });
+      expect(clips[0].end).toBe(3);
+      expect(resolveClipTiming(result.clips[0])).toEqual({
+        duration: 5,
+        sourceDuration: 3,
+        contentDuration: 3,
+        inputLoops: 0,
+      });
+      expect(result.fillers[0].policy).toBe("freeze-previous");
+    });
+
+    it("should extend the previous clip", () => {
+      const clips = [
+        video(0, 3),
+        { type: "image", url: "./a.png", position: 5, end: 6 },
+        video(8, 10),
+      ];
+      const result = fillVisualGaps(clips, "extend-previous");
+      expect(result.clips[0]).toMatchObject({ end: 5, fill: "freeze" });
+      expect(result.clips[0]._holdDuration).toBeUndefined();
+      expect(result.clips[1]).toMatchObject({ end: 8 });
+      expect(resolveClipTiming(result.clips[0]).sourceDuration).toBe(5);
+    });
+
+    it("should fill a leading gap with black", () => {
+      const result = fillVisualGaps([video(2, 5)], "freeze-previous");
+      expect(result.fillers).toEqual([
+        { start: 0, end: 2, duration: 2, policy: "color", color: "black" },
+      ]);
+    });
+
+    it("should ignore layered clips", () => {
+      const clips = [video(0, 10), video(1, 2, { track: 1 }), video(4, 5, { track: 1 })];
+      expect(fillVisualGaps(clips, "black").fillers).toEqual([]);
+    });
+  });
+
+  describe("gapPolicy project option", () => {
+    it("should fill gaps on load", async () => {
+      const project = new SIMPLEFFMPEG({ gapPolicy: "color:navy" });
+      await project.load([
+        { type: "color", color: "red", position: 0, end: 2 },
+        { type: "color", color: "blue", position: 3, end: 5 },
+      ]);
+      expect(project.videoOrAudioClips).toHaveLength(3);
+      expect(project._gapFillers).toEqual([
+        { start: 2, end: 3, duration: 1, policy: "color", color: "navy" },
+      ]);
+    });
+
+    it("should reject an invalid policy", () => {
+      expect(() => new SIMPLEFFMPEG({ gapPolicy: "blur" })).toThrow(/gapPolicy/);
+    });
+  });
+});
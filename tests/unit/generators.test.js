@@ -0,0 +1,97 @@
+import { describe, it, expect } from "vitest";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { buildStandaloneAudioMix } = await import("../../src/ffmpeg/standalone_audio_builder.js");
+
+describe("generator clips in the filter graph", () => {
+  const project = (clips) => ({
+    options: { fps: 30, width: 640, height: 360 },
+    videoOrAudioClips: clips,
+  });
+  const generator = (props) => ({
+    type: "generator",
+    position: 0,
+    end: 4,
+    hasAudio: false,
+    ...props,
+  });
+
+  it("should render test patterns as lavfi sources", () => {
+    const clip = generator({ generator: "smptebars" });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("smptebars=s=640x360:r=30:d=4,format=yuv420p,setsar=1:1,settb=1/30");
+    expect(filter).not.toContain("[0:v]");
+  });
+
+  it("should run automata on a coarse grid", () => {
+    const clip = generator({ generator: "life", cellSize: 8, seed: 3, color: "teal" });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("life=s=80x45:r=30:random_seed=3:life_color=teal,trim=duration=4,scale=640:360:flags=neighbor");
+    const rule = generator({ generator: "cellauto" });
+    expect(buildVideoFilter(project([rule]), [rule]).filter).toContain("cellauto=s=160x90:r=30:rule=110:scroll=1,");
+  });
+
+  it("should skip generators when numbering inputs", () => {
+    const p = new SIMPLEFFMPEG();
+    p.videoOrAudioClips = [
+      { type: "generator", generator: "testsrc2", position: 0, end: 2 },
+      { type: "video", url: "a.mp4", position: 2, end: 4 },
+      { type: "audioGenerator", generator: "sine", position: 0, end: 4 },
+    ];
+    expect(p._getInputStreams()).toBe("-i \"a.mp4\"");
+  });
+
+  it("should mix audio generators with delayed file audio", () => {
+    const file = { type: "audio", url: "vo.wav", position: 0, end: 3, cutFrom: 0, volume: 1 };
+    const tone = { type: "audioGenerator", generator: "sine", frequency: 1000, position: 1.5, end: 3.5, volume: 0.5 };
+    const p = { videoOrAudioClips: [file, tone], _inputIndexMap: new Map([[file, 0]]) };
+    const { filter } = buildStandaloneAudioMix(p, [file, tone], { compensateTransitions: false });
+    expect(filter).toContain("[0:a]volume=1,");
+    expect(filter).toContain("sine=frequency=1000:sample_rate=48000:duration=2,aformat=channel_layouts=stereo,volume=0.5,adelay=1500|1500");
+  });
+});
+
+describe("generator validation", () => {
+  const validate = (clip) =>
+    SIMPLEFFMPEG.validate([{ position: 0, end: 2, ...clip }]);
+  const paths = (clip) => validate(clip).errors.map((e) => e.path);
+
+  it("should accept every generator with its options", () => {
+    expect(validate({ type: "generator", generator: "noise", seed: 1, strength: 20, color: "navy" }).valid).toBe(true);
+    expect(validate({ type: "generator", generator: "cellauto", rule: 30, cellSize: 2 }).valid).toBe(true);
+    expect(validate({ type: "audioGenerator", generator: "anoisesrc", noiseColor: "pink", amplitude: 0.3 }).valid).toBe(true);
+  });
+
+  it("should reject unknown generators and out-of-range options", () => {
+    expect(paths({ type: "generator", generator: "sine" })).toContain("clips[0].generator");
+    expect(paths({ type: "audioGenerator", generator: "anoisesrc", noiseColor: "green" })).toContain("clips[0].noiseColor");
+    expect(paths({ type: "generator", generator: "cellauto", rule: 256 })).toContain("clips[0].rule");
+    expect(paths({ type: "generator", generator: "noise", seed: 1.5 })).toContain("clips[0].seed");
+    expect(paths({ type: "audioGenerator", generator: "sine", frequency: 0 })).toContain("clips[0].frequency");
+  });
+
+  it("should reject options the generator does not take", () => {
+    expect(paths({ type: "generator", generator: "noise", rule: 30 })).toContain("clips[0].rule");
+    expect(paths({ type: "generator", generator: "smptebars", seed: 1 })).toContain("clips[0].seed");
+    expect(paths({ type: "audioGenerator", generator: "sine", cutFrom: 2 })).toContain("clips[0].cutFrom");
+    expect(paths({ type: "generator", generator: "smptebars", cutFrom: 1 })).toContain("clips[0].cutFrom");
+  });
+});
+
+describe("loading generator clips", () => {
+  it("should load without probing and auto-sequence per track", async () => {
+    const project = new SIMPLEFFMPEG({ width: 640, height: 360 });
+    await project.load([
+      { type: "generator", generator: "smptebars", duration: 3 },
+      { type: "generator", generator: "mandelbrot", duration: 2 },
+      { type: "audioGenerator", generator: "sine", duration: 5 },
+    ]);
+    const clips = project.videoOrAudioClips;
+    expect(clips[1]).toMatchObject({ position: 3, end: 5 });
+    expect(clips[2]).toMatchObject({ position: 0, end: 5 });
+    const { command } = await project.preview();
+    expect(command).toContain("mandelbrot=s=640x360");
+    expect(command).toContain("sine=frequency=440");
+  });
+});
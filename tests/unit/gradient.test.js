@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+
+const Gradient = await import("../../src/lib/gradient.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+
+// [r, g, b] of pixel (x, y) in a PPM buffer
+function pixelAt(ppm, width, x, y) {
+  const header = ppm.indexOf("255\n") + 4;
+  const idx = header + (y * width + x) * 3;
+  return [ppm[idx], ppm[idx + 1], ppm[idx + 2]];
+}
+
+describe("gradient stops", () => {
+  it("should place unpositioned stops evenly between their neighbours", () => {
+    const stops = Gradient.normalizeStops(["red", { color: "blue", position: 0.8 }, "green", "white"]);
+    expect(stops.map((s) => s.position)).toEqual([0, 0.8, 0.9, 1]);
+    expect(Gradient.normalizeStops(["red", "blue", "white"]).map((s) => s.position)).toEqual([0, 0.5, 1]);
+  });
+
+  it("should hold the end colors outside explicit stop positions", () => {
+    const ppm = Gradient.generateGradientPPM(5, 1, {
+      type: "linear-gradient",
+      direction: "horizontal",
+      colors: [{ color: "#000000", position: 0.25 }, { color: "#ffffff", position: 0.75 }],
+    });
+    expect(pixelAt(ppm, 5, 0, 0)).toEqual([0, 0, 0]);
+    expect(pixelAt(ppm, 5, 2, 0)).toEqual([128, 128, 128]);
+    expect(pixelAt(ppm, 5, 4, 0)).toEqual([255, 255, 255]);
+  });
+});
+
+describe("gradient types", () => {
+  it("should sweep conic gradients clockwise from the start angle", () => {
+    const spec = { type: "conic-gradient", colors: ["#000000", "#ffffff"] };
+    // Right of center is a quarter turn from the top
+    expect(pixelAt(Gradient.generateGradientPPM(5, 5, spec), 5, 4, 2)).toEqual([64, 64, 64]);
+    const turned = Gradient.generateGradientPPM(5, 5, { ...spec, angle: 90 });
+    expect(pixelAt(turned, 5, 2, 4)).toEqual([64, 64, 64]);
+  });
+
+  it("should blend mesh points by distance", () => {
+    const ppm = Gradient.generateGradientPPM(3, 1, {
+      type: "mesh-gradient",
+      points: [{ x: 0, y: 0, color: "red" }, { x: 1, y: 0, color: "blue" }],
+    });
+    expect(pixelAt(ppm, 3, 0, 0)).toEqual([255, 0, 0]);
+    expect(pixelAt(ppm, 3, 1, 0)).toEqual([128, 0, 128]);
+  });
+
+  it("should move stops and rotate with animation progress", () => {
+    const spec = {
+      type: "linear-gradient",
+      direction: "horizontal",
+      colors: ["#000000", "#ffffff"],
+      animate: { shift: 0.5, rotate: 180 },
+    };
+    expect(pixelAt(Gradient.generateGradientPPM(3, 1, spec), 3, 0, 0)).toEqual([0, 0, 0]);
+    // Half a shift and a half turn: the left edge wraps to mid-gray
+    expect(pixelAt(Gradient.generateGradientPPM(3, 1, spec, 1), 3, 0, 0)).toEqual([128, 128, 128]);
+    expect(Gradient.isFrameAnimatedGradient(spec)).toBe(true);
+    expect(Gradient.isFrameAnimatedGradient({ ...spec, animate: { hue: 90 } })).toBe(false);
+  });
+
+  it("should lower the frame rate of animations over the disk budget", () => {
+    const spec = { type: "conic-gradient", colors: ["red", "blue"], animate: { rotate: 360 } };
+    expect(Gradient.getGradientFramePlan(spec, 30, 10, 960, 540)).toEqual({
+      fps: 15,
+      frameCount: 150,
+      reduced: false,
+    });
+    // A minute at 1080p would be 900 frames of 1.5 MB
+    const plan = Gradient.getGradientFramePlan(spec, 30, 60, 960, 540);
+    expect(plan.reduced).toBe(true);
+    expect(plan.fps).toBeLessThan(15);
+    expect(plan.frameCount * 960 * 540 * 3).toBeLessThanOrEqual(Gradient.MAX_ANIMATION_BYTES);
+    expect(plan.frameCount / plan.fps).toBeCloseTo(60, 0);
+  });
+});
+
+describe("animated gradients in the filter graph", () => {
+  const project = (clips) => ({
+    options: { fps: 30, width: 640, height: 360 },
+    videoOrAudioClips: clips,
+  });
+
+  it("should rotate hue over the clip with an expression", () => {
+    const clip = {
+      type: "color",
+      url: "gradient.ppm",
+      color: { type: "radial-gradient", colors: ["white", "navy"], animate: { hue: 180 } },
+      position: 0,
+      end: 4,
+      hasAudio: false,
+    };
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("fps=30,hue=h='180*t/4',scale=640:360:force_original_aspect_ratio=decrease");
+  });
+
+  it("should scale rendered animation frames up to cover the frame", () => {
+    const clip = {
+      type: "color",
+      url: "gradient-%05d.ppm",
+      color: { type: "conic-gradient", colors: ["red", "blue"], animate: { rotate: 90 } },
+      position: 0,
+      end: 2,
+      cutFrom: 0,
+      fps: 15,
+      width: 320,
+      height: 180,
+      hasAudio: false,
+      _animated: true,
+      mediaDuration: 2,
+      fill: "freeze",
+    };
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("scale=640:360:force_original_aspect_ratio=increase,crop=640:360");
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const ImageSources = await import("../../src/core/image_sources.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+
+describe("image sequence frames", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleffmpeg-sequence-"));
+    for (const name of ["shot_0001.png", "shot_0002.png", "shot_0003.png", "shot_0005.png", "shot_7.png", "b.png", "a.png"]) {
+      fs.writeFileSync(path.join(dir, name), "");
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should read printf patterns until the first missing number", () => {
+    const { files, startNumber } = ImageSources.listSequenceFrames(path.join(dir, "shot_%04d.png"));
+    expect(startNumber).toBe(1);
+    expect(files.map((f) => path.basename(f))).toEqual(["shot_0001.png", "shot_0002.png", "shot_0003.png"]);
+    expect(ImageSources.listSequenceFrames(path.join(dir, "shot_%04d.png"), 5).files).toHaveLength(1);
+    expect(ImageSources.listSequenceFrames(path.join(dir, "shot_%d.png")).files.map((f) => path.basename(f))).toEqual(["shot_7.png"]);
+  });
+
+  it("should match globs in name order", () => {
+    const { files } = ImageSources.listSequenceFrames(path.join(dir, "[ab].png"));
+    expect(files.map((f) => path.basename(f))).toEqual(["a.png", "b.png"]);
+    expect(ImageSources.listSequenceFrames(path.join(dir, "shot_000?.png")).files).toHaveLength(4);
+  });
+
+  it("should warn when no frames match", () => {
+    const result = SIMPLEFFMPEG.validate([
+      { type: "imageSequence", url: path.join(dir, "missing_%03d.png"), duration: 2 },
+    ]);
+    expect(result.warnings.map((w) => w.code)).toContain("FILE_NOT_FOUND");
+  });
+});
+
+describe("image sequence validation", () => {
+  const validate = (clip) =>
+    SIMPLEFFMPEG.validate([{ duration: 2, ...clip }], { skipFileChecks: true });
+
+  it("should accept printf and glob sequences", () => {
+    expect(validate({ type: "imageSequence", url: "f/%04d.png", fps: 24, startNumber: 0, loop: 2 }).valid).toBe(true);
+    expect(validate({ type: "imageSequence", url: "f/*.png", kenBurns: "zoom-in" }).valid).toBe(true);
+  });
+
+  it("should reject urls that are not patterns", () => {
+    const paths = (clip) => validate(clip).errors.map((e) => e.path);
+    expect(paths({ type: "imageSequence", url: "f/frame.png" })).toContain("clips[0].url");
+    expect(paths({ type: "imageSequence", url: "*/frame_%d.png" })).toContain("clips[0].url");
+    expect(paths({ type: "imageSequence", url: "f/*.png", startNumber: 3 })).toContain("clips[0].startNumber");
+    expect(paths({ type: "imageSequence", url: "f/%d.png", fps: 0 })).toContain("clips[0].fps");
+  });
+
+  it("should validate loop on image clips", () => {
+    expect(validate({ type: "image", url: "a.gif", loop: 3 }).valid).toBe(true);
+    expect(validate({ type: "image", url: "a.gif", loop: 0 }).errors[0].path).toBe("clips[0].loop");
+  });
+});
+
+describe("animated sources in the filter graph", () => {
+  const project = (clips) => ({
+    options: { fps: 30, width: 1920, height: 1080 },
+    videoOrAudioClips: clips,
+  });
+  const gif = (props) => ({
+    type: "image",
+    url: "./a.gif",
+    position: 0,
+    end: 5,
+    cutFrom: 0,
+    width: 480,
+    height: 270,
+    hasAudio: false,
+    ...ImageSources.getAnimatedSourceFields({ type: "image", ...props }, { duration: 1, frameCount: 10 }),
+    ...props,
+  });
+
+  it("should play and repeat an animated image", () => {
+    const clip = gif({});
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    // The input is looped, so the trim covers every pass
+    expect(filter).toContain("[0:v]trim=start=0:duration=5,setpts=PTS-STARTPTS,fps=30");
+    expect(filter).not.toContain("loop=");
+  });
+
+  it("should play a counted loop, then hold the last frame", () => {
+    const clip = gif({ loop: 2 });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("[0:v]trim=start=0:duration=2,");
+    expect(filter).toContain("tpad=stop_mode=clone:stop_duration=3");
+    const once = gif({ loop: false });
+    expect(buildVideoFilter(project([once]), [once]).filter).toContain("tpad=stop_mode=clone:stop_duration=4");
+  });
+
+  it("should run Ken Burns frame by frame over moving sources", () => {
+    const clip = gif({ kenBurns: "zoom-in", imageFit: "cover" });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).not.toContain("select='eq(n,0)'");
+    expect(filter).toContain(":d=1:s=1920x1080:fps=30");
+  });
+
+  it("should feed sequences and animated images without -loop 1", () => {
+    const p = new SIMPLEFFMPEG();
+    p.videoOrAudioClips = [
+      { type: "imageSequence", url: "f/%04d.png", fps: 24, startNumber: 1, position: 0, end: 2 },
+      { type: "imageSequence", url: "f/*.png", fps: 12, position: 2, end: 4 },
+      gif({ position: 4, end: 6 }),
+      { type: "image", url: "still.png", position: 6, end: 8 },
+    ];
+    expect(p._getInputStreams()).toBe(
+      "-framerate 24 -start_number 1 -i \"f/%04d.png\" -framerate 12 -pattern_type glob -i \"f/*.png\" -stream_loop 1 -i \"./a.gif\" -loop 1 -t 2 -i \"still.png\"",
+    );
+  });
+});
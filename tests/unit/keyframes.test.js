@@ -0,0 +1,270 @@
+import { describe, it, expect } from "vitest";
+
+const {
+  buildEasingExpr,
+  applyEasing,
+  parseCubicBezier,
+  buildKeyframeExpr,
+  getKeyframeValue,
+  getKeyframes,
+} = await import("../../src/core/keyframes.js");
+const { buildPlacementFilter } = await import("../../src/ffmpeg/transform_builder.js");
+const { buildEffectFilters } = await import("../../src/ffmpeg/effect_builder.js");
+const { buildStandaloneAudioMix } = await import("../../src/ffmpeg/standalone_audio_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+const fadeIn = [
+  { time: 0, value: 0 },
+  { time: 2, value: 1 },
+];
+
+describe("easing", () => {
+  it("should build the named easing curves", () => {
+    expect(buildEasingExpr("p", "linear")).toBe("p");
+    expect(buildEasingExpr("p", "ease-in")).toBe("(p)*(p)");
+    expect(buildEasingExpr("p", "ease-out")).toBe("1-((1-p)*(1-p))");
+    expect(buildEasingExpr("p", "ease-in-out")).toBe("0.5-0.5*cos(PI*p)");
+  });
+
+  it("should parse cubic-bezier curves", () => {
+    expect(parseCubicBezier("cubic-bezier(0.25, 0.1, 0.25, 1)")).toEqual([
+      0.25, 0.1, 0.25, 1,
+    ]);
+    expect(parseCubicBezier("cubic-bezier(1.5, 0, 0.5, 1)")).toBeNull();
+    expect(parseCubicBezier("bezier(0, 0, 1, 1)")).toBeNull();
+  });
+
+  it("should approximate cubic-bezier with matching endpoints", () => {
+    const easing = "cubic-bezier(0.42, 0, 0.58, 1)";
+    expect(applyEasing(0, easing)).toBeCloseTo(0, 5);
+    expect(applyEasing(1, easing)).toBeCloseTo(1, 5);
+    expect(applyEasing(0.5, easing)).toBeCloseTo(0.5, 2);
+    expect(applyEasing(0.2, easing)).toBeLessThan(0.2);
+    expect(buildEasingExpr("p", easing)).toMatch(/^\(if\(lt\(p,/);
+  });
+});
+
+describe("buildKeyframeExpr", () => {
+  it("should hold the end values around a linear segment", () => {
+    expect(buildKeyframeExpr(fadeIn, "t")).toBe(
+      "if(lt(t,0),0,if(lt(t,2),0+(1)*(((t-0)/2)),1))",
+    );
+  });
+
+  it("should apply a keyframe's easing to the following segment", () => {
+    const expr = buildKeyframeExpr(
+      [
+        { time: 1, value: 10, easing: "ease-in" },
+        { time: 3, value: 20 },
+      ],
+      "(t-5)",
+    );
+    expect(expr).toBe(
+      "if(lt((t-5),1),10,if(lt((t-5),3),10+(10)*(((((t-5)-1)/2))*((((t-5)-1)/2))),20))",
+    );
+  });
+
+  it("should collapse a single keyframe to a constant", () => {
+    expect(buildKeyframeExpr([{ time: 1, value: 0.5 }], "t")).toBe("0.5");
+  });
+
+  it("should evaluate values at a time", () => {
+    const kfs = [
+      { time: 0, value: 0, easing: "ease-in" },
+      { time: 2, value: 100 },
+    ];
+    expect(getKeyframeValue(kfs, -1)).toBe(0);
+    expect(getKeyframeValue(kfs, 1)).toBe(25);
+    expect(getKeyframeValue(kfs, 5)).toBe(100);
+  });
+
+  it("should sort keyframes by time", () => {
+    const clip = { keyframes: { x: [{ time: 2, value: 1 }, { time: 0, value: 0 }] } };
+    expect(getKeyframes(clip, "x").map((kf) => kf.time)).toEqual([0, 2]);
+    expect(getKeyframes(clip, "y")).toBeNull();
+  });
+});
+
+describe("keyframes in filters", () => {
+  it("should animate opacity, position and scale in the placement pass", () => {
+    const filter = buildPlacementFilter(
+      {
+        type: "image",
+        track: 1,
+        keyframes: {
+          opacity: fadeIn,
+          x: [
+            { time: 0, value: "0%" },
+            { time: 2, value: "50%" },
+          ],
+          scale: [
+            { time: 0, value: 0.5 },
+            { time: 2, value: 1 },
+          ],
+        },
+      },
+      "[fit0]",
+      "[out0]",
+      { width: 1000, height: 500, fps: 30, duration: 4, key: 0 },
+    );
+    expect(filter).toContain(
+      "[fit0]format=yuva420p,split[tfop0a][tfop0b];[tfop0a][tfop0b]blend=c3_expr='A*(if(lt(T,0),0,if(lt(T,2),0+(1)*(((T-0)/2)),1)))',scale=",
+    );
+    expect(filter).not.toContain("geq");
+    expect(filter).toContain(":eval=frame[tffg0];");
+    expect(filter).toContain("color=c=black@0:s=1000x500:d=4,format=rgba");
+    expect(filter).toContain(
+      "overlay=x='if(lt(t,0),0,if(lt(t,2),0+(500)*(((t-0)/2)),500))-500*(",
+    );
+    expect(filter).toContain(":format=rgb,setsar=1:1,settb=1/30[out0];");
+  });
+
+  it("should animate rotation with a fixed-size output", () => {
+    const filter = buildPlacementFilter(
+      {
+        type: "image",
+        keyframes: {
+          rotation: [
+            { time: 0, value: 0 },
+            { time: 1, value: 90 },
+          ],
+        },
+      },
+      "[fit0]",
+      "[out0]",
+      { width: 300, height: 400, fps: 30, duration: 2, key: 0 },
+    );
+    expect(filter).toContain(
+      "format=rgba,rotate=a='(if(lt(t,0),0,if(lt(t,1),0+(90)*(((t-0)/1)),90)))*PI/180':ow=500:oh=500:c=none",
+    );
+    expect(filter).toContain("color=c=black:s=300x400");
+  });
+
+  it("should animate effect amount on output time", () => {
+    const result = buildEffectFilters(
+      [
+        {
+          type: "effect",
+          effect: "vignette",
+          position: 2,
+          end: 6,
+          params: {},
+          keyframes: {
+            amount: fadeIn,
+            angle: [
+              { time: 0, value: 0.2 },
+              { time: 4, value: 0.8 },
+            ],
+          },
+        },
+      ],
+      "[basev]",
+    );
+    expect(result.filter).toContain(
+      "vignette=angle='if(lt((t-2),0),0.2,if(lt((t-2),4),0.2+(0.6)*((((t-2)-0)/4)),0.8))':eval=frame",
+    );
+    expect(result.filter).toContain(
+      "a='alpha(X,Y)*(if(lt((T-2),0),0,if(lt((T-2),2),0+(1)*((((T-2)-0)/2)),1)))'",
+    );
+    expect(result.filter).not.toContain("colorchannelmixer");
+  });
+
+  it("should add eval=frame to eq only when keyframed", () => {
+    const base = {
+      type: "effect",
+      effect: "colorAdjust",
+      position: 0,
+      end: 4,
+      params: { brightness: 0.1 },
+    };
+    expect(buildEffectFilters([base], "[basev]").filter).not.toContain(
+      "eval=frame",
+    );
+    const animated = buildEffectFilters(
+      [{ ...base, keyframes: { saturation: [{ time: 0, value: 1 }, { time: 4, value: 0 }] } }],
+      "[basev]",
+    );
+    expect(animated.filter).toContain(
+      "saturation='if(lt((t-0),0),1,if(lt((t-0),4),1+(-1)*((((t-0)-0)/4)),0))':gamma=1:eval=frame",
+    );
+  });
+
+  it("should replace the static volume with a volume envelope", () => {
+    const clip = {
+      type: "audio",
+      position: 1,
+      end: 5,
+      volume: 1,
+      cutFrom: 0,
+      keyframes: { volume: [{ time: 0, value: 0 }, { time: 1, value: 1 }] },
+    };
+    const project = {
+      videoOrAudioClips: [clip],
+      _inputIndexMap: new Map([[clip, 0]]),
+    };
+    const result = buildStandaloneAudioMix(project, [clip], {
+      compensateTransitions: false,
+      videoClips: [],
+      hasAudio: false,
+      finalAudioLabel: null,
+    });
+    expect(result.filter).toContain(
+      "[0:a]atrim=start=0:end=4,asetpts=PTS-STARTPTS,volume='if(lt(t,0),0,if(lt(t,1),0+(1)*(((t-0)/1)),1))':eval=frame,adelay=1000|1000",
+    );
+  });
+});
+
+describe("keyframes validation", () => {
+  const opts = { skipFileChecks: true };
+
+  it("should accept keyframes for animatable properties", () => {
+    const result = validateConfig(
+      [
+        {
+          type: "video",
+          url: "./a.mp4",
+          position: 0,
+          end: 5,
+          keyframes: {
+            opacity: fadeIn,
+            x: [
+              { time: 0, value: "10%" },
+              { time: 3, value: 400, easing: "cubic-bezier(0.25, 0.1, 0.25, 1)" },
+            ],
+            volume: [{ time: 0, value: 1 }, { time: 5, value: 0 }],
+          },
+        },
+      ],
+      opts,
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  it("should reject unknown properties, bad values, order and easing", () => {
+    const result = validateConfig(
+      [
+        {
+          type: "image",
+          url: "./a.png",
+          position: 0,
+          end: 5,
+          keyframes: {
+            volume: [{ time: 0, value: 1 }],
+            opacity: [
+              { time: 1, value: 1.5 },
+              { time: 1, value: 0, easing: "bounce" },
+            ],
+            scale: [],
+          },
+        },
+      ],
+      opts,
+    );
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toContain("clips[0].keyframes.volume");
+    expect(paths).toContain("clips[0].keyframes.opacity[0].value");
+    expect(paths).toContain("clips[0].keyframes.opacity[1].time");
+    expect(paths).toContain("clips[0].keyframes.opacity[1].easing");
+    expect(paths).toContain("clips[0].keyframes.scale");
+  });
+});
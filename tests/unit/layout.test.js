@@ -0,0 +1,251 @@
+import { describe, it, expect } from "vitest";
+
+const {
+  resolveLayoutCells,
+  getLayoutAudioSources,
+  getInputClips,
+} = await import("../../src/core/layout.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { loadLayout } = await import("../../src/loaders.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+describe("layout cells", () => {
+  it("should resolve presets against the stream size", () => {
+    const cells = resolveLayoutCells(
+      { layout: "split-h", sources: [{}, {}] },
+      1920,
+      1080,
+    );
+    expect(cells).toEqual([
+      { x: 0, y: 0, width: 960, height: 1080 },
+      { x: 960, y: 0, width: 960, height: 1080 },
+    ]);
+  });
+
+  it("should inset cells by half the gutter, with per-source overrides", () => {
+    const cells = resolveLayoutCells(
+      { layout: "split-v", gutter: 20, sources: [{}, { gutter: 0 }] },
+      1000,
+      1000,
+    );
+    expect(cells[0]).toEqual({ x: 10, y: 10, width: 980, height: 480 });
+    expect(cells[1]).toEqual({ x: 0, y: 500, width: 1000, height: 500 });
+  });
+
+  it("should only resolve cells that have a source", () => {
+    const cells = resolveLayoutCells(
+      { layout: "grid-2x2", sources: [{}, {}, {}] },
+      1920,
+      1080,
+    );
+    expect(cells).toHaveLength(3);
+  });
+
+  it("should accept custom percentage cells", () => {
+    const cells = resolveLayoutCells(
+      {
+        layout: [{ x: "10%", y: "20%", width: "30%", height: "40%" }],
+        sources: [{}],
+      },
+      1000,
+      500,
+    );
+    expect(cells).toEqual([{ x: 100, y: 100, width: 300, height: 200 }]);
+  });
+});
+
+describe("layout inputs and audio", () => {
+  const layout = {
+    type: "layout",
+    layout: "grid-2x2",
+    sources: [
+      { type: "video", url: "./a.mp4", hasAudio: true },
+      { type: "color", color: "red", _isFlatColor: true },
+      { type: "image", url: "./b.png", hasAudio: false },
+      { type: "video", url: "./c.mp4", hasAudio: true, audio: false },
+    ],
+  };
+
+  it("should give each file-backed source its own input", () => {
+    const before = { type: "video", url: "./intro.mp4" };
+    const flat = { type: "color", color: "black", _isFlatColor: true };
+    const inputs = getInputClips([before, flat, layout]);
+    expect(inputs).toEqual([
+      before,
+      layout.sources[0],
+      layout.sources[2],
+      layout.sources[3],
+    ]);
+  });
+
+  it("should only mix audio from selected video sources", () => {
+    expect(getLayoutAudioSources(layout)).toEqual([layout.sources[0]]);
+  });
+
+  it("should load flat color sources without probing", async () => {
+    const project = { videoOrAudioClips: [] };
+    await loadLayout(project, {
+      type: "layout",
+      layout: "split-h",
+      position: 2,
+      end: 6,
+      sources: [
+        { type: "color", color: "red" },
+        { type: "color", color: "blue" },
+      ],
+    });
+    const [clip] = project.videoOrAudioClips;
+    expect(clip.sources[0]).toMatchObject({
+      position: 2,
+      end: 6,
+      _isFlatColor: true,
+      hasAudio: false,
+    });
+  });
+});
+
+describe("layout clips in buildVideoFilter", () => {
+  const createProject = () => ({
+    options: { fps: 30, width: 1920, height: 1080 },
+    videoOrAudioClips: [],
+  });
+
+  it("should compose sources into one scaled stream", () => {
+    const project = createProject();
+    const left = {
+      type: "video",
+      url: "./left.mp4",
+      cutFrom: 1,
+      mediaDuration: 20,
+    };
+    const right = { type: "image", url: "./right.png", fit: "contain", backgroundColor: "white" };
+    const clip = {
+      type: "layout",
+      layout: "split-h",
+      position: 0,
+      end: 5,
+      sources: [left, right],
+    };
+    project.videoOrAudioClips.push(clip);
+
+    const result = buildVideoFilter(project, [clip]);
+
+    expect(result.filter).toContain(
+      "color=c=black:s=1920x1080:d=5,fps=30,settb=1/30[lybg0];",
+    );
+    expect(result.filter).toContain(
+      "[0:v]trim=start=1:duration=5,setpts=PTS-STARTPTS,fps=30,scale=960:1080:force_original_aspect_ratio=increase,crop=960:1080",
+    );
+    expect(result.filter).toContain("pad=960:1080:(ow-iw)/2:(oh-ih)/2:color=white");
+    expect(result.filter).toContain("[lybg0][lycell0_0]overlay=x=0:y=0[lyout0_0];");
+    expect(result.filter).toContain("[lyout0_0][lycell0_1]overlay=x=960:y=0[lyout0_1];");
+    expect(result.filter).toContain("[lyout0_1]setsar=1:1,settb=1/30[scaled0];");
+    expect(result.videoDuration).toBe(5);
+  });
+
+  it("should transition into a layout like any other clip", () => {
+    const project = createProject();
+    const intro = {
+      type: "video",
+      url: "./intro.mp4",
+      position: 0,
+      end: 5,
+      cutFrom: 0,
+      mediaDuration: 10,
+    };
+    const clip = {
+      type: "layout",
+      layout: "pip-corner",
+      position: 5,
+      end: 10,
+      transition: { type: "fade", duration: 0.5 },
+      sources: [
+        { type: "color", color: "navy", _isFlatColor: true },
+        { type: "video", url: "./cam.mp4", cutFrom: 0, mediaDuration: 30 },
+      ],
+    };
+    project.videoOrAudioClips.push(intro, clip);
+
+    const result = buildVideoFilter(project, [intro, clip]);
+
+    expect(result.filter).toContain("color=c=navy:s=1920x1080:d=5");
+    expect(result.filter).toContain("[1:v]trim=start=0:duration=5");
+    expect(result.filter).toContain("overlay=x=1382:y=778[lyout1_1]");
+    expect(result.filter).toContain(
+      "[scaled0][scaled1]xfade=transition=fade:duration=0.5:offset=4.5",
+    );
+  });
+});
+
+describe("layout validation", () => {
+  const opts = { skipFileChecks: true };
+
+  it("should accept a valid layout clip", () => {
+    const result = validateConfig(
+      [
+        {
+          type: "layout",
+          layout: "split-h",
+          position: 0,
+          end: 5,
+          gutter: 8,
+          sources: [
+            { type: "video", url: "./a.mp4", audio: false },
+            { type: "image", url: "./b.png", fit: "contain", backgroundColor: "#101010" },
+          ],
+        },
+      ],
+      opts,
+    );
+    expect(result.valid).toBe(true);
+  });
+
+  it("should reject unknown presets and too many sources", () => {
+    const result = validateConfig(
+      [
+        {
+          type: "layout",
+          layout: "split-3",
+          position: 0,
+          end: 5,
+          sources: [{ type: "color", color: "red" }],
+        },
+        {
+          type: "layout",
+          layout: "split-v",
+          position: 5,
+          end: 10,
+          sources: [
+            { type: "color", color: "red" },
+            { type: "color", color: "blue" },
+            { type: "color", color: "green" },
+          ],
+        },
+      ],
+      opts,
+    );
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toContain("clips[0].layout");
+    expect(paths).toContain("clips[1].sources");
+  });
+
+  it("should validate each source", () => {
+    const result = validateConfig(
+      [
+        {
+          type: "layout",
+          layout: [{ x: "0%", y: "0%", width: "0%", height: "100%" }],
+          position: 0,
+          end: 5,
+          sources: [{ type: "video", fit: "stretch", audio: "yes" }],
+        },
+      ],
+      opts,
+    );
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toContain("clips[0].layout[0].width");
+    expect(paths).toContain("clips[0].sources[0].url");
+    expect(paths).toContain("clips[0].sources[0].fit");
+    expect(paths).toContain("clips[0].sources[0].audio");
+  });
+});
@@ -1,9 +1,10 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, vi } from "vitest";
 import fs from "fs";
 import path from "path";
 import os from "os";
 
 const {
+  fitToSource,
   loadText,
   loadEffect,
   loadSubtitle,
@@ -23,6 +24,36 @@ function mockProject(overrides = {}) {
 }
 
 describe("loaders", () => {
+  describe("fitToSource", () => {
+    const stretchClip = (extra) => ({ type: "video", position: 0, end: 10, cutFrom: 0, fill: "stretch", ...extra });
+
+    it("should slow a stretched clip down so the source fills the slot", () => {
+      const clip = stretchClip();
+      fitToSource(clip, 4, "Video");
+      expect(clip.speed).toBe(0.4);
+      expect(clip.end).toBe(10);
+    });
+
+    it("should stretch on top of the requested speed and warn", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const clip = stretchClip({ speed: 2 });
+      fitToSource(clip, 4, "Video");
+      expect(clip.speed).toBe(0.4);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("speed 2 lowered to 0.400"));
+      warn.mockRestore();
+    });
+
+    it("should not stretch below the minimum speed", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const clip = stretchClip({ end: 60 });
+      fitToSource(clip, 2, "Video");
+      expect(clip.speed).toBe(0.1);
+      expect(clip.end).toBe(20);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining("minimum speed 0.1"));
+      warn.mockRestore();
+    });
+  });
+
   describe("loadText", () => {
     it("should load a text clip with defaults", () => {
       const project = mockProject();
@@ -286,5 +317,33 @@ describe("loaders", () => {
         fs.unlinkSync(project.videoOrAudioClips[0].url);
       } catch (_) {}
     });
+
+    it("should render moving gradients as a frame sequence", async () => {
+      const project = mockProject({
+        options: { width: 40, height: 20, fps: 30 },
+      });
+      await loadColor(project, {
+        type: "color",
+        color: {
+          type: "conic-gradient",
+          colors: ["red", "blue", "red"],
+          animate: { rotate: 360, fps: 10 },
+        },
+        position: 0,
+        end: 2,
+      });
+
+      const clip = project.videoOrAudioClips[0];
+      expect(clip).toMatchObject({ fps: 10, startNumber: 0, width: 20, height: 10, _animated: true, frameCount: 20 });
+      expect(clip.url).toMatch(/simpleffmpeg-gradient-.*-%05d\.ppm$/);
+      expect(project.filesToClean).toHaveLength(20);
+      expect(fs.existsSync(clip.url.replace("%05d", "00019"))).toBe(true);
+
+      for (const file of project.filesToClean) {
+        try {
+          fs.unlinkSync(file);
+        } catch (_) {}
+      }
+    });
   });
 });
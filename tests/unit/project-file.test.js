@@ -0,0 +1,224 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const ProjectFile = await import("../../src/core/project_file.js");
+// The instance the library requires, so its media probes can be stubbed
+const Loaders = createRequire(import.meta.url)("../../src/loaders.js");
+const { version } = (await import("../../package.json")).default;
+
+const clips = [
+  { id: "bg", type: "color", color: "navy", duration: 4 },
+  { id: "title", type: "text", text: "Hello", position: 0.5, end: 3 },
+];
+
+describe("project documents", () => {
+  it("should treat a bare clips array as an unversioned document", () => {
+    const doc = ProjectFile.migrateProjectDocument(clips);
+    expect(doc).toEqual({
+      format: "simple-ffmpeg-project",
+      version,
+      options: {},
+      clips,
+      exportOptions: {},
+    });
+  });
+
+  it("should migrate fillGaps from documents before 0.4.0", () => {
+    const doc = ProjectFile.migrateProjectDocument({
+      version: "0.3.2",
+      options: { fillGaps: true, fps: 25 },
+      clips,
+    });
+    expect(doc.options).toEqual({ fps: 25, gapPolicy: "black" });
+    expect(
+      ProjectFile.migrateProjectDocument({
+        version: "0.4.0",
+        options: { fillGaps: true },
+        clips,
+      }).options,
+    ).toEqual({ fillGaps: true });
+  });
+
+  it("should keep static images letterboxed in documents before 0.5.0", () => {
+    const images = [
+      { type: "image", url: "a.png", duration: 2 },
+      { type: "image", url: "b.png", duration: 2, kenBurns: "zoom-in" },
+      { type: "image", url: "c.png", duration: 2, imageFit: "cover" },
+    ];
+    const migrated = ProjectFile.migrateProjectDocument({ version: "0.4.1", clips: images });
+    expect(migrated.clips.map((c) => c.imageFit)).toEqual(["contain", undefined, "cover"]);
+    expect(
+      ProjectFile.migrateProjectDocument({ version: "0.5.0", clips: images }).clips,
+    ).toEqual(images);
+  });
+
+  it("should keep fullDuration clips as saved", () => {
+    const overlay = [
+      ...clips,
+      { id: "grain", type: "effect", effect: "filmGrain", fullDuration: true },
+    ];
+    expect(
+      ProjectFile.migrateProjectDocument({ version: "0.5.4", clips: overlay }).clips,
+    ).toEqual(overlay);
+  });
+
+  it("should reject documents from newer versions and other formats", () => {
+    expect(() =>
+      ProjectFile.migrateProjectDocument({ version: "99.0.0", clips }),
+    ).toThrow(/newer/);
+    expect(() =>
+      ProjectFile.migrateProjectDocument({ format: "other", clips }),
+    ).toThrow(/Unknown project format/);
+    expect(() => ProjectFile.migrateProjectDocument({ version })).toThrow(
+      /clips array/,
+    );
+  });
+
+  it("should compare versions numerically", () => {
+    expect(ProjectFile.compareVersions("0.10.0", "0.9.9")).toBeGreaterThan(0);
+    expect(ProjectFile.compareVersions("0.6.0-beta.1", "0.6.0")).toBe(0);
+    expect(ProjectFile.compareVersions("0.5.4", "0.6.0")).toBeLessThan(0);
+  });
+
+  it("should leave remote URLs alone when resolving paths", () => {
+    const doc = ProjectFile.resolveProjectPaths(
+      ProjectFile.migrateProjectDocument([
+        { type: "video", url: "https://example.com/a.mp4", duration: 2 },
+        { type: "image", url: "media/b.png", duration: 2 },
+      ]),
+      "/projects/demo",
+    );
+    expect(doc.clips[0].url).toBe("https://example.com/a.mp4");
+    expect(doc.clips[1].url).toBe(path.resolve("/projects/demo", "media/b.png"));
+  });
+});
+
+describe("saving and loading projects", () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it("should serialize options, resolved clips and export options", async () => {
+    const project = new SIMPLEFFMPEG({ width: 1280, height: 720, tempDir: os.tmpdir() });
+    await project.load(clips);
+    project.exportOptions = { crf: 20, onProgress: () => {} };
+    const doc = project.toJSON();
+    expect(doc).toMatchObject({ format: "simple-ffmpeg-project", version });
+    expect(doc.options).toMatchObject({ width: 1280, height: 720 });
+    expect(doc.options.tempDir).toBeUndefined();
+    expect(doc.clips[0]).toMatchObject({ id: "bg", position: 0, end: 4 });
+    expect(doc.exportOptions).toEqual({ crf: 20 });
+
+    const copy = await SIMPLEFFMPEG.fromJSON(doc);
+    expect(copy.getClips()).toEqual(doc.clips);
+    expect(copy.exportOptions).toEqual({ crf: 20 });
+    expect((await copy.preview()).command).toContain("-crf 20");
+  });
+
+  it("should store media paths relative to the project file", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleffmpeg-project-"));
+    fs.mkdirSync(path.join(dir, "media"));
+    const subtitles = path.join(dir, "media", "captions.srt");
+    fs.writeFileSync(subtitles, "1\n00:00:00,000 --> 00:00:01,000\nHi\n");
+
+    const project = new SIMPLEFFMPEG();
+    await project.load([...clips, { type: "subtitle", url: subtitles }]);
+    const file = path.join(dir, "edit.json");
+    await project.saveProject(file);
+
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    expect(saved.clips[2].url).toBe("media/captions.srt");
+
+    const loaded = await SIMPLEFFMPEG.loadProject(file);
+    expect(loaded.subtitleClips[0].url).toBe(subtitles);
+    expect(loaded.getClips().map((c) => c.id)).toEqual(["bg", "title", "clip-1"]);
+  });
+
+  it("should store a matte transition's path relative to the project file", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleffmpeg-project-"));
+    fs.mkdirSync(path.join(dir, "mattes"));
+    const matte = path.join(dir, "mattes", "radial.png");
+    fs.writeFileSync(matte, "");
+    const probe = vi
+      .spyOn(Loaders, "loadMatteTransition")
+      .mockImplementation(async (transition) => ({ ...transition, _stillMatte: true }));
+
+    try {
+      const project = new SIMPLEFFMPEG();
+      await project.load([
+        { id: "a", type: "color", color: "black", position: 0, end: 3 },
+        {
+          id: "b",
+          type: "color",
+          color: "white",
+          position: 2.5,
+          end: 5,
+          transition: { type: "matte", url: matte, duration: 0.5 },
+        },
+      ]);
+      const file = path.join(dir, "edit.json");
+      await project.saveProject(file);
+
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(saved.clips[1].transition.url).toBe("mattes/radial.png");
+
+      const loaded = await SIMPLEFFMPEG.loadProject(file);
+      expect(loaded.getClips()[1].transition.url).toBe(matte);
+      expect(loaded.videoOrAudioClips[1].transition.url).toBe(matte);
+    } finally {
+      probe.mockRestore();
+    }
+  });
+
+  it("should store a stinger's path relative to the project file", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleffmpeg-project-"));
+    fs.mkdirSync(path.join(dir, "stingers"));
+    const stinger = path.join(dir, "stingers", "logo.mov");
+    fs.writeFileSync(stinger, "");
+    const probe = vi
+      .spyOn(Loaders, "loadStingerTransition")
+      .mockImplementation(async (transition) => ({ ...transition, duration: 1, cutPoint: 0.5 }));
+
+    try {
+      const project = new SIMPLEFFMPEG();
+      await project.load([
+        { id: "a", type: "color", color: "black", position: 0, end: 3 },
+        {
+          id: "b",
+          type: "color",
+          color: "white",
+          position: 3,
+          end: 5,
+          transition: { type: "stinger", url: stinger },
+        },
+      ]);
+      const file = path.join(dir, "edit.json");
+      await project.saveProject(file);
+
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(saved.clips[1].transition.url).toBe("stingers/logo.mov");
+
+      const loaded = await SIMPLEFFMPEG.loadProject(file);
+      expect(loaded.getClips()[1].transition.url).toBe(stinger);
+      expect(loaded.videoOrAudioClips[1].transition.url).toBe(stinger);
+    } finally {
+      probe.mockRestore();
+    }
+  });
+
+  it("should report unreadable project files", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleffmpeg-project-"));
+    const file = path.join(dir, "broken.json");
+    fs.writeFileSync(file, "{ not json");
+    await expect(SIMPLEFFMPEG.loadProject(file)).rejects.toThrow(
+      /Could not read project file/,
+    );
+  });
+});
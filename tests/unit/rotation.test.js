@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const Rotation = await import("../../src/core/rotation.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+
+// ffprobe's dump of a display matrix, 16.16 fixed point
+function dump(a, b, c, d) {
+  return `\n00000000: ${a} ${b} 0\n00000001: ${c} ${d} 0\n00000002: 0 0 1073741824\n`;
+}
+
+describe("display matrix", () => {
+  it("should parse the ffprobe matrix dump", () => {
+    expect(Rotation.parseDisplayMatrix(dump(0, 65536, -65536, 0))).toEqual([0, 65536, 0, -65536, 0, 0, 0, 0, 1073741824]);
+    expect(Rotation.parseDisplayMatrix("00000000: 0 1")).toBeNull();
+  });
+
+  it("should find the matrix in any side data entry or the rotate tag", () => {
+    const portrait = { rotation: -90, orientation: 6 };
+    expect(Rotation.getDisplayOrientation({
+      side_data_list: [{ side_data_type: "Ambient viewing environment" }, { side_data_type: "Display Matrix", displaymatrix: dump(0, 65536, -65536, 0), rotation: -90 }],
+    })).toEqual(portrait);
+    expect(Rotation.getDisplayOrientation({ side_data_list: [{ side_data_type: "Display Matrix", rotation: -90 }] })).toEqual(portrait);
+    expect(Rotation.getDisplayOrientation({ tags: { rotate: "90" } })).toEqual(portrait);
+    expect(Rotation.getDisplayOrientation({ tags: { rotate: "270" } })).toEqual({ rotation: 90, orientation: 8 });
+    expect(Rotation.getDisplayOrientation({ side_data_list: [{ side_data_type: "Display Matrix", rotation: 180 }] })).toEqual({ rotation: 180, orientation: 3 });
+    expect(Rotation.getDisplayOrientation({})).toEqual({ rotation: 0, orientation: 1 });
+  });
+
+  it("should tell mirrored matrices apart", () => {
+    const orientation = (a, b, c, d) => Rotation.matrixToOrientation(Rotation.parseDisplayMatrix(dump(a, b, c, d)));
+    expect(orientation(-65536, 0, 0, 65536)).toBe(2);
+    expect(orientation(65536, 0, 0, -65536)).toBe(4);
+    expect(orientation(0, 65536, 65536, 0)).toBe(5);
+    expect(orientation(0, -65536, -65536, 0)).toBe(7);
+    expect(orientation(0, -65536, 65536, 0)).toBe(8);
+  });
+});
+
+describe("rotated video in the filter graph", () => {
+  const project = (clips) => ({
+    options: { fps: 30, width: 1920, height: 1080 },
+    videoOrAudioClips: clips,
+  });
+  const video = (props) => ({
+    type: "video",
+    url: "portrait.mov",
+    position: 0,
+    end: 4,
+    cutFrom: 0,
+    hasAudio: false,
+    mediaDuration: 10,
+    _orientation: 6,
+    ...props,
+  });
+
+  it("should transpose before fitting and transforms", () => {
+    const clip = video({ transform: { crop: { width: "50%" } } });
+    const { filter } = buildVideoFilter(project([clip]), [clip]);
+    expect(filter).toContain("fps=30,transpose=1,crop=w=iw*0.5,scale=1920:1080:force_original_aspect_ratio=decrease");
+  });
+
+  it("should render from the source file without autorotation", () => {
+    const p = new SIMPLEFFMPEG();
+    p.videoOrAudioClips = [video(), video({ url: "landscape.mp4", _orientation: undefined })];
+    expect(p._getInputStreams()).toBe("-noautorotate -i \"portrait.mov\" -i \"landscape.mp4\"");
+  });
+});
@@ -183,12 +183,16 @@ describe("schema/index", () => {
       expect(ids).toContain("video");
       expect(ids).toContain("audio");
       expect(ids).toContain("image");
+      expect(ids).toContain("imageSequence");
       expect(ids).toContain("color");
+      expect(ids).toContain("generator");
+      expect(ids).toContain("layout");
+      expect(ids).toContain("composition");
       expect(ids).toContain("effect");
       expect(ids).toContain("text");
       expect(ids).toContain("subtitle");
       expect(ids).toContain("music");
-      expect(ids).toHaveLength(8);
+      expect(ids).toHaveLength(12);
     });
 
     it("should return a copy (not the internal array)", () => {
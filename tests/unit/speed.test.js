@@ -0,0 +1,242 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("fs", () => ({
+  default: {
+    existsSync: vi.fn(() => true),
+  },
+  existsSync: vi.fn(() => true),
+}));
+
+const {
+  getSourceDuration,
+  getOutputDuration,
+  resolveClipTiming,
+  buildVideoSpeedFilter,
+  buildAtempoChain,
+  getAudioSpeedPieces,
+} = await import("../../src/core/speed.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { buildAudioForVideoClips } = await import("../../src/ffmpeg/audio_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+
+const ramp = [
+  { time: 0, speed: 1 },
+  { time: 2, speed: 3 },
+];
+
+function videoClip(overrides = {}) {
+  return {
+    type: "video",
+    url: "./a.mp4",
+    position: 0,
+    end: 4,
+    cutFrom: 0,
+    mediaDuration: 30,
+    hasAudio: true,
+    volume: 1,
+    ...overrides,
+  };
+}
+
+describe("speed timing", () => {
+  it("should leave unremapped clips untouched", () => {
+    const clip = videoClip();
+    expect(getSourceDuration(clip, 4)).toBe(4);
+    expect(buildVideoSpeedFilter(clip)).toBe("");
+  });
+
+  it("should scale source consumption by constant speed", () => {
+    const clip = videoClip({ speed: 2 });
+    expect(getSourceDuration(clip, 4)).toBe(8);
+    expect(getOutputDuration(clip, 8)).toBe(4);
+    expect(buildVideoSpeedFilter(clip)).toBe("setpts=PTS/2");
+  });
+
+  it("should integrate linear speed ramps", () => {
+    const clip = videoClip({ speedRamp: ramp });
+    // 0-2s ramps 1→3 (4s of source), then holds at 3
+    expect(getSourceDuration(clip, 2)).toBeCloseTo(4);
+    expect(getSourceDuration(clip, 4)).toBeCloseTo(10);
+    expect(getOutputDuration(clip, 10)).toBeCloseTo(4);
+    expect(getOutputDuration(clip, 1.5)).toBeCloseTo(1);
+  });
+
+  it("should clamp timeline duration when remapped source runs out", () => {
+    const clip = videoClip({ speed: 4, end: 10, mediaDuration: 20, cutFrom: 4 });
+    expect(resolveClipTiming(clip)).toMatchObject({ duration: 4, sourceDuration: 16 });
+  });
+
+  it("should build a piecewise setpts expression for ramps", () => {
+    const filter = buildVideoSpeedFilter(videoClip({ speedRamp: ramp }));
+    expect(filter).toBe(
+      "setpts='(if(lt(T,4),0+(sqrt(1+2*(T-0))-1)/1,2+(T-4)/3))/TB'",
+    );
+  });
+
+  it("should chain atempo stages within 0.5-2", () => {
+    expect(buildAtempoChain(1.5)).toBe("atempo=1.5");
+    expect(buildAtempoChain(6)).toBe("atempo=2,atempo=2,atempo=1.5");
+    expect(buildAtempoChain(0.25)).toBe("atempo=0.5,atempo=0.5");
+  });
+
+  it("should split ramps into average-speed audio pieces", () => {
+    const pieces = getAudioSpeedPieces(videoClip({ speedRamp: ramp }), 3, 1);
+    expect(pieces).toHaveLength(3);
+    expect(pieces[0]).toMatchObject({ sourceStart: 0, sourceEnd: 1.5, speed: 1.5 });
+    expect(pieces[2]).toMatchObject({ sourceStart: 4, sourceEnd: 7, speed: 3 });
+  });
+});
+
+describe("speed in filter builders", () => {
+  const project = {
+    options: { fps: 30, width: 1920, height: 1080 },
+    videoOrAudioClips: [],
+  };
+
+  it("should trim by source duration and retime video", () => {
+    const clip = videoClip({ speed: 0.5, reverse: true, cutFrom: 3 });
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain(
+      "[0:v]trim=start=3:duration=2,setpts=PTS-STARTPTS,reverse,setpts=PTS/0.5,fps=30",
+    );
+    expect(result.videoDuration).toBe(4);
+  });
+
+  it("should reverse and time-stretch audio", () => {
+    const clip = videoClip({ speed: 2, reverse: true });
+    const result = buildAudioForVideoClips({ videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain(
+      "[0:a]volume=1,atrim=start=0:duration=8,asetpts=PTS-STARTPTS,areverse,atempo=2,adelay=0|0[va0];",
+    );
+  });
+
+  it("should concatenate ramped audio pieces", () => {
+    const clip = videoClip({ speedRamp: ramp });
+    const result = buildAudioForVideoClips({ videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("atrim=start=0:duration=10,asetpts=PTS-STARTPTS,asplit=");
+    expect(result.filter).toMatch(/concat=n=\d+:v=0:a=1,adelay=0\|0\[va0\];/);
+  });
+});
+
+describe("fill modes", () => {
+  const project = {
+    options: { fps: 30, width: 1920, height: 1080 },
+    videoOrAudioClips: [],
+  };
+  const shortClip = (fill) => videoClip({ end: 10, mediaDuration: 4, fill });
+
+  it("should keep the full slot for loop and freeze", () => {
+    expect(resolveClipTiming(shortClip("loop"))).toEqual({
+      duration: 10,
+      sourceDuration: 10,
+      contentDuration: 10,
+      inputLoops: 2,
+    });
+    expect(resolveClipTiming(shortClip("freeze"))).toMatchObject({
+      duration: 10,
+      contentDuration: 4,
+      inputLoops: 0,
+    });
+    expect(resolveClipTiming(shortClip("clamp")).duration).toBe(4);
+  });
+
+  it("should loop video at the input instead of buffering frames", () => {
+    const clip = shortClip("loop");
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("[0:v]trim=start=0:duration=10,setpts=PTS-STARTPTS");
+    expect(result.filter).not.toContain("loop=");
+    expect(result.videoDuration).toBe(10);
+
+    const p = new SIMPLEFFMPEG();
+    p.videoOrAudioClips = [clip];
+    expect(p._getInputStreams()).toBe("-stream_loop 2 -i \"./a.mp4\"");
+  });
+
+  it("should drop the part before cutFrom on every looped pass", () => {
+    const clip = videoClip({ end: 10, mediaDuration: 4, cutFrom: 1, fill: "loop" });
+    expect(resolveClipTiming(clip)).toMatchObject({ sourceDuration: 10, inputLoops: 3 });
+    const { filter } = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(filter).toContain(
+      "[0:v]setpts=PTS-STARTPTS,select='gte(mod(t,4),1)',setpts=PTS-(floor(T/4)+1)*1/TB,trim=duration=10,",
+    );
+    const audio = buildAudioForVideoClips({ videoOrAudioClips: [clip] }, [clip]);
+    expect(audio.filter).toContain(
+      "[0:a]volume=1,asetpts=PTS-STARTPTS,aselect='gte(mod(t,4),1)',asetpts=N/SR/TB,atrim=duration=10,",
+    );
+  });
+
+  it("should hold the last frame for freeze", () => {
+    const clip = shortClip("freeze");
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("tpad=stop_mode=clone:stop_duration=6[scaled0];");
+  });
+
+  it("should loop audio only for loop", () => {
+    const looped = shortClip("loop");
+    const loopRes = buildAudioForVideoClips({ videoOrAudioClips: [looped] }, [looped]);
+    expect(loopRes.filter).toContain(
+      "[0:a]volume=1,atrim=start=0:duration=10,asetpts=PTS-STARTPTS,adelay=0|0",
+    );
+    expect(loopRes.filter).not.toContain("aloop");
+
+    const frozen = shortClip("freeze");
+    const freezeRes = buildAudioForVideoClips({ videoOrAudioClips: [frozen] }, [frozen]);
+    expect(freezeRes.filter).not.toContain("aloop");
+  });
+
+  it("should validate fill values", () => {
+    const opts = { skipFileChecks: true };
+    expect(validateConfig([videoClip({ fill: "loop" })], opts).valid).toBe(true);
+    const bad = validateConfig([videoClip({ fill: "repeat" })], opts);
+    expect(bad.errors.some((e) => e.path === "clips[0].fill")).toBe(true);
+    const ramped = validateConfig([videoClip({ fill: "stretch", speedRamp: ramp })], opts);
+    expect(ramped.errors.some((e) => e.path === "clips[0].fill")).toBe(true);
+  });
+});
+
+describe("speed validation", () => {
+  const opts = { skipFileChecks: true };
+
+  it("should accept speed, reverse and ramps on video clips", () => {
+    const result = validateConfig(
+      [
+        videoClip({ speed: 0.25, reverse: true }),
+        videoClip({ position: 4, end: 8, speedRamp: ramp }),
+      ],
+      opts,
+    );
+    expect(result.errors).toEqual([]);
+  });
+
+  it("should reject out-of-range speeds", () => {
+    const result = validateConfig([videoClip({ speed: 0 })], opts);
+    expect(result.errors.some((e) => e.path === "clips[0].speed")).toBe(true);
+  });
+
+  it("should reject speed on non-video clips", () => {
+    const result = validateConfig(
+      [{ type: "image", url: "./a.png", position: 0, end: 4, speed: 2 }],
+      opts,
+    );
+    expect(result.errors.some((e) => e.path === "clips[0].speed")).toBe(true);
+  });
+
+  it("should reject speed combined with speedRamp and unordered keyframes", () => {
+    const result = validateConfig(
+      [
+        videoClip({
+          speed: 2,
+          speedRamp: [
+            { time: 2, speed: 1 },
+            { time: 1, speed: 2 },
+          ],
+        }),
+      ],
+      opts,
+    );
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toContain("clips[0]");
+    expect(paths).toContain("clips[0].speedRamp[1].time");
+  });
+});
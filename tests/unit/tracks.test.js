@@ -0,0 +1,192 @@
+import { describe, it, expect } from "vitest";
+
+const {
+  getTrack,
+  isBaseTrackClip,
+  isOverlayClip,
+  isValidLength,
+  resolveBounds,
+} = await import("../../src/core/tracks.js");
+const { resolveClips } = await import("../../src/core/resolve.js");
+const { detectVisualGaps } = await import("../../src/core/gaps.js");
+const { validateConfig, ValidationCodes } = await import("../../src/core/validation.js");
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+
+describe("track helpers", () => {
+  it("should default track to 0", () => {
+    expect(getTrack({ type: "video" })).toBe(0);
+    expect(getTrack({ type: "video", track: 2 })).toBe(2);
+    expect(getTrack({ type: "video", track: -1 })).toBe(0);
+  });
+
+  it("should classify base and overlay clips", () => {
+    expect(isBaseTrackClip({ type: "image" })).toBe(true);
+    expect(isOverlayClip({ type: "image", track: 1 })).toBe(true);
+    expect(isBaseTrackClip({ type: "image", track: 1 })).toBe(false);
+    expect(isOverlayClip({ type: "text", track: 1 })).toBe(false);
+  });
+
+  it("should accept pixel and percentage lengths", () => {
+    expect(isValidLength(100)).toBe(true);
+    expect(isValidLength("25%")).toBe(true);
+    expect(isValidLength("12.5%")).toBe(true);
+    expect(isValidLength(-5)).toBe(false);
+    expect(isValidLength("25px")).toBe(false);
+  });
+
+  it("should resolve bounds against the canvas", () => {
+    expect(
+      resolveBounds({ x: "50%", y: 0, width: "25%", height: "50%" }, 1920, 1080),
+    ).toEqual({ x: 960, y: 0, width: 480, height: 540 });
+  });
+
+  it("should default to a centered full-canvas box and round sizes to even", () => {
+    expect(resolveBounds(undefined, 1920, 1080)).toEqual({
+      x: 0,
+      y: 0,
+      width: 1920,
+      height: 1080,
+    });
+    expect(resolveBounds({ width: 301, height: 201 }, 1000, 1000)).toEqual({
+      x: 349,
+      y: 399,
+      width: 302,
+      height: 202,
+    });
+  });
+});
+
+describe("multi-track timelines", () => {
+  it("should auto-sequence each visual track independently", () => {
+    const { clips } = resolveClips([
+      { type: "video", url: "./a.mp4", duration: 5 },
+      { type: "image", url: "./logo.png", track: 1, duration: 2 },
+      { type: "video", url: "./b.mp4", duration: 5 },
+      { type: "image", url: "./logo2.png", track: 1, duration: 2 },
+    ]);
+
+    expect(clips[1].position).toBe(0);
+    expect(clips[2].position).toBe(5);
+    expect(clips[3].position).toBe(2);
+    expect(clips[3].end).toBe(4);
+  });
+
+  it("should ignore layered clips when detecting gaps", () => {
+    const gaps = detectVisualGaps([
+      { type: "video", position: 0, end: 10 },
+      { type: "image", track: 1, position: 4, end: 6 },
+    ]);
+    expect(gaps).toHaveLength(0);
+  });
+
+  it("should exclude layered clips from getDuration", () => {
+    const duration = SIMPLEFFMPEG.getDuration([
+      { type: "video", url: "./a.mp4", duration: 10 },
+      { type: "video", url: "./pip.mp4", track: 1, position: 5, end: 20 },
+    ]);
+    expect(duration).toBe(10);
+  });
+
+  describe("validation", () => {
+    const opts = { skipFileChecks: true };
+
+    it("should accept a layered clip with bounds", () => {
+      const result = validateConfig(
+        [
+          { type: "video", url: "./a.mp4", position: 0, end: 10 },
+          {
+            type: "video",
+            url: "./pip.mp4",
+            track: 1,
+            position: 2,
+            end: 8,
+            bounds: { x: "70%", y: "70%", width: "25%", height: "25%" },
+          },
+        ],
+        opts,
+      );
+      expect(result.valid).toBe(true);
+    });
+
+    it("should reject non-integer tracks", () => {
+      const result = validateConfig(
+        [{ type: "video", url: "./a.mp4", position: 0, end: 5, track: 1.5 }],
+        opts,
+      );
+      expect(result.errors.some((e) => e.path === "clips[0].track")).toBe(true);
+    });
+
+    it("should reject track on non-visual clips", () => {
+      const result = validateConfig(
+        [
+          { type: "video", url: "./a.mp4", position: 0, end: 5 },
+          { type: "text", text: "Hi", position: 0, end: 2, track: 1 },
+        ],
+        opts,
+      );
+      expect(result.errors.some((e) => e.path === "clips[1].track")).toBe(true);
+    });
+
+    it("should reject transitions and invalid bounds on layered clips", () => {
+      const result = validateConfig(
+        [
+          { type: "video", url: "./a.mp4", position: 0, end: 10 },
+          {
+            type: "image",
+            url: "./b.png",
+            track: 1,
+            position: 2,
+            end: 4,
+            transition: { type: "fade", duration: 0.5 },
+            bounds: { width: 0, x: "left" },
+          },
+        ],
+        opts,
+      );
+      const paths = result.errors.map((e) => e.path);
+      expect(paths).toContain("clips[1].transition");
+      expect(paths).toContain("clips[1].bounds.width");
+      expect(paths).toContain("clips[1].bounds.x");
+    });
+
+    it("should reject bounds on the base track", () => {
+      const result = validateConfig(
+        [
+          {
+            type: "video",
+            url: "./a.mp4",
+            position: 0,
+            end: 5,
+            bounds: { width: 100 },
+          },
+        ],
+        opts,
+      );
+      expect(result.errors.some((e) => e.path === "clips[0].bounds")).toBe(true);
+    });
+
+    it("should require a base track when layered clips are present", () => {
+      const result = validateConfig(
+        [{ type: "color", color: "red", track: 1, position: 0, end: 5 }],
+        opts,
+      );
+      expect(
+        result.errors.some((e) => e.code === ValidationCodes.INVALID_TIMELINE),
+      ).toBe(true);
+    });
+
+    it("should warn when a layered clip starts after the base timeline", () => {
+      const result = validateConfig(
+        [
+          { type: "video", url: "./a.mp4", position: 0, end: 5 },
+          { type: "color", color: "red", track: 1, position: 6, end: 8 },
+        ],
+        opts,
+      );
+      expect(result.valid).toBe(true);
+      expect(
+        result.warnings.some((w) => w.code === ValidationCodes.OUTSIDE_BOUNDS),
+      ).toBe(true);
+    });
+  });
+});
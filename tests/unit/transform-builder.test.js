@@ -0,0 +1,186 @@
+import { describe, it, expect } from "vitest";
+
+const {
+  buildSourceTransformFilters,
+  getTransformedSourceSize,
+  needsPlacement,
+  buildPlacementFilter,
+} = await import("../../src/ffmpeg/transform_builder.js");
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+describe("transform_builder", () => {
+  describe("buildSourceTransformFilters", () => {
+    it("should return empty string without a transform", () => {
+      expect(buildSourceTransformFilters({ type: "video" })).toBe("");
+    });
+
+    it("should build crop with pixels and percentages", () => {
+      const result = buildSourceTransformFilters({
+        transform: { crop: { x: 100, width: "50%", height: "100%" } },
+      });
+      expect(result).toBe(",crop=w=iw*0.5:h=ih*1:x=100");
+    });
+
+    it("should add flips after crop", () => {
+      const result = buildSourceTransformFilters({
+        transform: { crop: { width: 200, height: 200 }, flipH: true, flipV: true },
+      });
+      expect(result).toBe(",crop=w=200:h=200,hflip,vflip");
+    });
+  });
+
+  it("should compute cropped source size when dimensions are known", () => {
+    const clip = { transform: { crop: { width: "50%", height: 300 } } };
+    expect(getTransformedSourceSize(clip, 1920, 1080)).toEqual({ width: 960, height: 300 });
+    expect(getTransformedSourceSize(clip, undefined, undefined)).toEqual({
+      width: undefined,
+      height: undefined,
+    });
+  });
+
+  it("should only require placement for scale, rotate or position", () => {
+    expect(needsPlacement({ transform: { flipH: true } })).toBe(false);
+    expect(needsPlacement({ transform: { scale: 1 } })).toBe(false);
+    expect(needsPlacement({ transform: { scale: 0.5 } })).toBe(true);
+    expect(needsPlacement({ transform: { rotate: 360 } })).toBe(false);
+    expect(needsPlacement({ transform: { x: "25%" } })).toBe(true);
+  });
+
+  it("should scale, rotate and center the clip over the background", () => {
+    const filter = buildPlacementFilter(
+      { transform: { scale: 0.5, rotate: 90, x: "25%", backgroundColor: "white" } },
+      "[in]",
+      "[out]",
+      { width: 1920, height: 1080, fps: 30, duration: 5, key: 0 },
+    );
+    expect(filter).toContain("[in]scale=trunc(iw*0.5/2)*2:trunc(ih*0.5/2)*2,format=rgba,rotate=1.570796:");
+    expect(filter).toContain("color=c=white:s=1920x1080:d=5,fps=30,settb=1/30[tfbg0];");
+    expect(filter).toContain("[tfbg0][tffg0]overlay=x=480-w/2:y=540-h/2,setsar=1:1,settb=1/30[out];");
+  });
+});
+
+describe("transform in buildVideoFilter", () => {
+  const project = {
+    options: { fps: 30, width: 1920, height: 1080 },
+    videoOrAudioClips: [],
+  };
+  const video = (overrides = {}) => ({
+    type: "video",
+    url: "./a.mp4",
+    position: 0,
+    end: 4,
+    cutFrom: 0,
+    mediaDuration: 10,
+    ...overrides,
+  });
+
+  it("should keep contain as the default fit for video", () => {
+    const clip = video();
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("force_original_aspect_ratio=decrease,pad=1920:1080");
+  });
+
+  it("should apply imageFit to video clips", () => {
+    const clip = video({ imageFit: "blur-fill" });
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("split[bg0][fg0]");
+    expect(result.filter).toContain("gblur=sigma=40");
+  });
+
+  it("should crop and flip before fitting and place after", () => {
+    const clip = video({
+      transform: { crop: { width: "50%" }, flipH: true, scale: 0.5, backgroundColor: "navy" },
+    });
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain(
+      "fps=30,crop=w=iw*0.5,hflip,scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:color=navy",
+    );
+    expect(result.filter).toContain("settb=1/30[tfin0];");
+    expect(result.filter).toContain("overlay=x=960-w/2:y=540-h/2,setsar=1:1,settb=1/30[scaled0];");
+  });
+
+  it("should place flat color clips", () => {
+    const clip = { type: "color", color: "red", _isFlatColor: true, position: 0, end: 3, transform: { scale: 0.25 } };
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("color=c=red:s=1920x1080:d=3,fps=30,settb=1/30[tfin0];");
+    expect(result.filter).toContain("[tfbg0][tffg0]overlay");
+  });
+
+  it("should crop images before Ken Burns", () => {
+    const clip = {
+      type: "image",
+      url: "./a.jpg",
+      position: 0,
+      end: 3,
+      kenBurns: "zoom-in",
+      transform: { crop: { width: 1000, height: 1000 } },
+    };
+    const result = buildVideoFilter({ ...project, videoOrAudioClips: [clip] }, [clip]);
+    expect(result.filter).toContain("select='eq(n,0)',setpts=PTS-STARTPTS,crop=w=1000:h=1000,scale=");
+  });
+});
+
+describe("transform validation", () => {
+  const opts = { skipFileChecks: true };
+  const base = { type: "video", url: "./a.mp4", position: 0, end: 4 };
+
+  it("should accept a full transform and imageFit on video", () => {
+    const result = validateConfig(
+      [
+        {
+          ...base,
+          imageFit: "cover",
+          transform: {
+            crop: { x: 0, y: "10%", width: "50%", height: 400 },
+            flipH: true,
+            rotate: -15,
+            scale: 0.8,
+            x: "50%",
+            y: 200,
+            backgroundColor: "#112233",
+          },
+        },
+      ],
+      opts,
+    );
+    expect(result.errors).toEqual([]);
+  });
+
+  it("should reject invalid transform values", () => {
+    const result = validateConfig(
+      [
+        {
+          ...base,
+          transform: {
+            crop: { width: 0 },
+            flipV: "yes",
+            scale: 0,
+            x: "left",
+            backgroundColor: "notacolor",
+          },
+        },
+      ],
+      opts,
+    );
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toContain("clips[0].transform.crop.width");
+    expect(paths).toContain("clips[0].transform.flipV");
+    expect(paths).toContain("clips[0].transform.scale");
+    expect(paths).toContain("clips[0].transform.x");
+    expect(paths).toContain("clips[0].transform.backgroundColor");
+  });
+
+  it("should reject transform on non-visual clips", () => {
+    const result = validateConfig(
+      [base, { type: "audio", url: "./a.mp3", position: 0, end: 2, transform: { flipH: true } }],
+      opts,
+    );
+    expect(result.errors.some((e) => e.path === "clips[1].transform")).toBe(true);
+  });
+
+  it("should reject invalid imageFit on video", () => {
+    const result = validateConfig([{ ...base, imageFit: "stretch" }], opts);
+    expect(result.errors.some((e) => e.path === "clips[0].imageFit")).toBe(true);
+  });
+});
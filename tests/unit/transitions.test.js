@@ -0,0 +1,228 @@
+import { describe, it, expect } from "vitest";
+
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
+const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const { validateConfig } = await import("../../src/core/validation.js");
+
+SIMPLEFFMPEG.registerTransition("brand-wipe", {
+  expr: "if(lt(abs(X/W-if(eq({direction},0),P,1-P)),{softness}),{color},if(gt(X/W,P),B,A))",
+  params: {
+    direction: { type: "enum", values: ["left", "right"], default: "left" },
+    softness: { type: "number", min: 0, max: 0.5, default: 0.02 },
+    color: { type: "color", default: "#FF0066" },
+  },
+  description: "Wipe with a brand-colored edge",
+});
+
+SIMPLEFFMPEG.registerTransition("blend", {
+  expr: "A*pow(P,{gamma})+B*(1-pow(P,{gamma}))",
+  params: { gamma: { type: "number", min: 0.1 } },
+});
+
+const clips = (transition) => [
+  { type: "color", color: "black", position: 0, end: 3 },
+  { type: "color", color: "white", position: 2.5, end: 5, transition: { duration: 0.5, ...transition } },
+];
+
+describe("registerTransition", () => {
+  it("should reject invalid definitions", () => {
+    const register = (name, definition) => () => SIMPLEFFMPEG.registerTransition(name, definition);
+    expect(register("fade", { expr: "A" })).toThrow("built-in");
+    expect(register("has space", { expr: "A" })).toThrow("name must start with a letter");
+    expect(register("empty", { expr: " " })).toThrow("non-empty string");
+    expect(register("quoted", { expr: "if(P,A,'B')" })).toThrow("quotes");
+    expect(register("undeclared", { expr: "A*{amount}" })).toThrow("{amount}");
+    expect(register("bad-enum", { expr: "A", params: { side: { type: "enum", values: [] } } })).toThrow("non-empty array");
+    expect(register("bad-default", { expr: "A", params: { color: { type: "color", default: "nope" } } })).toThrow("default must be");
+    // Nothing half-registered
+    expect(validateConfig(clips({ type: "bad-default" })).errors[0].path).toBe("clips[1].transition.type");
+  });
+
+  it("should validate type and params against the registry", () => {
+    expect(validateConfig(clips({ type: "brand-wipe", params: { direction: "right", color: "navy" } })).errors).toEqual([]);
+
+    const unknown = validateConfig(clips({ type: "brand-swipe" })).errors;
+    expect(unknown[0]).toMatchObject({ code: "INVALID_VALUE", path: "clips[1].transition.type" });
+
+    const params = validateConfig(clips({ type: "brand-wipe", params: { direction: "up", softness: 2, speed: 1 } })).errors;
+    expect(params.map((e) => e.path)).toEqual([
+      "clips[1].transition.params.direction",
+      "clips[1].transition.params.softness",
+      "clips[1].transition.params.speed",
+    ]);
+    expect(params[1].message).toBe("softness must be <= 0.5");
+
+    const missing = validateConfig(clips({ type: "blend" })).errors;
+    expect(missing[0]).toMatchObject({ code: "MISSING_REQUIRED", path: "clips[1].transition.params.gamma" });
+
+    const builtIn = validateConfig(clips({ type: "fade", params: { gamma: 2 } })).errors;
+    expect(builtIn[0].message).toContain("built-in");
+  });
+
+  it("should list registered transitions in the schema", () => {
+    const schema = SIMPLEFFMPEG.getSchema({ include: ["video"] });
+    expect(schema).toContain("`zoomin`, `matte`, `stinger`, `brand-wipe`, `blend`");
+    expect(schema).toContain(
+      "Custom transition \"brand-wipe\": Wipe with a brand-colored edge. transition.params: direction (\"left\" | \"right\", default \"left\"), softness (number 0..0.5, default 0.02), color (color, default \"#FF0066\").",
+    );
+    expect(schema).toContain("Custom transition \"blend\". transition.params: gamma (number 0.1.., required).");
+  });
+});
+
+describe("custom transitions in the filter graph", () => {
+  const build = (transition) => {
+    const loaded = clips(transition);
+    return buildVideoFilter({ options: { fps: 30, width: 640, height: 360 }, videoOrAudioClips: loaded }, loaded).filter;
+  };
+
+  it("should fill the expression template", () => {
+    const filter = build({ type: "brand-wipe", params: { direction: "right", color: "white" } });
+    expect(filter).toContain(
+      "xfade=transition=custom:expr='if(lt(abs(X/W-if(eq(1,0),P,1-P)),0.02),if(eq(PLANE,0),235,if(eq(PLANE,1),128,128)),if(gt(X/W,P),B,A))':duration=0.5:offset=2.5",
+    );
+    expect(build({ type: "blend", params: { gamma: 2.2 } })).toContain("expr='A*pow(P,2.2)+B*(1-pow(P,2.2))'");
+  });
+
+  it("should convert both inputs to yuv420p first", () => {
+    const filter = build({ type: "blend", params: { gamma: 1 } });
+    expect(filter).toContain("[scaled0]format=yuv420p[xfa1];[scaled1]format=yuv420p[xfb1];[xfa1][xfb1]xfade=");
+    expect(build({ type: "fade" })).toContain("[scaled0][scaled1]xfade=transition=fade:");
+  });
+});
+
+describe("matte transitions", () => {
+  const matte = (transition) => clips({ type: "matte", url: "./mattes/radial.png", ...transition });
+
+  it("should validate the matte options", () => {
+    expect(validateConfig(matte({ softness: 0.3, invert: true }), { skipFileChecks: true }).errors).toEqual([]);
+
+    const errors = validateConfig(matte({ url: "./mattes/radial.txt", softness: 2, invert: "yes" }), {
+      skipFileChecks: true,
+    }).errors;
+    expect(errors.map((e) => [e.code, e.path])).toEqual([
+      ["INVALID_FORMAT", "clips[1].transition.url"],
+      ["INVALID_RANGE", "clips[1].transition.softness"],
+      ["INVALID_TYPE", "clips[1].transition.invert"],
+    ]);
+
+    const missing = validateConfig(matte({ url: undefined }), { skipFileChecks: true }).errors;
+    expect(missing[0]).toMatchObject({ code: "MISSING_REQUIRED", path: "clips[1].transition.url" });
+  });
+
+  it("should give the matte its own input after the clip", async () => {
+    const { getInputClips } = await import("../../src/core/layout.js");
+    const loaded = [
+      { type: "video", url: "./a.mp4", position: 0, end: 3 },
+      { type: "video", url: "./b.mp4", position: 2.5, end: 5, transition: { type: "matte", duration: 0.5, url: "./m.png" } },
+      { type: "video", url: "./c.mp4", position: 5, end: 6 },
+    ];
+    expect(getInputClips(loaded).map((c) => c.url)).toEqual(["./a.mp4", "./b.mp4", "./m.png", "./c.mp4"]);
+  });
+
+  it("should mix the overlapping frames through the mask", () => {
+    const loaded = [
+      { type: "video", url: "./a.mp4", position: 0, end: 3, cutFrom: 0, mediaDuration: 10 },
+      {
+        type: "video",
+        url: "./b.mp4",
+        position: 2.5,
+        end: 5,
+        cutFrom: 0,
+        mediaDuration: 10,
+        transition: { type: "matte", duration: 0.5, url: "./m.png", _stillMatte: true },
+      },
+    ];
+    const project = { options: { fps: 30, width: 640, height: 360 }, videoOrAudioClips: loaded };
+    const { filter, videoDuration } = buildVideoFilter(project, loaded);
+
+    // 90 frames, then a 15-frame wipe starting on frame 75
+    expect(filter).toContain("[mahead1]trim=end_frame=75,setpts=PTS-STARTPTS[mhead1];");
+    expect(filter).toContain("[matail1]trim=start_frame=75:end_frame=90,setpts=PTS-STARTPTS,format=yuv420p[mfrom1];");
+    expect(filter).toContain("[mbhead1]trim=end_frame=15,setpts=PTS-STARTPTS,format=yuv420p[mto1];");
+    expect(filter).toContain("[2:v]scale=640:360,setsar=1:1,format=yuv420p,loop=14:1:0,setpts=N/30/TB,trim=end_frame=15,");
+    expect(filter).toContain("geq=lum='255*clip((N*18.7-(lum(X,Y)-16)*1.164384)*0.039216,0,1)'");
+    expect(filter).toContain("[mfrom1][mto1][mmask1]maskedmerge[mmix1];");
+    expect(filter).toContain("[mhead1][mmix1][mrest1]concat=n=3:v=1:a=0,fps=30,settb=1/30[vtrans1];");
+    expect(filter).not.toContain("xfade");
+    expect(videoDuration).toBeCloseTo(5, 9);
+  });
+
+  it("should play video mattes and invert on request", () => {
+    const loaded = clips({ type: "matte", url: "./m.mp4", invert: true, softness: 0 });
+    const filter = buildVideoFilter({ options: { fps: 30, width: 640, height: 360 }, videoOrAudioClips: loaded }, loaded).filter;
+    expect(filter).toContain("[2:v]setpts=PTS-STARTPTS,fps=30,scale=640:360,setsar=1:1,format=yuv420p,tpad=stop_mode=clone:stop=15,");
+    expect(filter).toContain("(235-lum(X,Y))*1.164384)*1,0,1)");
+  });
+});
+
+describe("stinger transitions", () => {
+  const stinger = (transition) => [
+    { type: "video", url: "./a.mp4", position: 0, end: 3, cutFrom: 0, mediaDuration: 10 },
+    {
+      type: "video",
+      url: "./b.mp4",
+      position: 3,
+      end: 5,
+      cutFrom: 0,
+      mediaDuration: 10,
+      transition: { type: "stinger", url: "./stinger.webm", duration: 1.2, cutPoint: 0.5, ...transition },
+    },
+  ];
+
+  it("should validate the stinger options", () => {
+    const config = stinger({ duration: undefined, cutPoint: undefined, volume: 0.8 });
+    expect(validateConfig(config, { skipFileChecks: true }).errors).toEqual([]);
+
+    const errors = validateConfig(stinger({ url: "./stinger.png", cutPoint: 2, volume: -1 }), {
+      skipFileChecks: true,
+    }).errors;
+    expect(errors.map((e) => [e.code, e.path])).toEqual([
+      ["INVALID_FORMAT", "clips[1].transition.url"],
+      ["INVALID_RANGE", "clips[1].transition.cutPoint"],
+      ["INVALID_RANGE", "clips[1].transition.volume"],
+    ]);
+  });
+
+  it("should not shorten the timeline", () => {
+    expect(SIMPLEFFMPEG.getDuration(stinger())).toBe(5);
+    expect(SIMPLEFFMPEG.getTransitionOverlap(stinger())).toBe(0);
+  });
+
+  it("should cut the base track and overlay the stinger across the cut", () => {
+    const loaded = stinger();
+    const project = { options: { fps: 30, width: 640, height: 360 }, videoOrAudioClips: loaded };
+    const { filter, finalVideoLabel, videoDuration } = buildVideoFilter(project, loaded);
+
+    expect(filter).toContain("[scaled0][scaled1]concat=n=2:v=1:a=0,fps=30,settb=1/30[outv];");
+    expect(filter).not.toContain("xfade");
+    // Cut at 3s, so the stinger plays from 2.5s to 3.7s
+    expect(filter).toContain(
+      "[2:v]trim=start=0:duration=1.2,setpts=PTS-STARTPTS,fps=30,scale=640:360,setsar=1:1,format=yuva420p,setpts=PTS-STARTPTS+2.5/TB[stinger0];",
+    );
+    expect(filter).toContain("[outv][stinger0]overlay=eof_action=pass:enable='between(t,2.5,3.7)'[stingout0];");
+    expect(finalVideoLabel).toBe("[stingout0]");
+    expect(videoDuration).toBeCloseTo(5, 9);
+  });
+
+  it("should keep the alpha channel and mix the stinger's audio at the cut", async () => {
+    const project = new SIMPLEFFMPEG({ width: 640, height: 360, fps: 30 });
+    project.videoOrAudioClips = stinger({ volume: 0.8, _hasAudio: true, _alphaDecoder: "libvpx-vp9" }).map((clip) => ({
+      ...clip,
+      hasAudio: false,
+    }));
+    const { command } = await project.preview();
+    expect(command).toContain("-c:v libvpx-vp9 -i \"./stinger.webm\"");
+    expect(command).toContain("[2:a]volume=0.8,atrim=start=0:duration=1.2,asetpts=PTS-STARTPTS,adelay=2500|2500[va2];");
+  });
+
+  it("should place the cut after earlier crossfades", () => {
+    const loaded = [
+      { type: "color", color: "black", position: 0, end: 3 },
+      { type: "color", color: "white", position: 2.5, end: 5, transition: { type: "fade", duration: 0.5 } },
+      { type: "color", color: "red", position: 5, end: 6, transition: { type: "stinger", url: "./s.mov", duration: 1, cutPoint: 0.25 } },
+    ];
+    const { filter } = buildVideoFilter({ options: { fps: 30, width: 640, height: 360 }, videoOrAudioClips: loaded }, loaded);
+    expect(filter).toContain("[vtrans1][scaled2]concat=n=2:v=1:a=0");
+    expect(filter).toContain("setpts=PTS-STARTPTS+4.75/TB[stinger0];");
+  });
+});
@@ -5,6 +5,7 @@ const {
   parseFFmpegTime,
   parseFFmpegProgress,
   parseFFmpegCommand,
+  scaleProgress,
 } = await import("../../src/lib/utils.js");
 
 describe("Utils", () => {
@@ -104,6 +105,21 @@ describe("Utils", () => {
     });
   });
 
+  describe("scaleProgress", () => {
+    it("should map a sub-task's percent onto its share of the whole", () => {
+      const calls = [];
+      const report = scaleProgress((p) => calls.push(p), 25, 0.5);
+      report({ percent: 50, fps: 30 });
+      report({ percent: 100 });
+      report({ phase: "batching" });
+      expect(calls).toEqual([
+        { percent: 50, fps: 30 },
+        { percent: 75 },
+        { phase: "batching" },
+      ]);
+    });
+  });
+
   describe("parseFFmpegCommand", () => {
     it("should parse simple command", () => {
       const args = parseFFmpegCommand("ffmpeg -i input.mp4 output.mp4");
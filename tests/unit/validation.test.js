@@ -407,6 +407,24 @@ describe("Validation", () => {
         );
         expect(gapError.received).toEqual({ start: 0, end: 2 });
       });
+
+      it("should skip gap errors when a gapPolicy fills them", () => {
+        const clips = [
+          { type: "video", url: "./a.mp4", position: 0, end: 3 },
+          { type: "video", url: "./b.mp4", position: 5, end: 8 },
+        ];
+        expect(validateConfig(clips, { gapPolicy: "black" }).valid).toBe(true);
+        expect(validateConfig(clips, { gapPolicy: "freeze-previous" }).valid).toBe(true);
+        expect(validateConfig(clips, { gapPolicy: "error" }).valid).toBe(false);
+      });
+
+      it("should reject an invalid gapPolicy", () => {
+        const clips = [{ type: "video", url: "./a.mp4", position: 0, end: 3 }];
+        for (const gapPolicy of ["blur", "color:not-a-color"]) {
+          const result = validateConfig(clips, { gapPolicy });
+          expect(result.errors.map((e) => e.path)).toContain("gapPolicy");
+        }
+      });
     });
 
     describe("text clip validation", () => {
@@ -818,6 +836,87 @@ describe("Validation", () => {
         expect(result.warnings[0].message).toContain("1920x1080");
         expect(result.warnings[0].message).toContain("upscaled");
       });
+
+      describe("kenBurns path and focus", () => {
+        const validateKenBurns = (kenBurns) =>
+          validateConfig(
+            [{ type: "image", url: "./test.png", position: 0, end: 6, kenBurns }],
+            { skipFileChecks: true },
+          );
+        const errorPaths = (kenBurns) =>
+          validateKenBurns(kenBurns).errors.map((e) => e.path);
+
+        it("should accept a path of waypoints and a smart focus", () => {
+          expect(
+            validateKenBurns({
+              path: [
+                { time: 0, x: 0.2, zoom: 1.3, hold: 1 },
+                { time: 2, x: 0.8, easing: "cubic-bezier(0.4, 0, 0.2, 1)" },
+                { time: 5, zoom: 1 },
+              ],
+            }).valid,
+          ).toBe(true);
+          expect(
+            validateKenBurns({ type: "smart", focus: { x: 0.6, y: 0.3 } }).valid,
+          ).toBe(true);
+        });
+
+        it("should reject short, unordered or out-of-range paths", () => {
+          expect(errorPaths({ path: [{ time: 0 }] })).toContain(
+            "clips[0].kenBurns.path",
+          );
+          expect(
+            errorPaths({ path: [{ time: 0, hold: 2 }, { time: 1 }] }),
+          ).toContain("clips[0].kenBurns.path[1].time");
+          expect(errorPaths({ path: [{ x: 0 }, { time: 1 }] })).toContain(
+            "clips[0].kenBurns.path[0].time",
+          );
+          const paths = errorPaths({
+            path: [
+              { time: 0, x: 1.5, zoom: 0 },
+              { time: 1, easing: "bounce" },
+            ],
+          });
+          expect(paths).toContain("clips[0].kenBurns.path[0].x");
+          expect(paths).toContain("clips[0].kenBurns.path[0].zoom");
+          expect(paths).toContain("clips[0].kenBurns.path[1].easing");
+        });
+
+        it("should reject a path mixed with start/end fields", () => {
+          const result = validateKenBurns({
+            endX: 1,
+            path: [{ time: 0 }, { time: 1, x: 1 }],
+          });
+          expect(result.valid).toBe(false);
+          expect(result.errors[0].message).toContain("endX");
+        });
+
+        it("should reject unknown engines", () => {
+          expect(validateKenBurns({ type: "zoom-in", engine: "perspective" }).valid).toBe(true);
+          expect(errorPaths({ type: "zoom-in", engine: "gpu" })).toContain(
+            "clips[0].kenBurns.engine",
+          );
+        });
+
+        it("should validate kenBurns on video clips", () => {
+          const video = (kenBurns) =>
+            validateConfig(
+              [{ type: "video", url: "./a.mp4", position: 0, end: 4, kenBurns }],
+              { skipFileChecks: true },
+            );
+          expect(video({ type: "smart", focus: { x: 0.3 } }).valid).toBe(true);
+          expect(video("spin").errors[0].path).toBe("clips[0].kenBurns");
+        });
+
+        it("should only accept focus in smart mode", () => {
+          expect(errorPaths({ type: "zoom-in", focus: { x: 0.5 } })).toContain(
+            "clips[0].kenBurns.focus",
+          );
+          expect(
+            errorPaths({ type: "smart", focus: { x: 2, y: 0.5 } }),
+          ).toContain("clips[0].kenBurns.focus.x");
+        });
+      });
     });
 
     describe("video transition validation", () => {
@@ -1149,7 +1248,7 @@ describe("Validation", () => {
       const clips = [
         {
           type: "color",
-          color: { type: "conic-gradient", colors: ["#000", "#fff"] },
+          color: { type: "diamond-gradient", colors: ["#000", "#fff"] },
           position: 0,
           end: 5,
         },
@@ -1214,6 +1313,58 @@ describe("Validation", () => {
       expect(result.valid).toBe(true);
     });
 
+    it("should accept conic, mesh and animated gradients with positioned stops", () => {
+      const clips = [
+        {
+          type: "color",
+          color: {
+            type: "conic-gradient",
+            colors: ["#f00", { color: "#00f", position: 0.3 }, "#f00"],
+            center: { x: 0.3, y: 0.6 },
+            angle: 45,
+            animate: { rotate: 360, hue: 90, fps: 12 },
+          },
+          position: 0,
+          end: 5,
+        },
+        {
+          type: "color",
+          color: {
+            type: "mesh-gradient",
+            points: [
+              { x: 0, y: 0, color: "teal" },
+              { x: 1, y: 0.5, color: "orange" },
+            ],
+            animate: { hue: 360 },
+          },
+          position: 5,
+          end: 8,
+        },
+      ];
+      const result = validateConfig(clips);
+      expect(result.valid).toBe(true);
+    });
+
+    it("should reject decreasing stops and animations a gradient type cannot do", () => {
+      const clips = [
+        {
+          type: "color",
+          color: {
+            type: "radial-gradient",
+            colors: [{ color: "#000", position: 0.6 }, { color: "#fff", position: 0.4 }],
+            animate: { rotate: 90 },
+          },
+          position: 0,
+          end: 5,
+        },
+      ];
+      const result = validateConfig(clips);
+      expect(result.errors.map((e) => e.path)).toEqual([
+        "clips[0].color.colors[1].position",
+        "clips[0].color.animate.rotate",
+      ]);
+    });
+
     it("should require position/end for color clips", () => {
       const clips = [
         { type: "color", color: "black" },
@@ -2,6 +2,7 @@ import { describe, it, expect } from "vitest";
 
 // Dynamic import for CommonJS module
 const { buildVideoFilter } = await import("../../src/ffmpeg/video_builder.js");
+const SIMPLEFFMPEG = (await import("../../src/simpleffmpeg.js")).default;
 
 describe("buildVideoFilter", () => {
   const createProject = (options = {}) => ({
@@ -636,6 +637,214 @@ describe("buildVideoFilter", () => {
       // linear: just (on/N) without any wrapping function
       expect(result.filter).toContain("z='1+(0.15)*((on/89))'");
     });
+
+    it("should move through path waypoints with a hold", () => {
+      const project = createProject();
+      const clip = {
+        type: "image",
+        url: "./test.png",
+        position: 0,
+        end: 3,
+        kenBurns: {
+          path: [
+            { time: 0, x: 0.2, zoom: 1.2, hold: 1 },
+            { time: 3, x: 0.8 },
+          ],
+        },
+      };
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      // Held at x=0.2 for the first second (frame 29.67), then eased to 0.8
+      expect(result.filter).toContain(
+        "x='(iw - iw/zoom)*(if(lt(on,0),0.2,if(lt(on,29.6667),0.2,if(lt(on,89),0.2+(0.6)*(0.5-0.5*cos(PI*((on-29.6667)/59.3333))),0.8))))'",
+      );
+      expect(result.filter).toContain("z='if(lt(on,0),1.2,");
+    });
+
+    it("should carry waypoint values over and raise zoom for pans", () => {
+      const project = createProject();
+      const clip = {
+        type: "image",
+        url: "./test.png",
+        position: 0,
+        end: 3,
+        kenBurns: { path: [{ time: 0, y: 0 }, { time: 1.5 }, { time: 3, y: 1 }] },
+      };
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).toContain("z='if(lt(on,0),1.12,");
+      expect(result.filter).toContain("y='(ih - ih/zoom)*(if(lt(on,0),0,if(lt(on,44.5),0,");
+    });
+
+    it("should push in on the smart focus point", () => {
+      const project = createProject();
+      const clip = {
+        type: "image",
+        url: "./test.png",
+        position: 0,
+        end: 3,
+        width: 1920,
+        height: 1080,
+        kenBurns: { type: "smart", focus: { x: 0.55, y: 0.5 }, easing: "linear" },
+      };
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      // Ends with the 1.15x window centered on x=0.55
+      expect(result.filter).toContain("z='1+(0.15)*((on/89))'");
+      expect(result.filter).toContain("x='(iw - iw/zoom)*(0.5+(0.3833)*((on/89)))'");
+      expect(result.filter).toContain("y='(ih - ih/zoom)*(0.5)'");
+    });
+
+    it("should map the focus point through the cover crop", () => {
+      const project = createProject();
+      const clip = {
+        type: "image",
+        url: "./test.png",
+        position: 0,
+        end: 3,
+        width: 1080,
+        height: 1080,
+        kenBurns: { type: "smart", focus: { x: 0.5, y: 0.25 }, startZoom: 1.5, endZoom: 1.5 },
+      };
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      // A square source loses 1/4 of its height top and bottom: y=0.25 is the frame's top edge
+      expect(result.filter).toContain("y='(ih - ih/zoom)*(0)'");
+    });
+  });
+
+  describe("Ken Burns engines", () => {
+    const kbClip = (kenBurns, props = {}) => ({
+      type: "image",
+      url: "./test.png",
+      position: 0,
+      end: 3,
+      kenBurns,
+      ...props,
+    });
+
+    it("should resample the window with perspective instead of overscanned zoompan", () => {
+      const project = createProject();
+      project.options.kenBurnsEngine = "perspective";
+      const clip = kbClip({ type: "zoom-in", easing: "linear" });
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).not.toContain("zoompan");
+      expect(result.filter).not.toContain("scale=5760:-1");
+      // Works at 1.15x the output, holds the still for 90 frames, scales back down
+      expect(result.filter).toContain(
+        "crop=2208:1242:(iw-2208)/2:(ih-1242)/2,loop=89:1:0,setpts=N/30/TB,perspective=x0='(W-W/max(1,1+(0.15)*(((in-1)/89))))*(0.5)':",
+      );
+      expect(result.filter).toContain(":eval=frame,scale=1920:1080,setsar=1:1");
+    });
+
+    it("should let a clip pick its own engine", () => {
+      const project = createProject();
+      project.options.kenBurnsEngine = "perspective";
+      const clip = kbClip({ type: "pan-right", engine: "zoompan" });
+      project.videoOrAudioClips.push(clip);
+
+      expect(buildVideoFilter(project, [clip]).filter).toContain("zoompan=");
+
+      const other = kbClip({ type: "pan-right", engine: "perspective" });
+      expect(buildVideoFilter(createProject(), [other]).filter).toContain("perspective=");
+    });
+
+    it("should fit perspective motion inside contain padding", () => {
+      const project = createProject();
+      const clip = kbClip(
+        { type: "zoom-in", engine: "perspective" },
+        { width: 1080, height: 1920, imageFit: "contain" },
+      );
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).toContain("scale=700:1242:force_original_aspect_ratio=increase");
+      expect(result.filter).toContain(":eval=frame,scale=608:1080,setsar=1:1,pad=1920:1080");
+    });
+
+    it("should validate the project option", () => {
+      expect(new SIMPLEFFMPEG().options.kenBurnsEngine).toBe("zoompan");
+      expect(() => new SIMPLEFFMPEG({ kenBurnsEngine: "opengl" })).toThrow(/kenBurnsEngine/);
+    });
+  });
+
+  describe("video clips with Ken Burns", () => {
+    const videoClip = (props) => ({
+      type: "video",
+      url: "./talk.mp4",
+      position: 0,
+      end: 3,
+      cutFrom: 0,
+      ...props,
+    });
+
+    it("should zoom frame by frame with scale and crop instead of zoompan", () => {
+      const project = createProject();
+      const clip = videoClip({ kenBurns: { type: "zoom-in", easing: "linear" } });
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).not.toContain("zoompan");
+      expect(result.filter).not.toContain("select=");
+      expect(result.filter).toContain(
+        "fps=30,crop='min(iw,ih*1920/1080)':'min(ih,iw*1080/1920)',scale=w='trunc(1920*max(1,1+(0.15)*((n/89)))/2)*2':h='trunc(1080*max(1,1+(0.15)*((n/89)))/2)*2':eval=frame,crop=1920:1080:x='(trunc(1920*max(1,1+(0.15)*((n/89)))/2)*2-1920)*(0.5)'",
+      );
+    });
+
+    it("should follow custom pan endpoints", () => {
+      const project = createProject();
+      const clip = videoClip({
+        kenBurns: { startZoom: 1.5, endZoom: 1.5, startX: 0, endX: 1, easing: "linear" },
+      });
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).toContain(
+        "x='(trunc(1920*max(1,1.5)/2)*2-1920)*(0+(1)*((n/89)))'",
+      );
+    });
+
+    it("should keep the move inside contain padding", () => {
+      const project = createProject();
+      const clip = videoClip({
+        width: 1080,
+        height: 1920,
+        imageFit: "contain",
+        kenBurns: "zoom-in",
+      });
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).toContain("eval=frame,crop=608:1080:");
+      expect(result.filter).toContain("setsar=1:1,pad=1920:1080:(ow-iw)/2:(oh-ih)/2");
+    });
+
+    it("should apply speed before the zoom", () => {
+      const project = createProject();
+      const clip = videoClip({ speed: 2, kenBurns: "zoom-out" });
+      project.videoOrAudioClips.push(clip);
+
+      const result = buildVideoFilter(project, [clip]);
+
+      expect(result.filter).toContain(
+        "trim=start=0:duration=6,setpts=PTS-STARTPTS,setpts=PTS/2,fps=30,crop=",
+      );
+    });
   });
 
   describe("media duration clamping", () => {
@@ -1196,4 +1405,78 @@ describe("buildVideoFilter", () => {
       expect(result.filter).toContain("concat=n=3");
     });
   });
+
+  describe("layered tracks", () => {
+    it("should composite track 1 clips over the base output", () => {
+      const project = createProject();
+      const base = {
+        type: "video",
+        url: "./main.mp4",
+        position: 0,
+        end: 10,
+        cutFrom: 0,
+        mediaDuration: 20,
+      };
+      const pip = {
+        type: "video",
+        url: "./pip.mp4",
+        track: 1,
+        position: 2,
+        end: 6,
+        cutFrom: 0,
+        mediaDuration: 20,
+        bounds: { x: "50%", y: "50%", width: "25%", height: "25%" },
+      };
+      project.videoOrAudioClips.push(base, pip);
+
+      const result = buildVideoFilter(project, [base, pip]);
+
+      expect(result.filter).toContain("concat=n=1");
+      expect(result.filter).toContain("[1:v]trim=start=0:duration=4");
+      expect(result.filter).toContain("scale=480:270:force_original_aspect_ratio=decrease,pad=480:270");
+      expect(result.filter).toContain("[ovscaled0]setpts=PTS-STARTPTS+2/TB[ovshift0]");
+      expect(result.filter).toContain(
+        "[outv][ovshift0]overlay=x=960:y=540:eof_action=pass:enable='between(t,2,6)'[ovout0]",
+      );
+      expect(result.finalVideoLabel).toBe("[ovout0]");
+      expect(result.videoDuration).toBe(10);
+    });
+
+    it("should stack overlays in ascending track order", () => {
+      const project = createProject();
+      const base = { type: "color", color: "black", _isFlatColor: true, position: 0, end: 5 };
+      const top = { type: "color", color: "red", _isFlatColor: true, track: 2, position: 0, end: 5 };
+      const middle = { type: "color", color: "blue", _isFlatColor: true, track: 1, position: 0, end: 5 };
+      project.videoOrAudioClips.push(base, top, middle);
+
+      const result = buildVideoFilter(project, [base, top, middle]);
+
+      expect(result.filter.indexOf("c=blue")).toBeLessThan(result.filter.indexOf("c=red"));
+      expect(result.filter).toContain("[ovout0][ovshift1]overlay");
+      expect(result.finalVideoLabel).toBe("[ovout1]");
+    });
+
+    it("should shift overlay timing for base-track transitions", () => {
+      const project = createProject();
+      const a = { type: "color", color: "black", _isFlatColor: true, position: 0, end: 5 };
+      const b = {
+        type: "color",
+        color: "white",
+        _isFlatColor: true,
+        position: 5,
+        end: 10,
+        transition: { type: "fade", duration: 1 },
+      };
+      const logo = { type: "color", color: "red", _isFlatColor: true, track: 1, position: 6, end: 10 };
+      project.videoOrAudioClips.push(a, b, logo);
+
+      const result = buildVideoFilter(project, [a, b, logo]);
+      expect(result.filter).toContain("enable='between(t,5,9)'");
+
+      const raw = buildVideoFilter(project, [a, b, logo], {
+        compensateTransitions: false,
+      });
+      expect(raw.filter).toContain("enable='between(t,6,9)'");
+    });
+  });
 });
@@ -1,3 +1,20 @@
+/**
+ * Transitions added with SIMPLEFFMPEG.registerTransition(), by name, with
+ * the params each one takes. Augment it to type registered transitions:
+ *
+ * ```ts
+ * declare module "simple-ffmpegjs" {
+ *   interface CustomTransitions {
+ *     "brand-wipe": { direction?: "left" | "right"; softness?: number; color?: string };
+ *   }
+ * }
+ * ```
+ *
+ * Declared at module scope (not in the namespace) so the augmentation
+ * reaches it through the default export.
+ */
+export interface CustomTransitions {}
+
 declare namespace SIMPLEFFMPEG {
   // ─────────────────────────────────────────────────────────────────────────────
   // Error Classes
@@ -76,9 +93,13 @@ declare namespace SIMPLEFFMPEG {
     | "music"
     | "backgroundAudio"
     | "image"
+    | "imageSequence"
     | "subtitle"
     | "color"
-    | "effect";
+    | "generator"
+    | "audioGenerator"
+    | "effect"
+    | "layout";
 
   interface BaseClip {
     type: ClipType;
@@ -91,22 +112,364 @@ declare namespace SIMPLEFFMPEG {
     duration?: number;
   }
 
-  interface VideoClip extends BaseClip {
+  /** A length in pixels or a percentage of the output dimension (e.g. "50%"). */
+  type Length = number | `${number}%`;
+
+  /** Rectangle a layered clip is fitted into. Defaults to the full frame, centered. */
+  interface LayerBounds {
+    x?: Length;
+    y?: Length;
+    width?: Length;
+    height?: Length;
+  }
+
+  /** Source crop rectangle, in source pixels or percentages of the source size. */
+  interface CropRect {
+    x?: Length;
+    y?: Length;
+    width?: Length;
+    height?: Length;
+  }
+
+  /** Per-clip geometry applied to a visual clip. */
+  interface ClipTransform {
+    /** Crop a region of the source before fitting (default: centered when x/y are omitted) */
+    crop?: CropRect;
+    /** Mirror horizontally */
+    flipH?: boolean;
+    /** Mirror vertically */
+    flipV?: boolean;
+    /** Rotation in degrees, clockwise */
+    rotate?: number;
+    /** Scale factor applied after fitting (default: 1) */
+    scale?: number;
+    /** Horizontal center of the clip on the canvas (default: "50%") */
+    x?: Length;
+    /** Vertical center of the clip on the canvas (default: "50%") */
+    y?: Length;
+    /** Color behind a scaled/rotated/moved clip and for contain padding (default: "black") */
+    backgroundColor?: string;
+  }
+
+  /** Properties shared by visual clips (video, image, color). */
+  interface VisualClipProps {
+    /** Visual track (z-order). 0 = base track (default). Higher tracks are composited on top. */
+    track?: number;
+    /** Placement of the clip on the canvas. Only allowed on track >= 1. */
+    bounds?: LayerBounds;
+    /** Crop, flip, rotate, scale and position the clip. */
+    transform?: ClipTransform;
+    /** Animated properties. Keyframes override the matching static transform values. */
+    keyframes?: VisualKeyframes;
+  }
+
+  /**
+   * Easing curve for a keyframe segment or Ken Burns move.
+   * cubic-bezier() takes CSS-style control points; x1 and x2 must be within 0-1.
+   */
+  type Easing =
+    | "linear"
+    | "ease-in"
+    | "ease-out"
+    | "ease-in-out"
+    | `cubic-bezier(${string})`;
+
+  /** A property keyframe. */
+  interface Keyframe<T = number> {
+    /** Seconds from the start of the clip on the timeline */
+    time: number;
+    value: T;
+    /** Easing from this keyframe to the next (default: "linear") */
+    easing?: Easing;
+  }
+
+  /** Animatable properties of visual clips. */
+  interface VisualKeyframes {
+    /** 0-1 */
+    opacity?: Keyframe[];
+    /** Horizontal center of the clip on the canvas */
+    x?: Keyframe<Length>[];
+    /** Vertical center of the clip on the canvas */
+    y?: Keyframe<Length>[];
+    /** Scale factor (> 0) */
+    scale?: Keyframe[];
+    /** Degrees, clockwise */
+    rotation?: Keyframe[];
+  }
+
+  /** Animatable properties of clips with audio. */
+  interface AudioKeyframes {
+    /** Volume multiplier (>= 0) */
+    volume?: Keyframe[];
+  }
+
+  /** A point of a clip's volume envelope. */
+  interface VolumeEnvelopePoint {
+    /** Seconds from the start of the clip on the timeline */
+    time: number;
+    /** Volume multiplier at this point (>= 0) */
+    volume: number;
+    /** Curve from this point to the next (default: "linear") */
+    curve?: Easing;
+  }
+
+  /** Fades and volume envelope of clips with audio. */
+  interface AudioEnvelopeProps {
+    /** Seconds to fade the clip's audio in from silence */
+    fadeIn?: number;
+    /** Seconds to fade the clip's audio out to silence */
+    fadeOut?: number;
+    /** Shape of both fades (default: "tri") */
+    fadeCurve?: AudioFadeCurve;
+    /** Volume over time. Overrides the static volume; cannot be combined with keyframes.volume. */
+    volumeEnvelope?: VolumeEnvelopePoint[];
+  }
+
+  /** FFmpeg xfade transitions (some need a recent FFmpeg) */
+  type BuiltInTransition =
+    | "fade"
+    | "fadeblack"
+    | "fadewhite"
+    | "fadegrays"
+    | "fadefast"
+    | "fadeslow"
+    | "distance"
+    | "wipeleft"
+    | "wiperight"
+    | "wipeup"
+    | "wipedown"
+    | "wipetl"
+    | "wipetr"
+    | "wipebl"
+    | "wipebr"
+    | "slideleft"
+    | "slideright"
+    | "slideup"
+    | "slidedown"
+    | "smoothleft"
+    | "smoothright"
+    | "smoothup"
+    | "smoothdown"
+    | "coverleft"
+    | "coverright"
+    | "coverup"
+    | "coverdown"
+    | "revealleft"
+    | "revealright"
+    | "revealup"
+    | "revealdown"
+    | "circlecrop"
+    | "rectcrop"
+    | "circleclose"
+    | "circleopen"
+    | "horzclose"
+    | "horzopen"
+    | "vertclose"
+    | "vertopen"
+    | "diagbl"
+    | "diagbr"
+    | "diagtl"
+    | "diagtr"
+    | "hlslice"
+    | "hrslice"
+    | "vuslice"
+    | "vdslice"
+    | "hlwind"
+    | "hrwind"
+    | "vuwind"
+    | "vdwind"
+    | "dissolve"
+    | "pixelize"
+    | "radial"
+    | "hblur"
+    | "squeezeh"
+    | "squeezev"
+    | "zoomin";
+
+  /** Any transition accepted as `transition.type` */
+  type TransitionType =
+    | BuiltInTransition
+    | "matte"
+    | "stinger"
+    | Extract<keyof CustomTransitions, string>;
+
+  /** Transition from the previous base-track clip */
+  type Transition = (
+    | { type: BuiltInTransition; duration: number }
+    | MatteTransition
+    | StingerTransition
+    | {
+        [K in Extract<keyof CustomTransitions, string>]: {
+          type: K;
+          duration: number;
+          /** Values for the params the transition declares */
+          params?: CustomTransitions[K];
+        };
+      }[Extract<keyof CustomTransitions, string>]
+  ) &
+    TransitionAudioOptions;
+
+  /** How the audio of the two clips follows the picture transition */
+  type AudioTransitionMode = "crossfade" | "cut" | "j-cut" | "l-cut";
+
+  /** afade / acrossfade curve */
+  type AudioFadeCurve =
+    | "tri"
+    | "qsin"
+    | "esin"
+    | "hsin"
+    | "log"
+    | "ipar"
+    | "qua"
+    | "cub"
+    | "squ"
+    | "cbr"
+    | "par"
+    | "exp"
+    | "iqsin"
+    | "ihsin"
+    | "dese"
+    | "desi"
+    | "losi"
+    | "sinc"
+    | "isinc"
+    | "nofade";
+
+  interface TransitionAudioOptions {
+    /**
+     * "crossfade" (default) fades the audio across the picture transition,
+     * "cut" switches in its middle, "j-cut" / "l-cut" move the audio
+     * crossfade `audioOffset` seconds before / after it. Hard cuts always
+     * get a short declick fade.
+     */
+    audio?: AudioTransitionMode;
+    /** Fade curve of the audio crossfade (default "tri") */
+    audioCurve?: AudioFadeCurve;
+    /** Lead / lag of a J- or L-cut in seconds (default 1) */
+    audioOffset?: number;
+  }
+
+  /**
+   * Luma-matte wipe: B is revealed where the matte is darker than a
+   * threshold that sweeps from black to white over the transition.
+   */
+  interface MatteTransition {
+    type: "matte";
+    duration: number;
+    /** Grayscale image (held) or video (played, scaled to the output size) */
+    url: string;
+    /** Width of the soft edge, 0-1 of the luma range (default 0.1) */
+    softness?: number;
+    /** Reveal from white to black instead (default false) */
+    invert?: boolean;
+  }
+
+  /**
+   * Animated overlay video (ideally with alpha, e.g. ProRes 4444 or VP9
+   * WebM) played over a hard cut. The clips don't overlap, so place the
+   * next clip where the previous one ends; the timeline is not shortened.
+   */
+  interface StingerTransition {
+    type: "stinger";
+    url: string;
+    /** Seconds into the stinger where the clips cut (default: its middle) */
+    cutPoint?: number;
+    /** How much of the stinger plays (default: its full length) */
+    duration?: number;
+    /** Volume of the stinger's own audio (default: 1) */
+    volume?: number;
+  }
+
+  /** A param declared by a custom transition */
+  type TransitionParamSpec =
+    | { type: "number"; min?: number; max?: number; default?: number }
+    /** Substituted as the index into `values` */
+    | { type: "enum"; values: string[]; default?: string }
+    /** Substituted as the color's value on the current yuv420p plane */
+    | { type: "color"; default?: string };
+
+  /** Definition passed to SIMPLEFFMPEG.registerTransition() */
+  interface TransitionDefinition {
+    /**
+     * xfade custom expression (X, Y, W, H, P, PLANE, A, B, a0(x,y)...) on
+     * yuv420p frames, with `{param}` placeholders. P runs from 1 to 0.
+     */
+    expr: string;
+    /** Declared params by name. Params without a default are required. */
+    params?: Record<string, TransitionParamSpec>;
+    /** One line for getSchema() output */
+    description?: string;
+  }
+
+  interface VideoClip extends BaseClip, VisualClipProps, AudioEnvelopeProps {
     type: "video";
     url: string;
     cutFrom?: number;
     volume?: number;
-    transition?: { type: string; duration: number };
+    /** How the video is fitted when its aspect ratio differs from the output
+     *  (default: "contain", or "cover" with kenBurns) */
+    imageFit?: ImageFit;
+    /** Blur strength for the blur-fill background (default: 40) */
+    blurIntensity?: number;
+    /** Transition from the previous base-track clip. Not allowed on track >= 1. */
+    transition?: Transition;
+    /** Constant playback speed multiplier (0.1-10, default: 1). Mutually exclusive with speedRamp. */
+    speed?: number;
+    /** Play the trimmed source window backwards (audio included). */
+    reverse?: boolean;
+    /** Speed keyframes, linearly interpolated. Mutually exclusive with speed. */
+    speedRamp?: SpeedKeyframe[];
+    /** What to do when the source is shorter than the clip's timeline slot (default: "clamp"). */
+    fill?: VideoFillMode;
+    /** Digital zoom / pan over the moving footage, applied frame by frame. */
+    kenBurns?: KenBurnsEffect | KenBurnsSpec;
+    /** Key out a green/blue screen backdrop. Only allowed on track >= 1. */
+    chromaKey?: ChromaKey;
+    /** Animated properties, including audio volume. */
+    keyframes?: VisualKeyframes & AudioKeyframes;
+  }
+
+  /** Green/blue screen keying for a layered video clip. */
+  interface ChromaKey {
+    /** Backdrop color to remove (default: "#00FF00") */
+    color?: string;
+    /** "chromakey" keys in YUV (default); "colorkey" keys in RGB */
+    mode?: "chromakey" | "colorkey";
+    /** How close a pixel must be to the key color to be removed, 0-1 exclusive of 0 (default: 0.1) */
+    similarity?: number;
+    /** Edge softness, 0-1 (default: 0) */
+    blend?: number;
+    /** Despill strength, 0-1 (default: 0 = no despill). Channel follows the key color. */
+    spill?: number;
   }
 
-  interface AudioClip extends BaseClip {
+  /**
+   * How a video clip fills its slot when the source runs out.
+   *  - "clamp": shorten the clip to the available source (warns)
+   *  - "loop": repeat the source (audio included)
+   *  - "freeze": hold the last frame; audio is silent
+   *  - "stretch": slow the clip down so the source fits exactly
+   */
+  type VideoFillMode = "clamp" | "loop" | "freeze" | "stretch";
+
+  /** A speed ramp keyframe. */
+  interface SpeedKeyframe {
+    /** Seconds from the start of the clip on the timeline */
+    time: number;
+    /** Playback speed multiplier at this point (0.1-10) */
+    speed: number;
+  }
+
+  interface AudioClip extends BaseClip, AudioEnvelopeProps {
     type: "audio";
     url: string;
     cutFrom?: number;
     volume?: number;
+    /** Animated volume. Overrides the static volume. */
+    keyframes?: AudioKeyframes;
   }
 
-  interface BackgroundMusicClip extends BaseClip {
+  interface BackgroundMusicClip extends BaseClip, AudioEnvelopeProps {
     type: "music" | "backgroundAudio";
     url: string;
     cutFrom?: number;
@@ -126,7 +489,21 @@ declare namespace SIMPLEFFMPEG {
     | "custom";
 
   type KenBurnsAnchor = "top" | "bottom" | "left" | "right";
-  type KenBurnsEasing = "linear" | "ease-in" | "ease-out" | "ease-in-out";
+  /**
+   * How Ken Burns images are rendered:
+   * - "zoompan": zoompan over a large overscan canvas (default)
+   * - "perspective": sub-pixel resampling of each frame without overscan;
+   *   faster and lighter on large outputs
+   */
+  type KenBurnsEngine = "zoompan" | "perspective";
+
+  /**
+   * Frame rate: a number (30, or an NTSC decimal such as 29.97), a rational
+   * string ("30000/1001") or { num, den }. Non-whole rates are stored as
+   * "num/den" strings in project options.
+   */
+  type FrameRate = number | string | { num: number; den: number };
+  type KenBurnsEasing = Easing;
 
   interface KenBurnsSpec {
     type?: KenBurnsEffect;
@@ -138,12 +515,35 @@ declare namespace SIMPLEFFMPEG {
     endY?: number;
     anchor?: KenBurnsAnchor;
     easing?: KenBurnsEasing;
+    /** Motion engine for this clip (images only; overrides the project's kenBurnsEngine) */
+    engine?: KenBurnsEngine;
+    /** Waypoints the camera moves through, in time order (at least 2).
+     *  Cannot be combined with startX/startY/endX/endY/endZoom/anchor. */
+    path?: KenBurnsWaypoint[];
+    /** "smart" only: subject point (fractions 0-1 of the source image)
+     *  the camera pushes in on. */
+    focus?: { x?: number; y?: number };
+  }
+
+  interface KenBurnsWaypoint {
+    /** Seconds from the clip start */
+    time: number;
+    /** 0-1 horizontal position (default: previous waypoint, or 0.5) */
+    x?: number;
+    /** 0-1 vertical position (default: previous waypoint, or 0.5) */
+    y?: number;
+    /** Zoom factor (default: previous waypoint, or startZoom / 1) */
+    zoom?: number;
+    /** Easing of the move from this waypoint to the next (default: kenBurns.easing) */
+    easing?: KenBurnsEasing;
+    /** Seconds to hold still at this waypoint before moving on */
+    hold?: number;
   }
 
   /** How an image is fitted into the output frame when aspect ratios differ. */
   type ImageFit = "cover" | "contain" | "blur-fill";
 
-  interface ImageClip extends BaseClip {
+  interface ImageClip extends BaseClip, VisualClipProps {
     type: "image";
     url: string;
     width?: number;
@@ -158,6 +558,32 @@ declare namespace SIMPLEFFMPEG {
     /** Blur strength for the blur-fill background (Gaussian sigma). Higher = blurrier.
      *  Only applies when imageFit is "blur-fill". Default: 40. Typical range: 10-80. */
     blurIntensity?: number;
+    /** Animated GIF / APNG / WebP playback: true repeats for the whole clip (default),
+     *  a number plays that many times, false plays once. The last frame is held afterwards.
+     *  Ignored for still images. */
+    loop?: boolean | number;
+  }
+
+  /**
+   * Numbered image frames played as footage. `url` is a printf pattern
+   * ("frames/%04d.png") or a glob in the file name ("frames/*.png").
+   */
+  interface ImageSequenceClip extends BaseClip, VisualClipProps {
+    type: "imageSequence";
+    url: string;
+    /** Source frame rate (default: project fps) */
+    fps?: FrameRate;
+    /** First frame number for printf patterns (default: lowest existing number) */
+    startNumber?: number;
+    /** Seconds into the sequence to start from (default: 0) */
+    cutFrom?: number;
+    /** true repeats for the whole clip, a number plays that many times, false plays once (default). The last frame is held afterwards. */
+    loop?: boolean | number;
+    kenBurns?: KenBurnsEffect | KenBurnsSpec;
+    /** How frames are fitted when their aspect ratio differs from the output (default: "blur-fill", "cover" with Ken Burns) */
+    imageFit?: ImageFit;
+    /** Blur strength for the blur-fill background. Default: 40. */
+    blurIntensity?: number;
   }
 
   type TextMode = "static" | "word-replace" | "word-sequential" | "karaoke";
@@ -263,17 +689,45 @@ declare namespace SIMPLEFFMPEG {
     opacity?: number;
   }
 
+  /** A gradient color stop with an explicit position */
+  interface GradientColorStop {
+    color: string;
+    /** Position along the gradient, 0-1. Omit to space evenly between neighbours. */
+    position?: number;
+  }
+
   /** Gradient specification for color clips */
   interface GradientSpec {
-    type: "linear-gradient" | "radial-gradient";
-    /** Array of color strings (at least 2). Evenly distributed across the gradient. */
-    colors: string[];
+    type:
+      | "linear-gradient"
+      | "radial-gradient"
+      | "conic-gradient"
+      | "mesh-gradient";
+    /** Color stops (at least 2). Strings and stops without a position are spaced evenly. Not used by mesh gradients. */
+    colors?: Array<string | GradientColorStop>;
     /** For linear gradients: "vertical" (default), "horizontal", or angle in degrees */
     direction?: "vertical" | "horizontal" | number;
+    /** For radial and conic gradients: center as fractions 0-1 (default: 0.5, 0.5) */
+    center?: { x?: number; y?: number };
+    /** For conic gradients: start angle in degrees, clockwise from the top (default: 0) */
+    angle?: number;
+    /** For mesh gradients: at least 2 points, x/y as fractions 0-1 */
+    points?: Array<{ x: number; y: number; color: string }>;
+    /** Animate the gradient over the clip duration */
+    animate?: {
+      /** Degrees of hue rotation over the clip */
+      hue?: number;
+      /** Moves the stops by this fraction of the gradient over the clip (linear, radial, conic) */
+      shift?: number;
+      /** Degrees of rotation over the clip (linear, conic) */
+      rotate?: number;
+      /** Frame rate of rendered shift / rotate frames (default: 15, capped at the project fps) */
+      fps?: number;
+    };
   }
 
   /** Color clip — solid color or gradient for filling gaps, transitions, etc. */
-  interface ColorClip {
+  interface ColorClip extends VisualClipProps {
     type: "color";
     /** Flat color string (e.g. "black", "#FF0000") or gradient specification */
     color: string | GradientSpec;
@@ -284,7 +738,138 @@ declare namespace SIMPLEFFMPEG {
     /** Duration in seconds (alternative to end). end = position + duration. */
     duration?: number;
     /** Transition effect from the previous visual clip */
-    transition?: { type: string; duration: number };
+    transition?: Transition;
+  }
+
+  type VideoGeneratorName =
+    | "smptebars"
+    | "testsrc2"
+    | "noise"
+    | "cellauto"
+    | "life"
+    | "mandelbrot";
+
+  type AudioGeneratorName = "sine" | "anoisesrc";
+
+  type NoiseColor = "white" | "pink" | "brown" | "blue" | "violet" | "velvet";
+
+  /** Test pattern or procedural background rendered by FFmpeg (no input file) */
+  interface GeneratorClip extends BaseClip, VisualClipProps {
+    type: "generator";
+    generator: VideoGeneratorName;
+    /** noise / cellauto / life: integer random seed for repeatable output */
+    seed?: number;
+    /** noise: grain strength 0-100 (default: 60) */
+    strength?: number;
+    /** noise: base color (default: "gray"); life: color of live cells */
+    color?: string;
+    /** cellauto: elementary automaton rule 0-255 (default: 110) */
+    rule?: number;
+    /** cellauto / life: pixels per cell (default: 4) */
+    cellSize?: number;
+    /** Transition effect from the previous visual clip */
+    transition?: Transition;
+  }
+
+  /** Tone or noise bed rendered by FFmpeg (no input file) */
+  interface AudioGeneratorClip extends BaseClip, AudioEnvelopeProps {
+    type: "audioGenerator";
+    generator: AudioGeneratorName;
+    volume?: number;
+    /** sine: tone frequency in Hz (default: 440) */
+    frequency?: number;
+    /** anoisesrc: noise spectrum (default: "white") */
+    noiseColor?: NoiseColor;
+    /** anoisesrc: amplitude 0-1 (default: 0.1) */
+    amplitude?: number;
+    /** anoisesrc: integer random seed for repeatable output */
+    seed?: number;
+    /** Animated volume. Overrides the static volume. */
+    keyframes?: AudioKeyframes;
+  }
+
+  /** Built-in layout cell arrangements */
+  type LayoutPreset = "split-h" | "split-v" | "grid-2x2" | "pip-corner";
+
+  /** A layout cell rectangle in pixels or percentages of the layout */
+  interface LayoutCell {
+    x?: Length;
+    y?: Length;
+    width?: Length;
+    height?: Length;
+  }
+
+  /** A child source of a layout clip. Source i fills cell i. */
+  interface LayoutSource {
+    type: "video" | "image" | "color";
+    /** Media file (video and image sources) */
+    url?: string;
+    /** Flat color string (color sources) */
+    color?: string;
+    /** Start offset into the source video in seconds (default: 0) */
+    cutFrom?: number;
+    /** Audio volume multiplier (default: 1) */
+    volume?: number;
+    /** Mix this source's audio into the output (default: true) */
+    audio?: boolean;
+    /** How the source fills its cell (default: "cover") */
+    fit?: ImageFit;
+    /** Space in pixels around the cell. Overrides the layout gutter. */
+    gutter?: number;
+    /** Cell background, visible behind "contain" fits. Overrides the layout backgroundColor. */
+    backgroundColor?: string;
+  }
+
+  interface LayoutClip extends VisualClipProps {
+    type: "layout";
+    /** Preset name or custom cells */
+    layout: LayoutPreset | LayoutCell[];
+    /** Child sources, one per cell */
+    sources: LayoutSource[];
+    /** Space in pixels between neighbouring cells (default: 0) */
+    gutter?: number;
+    /** Background behind cells and gutters (default: "black") */
+    backgroundColor?: string;
+    /** Start time on timeline in seconds. Omit to auto-sequence after previous visual clip. */
+    position?: number;
+    /** End time on timeline in seconds. Mutually exclusive with duration. */
+    end?: number;
+    /** Duration in seconds (alternative to end). end = position + duration. */
+    duration?: number;
+    /** Transition effect from the previous visual clip */
+    transition?: Transition;
+  }
+
+  /**
+   * A nested timeline rendered as one clip. Behaves like a video clip in the
+   * parent (fit, transitions, tracks, audio).
+   */
+  interface CompositionClip extends VisualClipProps {
+    type: "composition";
+    /** The nested timeline. Resolved and validated with the parent. */
+    clips: Clip[];
+    /** Nested canvas width (default: parent width). Must be even. */
+    width?: number;
+    /** Nested canvas height (default: parent height). Must be even. */
+    height?: number;
+    /** Start time on timeline in seconds. Omit to auto-sequence after previous visual clip. */
+    position?: number;
+    /** End time on timeline in seconds. Mutually exclusive with duration. */
+    end?: number;
+    /** Duration in seconds (default: the nested timeline's length minus cutFrom). */
+    duration?: number;
+    /** Start this many seconds into the nested timeline (default: 0) */
+    cutFrom?: number;
+    /** Volume of the nested timeline's audio (default: 1) */
+    volume?: number;
+    /** How the nested canvas fits the parent canvas (default: "contain") */
+    imageFit?: ImageFit;
+    /** Blur strength for the blur-fill background (default: 40) */
+    blurIntensity?: number;
+    /** Transition effect from the previous visual clip */
+    transition?: Transition;
+    /** Animated properties, including audio volume. */
+    keyframes?: VisualKeyframes & AudioKeyframes;
   }
 
   type EffectName =
@@ -380,17 +965,35 @@ declare namespace SIMPLEFFMPEG {
     fadeOut?: number;
     /** Effect-specific params */
     params: EffectParams;
+    /**
+     * Animated params. `amount` works on every effect; vignette also takes
+     * `angle` and colorAdjust `brightness`, `contrast`, `saturation`, `gamma`.
+     */
+    keyframes?: { [param: string]: Keyframe[] | undefined };
+  }
+
+  /** Fields every clip descriptor can have */
+  interface ClipIdentity {
+    /** Stable id used by the editing methods (addClip, moveClip, ...). Generated on load() when omitted. Must be unique. */
+    id?: string;
   }
 
-  type Clip =
+  type Clip = (
     | VideoClip
     | AudioClip
     | BackgroundMusicClip
     | ImageClip
+    | ImageSequenceClip
     | ColorClip
+    | GeneratorClip
+    | AudioGeneratorClip
+    | LayoutClip
+    | CompositionClip
     | EffectClip
     | TextClip
-    | SubtitleClip;
+    | SubtitleClip
+  ) &
+    ClipIdentity;
 
   // ─────────────────────────────────────────────────────────────────────────────
   // Options
@@ -416,7 +1019,7 @@ declare namespace SIMPLEFFMPEG {
   interface PresetConfig {
     width: number;
     height: number;
-    fps: number;
+    fps: FrameRate;
   }
 
   /** Validation error/warning codes */
@@ -469,13 +1072,42 @@ declare namespace SIMPLEFFMPEG {
     height?: number;
     /** If true, undersized Ken Burns images will error instead of warn (default: false, images are auto-upscaled) */
     strictKenBurns?: boolean;
+    /** Gap policy of the project; anything but "error" skips TIMELINE_GAP errors */
+    gapPolicy?: GapPolicy;
+  }
+
+  /**
+   * How gaps in the base track are handled:
+   * - "error": gaps are validation errors (default)
+   * - "black" / "color:<color>": fill gaps with a color clip
+   * - "freeze-previous": play the clip before the gap, then hold its last frame
+   * - "extend-previous": keep playing the clip before the gap until it closes
+   *
+   * A gap at the start of the timeline has no previous clip and is filled with black.
+   */
+  type GapPolicy =
+    | "error"
+    | "black"
+    | `color:${string}`
+    | "freeze-previous"
+    | "extend-previous";
+
+  /** A gap filled under a gapPolicy, as reported by preview() */
+  interface GapFiller {
+    start: number;
+    end: number;
+    duration: number;
+    /** How the gap was filled */
+    policy: "color" | "freeze-previous" | "extend-previous";
+    /** Fill color, for "color" fillers */
+    color?: string;
   }
 
   interface SIMPLEFFMPEGOptions {
     /** Platform preset (e.g., 'tiktok', 'youtube', 'instagram-reel'). Sets width, height, fps. */
     preset?: PlatformPreset;
-    /** Frames per second (default: 30, or from preset) */
-    fps?: number;
+    /** Frames per second (default: 30, or from preset). Rationals such as "30000/1001" are kept exact. */
+    fps?: FrameRate;
     /** Output width in pixels (default: 1920, or from preset) */
     width?: number;
     /** Output height in pixels (default: 1080, or from preset) */
@@ -490,8 +1122,12 @@ declare namespace SIMPLEFFMPEG {
     fontFile?: string;
     /** Path to a .ttf/.otf emoji font for rendering emoji in text overlays (opt-in). Without this, emoji are silently stripped from text. Recommended: Noto Emoji (B&W outline). */
     emojiFont?: string;
-    /** Custom directory for temporary files — gradient images, unrotated videos, intermediate renders, text/ASS temp files. Defaults to os.tmpdir() or the output directory depending on the operation. Useful for fast SSDs, ramdisks, or environments with constrained /tmp. */
+    /** Custom directory for temporary files — gradient images, intermediate renders, text/ASS temp files. Defaults to os.tmpdir() or the output directory depending on the operation. Useful for fast SSDs, ramdisks, or environments with constrained /tmp. */
     tempDir?: string;
+    /** How gaps in the visual timeline are handled (default: "error") */
+    gapPolicy?: GapPolicy;
+    /** Motion engine for Ken Burns images (default: "zoompan"). Clips override it with kenBurns.engine. */
+    kenBurnsEngine?: KenBurnsEngine;
   }
 
   /** Log entry passed to onLog callback */
@@ -873,7 +1509,11 @@ declare namespace SIMPLEFFMPEG {
     | "video"
     | "audio"
     | "image"
+    | "imageSequence"
     | "color"
+    | "generator"
+    | "layout"
+    | "composition"
     | "effect"
     | "text"
     | "subtitle"
@@ -899,6 +1539,8 @@ declare namespace SIMPLEFFMPEG {
     filterComplex: string;
     /** Total expected duration in seconds */
     totalDuration: number;
+    /** Gaps filled under the project's gapPolicy */
+    gapFillers: GapFiller[];
   }
 
   /** Options for load() */
@@ -909,6 +1551,49 @@ declare namespace SIMPLEFFMPEG {
     skipExtensionsCheck?: boolean;
   }
 
+  /** Options for addClip() */
+  interface AddClipOptions {
+    /** Index in the clip list (default: last). Auto-sequenced clips follow the clip before them in the list. */
+    index?: number;
+    /** Insert into the clip's track at its position and re-sequence the clips after it */
+    ripple?: boolean;
+  }
+
+  /** Options for removeClip() and moveClip() */
+  interface RippleOptions {
+    /** Re-sequence the clip's track (visual track or audio clips) back to back from the edit point */
+    ripple?: boolean;
+  }
+
+  /** Options for trimClip() */
+  interface TrimClipOptions {
+    /** New start time in seconds (default: unchanged). Advances cutFrom for media clips. */
+    start?: number;
+    /** New end time in seconds (default: unchanged) */
+    end?: number;
+    /** Keep the clip's start in place and re-sequence the clips after it on its track */
+    ripple?: boolean;
+  }
+
+  /** Saved project, from toJSON() / saveProject() */
+  interface ProjectDocument {
+    format: "simple-ffmpeg-project";
+    /** Library version that wrote the document */
+    version: string;
+    /** Constructor options (without tempDir) */
+    options: SIMPLEFFMPEGOptions;
+    /** Resolved clips, with their ids */
+    clips: Clip[];
+    /** Default export options (without callbacks and signal) */
+    exportOptions: ExportOptions;
+  }
+
+  /** Options for fromJSON() and loadProject() */
+  interface ProjectLoadOptions extends LoadOptions {
+    /** Directory that relative media paths resolve against (fromJSON() only; loadProject() uses the file's directory) */
+    baseDir?: string;
+  }
+
   // ─────────────────────────────────────────────────────────────────────────────
   // Media Info (probe)
   // ─────────────────────────────────────────────────────────────────────────────
@@ -917,9 +1602,9 @@ declare namespace SIMPLEFFMPEG {
   interface MediaInfo {
     /** Total duration in seconds */
     duration: number | null;
-    /** Video width in pixels (null for audio-only files) */
+    /** Displayed width in pixels, after rotation or EXIF orientation (null for audio-only files) */
     width: number | null;
-    /** Video height in pixels (null for audio-only files) */
+    /** Displayed height in pixels, after rotation or EXIF orientation (null for audio-only files) */
     height: number | null;
     /** Whether the file contains a video stream */
     hasVideo: boolean;
@@ -927,14 +1612,20 @@ declare namespace SIMPLEFFMPEG {
     hasAudio: boolean;
     /** iPhone/mobile rotation value in degrees (0 if none) */
     rotation: number;
+    /** EXIF orientation (1-8) of JPEG / TIFF images, or the equivalent of a rotated / mirrored video's display matrix; 1 if upright */
+    orientation: number;
     /** Video codec name, e.g. "h264", "hevc", "vp9" (null if no video) */
     videoCodec: string | null;
     /** Audio codec name, e.g. "aac", "mp3", "pcm_s16le" (null if no audio) */
     audioCodec: string | null;
     /** Container format name, e.g. "mov,mp4,m4a,3gp,3g2,mj2" */
     format: string | null;
-    /** Frames per second (null for non-video files) */
+    /** Frames per second, rounded to 2 decimals (null for non-video files) */
     fps: number | null;
+    /** Exact frame rate: a whole number or a "num/den" string such as "30000/1001" (null for non-video files) */
+    frameRate: number | string | null;
+    /** Number of video frames, when known. Greater than 1 for animated GIF / APNG / WebP images. */
+    frameCount: number | null;
     /** File size in bytes */
     size: number | null;
     /** Overall bitrate in bits per second */
@@ -1006,6 +1697,9 @@ declare namespace SIMPLEFFMPEG {
 declare class SIMPLEFFMPEG {
   constructor(options?: SIMPLEFFMPEG.SIMPLEFFMPEGOptions);
 
+  /** Default export() / preview() options, saved with the project */
+  exportOptions: SIMPLEFFMPEG.ExportOptions;
+
   /**
    * Load clips into the project
    * @param clips Array of clip descriptors (video, audio, text, image, music)
@@ -1016,6 +1710,66 @@ declare class SIMPLEFFMPEG {
     options?: SIMPLEFFMPEG.LoadOptions
   ): Promise<void[]>;
 
+  /**
+   * Get the project's clip descriptors, each with its `id`
+   */
+  getClips(): SIMPLEFFMPEG.Clip[];
+
+  /**
+   * Add a clip. Only clips whose resolved timing or settings change are
+   * validated and loaded again.
+   * @returns The clip's id
+   */
+  addClip(
+    clip: SIMPLEFFMPEG.Clip,
+    options?: SIMPLEFFMPEG.AddClipOptions
+  ): Promise<string>;
+
+  /**
+   * Remove a clip
+   * @returns The removed clip descriptor
+   */
+  removeClip(
+    id: string,
+    options?: SIMPLEFFMPEG.RippleOptions
+  ): Promise<SIMPLEFFMPEG.Clip>;
+
+  /**
+   * Merge fields into a clip. Fields set to `undefined` are removed.
+   */
+  updateClip(id: string, patch: Record<string, unknown>): Promise<void>;
+
+  /**
+   * Move a clip to a new start time, keeping its length
+   */
+  moveClip(
+    id: string,
+    position: number,
+    options?: SIMPLEFFMPEG.RippleOptions
+  ): Promise<void>;
+
+  /**
+   * Split a clip in two at a timeline time
+   * @returns The id of the second part
+   */
+  splitClip(id: string, time: number): Promise<string>;
+
+  /**
+   * Trim a clip to new start and/or end times
+   */
+  trimClip(id: string, options: SIMPLEFFMPEG.TrimClipOptions): Promise<void>;
+
+  /**
+   * Serialize the project: options, resolved clips and exportOptions
+   */
+  toJSON(): SIMPLEFFMPEG.ProjectDocument;
+
+  /**
+   * Save the project to a JSON file, with media paths relative to it
+   * @returns The project file path
+   */
+  saveProject(filePath: string): Promise<string>;
+
   /**
    * Get a preview of the FFmpeg command without executing it (dry-run)
    * @param options Export options
@@ -1030,6 +1784,24 @@ declare class SIMPLEFFMPEG {
    */
   export(options?: SIMPLEFFMPEG.ExportOptions): Promise<string>;
 
+  /**
+   * Create a project from a project document (or a bare clips array).
+   * Documents from older library versions are migrated first.
+   */
+  static fromJSON(
+    document: SIMPLEFFMPEG.ProjectDocument | SIMPLEFFMPEG.Clip[],
+    options?: SIMPLEFFMPEG.ProjectLoadOptions
+  ): Promise<SIMPLEFFMPEG>;
+
+  /**
+   * Load a project file written by saveProject(). Relative media paths
+   * resolve against the project file's directory.
+   */
+  static loadProject(
+    filePath: string,
+    options?: SIMPLEFFMPEG.LoadOptions
+  ): Promise<SIMPLEFFMPEG>;
+
   /**
    * Get available platform presets
    * @returns Map of preset names to their configurations
@@ -1105,6 +1877,31 @@ declare class SIMPLEFFMPEG {
    */
   static getTransitionOverlap(clips: SIMPLEFFMPEG.Clip[]): number;
 
+  /**
+   * Register a custom xfade transition, usable as `transition.type` on any
+   * visual clip. It is checked by validation and listed in getSchema().
+   * Registration is global; registering a name again replaces it, and
+   * built-in names cannot be replaced.
+   *
+   * @param name - Transition name (letters, digits, "-" and "_")
+   * @param definition - Expression template and declared params
+   * @throws {SimpleffmpegError} If the name or definition is invalid
+   *
+   * @example
+   * SIMPLEFFMPEG.registerTransition("brand-wipe", {
+   *   expr: "if(lt(abs(X/W-if(eq({direction},0),P,1-P)),{softness}),{color},if(eq({direction},0),if(gt(X/W,P),B,A),if(lt(X/W,1-P),B,A)))",
+   *   params: {
+   *     direction: { type: "enum", values: ["left", "right"], default: "left" },
+   *     softness: { type: "number", min: 0, max: 0.5, default: 0.02 },
+   *     color: { type: "color", default: "#FF0066" },
+   *   },
+   * });
+   */
+  static registerTransition(
+    name: string,
+    definition: SIMPLEFFMPEG.TransitionDefinition
+  ): void;
+
   /**
    * Probe a media file and return comprehensive metadata.
    *